@@ -0,0 +1,275 @@
+import OpenAI from 'openai'
+
+/**
+ * Chat proxy for Sveti AI homework tutor
+ * Owns the OpenAI API key so it never ships to the student's browser
+ */
+
+const DEFAULT_MODEL = 'gpt-4o-mini'
+const ALLOWED_MODELS = ['gpt-4o-mini', 'gpt-4o', 'gpt-3.5-turbo']
+const MAX_TOKENS_LIMIT = 2000
+const UPSTREAM_TIMEOUT_MS = 30000
+const STREAM_IDLE_TIMEOUT_MS = 15000
+
+let client = null
+
+/**
+ * Lazily create the OpenAI client so the server can start without a key
+ * @returns {OpenAI|null} Client instance, or null when no key is configured
+ */
+function getClient() {
+  if (!isConfigured()) return null
+  if (!client) {
+    // Retries happen in the browser so the student can see them; don't stack SDK retries on top
+    client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY, maxRetries: 0 })
+  }
+  return client
+}
+
+/**
+ * Whether the server has a usable OpenAI API key
+ * @returns {boolean}
+ */
+export function isConfigured() {
+  const key = process.env.OPENAI_API_KEY
+  return !!key && key !== 'sk-your-key-goes-here'
+}
+
+/**
+ * Validate message format sent by the browser
+ * @param {Array} messages - Array of messages to validate
+ * @returns {boolean} True if messages are valid
+ */
+function validateMessages(messages) {
+  if (!Array.isArray(messages) || messages.length === 0) return false
+
+  return messages.every(msg =>
+    msg &&
+    typeof msg === 'object' &&
+    typeof msg.role === 'string' &&
+    typeof msg.content === 'string' &&
+    ['system', 'user', 'assistant'].includes(msg.role)
+  )
+}
+
+/**
+ * Clamp browser-supplied options to what the proxy is willing to pay for
+ * @param {Object} options - Options as sent by the browser
+ * @returns {{model: string, temperature: number, max_tokens: number, response_format?: Object}}
+ */
+function sanitizeOptions(options = {}) {
+  const model = ALLOWED_MODELS.includes(options.model) ? options.model : DEFAULT_MODEL
+  const temperature = Number.isFinite(options.temperature)
+    ? Math.min(Math.max(options.temperature, 0), 2)
+    : 0.7
+  const maxTokens = Number.isFinite(options.max_tokens)
+    ? Math.min(Math.max(Math.round(options.max_tokens), 1), MAX_TOKENS_LIMIT)
+    : 1500
+
+  // JSON mode is the only response format the browser may ask for
+  const jsonMode = options.response_format?.type === 'json_object'
+
+  return { model, temperature, max_tokens: maxTokens, ...(jsonMode && { response_format: { type: 'json_object' } }) }
+}
+
+/**
+ * Read how long OpenAI asked us to wait before retrying
+ * @param {Error} error - Error thrown by the OpenAI client
+ * @returns {number|null} Delay in seconds, or null when OpenAI sent no hint
+ */
+function getRetryAfter(error) {
+  const retryAfterMs = Number(error.headers?.get?.('retry-after-ms'))
+  if (retryAfterMs > 0) return Math.ceil(retryAfterMs / 1000)
+
+  const retryAfter = Number(error.headers?.get?.('retry-after'))
+  return retryAfter > 0 ? retryAfter : null
+}
+
+/**
+ * Map an OpenAI SDK error to a status code and student-safe message
+ * @param {Error} error - Error thrown by the OpenAI client
+ * @returns {{status: number, error: string, retryAfter?: number|null}}
+ */
+function toClientError(error) {
+  if (error.status === 401) {
+    return { status: 502, error: 'The tutor service is misconfigured. Please tell your teacher.' }
+  }
+
+  // An exhausted quota also arrives as 429, but waiting will not fix it
+  if (error.status === 402 || error.code === 'insufficient_quota') {
+    return { status: 402, error: 'OpenAI account quota exceeded. Please check your billing settings.' }
+  }
+
+  if (error.status === 429) {
+    return { status: 429, error: 'Rate limit exceeded. Please wait a moment before trying again.', retryAfter: getRetryAfter(error) }
+  }
+
+  if (error.status === 503) {
+    return { status: 503, error: 'OpenAI service is temporarily unavailable. Please try again later.', retryAfter: getRetryAfter(error) }
+  }
+
+  if (error instanceof OpenAI.APIUserAbortError || error instanceof OpenAI.APIConnectionTimeoutError) {
+    return { status: 504, error: 'The tutor took too long to respond. Please try again.' }
+  }
+
+  if (error instanceof OpenAI.APIConnectionError) {
+    return { status: 502, error: 'Network error. The tutor server could not reach OpenAI.' }
+  }
+
+  return { status: 500, error: 'An unexpected error occurred. Please try again later.' }
+}
+
+/**
+ * Keep only the token counts from an OpenAI usage object
+ * @param {Object|null} usage - `usage` from a completion or the final stream chunk
+ * @returns {{prompt_tokens: number, completion_tokens: number, total_tokens: number}|null}
+ */
+function toUsage(usage) {
+  if (!usage) return null
+  return {
+    prompt_tokens: usage.prompt_tokens ?? 0,
+    completion_tokens: usage.completion_tokens ?? 0,
+    total_tokens: usage.total_tokens ?? 0
+  }
+}
+
+/**
+ * Check the request body shared by the plain and streaming handlers
+ * @returns {{status: number, body: Object}|null} Error response, or null when the request is usable
+ */
+function checkRequest(body) {
+  if (!isConfigured()) {
+    return {
+      status: 503,
+      body: { content: null, error: 'OpenAI API key not configured on the server. Please add OPENAI_API_KEY to the .env file.' }
+    }
+  }
+
+  if (!validateMessages(body?.messages)) {
+    return {
+      status: 400,
+      body: { content: null, error: 'Messages array is required and cannot be empty.' }
+    }
+  }
+
+  return null
+}
+
+/**
+ * Handle a chat completion request from the browser
+ * Mirrors the `{content, error}` shape of the frontend `sendMessage`
+ * @param {Object} body - Parsed request body with `messages` and `options`
+ * @param {AbortSignal} signal - Aborted when the browser disconnects
+ * @returns {Promise<{status: number, body: {content: string|null, error: string|null, usage?: Object, model?: string}, retryAfter?: number|null}>}
+ */
+export async function handleChat(body, signal) {
+  const invalid = checkRequest(body)
+  if (invalid) return invalid
+
+  const openai = getClient()
+  const messages = body.messages
+
+  const controller = new AbortController()
+  const timeoutId = setTimeout(() => controller.abort(), UPSTREAM_TIMEOUT_MS)
+  const onClientAbort = () => controller.abort()
+  signal?.addEventListener('abort', onClientAbort)
+
+  const options = sanitizeOptions(body.options)
+
+  try {
+    const response = await openai.chat.completions.create({
+      ...options,
+      messages,
+      stream: false
+    }, {
+      signal: controller.signal
+    })
+
+    const content = response.choices[0]?.message?.content
+    if (!content) {
+      return {
+        status: 502,
+        body: { content: null, error: 'No response content received from OpenAI.' }
+      }
+    }
+
+    return {
+      status: 200,
+      body: { content: content.trim(), error: null, usage: toUsage(response.usage), model: options.model }
+    }
+  } catch (error) {
+    console.error('OpenAI API Error:', error)
+    const { status, error: message, retryAfter } = toClientError(error)
+    return { status, body: { content: null, error: message }, retryAfter }
+  } finally {
+    clearTimeout(timeoutId)
+    signal?.removeEventListener('abort', onClientAbort)
+  }
+}
+
+/**
+ * Handle a streaming chat completion request from the browser
+ * Calls `onStart` once the upstream stream is open, then `write` for every NDJSON event:
+ * `{delta}` for each chunk of text, `{usage, model}` once token counts are known, then `{done: true}` or `{error}`
+ * @param {Object} body - Parsed request body with `messages` and `options`
+ * @param {AbortSignal} signal - Aborted when the browser disconnects
+ * @param {{onStart: Function, write: Function}} sink - Response writers supplied by the server
+ * @returns {Promise<{status: number, body: Object, retryAfter?: number|null}|null>} Error response if the stream never started
+ */
+export async function handleChatStream(body, signal, { onStart, write }) {
+  const invalid = checkRequest(body)
+  if (invalid) return invalid
+
+  const openai = getClient()
+
+  // The timer measures silence between chunks, not the length of the whole answer
+  const controller = new AbortController()
+  let timeoutId = setTimeout(() => controller.abort(), UPSTREAM_TIMEOUT_MS)
+  const resetIdleTimer = () => {
+    clearTimeout(timeoutId)
+    timeoutId = setTimeout(() => controller.abort(), STREAM_IDLE_TIMEOUT_MS)
+  }
+  const onClientAbort = () => controller.abort()
+  signal?.addEventListener('abort', onClientAbort)
+
+  const options = sanitizeOptions(body.options)
+  let started = false
+  try {
+    const stream = await openai.chat.completions.create({
+      ...options,
+      messages: body.messages,
+      stream: true,
+      // Adds a final chunk with token counts for usage tracking
+      stream_options: { include_usage: true }
+    }, {
+      signal: controller.signal
+    })
+
+    onStart()
+    started = true
+    resetIdleTimer()
+
+    for await (const chunk of stream) {
+      resetIdleTimer()
+      const delta = chunk.choices[0]?.delta?.content
+      if (delta) write({ delta })
+      if (chunk.usage) write({ usage: toUsage(chunk.usage), model: options.model })
+    }
+
+    write({ done: true })
+    return null
+  } catch (error) {
+    if (signal?.aborted) return null
+
+    console.error('OpenAI API Error:', error)
+    const { status, error: message, retryAfter } = toClientError(error)
+    if (!started) {
+      return { status, body: { content: null, error: message }, retryAfter }
+    }
+    write({ error: message })
+    return null
+  } finally {
+    clearTimeout(timeoutId)
+    signal?.removeEventListener('abort', onClientAbort)
+  }
+}
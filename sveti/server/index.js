@@ -0,0 +1,196 @@
+import http from 'node:http'
+import { readFile } from 'node:fs/promises'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { handleChat, handleChatStream, isConfigured } from './chat.js'
+
+/**
+ * Sveti backend server
+ * Serves the chat proxy under /api and, when present, the built frontend from dist/
+ */
+
+try {
+  process.loadEnvFile()
+} catch {
+  // No .env file - rely on the process environment
+}
+
+const PORT = Number(process.env.PORT) || 8787
+const MAX_BODY_BYTES = 1024 * 1024
+const DIST_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../dist')
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon',
+  '.json': 'application/json; charset=utf-8'
+}
+
+/**
+ * Write a JSON response
+ */
+function sendJSON(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers })
+  res.end(JSON.stringify(body))
+}
+
+/**
+ * Pass OpenAI's Retry-After hint on to the browser
+ */
+function retryHeaders(result) {
+  return result.retryAfter ? { 'Retry-After': String(result.retryAfter) } : {}
+}
+
+/**
+ * Read and parse a JSON request body, rejecting oversized payloads
+ * @returns {Promise<Object>}
+ */
+function readJSONBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0
+    const chunks = []
+    req.on('data', chunk => {
+      size += chunk.length
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'))
+        req.destroy()
+        return
+      }
+      chunks.push(chunk)
+    })
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'))
+      } catch (error) {
+        reject(error)
+      }
+    })
+    req.on('error', reject)
+  })
+}
+
+/**
+ * Reply 400 to a request whose URL can't be read
+ */
+function sendBadRequest(res) {
+  res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' })
+  res.end('Bad request.')
+}
+
+/**
+ * Serve a file from dist/, falling back to index.html for client-side routes
+ * @param {string} pathname - Request path, still percent-encoded
+ */
+async function serveStatic(pathname, res) {
+  let urlPath
+  try {
+    urlPath = decodeURIComponent(pathname)
+  } catch {
+    // Malformed percent-encoding, e.g. /%E0%A4%A
+    sendBadRequest(res)
+    return
+  }
+  const filePath = path.join(DIST_DIR, urlPath)
+
+  // Never serve anything outside dist/ (including siblings such as dist-old/)
+  const relative = path.relative(DIST_DIR, filePath)
+  if (relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+    res.writeHead(403)
+    res.end()
+    return
+  }
+
+  for (const candidate of [filePath, path.join(DIST_DIR, 'index.html')]) {
+    try {
+      const data = await readFile(candidate)
+      const type = CONTENT_TYPES[path.extname(candidate)] || 'application/octet-stream'
+      res.writeHead(200, { 'Content-Type': type })
+      res.end(data)
+      return
+    } catch {
+      // Try the next candidate
+    }
+  }
+
+  res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' })
+  res.end('Not found. Run `npm run build` to serve the Sveti frontend from this server.')
+}
+
+const server = http.createServer(async (req, res) => {
+  let pathname
+  try {
+    ({ pathname } = new URL(req.url, 'http://localhost'))
+  } catch {
+    // Unparseable request target, e.g. "GET http://[ HTTP/1.1"
+    sendBadRequest(res)
+    return
+  }
+
+  if (pathname === '/api/health' && req.method === 'GET') {
+    sendJSON(res, 200, { ok: true, configured: isConfigured() })
+    return
+  }
+
+  if (pathname === '/api/chat') {
+    if (req.method !== 'POST') {
+      sendJSON(res, 405, { content: null, error: 'Method not allowed.' })
+      return
+    }
+
+    let body
+    try {
+      body = await readJSONBody(req)
+    } catch {
+      sendJSON(res, 400, { content: null, error: 'Request body must be valid JSON.' })
+      return
+    }
+
+    // Abort the upstream call if the student closes the tab mid-request
+    const controller = new AbortController()
+    res.on('close', () => {
+      if (!res.writableEnded) controller.abort()
+    })
+
+    if (body?.stream) {
+      const failure = await handleChatStream(body, controller.signal, {
+        onStart: () => {
+          res.writeHead(200, {
+            'Content-Type': 'application/x-ndjson; charset=utf-8',
+            'Cache-Control': 'no-cache'
+          })
+        },
+        write: (event) => res.write(`${JSON.stringify(event)}\n`)
+      })
+      if (res.writableEnded) return
+      if (failure) {
+        sendJSON(res, failure.status, failure.body, retryHeaders(failure))
+      } else {
+        res.end()
+      }
+      return
+    }
+
+    const result = await handleChat(body, controller.signal)
+    if (!res.writableEnded) {
+      sendJSON(res, result.status, result.body, retryHeaders(result))
+    }
+    return
+  }
+
+  if (pathname.startsWith('/api/')) {
+    sendJSON(res, 404, { content: null, error: 'Unknown API route.' })
+    return
+  }
+
+  await serveStatic(pathname, res)
+})
+
+server.listen(PORT, () => {
+  console.log(`Sveti server listening on http://localhost:${PORT}`)
+  if (!isConfigured()) {
+    console.warn('OPENAI_API_KEY is not set - /api/chat will return an error until it is configured.')
+  }
+})
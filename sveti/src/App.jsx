@@ -1,20 +1,83 @@
-import { useState, useEffect, useCallback } from 'react'
-import { learningStyles, getAllStyles } from './config/learningStyles'
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react'
+import { learningStyles, getAllStyles, getLearningStylePrompt } from './config/learningStyles'
 import MessageList from './components/MessageList'
 import InputArea from './components/InputArea'
 import TestOpenAI from './components/TestOpenAI'
+import UsagePanel from './components/UsagePanel'
+import CurriculumPanel from './components/CurriculumPanel'
+import RubricPanel from './components/RubricPanel'
+import CitationPanel from './components/CitationPanel'
+import IntegrityLogPanel from './components/IntegrityLogPanel'
+import EssayWorkspace from './components/EssayWorkspace'
+import ReadingWorkspace from './components/ReadingWorkspace'
+import SessionSummary from './components/SessionSummary'
+import { useCitations } from './hooks/useCitations'
 import { useGamePrefs } from './hooks/useGamePrefs'
-import { buildSystemWithGames } from './config/prompts'
+import { useEssayDrafts } from './hooks/useEssayDrafts'
+import { useIntegrityLog } from './hooks/useIntegrityLog'
+import { useReadingPassages } from './hooks/useReadingPassages'
+import { useRubrics } from './hooks/useRubrics'
+import { useSessionSummary } from './hooks/useSessionSummary'
+import { useUsage } from './hooks/useUsage'
+import { shouldSuggestClear } from './hooks/useRealChat'
+import { buildSystemWithGames, getSystemPrompt, graphPrompt, readingPassagePrompt, withSessionSummary } from './config/prompts'
+import { getProvider, getAllProviders, DEFAULT_PROVIDER } from './providers'
+import { withRetry } from './utils/retry'
+import { buildContext, findProblemMessage } from './utils/contextWindow'
+import { getUnsummarizedMessages, selectTurnsToSummarize, summarizeSession } from './utils/sessionSummary'
+import { buildUsageRecord } from './utils/usage'
+import { checkWork, formatCheckReport } from './math/checkWork'
+import { formatPracticeMessage, formatPracticePrompt } from './math/problems'
+import { gradeAnswer } from './math/grading'
+import { solveProblem } from './math/solver'
+import { classifyTopic, formatTopicPrompt } from './math/topics'
+import { formatLintPrompt, lintMessage } from './writing/grammarLint'
+import { formatHintPrompt, getNextHintLevel, HINT_LEVELS } from './config/hintLadder'
+import { createPracticeSet } from './utils/practiceItems'
+import { requestCheckedSolution } from './utils/checkedSolution'
+import { requestGuardedReply } from './utils/guardedReply'
+import { requestOutline } from './utils/essayOutline'
+import { requestAnswerCheck, requestReadingQuestions } from './utils/readingQuestions'
+import { CITATION_STYLES, formatCitation, formatCitationPrompt } from './writing/citations'
+import { formatOutline, formatOutlinePrompt } from './writing/outline'
+import { checkCitation, formatReadingMessage, formatReadingPrompt, numberLines, vocabularyQuestions } from './writing/reading'
 import './index.css'
 
-// Fixed useRealChat hook that handles OpenAI errors gracefully
-function useRealChatFixed(subject = 'algebra', learningStyle = 'visual') {
+// English messages that ask about citations get the student's saved sources
+const CITATION_QUESTION = /\b(citations?|cite|citing|works cited|bibliograph\w*|reference list|MLA|APA)\b/i
+const MAX_CITATION_SOURCES = 10
+
+// Fixed useRealChat hook that handles provider errors gracefully
+// `essay` is the open English assignment: its draft, which the tutor may quote back but not extend,
+// and `setOutline` to store outlines from the Outline action
+// `reading` holds the open reading passage ({passage}), sent to the tutor with numbered lines
+// `citations` is the citation builder's {sources, style}, sent along when the student asks about citing
+function useRealChatFixed(subject = 'algebra', learningStyle = 'visual', providerId = DEFAULT_PROVIDER, essay = null, reading = null, citations = null) {
   const [messages, setMessages] = useState([])
   const [isLoading, setIsLoading] = useState(false)
+  const [retryStatus, setRetryStatus] = useState(null) // { attempt, retries } while waiting to retry
+
+  // In-flight request, so the Stop button can cancel it
+  const requestRef = useRef(null) // { controller, replyId }
 
   // Game preferences hook
   const { gamePrefs, setGamePrefs, asked, setAsked, prefersGames, setPrefers, parseGamesFromText, hasPrefs, resetGamePrefs } = useGamePrefs();
 
+  // Running summary of older turns, so long sessions keep their history
+  const { summary, recordSummary, setSummaryText, clearSummary } = useSessionSummary(subject)
+  const [isSummarizing, setIsSummarizing] = useState(false)
+
+  // Token and cost tracking with optional daily caps
+  const usageTracker = useUsage()
+  const { capStatus, recordUsage } = usageTracker
+
+  // English replies stopped for writing the student's work, for teachers
+  const integrityLog = useIntegrityLog()
+  const { logInterception } = integrityLog
+
+  // Current algebra topic, shown in the header
+  const [currentTopic, setCurrentTopic] = useState(null)
+
   // Storage key for persistence
   const getStorageKey = useCallback((subj) => `sveti-messages-${subj}`, [])
 
@@ -41,6 +104,9 @@ function useRealChatFixed(subject = 'algebra', learningStyle = 'visual') {
 
   // Save messages to localStorage
   useEffect(() => {
+    // Wait until a streaming reply is finalized instead of saving every chunk
+    if (messages.some(msg => msg.streaming)) return
+
     if (messages.length > 0) {
       try {
         // Convert Date objects to strings for storage
@@ -55,8 +121,16 @@ function useRealChatFixed(subject = 'algebra', learningStyle = 'visual') {
     }
   }, [messages, subject, getStorageKey])
 
+  // Reclassify once replies are complete rather than on every streamed chunk
+  useEffect(() => {
+    if (messages.some(msg => msg.streaming)) return
+    setCurrentTopic(subject === 'algebra' ? classifyTopic(messages) : null)
+  }, [messages, subject])
+
   // Send message function
-  const sendMessage = useCallback(async (content, actionType = null) => {
+  // `outline` attaches the student's outline as context, e.g. when sent to Improve from the workspace,
+  // and `citation` a source {source, style} from the citation builder
+  const sendMessage = useCallback(async (content, actionType = null, { outline = null, citation = null } = {}) => {
     if (!content?.trim() || isLoading) return
 
     // 🎮 DEBUG: Game Ask Trigger
@@ -65,7 +139,9 @@ function useRealChatFixed(subject = 'algebra', learningStyle = 'visual') {
     console.log("Asked:", asked, "HasPrefs:", hasPrefs, "GamePrefs:", gamePrefs);
     console.groupEnd();
 
-    const newUserMsg = { id: crypto.randomUUID(), role: "user", content: content.trim(), timestamp: new Date() };
+    // English grammar checks run the offline linter first; its findings are highlighted on the message
+    const lint = subject === 'english' && actionType === 'grammar' ? lintMessage(content.trim()) : null
+    const newUserMsg = { id: crypto.randomUUID(), role: "user", content: content.trim(), timestamp: new Date(), ...(lint && { lint }), ...(outline?.length && { outline }), ...(citation && { citation }) };
     const nextMessages = [...messages, newUserMsg];
     setMessages(nextMessages);
 
@@ -130,63 +206,262 @@ function useRealChatFixed(subject = 'algebra', learningStyle = 'visual') {
 
     setIsLoading(true)
 
+    // Placeholder assistant message that grows as streamed chunks arrive
+    const replyId = crypto.randomUUID()
+    const controller = new AbortController()
+    requestRef.current = { controller, replyId }
+
+    // The selected LLM backend (OpenAI, local model or scripted mock);
+    // once today's cap is spent, Sveti keeps answering offline instead of going silent
+    const budgetLimited = capStatus === 'reached'
+    const provider = getProvider(budgetLimited ? 'mock' : providerId)
+    // Near the cap, ask for shorter replies
+    const maxReplyTokens = capStatus === 'near' ? 600 : 1500
+    // Scripted mock replies are free and don't count toward the caps
+    const tracksUsage = provider.id !== 'mock'
+
     try {
-      // Try to import and use OpenAI, fallback to mock if it fails
+      // Try the selected provider, fallback to canned text if it fails
       let aiResponse = null
+      let usage = null
+      let practiceSet = null
+      let solverCheck = null
+      let hint = null
+      let integrity = null
+      let readingSet = null
+      // Text already shown from a stream, kept if the stream then fails
+      let streamed = ''
+      let interrupted = false
       
       try {
-        const openAIModule = await import('./utils/openai.js')
-        const promptsModule = await import('./config/prompts.js')
-        const stylesModule = await import('./config/learningStyles.js')
-        
-        const sendOpenAIMessage = openAIModule.sendMessage
-        const getSystemPrompt = promptsModule.getSystemPrompt
-        const getLearningStylePrompt = stylesModule.getLearningStylePrompt
-        
-        // --- quick topic detector for Sveti MVP ---
-        // detect math topic from the student's latest message
-        let topicKey = null;
-        const userText = (nextMessages?.at(-1)?.content || "").toLowerCase();
-        if (userText.includes("%") || userText.includes("percent") || userText.includes("discount"))
-          topicKey = "percentChange";
-        else if (userText.includes("ratio") || userText.includes("proportion"))
-          topicKey = "ratios";
-        else if (userText.includes("linear") || userText.includes("slope") || userText.includes("y="))
-          topicKey = "linearEq";
+        // Classify the algebra topic from the recent conversation; its curriculum entry supplies
+        // the prompt hint, standards, game template and practice problems
+        const topic = subject === 'algebra' ? classifyTopic(nextMessages) : null
+        const problemMsg = findProblemMessage(nextMessages)
+        // "Give me a hint" climbs one rung of the hint ladder for the current problem
+        const hintLevel = subject === 'algebra' && actionType === 'hint'
+          ? getNextHintLevel(nextMessages, problemMsg?.id ?? null)
+          : null
 
         // Build system prompt with game context
         const basePrompt = getSystemPrompt(subject, actionType)
         const stylePrompt = getLearningStylePrompt(learningStyle)
-        const baseSystemPrompt = `${basePrompt}\n\nTEACHING STYLE:\n${stylePrompt}`
+        const graphBlock = subject === 'algebra' ? `\n\n${graphPrompt}` : ''
+        if (hintLevel !== null) hint = { problemId: problemMsg?.id ?? null, level: hintLevel }
+        const hintBlock = hintLevel !== null ? formatHintPrompt(hintLevel) : ''
+        const baseSystemPrompt = `${basePrompt}\n\nTEACHING STYLE:\n${stylePrompt}${graphBlock}${formatTopicPrompt(topic)}${hintBlock}`
         
         // build final system prompt with optional game context + topic hint
         const systemContent = buildSystemWithGames(
           baseSystemPrompt,
           stylePrompt,
           gamePrefs,
-          topicKey
+          topic?.id ?? null
         );
         console.log("🧩 System prompt preview (first 300 chars):", systemContent.slice(0, 300));
+
+        // Check Work on algebra: verify each line locally so feedback rests on real math
+        const workCheck = subject === 'algebra' && actionType === 'check'
+          ? formatCheckReport(checkWork(newUserMsg.content))
+          : ''
+
+        // ...and grammar checks hand the tutor the linter's findings to explain
+        const lintReport = lint ? formatLintPrompt(lint) : ''
+        const outlineContext = newUserMsg.outline ? formatOutlinePrompt(newUserMsg.outline) : ''
+
+        // Citation questions get the builder's structured sources, so rules are explained from real fields
+        const citationSources = newUserMsg.citation
+          ? { sources: [newUserMsg.citation.source], style: newUserMsg.citation.style }
+          : subject === 'english' && citations?.sources.length && CITATION_QUESTION.test(newUserMsg.content)
+            ? { sources: citations.sources.slice(0, MAX_CITATION_SOURCES), style: citations.style }
+            : null
+        const citationContext = citationSources ? formatCitationPrompt(citationSources.sources, citationSources.style) : ''
+
+        // The open reading passage goes along with numbered lines, plus answers to its latest questions
+        const passage = subject === 'english' ? reading?.passage ?? null : null
+        const readingMsg = passage && actionType !== 'reading' && nextMessages.findLast(msg => msg.reading?.passageId === passage.id)
+        const readingContext = passage
+          ? readingPassagePrompt(passage.title, numberLines(passage.lines))
+            + (readingMsg ? formatReadingPrompt(readingMsg.reading.questions, readingMsg.readingResponses) : '')
+          : ''
+
+        // Worked solutions (Show Steps, Examples style, the last hint) for problems the solver
+        // handles are checked against its answer before the student sees them; lower hints aren't solutions
+        const showsWorkedSolution = subject === 'algebra' && (hintLevel !== null
+          ? hintLevel === HINT_LEVELS.length - 1
+          : actionType === 'steps' || learningStyle === 'examples')
+        const solverProblem = showsWorkedSolution
+          ? [newUserMsg.content, problemMsg?.content].find(text => solveProblem(text))
+          : null
+
+        // Practice problems the student is answering in the chat, with their graded answers
+        // (a new Practice request starts a fresh set instead)
+        const practiceMsg = actionType !== 'practice' && nextMessages.findLast(msg => msg.practice)
+        const practiceContext = practiceMsg ? formatPracticePrompt(practiceMsg.practice, practiceMsg.practiceResponses) : ''
         
-        // Build API messages
-        const apiMessages = [
-          { role: 'system', content: systemContent },
-          ...nextMessages.slice(-10).map(msg => ({
-            role: msg.role,
-            content: msg.content
-          }))
-        ]
+        // Summarized turns are replaced by the summary, but the current problem always goes along
+        const liveHistory = getUnsummarizedMessages(nextMessages, summary.throughId)
+        const history = problemMsg && !liveHistory.includes(problemMsg)
+          ? [problemMsg, ...liveHistory]
+          : liveHistory
+
+        // Build API messages within the model's token budget, keeping the current problem
+        const { messages: apiMessages, stats: contextStats } = buildContext({
+          systemPrompt: withSessionSummary(systemContent + workCheck + lintReport + outlineContext + citationContext + readingContext + practiceContext, summary.text),
+          history,
+          model: provider.model,
+          maxReplyTokens
+        })
+        if (contextStats.dropped || contextStats.compressed) {
+          console.log('✂️ Context trimmed:', contextStats)
+        }
         
-        const response = await sendOpenAIMessage(apiMessages)
+        setMessages(prev => [...prev, {
+          id: replyId,
+          role: 'assistant',
+          content: '',
+          timestamp: new Date(),
+          learningStyle: learningStyle,
+          model: provider.model,
+          streaming: true
+        }])
+
+        const onRetry = ({ attempt, retries, error }) => {
+          console.warn(`${provider.name} failed (${error}), retrying ${attempt}/${retries}`)
+          setRetryStatus({ attempt, retries })
+        }
+
+        // English Outline asks for a structured outline first; a reply that isn't one falls back to chat
+        const outlineResult = subject === 'english' && actionType === 'outline'
+          ? await requestOutline({ provider, messages: apiMessages, signal: controller.signal, onRetry })
+          : null
+        if (controller.signal.aborted) return
+        if (outlineResult?.usage && !outlineResult.nodes && tracksUsage) recordUsage(subject, outlineResult.usage)
+
+        // Reading questions come back tied to line ranges; without a usable reply, Sveti writes
+        // vocabulary-in-context questions itself
+        const readingResult = passage && actionType === 'reading'
+          ? await requestReadingQuestions({ provider, messages: apiMessages, lines: passage.lines, signal: controller.signal, onRetry })
+          : null
+        if (controller.signal.aborted) return
+        if (readingResult?.usage && !readingResult.questions && tracksUsage) recordUsage(subject, readingResult.usage)
+        const readingQuestions = readingResult && (readingResult.questions ?? vocabularyQuestions(passage.lines))
+
+        let response
+        if (subject === 'algebra' && actionType === 'practice') {
+          // Practice comes back as structured items the student answers in place
+          const practice = await createPracticeSet({
+            topicId: topic?.id ?? null,
+            provider,
+            messages: apiMessages,
+            gamePrefs,
+            signal: controller.signal
+          })
+          if (controller.signal.aborted) return
+          practiceSet = practice.items
+          // Locally generated sets cost nothing, so they have no usage record
+          response = { content: formatPracticeMessage(practiceSet), error: null, usageRecord: practice.usage }
+        } else if (solverProblem) {
+          // Buffered rather than streamed, so a wrong solution can be regenerated first
+          response = await requestCheckedSolution({
+            provider,
+            messages: apiMessages,
+            problemText: solverProblem,
+            maxTokens: maxReplyTokens,
+            signal: controller.signal,
+            onRetry
+          })
+          solverCheck = response.solverCheck
+        } else if (outlineResult?.nodes) {
+          // The outline becomes the open assignment's editable outline
+          const title = newUserMsg.content.replace(/^help me create an outline for:\s*/i, '').split('\n')[0].slice(0, 60)
+          essay?.setOutline(outlineResult.nodes, title || undefined)
+          response = {
+            content: `Here's an outline built from your ideas. It's saved in the **Outline** view of your draft, where you can reorder, add and delete parts - then send it back to me with Improve.\n\n${formatOutline(outlineResult.nodes)}`,
+            error: null,
+            usageRecord: outlineResult.usage
+          }
+        } else if (readingQuestions) {
+          readingSet = { passageId: passage.id, title: passage.title, lines: passage.lines, questions: readingQuestions }
+          // Locally written questions cost nothing, so they have no usage record
+          response = {
+            content: formatReadingMessage(passage.title, readingQuestions),
+            error: null,
+            usageRecord: readingResult.questions ? readingResult.usage : null
+          }
+        } else if (subject === 'english') {
+          // Buffered too, so prose the student could copy never reaches the screen
+          response = await requestGuardedReply({
+            provider,
+            messages: apiMessages,
+            // Quoting the reading passage or the student's citations back is fine too
+            studentTexts: [
+              ...nextMessages.filter(msg => msg.role === 'user').map(msg => msg.content),
+              essay?.draft ?? '',
+              passage?.lines.map(line => line.text).join(' ') ?? '',
+              ...(citationSources?.sources ?? []).map(source => formatCitation(source, citationSources.style).text)
+            ],
+            maxTokens: maxReplyTokens,
+            signal: controller.signal,
+            onRetry
+          })
+          integrity = response.integrity
+          if (integrity) {
+            logInterception({
+              action: actionType,
+              request: newUserMsg.content.slice(0, 300),
+              passages: integrity.passages,
+              outcome: integrity.outcome,
+              model: provider.model
+            })
+          }
+        } else {
+          // Retry rate limits and outages before giving up and using the fallback
+          response = await withRetry(
+            () => provider.streamMessage(apiMessages, {
+              max_tokens: maxReplyTokens,
+              signal: controller.signal,
+              onDelta: (delta) => {
+                if (controller.signal.aborted) return
+                streamed += delta
+                setRetryStatus(null)
+                setMessages(prev => prev.map(msg =>
+                  msg.id === replyId ? { ...msg, content: msg.content + delta } : msg
+                ))
+              }
+            }),
+            { signal: controller.signal, onRetry }
+          )
+        }
+
+        // Stopped by the student - stopGeneration already kept the partial answer
+        if (response.aborted) {
+          if (!tracksUsage) return
+          const partialUsage = buildUsageRecord(provider.model, null, apiMessages, response.content || '')
+          recordUsage(subject, partialUsage)
+          setMessages(prev => prev.map(msg => msg.id === replyId ? { ...msg, usage: partialUsage } : msg))
+          return
+        }
+
+        // Failed mid-stream: keep what the student already read rather than swap in canned text
+        if (!response.content && streamed.trim()) {
+          console.warn(`${provider.name} failed mid-reply, keeping the partial answer:`, response.error)
+          response = { content: streamed.trim(), error: null }
+          interrupted = true
+        }
         
         if (response.content) {
           aiResponse = response.content
+          if (tracksUsage && response.usageRecord !== null) {
+            usage = response.usageRecord ?? buildUsageRecord(provider.model, response.usage, apiMessages, response.content)
+            recordUsage(subject, usage)
+          }
         } else {
           throw new Error(response.error || 'No response content')
         }
         
-      } catch (openAIError) {
-        console.warn('OpenAI failed, using fallback:', openAIError)
+      } catch (providerError) {
+        console.warn(`${provider.name} failed, using fallback:`, providerError)
         
         // Fallback responses based on learning style and subject
         const fallbackResponses = {
@@ -201,15 +476,24 @@ function useRealChatFixed(subject = 'algebra', learningStyle = 'visual') {
       }
 
       const aiMsg = {
-        id: (Date.now() + 1).toString(),
+        id: replyId,
         role: 'assistant',
         content: aiResponse,
         timestamp: new Date(),
         learningStyle: learningStyle,
-        model: 'gpt-4o-mini'
+        model: provider.model,
+        ...(usage && { usage }),
+        ...(practiceSet && { practice: practiceSet }),
+        ...(readingSet && { reading: readingSet }),
+        ...(solverCheck && { solverCheck }),
+        ...(hint && { hint }),
+        ...(integrity && { integrity: { outcome: integrity.outcome } }),
+        ...(budgetLimited && { budgetLimited: true }),
+        ...(interrupted && { interrupted: true })
       }
 
-      setMessages(prev => [...prev, aiMsg])
+      // Finalize the streamed placeholder (or add the reply if streaming never started)
+      setMessages(prev => [...prev.filter(msg => msg.id !== replyId), aiMsg])
       
     } catch (error) {
       console.error('Send message error:', error)
@@ -222,24 +506,115 @@ function useRealChatFixed(subject = 'algebra', learningStyle = 'visual') {
         error: true
       }
       
-      setMessages(prev => [...prev, errorMsg])
+      setMessages(prev => [...prev.filter(msg => msg.id !== replyId), errorMsg])
     } finally {
-      setIsLoading(false)
+      // A stopped request must not unlock (or relock) a newer one
+      if (requestRef.current?.controller === controller) {
+        requestRef.current = null
+        setIsLoading(false)
+        setRetryStatus(null)
+      }
     }
-  }, [subject, learningStyle, messages, isLoading])
+  }, [subject, learningStyle, providerId, messages, isLoading, summary, capStatus, recordUsage, gamePrefs, essay, reading, citations, logInterception])
+
+  // Roll older turns into the session summary once the unsummarized part gets long
+  useEffect(() => {
+    if (isLoading || isSummarizing) return
+
+    const pending = getUnsummarizedMessages(messages, summary.throughId)
+    if (!shouldSuggestClear(pending)) return
+
+    const turns = selectTurnsToSummarize(pending)
+    if (turns.length === 0) return
+
+    setIsSummarizing(true)
+    summarizeSession({
+      // Near or over the daily cap, fall back to the free local summary
+      provider: getProvider(capStatus === 'ok' ? providerId : 'mock'),
+      previousSummary: summary.text,
+      messages: turns
+    })
+      .then(({ summary: text, usage }) => {
+        recordSummary(text, turns.at(-1).id)
+        if (usage) recordUsage(subject, usage)
+      })
+      .catch(error => console.warn('Failed to summarize session:', error))
+      .finally(() => setIsSummarizing(false))
+  }, [messages, isLoading, isSummarizing, summary, providerId, recordSummary, capStatus, recordUsage, subject])
+
+  // Grade a typed practice answer right away; attempts count toward the score summary
+  const answerPractice = useCallback((messageId, itemId, input) => {
+    setMessages(prev => prev.map(msg => {
+      const item = msg.id === messageId && msg.practice?.find(practiceItem => practiceItem.id === itemId)
+      if (!item) return msg
+      const previous = msg.practiceResponses?.[itemId]
+      const { correct } = gradeAnswer(input, item)
+      return {
+        ...msg,
+        practiceResponses: { ...msg.practiceResponses, [itemId]: { input, correct, attempts: (previous?.attempts || 0) + 1 } }
+      }
+    }))
+  }, [])
+
+  // Check a reading answer: the cited lines against the question's lines here, and the answer
+  // itself by the tutor against what the cited lines say
+  const answerReading = useCallback(async (messageId, questionId, { answer, cited }) => {
+    const readingMsg = messages.find(msg => msg.id === messageId)
+    const question = readingMsg?.reading?.questions.find(item => item.id === questionId)
+    if (!question) return
+    const provider = getProvider(capStatus === 'reached' ? 'mock' : providerId)
+    const result = provider.id === 'mock'
+      ? { check: null, usage: null, error: 'The offline tutor can only check which lines you cited. Pick OpenAI or a local model as the tutor to check the answer itself.' }
+      : await requestAnswerCheck({ provider, passage: readingMsg.reading, question, answer, cited })
+    if (result.usage) recordUsage(subject, result.usage)
+    setMessages(prev => prev.map(msg => {
+      if (msg.id !== messageId) return msg
+      const previous = msg.readingResponses?.[questionId]
+      const response = {
+        answer,
+        cited,
+        citation: checkCitation(cited, question.lines),
+        check: result.check,
+        error: result.error,
+        attempts: (previous?.attempts || 0) + 1
+      }
+      return { ...msg, readingResponses: { ...msg.readingResponses, [questionId]: response } }
+    }))
+  }, [messages, capStatus, providerId, recordUsage, subject])
+
+  // Cancel the in-flight reply, keeping any partial answer marked as interrupted
+  const stopGeneration = useCallback(() => {
+    const request = requestRef.current
+    if (!request) return
+
+    request.controller.abort()
+    requestRef.current = null
+
+    setMessages(prev => prev
+      .filter(msg => !(msg.id === request.replyId && !msg.content))
+      .map(msg => msg.id === request.replyId
+        ? { ...msg, streaming: false, interrupted: true }
+        : msg
+      ))
+    setIsLoading(false)
+    setRetryStatus(null)
+  }, [])
 
   // Clear messages
   const clearMessages = useCallback(() => {
+    stopGeneration()
     setMessages([])
     try {
       // Clear current subject messages
       localStorage.removeItem(getStorageKey(subject))
       
-      // Clear all subject-specific message keys (in case user switched subjects)
+      // Clear all subject-specific message and summary keys (in case user switched subjects)
       const subjects = ['algebra', 'english']
       subjects.forEach(subj => {
         localStorage.removeItem(`sveti-messages-${subj}`)
+        localStorage.removeItem(`sveti-summary-${subj}`)
       })
+      clearSummary()
       
       // Reset game preferences and state
       resetGamePrefs()
@@ -248,13 +623,31 @@ function useRealChatFixed(subject = 'algebra', learningStyle = 'visual') {
     } catch (error) {
       console.warn('Failed to clear messages:', error)
     }
-  }, [subject, getStorageKey, resetGamePrefs])
+  }, [subject, getStorageKey, resetGamePrefs, stopGeneration, clearSummary])
+
+  // Rung the next "Give me a hint" will be given at, or null without a problem to hint on
+  const nextHintLevel = useMemo(() => {
+    if (subject !== 'algebra') return null
+    const problemMsg = findProblemMessage(messages)
+    return problemMsg ? getNextHintLevel(messages, problemMsg.id) : null
+  }, [messages, subject])
 
   return {
     messages,
     isLoading,
+    retryStatus,
     sendMessage,
+    answerPractice,
+    answerReading,
+    stopGeneration,
     clearMessages,
+    sessionSummary: summary,
+    isSummarizing,
+    setSummaryText,
+    usage: usageTracker,
+    integrityLog,
+    currentTopic,
+    nextHintLevel,
     subject,
     learningStyle
   }
@@ -263,9 +656,60 @@ function useRealChatFixed(subject = 'algebra', learningStyle = 'visual') {
 function App() {
   const [darkMode, setDarkMode] = useState(false)
   const [subject, setSubject] = useState('algebra')
-  const [testMode, setTestMode] = useState(false)
+  const [activePanel, setActivePanel] = useState(null) // null (chat) | 'test' | 'usage' | 'curriculum' | 'rubrics' | 'citations' | 'integrity'
+  // English drafts, or a reading passage, open next to the chat
+  const [showWorkspace, setShowWorkspace] = useState(true)
+  const [englishView, setEnglishView] = useState('draft') // 'draft' | 'reading'
+  const essays = useEssayDrafts()
+  const rubrics = useRubrics()
+  const reading = useReadingPassages()
+  const citations = useCitations()
+  const [highlight, setHighlight] = useState(null) // passage lines {start, end} shown from the chat
+  const chatEssay = useMemo(
+    () => ({ draft: essays.active?.draft ?? '', setOutline: essays.setOutline }),
+    [essays.active?.draft, essays.setOutline]
+  )
+  const chatReading = useMemo(
+    () => (englishView === 'reading' && reading.active ? { passage: reading.active } : null),
+    [englishView, reading.active]
+  )
+  const chatCitations = useMemo(
+    () => ({ sources: citations.sources, style: citations.style }),
+    [citations.sources, citations.style]
+  )
   const [learningStyle, setLearningStyle] = useState('visual')
-  const { messages, isLoading, sendMessage, clearMessages } = useRealChatFixed(subject, learningStyle)
+  const [providerId, setProviderId] = useState(() => {
+    const saved = localStorage.getItem('sveti-provider')
+    return getAllProviders().some(p => p.id === saved) ? saved : DEFAULT_PROVIDER
+  })
+  const {
+    messages, isLoading, retryStatus, sendMessage, answerPractice, answerReading, stopGeneration, clearMessages,
+    sessionSummary, isSummarizing, setSummaryText, usage, integrityLog, currentTopic, nextHintLevel
+  } = useRealChatFixed(subject, learningStyle, providerId, chatEssay, chatReading, chatCitations)
+
+  // Open the draft or the reading passage next to the chat; the open one's pill hides it
+  const toggleEnglishView = (view) => {
+    setShowWorkspace(!(showWorkspace && englishView === view))
+    setEnglishView(view)
+  }
+
+  // Line references in the chat open the passage they belong to, with those lines highlighted
+  const { passages, active: activePassage, selectPassage } = reading
+  const showLines = useCallback((range, passageId = null) => {
+    if (passageId && passageId !== activePassage?.id) {
+      if (!passages.some(passage => passage.id === passageId)) return
+      selectPassage(passageId)
+    }
+    setEnglishView('reading')
+    setShowWorkspace(true)
+    setHighlight(range)
+  }, [passages, activePassage, selectPassage])
+
+  // A citation from the builder goes to the English tutor with its fields, to explain how it's built
+  const askAboutCitation = (source, style) => {
+    setActivePanel(null)
+    sendMessage(`Can you explain how this ${CITATION_STYLES[style].label} citation is put together?`, null, { citation: { source, style } })
+  }
 
   // Load learning style from localStorage
   useEffect(() => {
@@ -280,6 +724,11 @@ function App() {
     localStorage.setItem('sveti-learning-style', learningStyle)
   }, [learningStyle])
 
+  // Save tutor backend when changed
+  useEffect(() => {
+    localStorage.setItem('sveti-provider', providerId)
+  }, [providerId])
+
   useEffect(() => {
     if (darkMode) {
       document.documentElement.classList.add('dark')
@@ -348,6 +797,48 @@ function App() {
                   <option value="english">English</option>
                 </select>
               </div>
+
+              {subject === 'english' && [['draft', 'draft'], ['reading', 'passage']].map(([view, label]) => {
+                const open = showWorkspace && englishView === view
+                return (
+                  <button
+                    key={view}
+                    onClick={() => toggleEnglishView(view)}
+                    className={`px-3 py-1 text-sm font-medium rounded-full transition-colors ${
+                      open
+                        ? 'bg-teal-100 text-teal-800 dark:bg-teal-900 dark:text-teal-200'
+                        : 'text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-600'
+                    }`}
+                  >
+                    {open ? `Hide ${label}` : `Show ${label}`}
+                  </button>
+                )
+              })}
+
+              {currentTopic && (
+                <span
+                  className="px-3 py-1 text-sm font-medium rounded-full bg-amber-100 text-amber-800 dark:bg-amber-900/50 dark:text-amber-200"
+                  title={`Sveti thinks you're working on ${currentTopic.name.toLowerCase()} (${Math.round(currentTopic.confidence * 100)}% sure)`}
+                >
+                  Topic: {currentTopic.name}
+                </span>
+              )}
+
+              <div className="flex items-center gap-2">
+                <label className="text-sm font-medium text-gray-700 dark:text-gray-300">
+                  Tutor:
+                </label>
+                <select
+                  value={providerId}
+                  onChange={(e) => setProviderId(e.target.value)}
+                  title={getProvider(providerId).description}
+                  className="px-3 py-1 text-sm border border-gray-300 dark:border-gray-500 rounded-lg bg-white dark:bg-gray-600 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  {getAllProviders().map(p => (
+                    <option key={p.id} value={p.id}>{p.name}</option>
+                  ))}
+                </select>
+              </div>
             </div>
 
             <div className="flex items-center gap-3">
@@ -359,14 +850,69 @@ function App() {
               </button>
               
               <button
-                onClick={() => setTestMode(!testMode)}
+                onClick={() => setActivePanel(activePanel === 'curriculum' ? null : 'curriculum')}
+                className={`px-3 py-2 text-sm font-medium rounded-lg transition-colors ${
+                  activePanel === 'curriculum'
+                    ? 'bg-amber-100 text-amber-800 dark:bg-amber-900 dark:text-amber-200'
+                    : 'text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-600'
+                }`}
+              >
+                {activePanel === 'curriculum' ? 'Exit Curriculum' : 'Curriculum'}
+              </button>
+
+              <button
+                onClick={() => setActivePanel(activePanel === 'rubrics' ? null : 'rubrics')}
                 className={`px-3 py-2 text-sm font-medium rounded-lg transition-colors ${
-                  testMode
+                  activePanel === 'rubrics'
+                    ? 'bg-teal-100 text-teal-800 dark:bg-teal-900 dark:text-teal-200'
+                    : 'text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-600'
+                }`}
+              >
+                {activePanel === 'rubrics' ? 'Exit Rubrics' : 'Rubrics'}
+              </button>
+
+              <button
+                onClick={() => setActivePanel(activePanel === 'citations' ? null : 'citations')}
+                className={`px-3 py-2 text-sm font-medium rounded-lg transition-colors ${
+                  activePanel === 'citations'
+                    ? 'bg-indigo-100 text-indigo-800 dark:bg-indigo-900 dark:text-indigo-200'
+                    : 'text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-600'
+                }`}
+              >
+                {activePanel === 'citations' ? 'Exit Citations' : 'Citations'}
+              </button>
+
+              <button
+                onClick={() => setActivePanel(activePanel === 'integrity' ? null : 'integrity')}
+                className={`px-3 py-2 text-sm font-medium rounded-lg transition-colors ${
+                  activePanel === 'integrity'
+                    ? 'bg-rose-100 text-rose-800 dark:bg-rose-900 dark:text-rose-200'
+                    : 'text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-600'
+                }`}
+              >
+                {activePanel === 'integrity' ? 'Exit Integrity Log' : `Integrity Log${integrityLog.entries.length ? ` (${integrityLog.entries.length})` : ''}`}
+              </button>
+
+              <button
+                onClick={() => setActivePanel(activePanel === 'usage' ? null : 'usage')}
+                className={`px-3 py-2 text-sm font-medium rounded-lg transition-colors ${
+                  activePanel === 'usage'
+                    ? 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200'
+                    : 'text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-600'
+                }`}
+              >
+                {activePanel === 'usage' ? 'Exit Usage' : 'Usage'}
+              </button>
+
+              <button
+                onClick={() => setActivePanel(activePanel === 'test' ? null : 'test')}
+                className={`px-3 py-2 text-sm font-medium rounded-lg transition-colors ${
+                  activePanel === 'test'
                     ? 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200'
                     : 'text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-600'
                 }`}
               >
-                {testMode ? 'Exit Test' : 'Test Mode'}
+                {activePanel === 'test' ? 'Exit Test' : 'Test Mode'}
               </button>
               
               <button
@@ -381,21 +927,85 @@ function App() {
 
         {/* CHAT AREA */}
         <div className="flex-1 flex flex-col overflow-hidden">
-          {testMode ? (
+          {activePanel === 'test' ? (
             <TestOpenAI />
+          ) : activePanel === 'usage' ? (
+            <UsagePanel {...usage} />
+          ) : activePanel === 'curriculum' ? (
+            <CurriculumPanel currentTopicId={currentTopic?.id ?? null} />
+          ) : activePanel === 'rubrics' ? (
+            <RubricPanel {...rubrics} />
+          ) : activePanel === 'citations' ? (
+            <CitationPanel {...citations} onAsk={askAboutCitation} canAsk={!isLoading && subject === 'english'} />
+          ) : activePanel === 'integrity' ? (
+            <IntegrityLogPanel {...integrityLog} />
           ) : (
-            <>
-              <div className="flex-1 overflow-hidden">
-                <MessageList messages={messages} isLoading={isLoading} subject={subject} />
-              </div>
-              <div className="border-t border-gray-200 dark:border-gray-600">
-                <InputArea 
-                  onSendMessage={sendMessage} 
-                  disabled={isLoading} 
-                  subject={subject}
+            <div className="flex-1 flex overflow-hidden">
+              {subject === 'english' && showWorkspace && englishView === 'reading' && (
+                <div className="w-2/5 border-r border-gray-200 dark:border-gray-600 overflow-hidden">
+                  <ReadingWorkspace
+                    reading={reading}
+                    highlight={highlight}
+                    onClearHighlight={() => setHighlight(null)}
+                    onAskQuestions={(passage) => sendMessage(`Please ask me questions about "${passage.title}".`, 'reading')}
+                    canAsk={!isLoading}
+                  />
+                </div>
+              )}
+              {subject === 'english' && showWorkspace && englishView === 'draft' && (
+                <div className="w-3/5 border-r border-gray-200 dark:border-gray-600 overflow-hidden">
+                  <EssayWorkspace
+                    essays={essays}
+                    rubrics={rubrics}
+                    provider={getProvider(usage.capStatus === 'reached' ? 'mock' : providerId)}
+                    onUsage={(record) => usage.recordUsage('english', record)}
+                    onIntercept={integrityLog.logInterception}
+                    onSendOutline={(outline) => sendMessage('Please help me improve my outline, and check that my draft follows it.', 'improve', { outline })}
+                    canSendOutline={!isLoading}
+                  />
+                </div>
+              )}
+              <div className="flex-1 flex flex-col overflow-hidden">
+                {usage.capStatus !== 'ok' && (
+                  <div className={`px-6 py-2 text-sm font-medium border-b ${
+                    usage.capStatus === 'reached'
+                      ? 'bg-rose-50 text-rose-800 border-rose-200 dark:bg-rose-900/40 dark:text-rose-200 dark:border-rose-800'
+                      : 'bg-amber-50 text-amber-800 border-amber-200 dark:bg-amber-900/40 dark:text-amber-200 dark:border-amber-800'
+                  }`}>
+                    {usage.capStatus === 'reached'
+                      ? "Today's tutoring budget is used up - Sveti is answering in offline mode until tomorrow."
+                      : "Today's tutoring budget is almost used up - answers will be shorter."}
+                  </div>
+                )}
+                <SessionSummary
+                  summary={sessionSummary.text}
+                  updatedAt={sessionSummary.updatedAt}
+                  isSummarizing={isSummarizing}
+                  onSave={setSummaryText}
                 />
+                <div className="flex-1 overflow-hidden">
+                  <MessageList
+                    messages={messages}
+                    isLoading={isLoading}
+                    retryStatus={retryStatus}
+                    subject={subject}
+                    onAnswerPractice={answerPractice}
+                    onAnswerReading={answerReading}
+                    onShowLines={subject === 'english' ? showLines : null}
+                    lineCount={chatReading?.passage.lines.length ?? 0}
+                  />
+                </div>
+                <div className="border-t border-gray-200 dark:border-gray-600">
+                  <InputArea 
+                    onSendMessage={sendMessage} 
+                    onStop={stopGeneration}
+                    isLoading={isLoading} 
+                    subject={subject}
+                    hintLevel={nextHintLevel}
+                  />
+                </div>
               </div>
-            </>
+            </div>
           )}
         </div>
       </div>
@@ -0,0 +1,147 @@
+import PropTypes from 'prop-types'
+import { useState } from 'react'
+import { ANNOTATION_TYPES } from '../writing/annotations'
+
+/**
+ * One feedback note in the essay workspace
+ * The student can accept its suggested fix, dismiss it, or reply to the tutor
+ */
+function AnnotationCard({ annotation, selected = false, onSelect, onAccept, onDismiss, onReply, isReplying = false }) {
+  const [reply, setReply] = useState('')
+  const [showReply, setShowReply] = useState(false)
+  const type = ANNOTATION_TYPES[annotation.type] || ANNOTATION_TYPES.clarity
+  const open = annotation.status === 'open'
+  const detached = !annotation.anchor
+
+  const handleReply = (e) => {
+    e.preventDefault()
+    if (!reply.trim() || isReplying) return
+    onReply(annotation.id, reply.trim())
+    setReply('')
+  }
+
+  return (
+    <li
+      id={`annotation-${annotation.id}`}
+      className={`rounded-xl border p-3 text-sm transition-colors ${
+        selected
+          ? 'border-amber-400 bg-amber-50 dark:border-amber-500 dark:bg-amber-900/20'
+          : 'border-gray-200 bg-white dark:border-gray-600 dark:bg-gray-700'
+      } ${open ? '' : 'opacity-60'}`}
+    >
+      <button
+        type="button"
+        onClick={() => onSelect(annotation.id)}
+        className="w-full text-left"
+        aria-label={`Show the sentence for this ${type.label.toLowerCase()} note`}
+      >
+        <div className="flex items-center gap-2 mb-1">
+          <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${type.style}`}>{type.label}</span>
+          {annotation.source === 'checker' && (
+            <span className="text-xs text-gray-500 dark:text-gray-400" title="Found by Sveti's offline grammar checker">offline check</span>
+          )}
+          {!open && <span className="text-xs text-gray-500 dark:text-gray-400">{annotation.status}</span>}
+          {detached && open && (
+            <span className="text-xs text-gray-500 dark:text-gray-400" title="This sentence was edited since the note was written">
+              sentence changed
+            </span>
+          )}
+        </div>
+        <p className="text-xs italic text-gray-500 dark:text-gray-400 line-clamp-2">&ldquo;{annotation.sentence}&rdquo;</p>
+      </button>
+
+      <p className="mt-2 whitespace-pre-line text-gray-800 dark:text-gray-100">{annotation.comment}</p>
+      {annotation.suggestion && (
+        <p className="mt-2 rounded-lg bg-gray-50 dark:bg-gray-800 px-2 py-1 text-gray-700 dark:text-gray-200">
+          <span className="text-xs font-medium text-gray-500 dark:text-gray-400">Suggested: </span>
+          {annotation.suggestion}
+        </p>
+      )}
+
+      {annotation.replies.length > 0 && (
+        <ul className="mt-2 space-y-1 border-l-2 border-gray-200 dark:border-gray-600 pl-2">
+          {annotation.replies.map((entry, index) => (
+            <li key={index} className={entry.role === 'student' ? 'text-gray-800 dark:text-gray-100' : 'text-teal-800 dark:text-teal-200'}>
+              <span className="text-xs font-medium">{entry.role === 'student' ? 'You' : 'Sveti'}: </span>
+              {entry.content}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {open && (
+        <div className="mt-2 flex flex-wrap gap-2">
+          <button
+            type="button"
+            onClick={() => onAccept(annotation.id)}
+            disabled={detached && !!annotation.suggestion}
+            title={annotation.suggestion ? 'Replace the sentence with the suggestion' : 'Mark this note as done'}
+            className="px-2 py-1 rounded-md text-xs font-medium bg-teal-600 text-white hover:bg-teal-700 disabled:opacity-50"
+          >
+            {annotation.suggestion ? 'Accept' : 'Done'}
+          </button>
+          <button
+            type="button"
+            onClick={() => onDismiss(annotation.id)}
+            className="px-2 py-1 rounded-md text-xs font-medium text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-600"
+          >
+            Dismiss
+          </button>
+          <button
+            type="button"
+            onClick={() => setShowReply(!showReply)}
+            className="px-2 py-1 rounded-md text-xs font-medium text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-600"
+          >
+            Reply
+          </button>
+        </div>
+      )}
+
+      {open && showReply && (
+        <form onSubmit={handleReply} className="mt-2 flex gap-2">
+          <label htmlFor={`reply-${annotation.id}`} className="sr-only">Reply to this note</label>
+          <input
+            id={`reply-${annotation.id}`}
+            type="text"
+            value={reply}
+            onChange={(e) => setReply(e.target.value)}
+            placeholder="Ask about this note or explain your choice"
+            className="flex-1 rounded-lg border border-gray-300 dark:border-gray-500 bg-white dark:bg-gray-600 px-2 py-1 text-sm text-gray-900 dark:text-white"
+          />
+          <button
+            type="submit"
+            disabled={!reply.trim() || isReplying}
+            className="px-2 py-1 rounded-md text-xs font-medium bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+          >
+            {isReplying ? '…' : 'Send'}
+          </button>
+        </form>
+      )}
+    </li>
+  )
+}
+
+AnnotationCard.propTypes = {
+  annotation: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    sentence: PropTypes.string.isRequired,
+    type: PropTypes.string.isRequired,
+    comment: PropTypes.string.isRequired,
+    suggestion: PropTypes.string,
+    source: PropTypes.oneOf(['checker']),
+    status: PropTypes.oneOf(['open', 'accepted', 'dismissed']).isRequired,
+    replies: PropTypes.arrayOf(PropTypes.shape({
+      role: PropTypes.oneOf(['student', 'tutor']).isRequired,
+      content: PropTypes.string.isRequired
+    })).isRequired,
+    anchor: PropTypes.object
+  }).isRequired,
+  selected: PropTypes.bool,
+  onSelect: PropTypes.func.isRequired,
+  onAccept: PropTypes.func.isRequired,
+  onDismiss: PropTypes.func.isRequired,
+  onReply: PropTypes.func.isRequired,
+  isReplying: PropTypes.bool
+}
+
+export default AnnotationCard
@@ -0,0 +1,348 @@
+import PropTypes from 'prop-types'
+import { useState } from 'react'
+import {
+  CITATION_STYLES, MONTHS, SOURCE_TYPES, buildReferenceList, citationHtml, fieldLabel, formatCitation
+} from '../writing/citations'
+
+const inputClass = 'px-2 py-1 text-sm rounded-lg border border-gray-300 dark:border-gray-500 bg-white dark:bg-gray-600 text-gray-900 dark:text-white'
+
+const PLACEHOLDERS = {
+  title: 'As it appears on the source',
+  edition: 'e.g. 2nd',
+  publisher: 'e.g. Penguin Books',
+  year: 'e.g. 2021',
+  day: 'e.g. 14',
+  volume: 'e.g. 64',
+  issue: 'e.g. 3',
+  pages: 'e.g. 45-67',
+  doi: 'e.g. 10.1016/j.jadohealth.2018.10.001',
+  url: 'https://…'
+}
+
+const ISSUE_LEVELS = {
+  required: { label: 'Missing', style: 'text-rose-700 dark:text-rose-300', ring: 'ring-2 ring-rose-300 dark:ring-rose-700' },
+  recommended: { label: 'Recommended', style: 'text-amber-700 dark:text-amber-300', ring: 'ring-2 ring-amber-300 dark:ring-amber-700' },
+  check: { label: 'Check', style: 'text-sky-700 dark:text-sky-300', ring: 'ring-2 ring-sky-300 dark:ring-sky-700' }
+}
+
+// Citation text with its titles in italics
+function CitationText({ segments }) {
+  return segments.map((segment, index) => (segment.italic ? <i key={index}>{segment.text}</i> : <span key={index}>{segment.text}</span>))
+}
+
+CitationText.propTypes = {
+  segments: PropTypes.arrayOf(PropTypes.shape({
+    text: PropTypes.string.isRequired,
+    italic: PropTypes.bool
+  })).isRequired
+}
+
+// Plain text and HTML both go on the clipboard, so italics survive pasting into a document
+async function copyCitations(citations) {
+  const text = citations.map(segments => segments.map(segment => segment.text).join('')).join('\n')
+  const html = citations.map(segments => `<p>${citationHtml(segments)}</p>`).join('')
+  try {
+    if (window.ClipboardItem) {
+      await navigator.clipboard.write([new window.ClipboardItem({
+        'text/plain': new Blob([text], { type: 'text/plain' }),
+        'text/html': new Blob([html], { type: 'text/html' })
+      })])
+    } else {
+      await navigator.clipboard.writeText(text)
+    }
+    return true
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Form for one source: its type, authors and the fields that type needs
+ * Fields the citation is missing are outlined in the color of their issue
+ */
+function SourceForm({ source, issues, onChange }) {
+  const flagged = Object.fromEntries([...issues].reverse().map(issue => [issue.field, issue.level]))
+  const ring = field => (flagged[field] ? ISSUE_LEVELS[flagged[field]].ring : '')
+  const setAuthor = (index, change) => onChange({
+    authors: source.authors.map((author, i) => i === index ? { ...author, ...change } : author)
+  })
+
+  return (
+    <div className="space-y-3">
+      <label className="block text-sm text-gray-700 dark:text-gray-300">
+        Source type
+        <select value={source.type} onChange={(e) => onChange({ type: e.target.value })} className={`${inputClass} block mt-1`}>
+          {Object.entries(SOURCE_TYPES).map(([type, { label }]) => <option key={type} value={type}>{label}</option>)}
+        </select>
+      </label>
+
+      <fieldset className={`rounded-lg p-2 -m-2 ${ring('authors')}`}>
+        <legend className="text-sm text-gray-700 dark:text-gray-300">Authors</legend>
+        <ul className="space-y-2 mt-1">
+          {source.authors.map((author, index) => (
+            <li key={index} className="flex gap-2">
+              <input
+                type="text"
+                aria-label={`Author ${index + 1} first name`}
+                value={author.first}
+                onChange={(e) => setAuthor(index, { first: e.target.value })}
+                placeholder="First name"
+                className={`${inputClass} w-1/3`}
+              />
+              <input
+                type="text"
+                aria-label={`Author ${index + 1} last name or organization`}
+                value={author.last}
+                onChange={(e) => setAuthor(index, { last: e.target.value })}
+                placeholder="Last name, or organization"
+                className={`${inputClass} flex-1`}
+              />
+              <button
+                type="button"
+                onClick={() => onChange({ authors: source.authors.filter((_, i) => i !== index) })}
+                disabled={source.authors.length === 1}
+                className="px-1.5 rounded text-xs text-rose-700 dark:text-rose-300 hover:bg-gray-100 dark:hover:bg-gray-600 disabled:opacity-30"
+                aria-label={`Remove author ${index + 1}`}
+              >
+                ✕
+              </button>
+            </li>
+          ))}
+        </ul>
+        <button
+          type="button"
+          onClick={() => onChange({ authors: [...source.authors, { first: '', last: '' }] })}
+          className="mt-2 text-sm text-blue-700 dark:text-blue-300 hover:underline"
+        >
+          + Author
+        </button>
+      </fieldset>
+
+      <div className="grid gap-3 sm:grid-cols-2">
+        {SOURCE_TYPES[source.type].fields.map(field => (
+          <label key={field} className={`text-sm text-gray-700 dark:text-gray-300 ${field === 'title' || field === 'url' || field === 'doi' ? 'sm:col-span-2' : ''}`}>
+            {fieldLabel(field, source.type)}
+            {field === 'month' ? (
+              <select value={source.month} onChange={(e) => onChange({ month: e.target.value })} className={`${inputClass} block w-full mt-1 ${ring(field)}`}>
+                <option value="">-</option>
+                {MONTHS.map((month, index) => <option key={month} value={String(index + 1)}>{month}</option>)}
+              </select>
+            ) : (
+              <input
+                type={field === 'accessed' ? 'date' : 'text'}
+                value={source[field]}
+                onChange={(e) => onChange({ [field]: e.target.value })}
+                placeholder={field === 'container' && source.type === 'website' ? 'e.g. National Park Service' : field === 'container' ? 'e.g. Journal of Adolescent Health' : PLACEHOLDERS[field]}
+                className={`${inputClass} block w-full mt-1 ${ring(field)}`}
+              />
+            )}
+          </label>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+SourceForm.propTypes = {
+  source: PropTypes.object.isRequired,
+  issues: PropTypes.arrayOf(PropTypes.shape({
+    field: PropTypes.string.isRequired,
+    level: PropTypes.oneOf(Object.keys(ISSUE_LEVELS)).isRequired,
+    message: PropTypes.string.isRequired
+  })).isRequired,
+  onChange: PropTypes.func.isRequired
+}
+
+/**
+ * Citation builder
+ * Students fill in a form per source and get MLA 9 or APA 7 citations built by
+ * fixed rules, with missing fields flagged. A citation can be sent to the tutor,
+ * who explains the rules from the same structured data.
+ */
+function CitationPanel({ sources, style, addSource, updateSource, deleteSource, setStyle, onAsk, canAsk = true }) {
+  const [selectedId, setSelectedId] = useState(sources.at(-1)?.id ?? null)
+  const [copied, setCopied] = useState(null) // 'one' | 'list' after a successful copy
+
+  const selected = sources.find(source => source.id === selectedId) || null
+  const citation = selected && formatCitation(selected, style)
+  const list = buildReferenceList(sources, style)
+
+  const handleAdd = (type) => {
+    setSelectedId(addSource(type).id)
+  }
+
+  const handleCopy = async (which, citations) => {
+    if (await copyCitations(citations)) {
+      setCopied(which)
+      setTimeout(() => setCopied(null), 2000)
+    }
+  }
+
+  return (
+    <div className="h-full overflow-y-auto p-6 scrollbar-thin">
+      <div className="max-w-5xl mx-auto space-y-6">
+        <div className="flex flex-wrap items-center gap-3">
+          <div className="mr-auto">
+            <h2 className="text-xl font-bold text-gray-800 dark:text-gray-100">Citations</h2>
+            <p className="text-sm text-gray-600 dark:text-gray-300">
+              Fill in what the source shows; Sveti formats it exactly and flags anything missing.
+            </p>
+          </div>
+          <div className="flex rounded-lg border border-gray-300 dark:border-gray-500 overflow-hidden text-sm" role="tablist" aria-label="Citation style">
+            {Object.entries(CITATION_STYLES).map(([key, { label }]) => (
+              <button
+                key={key}
+                type="button"
+                role="tab"
+                aria-selected={style === key}
+                onClick={() => setStyle(key)}
+                className={`px-3 py-1 font-semibold ${style === key ? 'bg-blue-600 text-white' : 'text-gray-700 dark:text-gray-300'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="flex flex-wrap gap-2 text-sm">
+          {Object.entries(SOURCE_TYPES).map(([type, { label }]) => (
+            <button
+              key={type}
+              type="button"
+              onClick={() => handleAdd(type)}
+              className="px-3 py-1.5 rounded-lg font-medium bg-blue-600 text-white hover:bg-blue-700"
+            >
+              + {label}
+            </button>
+          ))}
+        </div>
+
+        <div className="grid gap-6 md:grid-cols-2">
+          <section className="space-y-4">
+            {selected ? (
+              <>
+                <SourceForm source={selected} issues={citation.issues} onChange={(change) => updateSource(selected.id, change)} />
+
+                <div className="rounded-xl border border-gray-200 dark:border-gray-600 bg-white dark:bg-gray-700 p-4 space-y-3">
+                  <h3 className="text-xs font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400">
+                    {CITATION_STYLES[style].label} citation
+                  </h3>
+                  <p className="pl-8 -indent-8 text-gray-900 dark:text-gray-100 break-words">
+                    {citation.segments.length ? <CitationText segments={citation.segments} /> : <span className="text-gray-400">Nothing to cite yet.</span>}
+                  </p>
+                  {citation.issues.length > 0 && (
+                    <ul className="space-y-1 text-sm" aria-live="polite">
+                      {citation.issues.map((issue, index) => (
+                        <li key={index} className={ISSUE_LEVELS[issue.level].style}>
+                          <span className="font-medium">{ISSUE_LEVELS[issue.level].label}:</span> {issue.message}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                  {citation.notes.length > 0 && (
+                    <details className="text-sm text-gray-600 dark:text-gray-300">
+                      <summary className="cursor-pointer">Why it looks like this</summary>
+                      <ul className="mt-2 list-disc ml-5 space-y-1">
+                        {citation.notes.map(note => <li key={note}>{note}</li>)}
+                      </ul>
+                    </details>
+                  )}
+                  <div className="flex flex-wrap gap-2 text-sm">
+                    <button
+                      type="button"
+                      onClick={() => handleCopy('one', [citation.segments])}
+                      disabled={!citation.segments.length}
+                      className="px-2 py-1 rounded-lg text-blue-700 dark:text-blue-300 hover:bg-blue-50 dark:hover:bg-gray-600 disabled:opacity-50"
+                    >
+                      {copied === 'one' ? 'Copied' : 'Copy'}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => onAsk(selected, style)}
+                      disabled={!canAsk || !citation.segments.length}
+                      className="px-2 py-1 rounded-lg font-medium bg-teal-600 text-white hover:bg-teal-700 disabled:opacity-50"
+                      title={canAsk ? 'Send this citation to Sveti in the chat and ask how it\'s put together' : 'Available in English while Sveti isn\'t answering'}
+                    >
+                      Ask Sveti to explain
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => { deleteSource(selected.id); setSelectedId(null) }}
+                      className="ml-auto px-2 py-1 rounded-lg text-rose-700 dark:text-rose-300 hover:bg-rose-50 dark:hover:bg-gray-600"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </div>
+              </>
+            ) : (
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                {sources.length ? 'Pick a source from the list to edit it, or add a new one.' : 'Add a source to start your list.'}
+              </p>
+            )}
+          </section>
+
+          <section className="space-y-3">
+            <div className="flex items-center gap-2">
+              <h3 className="mr-auto text-lg font-semibold text-gray-800 dark:text-gray-100">{CITATION_STYLES[style].listTitle}</h3>
+              <button
+                type="button"
+                onClick={() => handleCopy('list', list.map(entry => entry.citation.segments))}
+                disabled={!list.length}
+                className="px-2 py-1 text-sm rounded-lg text-blue-700 dark:text-blue-300 hover:bg-blue-50 dark:hover:bg-gray-600 disabled:opacity-50"
+              >
+                {copied === 'list' ? 'Copied' : 'Copy list'}
+              </button>
+            </div>
+            {list.length === 0 ? (
+              <p className="text-sm text-gray-500 dark:text-gray-400">Your sources appear here in alphabetical order.</p>
+            ) : (
+              <ul className="space-y-2">
+                {list.map(({ source, citation: entry }) => {
+                  const missing = entry.issues.filter(issue => issue.level === 'required').length
+                  return (
+                    <li key={source.id}>
+                      <button
+                        type="button"
+                        onClick={() => setSelectedId(source.id)}
+                        aria-current={source.id === selectedId ? 'true' : undefined}
+                        className={`w-full text-left rounded-lg px-3 py-2 pl-11 -indent-8 text-sm transition-colors ${
+                          source.id === selectedId
+                            ? 'bg-blue-50 dark:bg-gray-600'
+                            : 'hover:bg-gray-50 dark:hover:bg-gray-600'
+                        } text-gray-900 dark:text-gray-100`}
+                      >
+                        <CitationText segments={entry.segments} />
+                        {missing > 0 && (
+                          <span className="ml-2 text-xs font-medium text-rose-700 dark:text-rose-300">
+                            {missing} missing
+                          </span>
+                        )}
+                      </button>
+                    </li>
+                  )
+                })}
+              </ul>
+            )}
+          </section>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+CitationPanel.propTypes = {
+  sources: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    type: PropTypes.oneOf(Object.keys(SOURCE_TYPES)).isRequired
+  })).isRequired,
+  style: PropTypes.oneOf(Object.keys(CITATION_STYLES)).isRequired,
+  addSource: PropTypes.func.isRequired,
+  updateSource: PropTypes.func.isRequired,
+  deleteSource: PropTypes.func.isRequired,
+  setStyle: PropTypes.func.isRequired,
+  onAsk: PropTypes.func.isRequired,
+  canAsk: PropTypes.bool
+}
+
+export default CitationPanel
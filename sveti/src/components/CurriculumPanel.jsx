@@ -0,0 +1,172 @@
+import PropTypes from 'prop-types'
+import { useState } from 'react'
+import { CURRICULUM, getAllTopics, getCurriculumTopic } from '../config/curriculum'
+
+/**
+ * Does a topic match the search box? Matches names, standard codes and objectives
+ */
+function matchesSearch(topic, query) {
+  if (!query) return true
+  const wanted = query.trim().toLowerCase()
+  return [topic.name, ...topic.standards, ...topic.objectives].some(text => text.toLowerCase().includes(wanted))
+}
+
+/**
+ * Curriculum browser for teachers
+ * Lists units and topics with their Common Core standards; a selected topic shows
+ * its prerequisites, objectives, sample problems and game-framed template
+ */
+function CurriculumPanel({ currentTopicId = null }) {
+  const [query, setQuery] = useState('')
+  const [selectedId, setSelectedId] = useState(currentTopicId || CURRICULUM[0].topics[0].id)
+  const [game, setGame] = useState('Minecraft')
+
+  const selected = getCurriculumTopic(selectedId)
+  const leadsTo = getAllTopics().filter(topic => topic.prerequisites.includes(selectedId))
+
+  const topicButton = (topic) => (
+    <button
+      key={topic.id}
+      onClick={() => setSelectedId(topic.id)}
+      className="text-sm text-blue-700 dark:text-blue-300 hover:underline"
+    >
+      {topic.name}
+    </button>
+  )
+
+  return (
+    <div className="h-full overflow-y-auto p-6 scrollbar-thin">
+      <div className="max-w-5xl mx-auto space-y-6">
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <h2 className="text-xl font-bold text-gray-800 dark:text-gray-100">Curriculum</h2>
+          <label className="text-sm text-gray-700 dark:text-gray-300">
+            <span className="sr-only">Search topics</span>
+            <input
+              type="search"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Search topics or standards, e.g. 7.RP.A.3"
+              className="w-72 px-3 py-1.5 rounded-lg border border-gray-300 dark:border-gray-500 bg-white dark:bg-gray-600 text-gray-900 dark:text-white"
+            />
+          </label>
+        </div>
+
+        <div className="grid gap-6 md:grid-cols-[18rem_1fr]">
+          {/* Units and topics */}
+          <nav className="space-y-4" aria-label="Curriculum units">
+            {CURRICULUM.map(unit => {
+              const topics = unit.topics.filter(topic => matchesSearch(topic, query))
+              if (!topics.length) return null
+              return (
+                <section key={unit.id}>
+                  <h3 className="text-xs font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400 mb-1">
+                    {unit.name} <span className="font-normal normal-case">· grades {unit.grades}</span>
+                  </h3>
+                  <ul className="space-y-1">
+                    {topics.map(topic => (
+                      <li key={topic.id}>
+                        <button
+                          onClick={() => setSelectedId(topic.id)}
+                          aria-current={topic.id === selectedId ? 'true' : undefined}
+                          className={`w-full text-left px-3 py-2 rounded-lg text-sm transition-colors ${
+                            topic.id === selectedId
+                              ? 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200'
+                              : 'text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-600'
+                          }`}
+                        >
+                          <span className="font-medium">{topic.name}</span>
+                          {topic.id === currentTopicId && (
+                            <span className="ml-2 text-xs text-amber-700 dark:text-amber-300">current</span>
+                          )}
+                          <span className="block text-xs font-mono text-gray-500 dark:text-gray-400">
+                            {topic.standards.join(' · ')}
+                          </span>
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                </section>
+              )
+            })}
+            {!getAllTopics().some(topic => matchesSearch(topic, query)) && (
+              <p className="text-sm text-gray-500 dark:text-gray-400">No topics match &quot;{query}&quot;.</p>
+            )}
+          </nav>
+
+          {/* Selected topic */}
+          {selected && (
+            <article className="bg-white dark:bg-gray-700 rounded-xl border border-gray-200 dark:border-gray-600 p-4 space-y-4 text-gray-700 dark:text-gray-200">
+              <div>
+                <p className="text-xs text-gray-500 dark:text-gray-400">{selected.unitName}</p>
+                <h3 className="text-lg font-semibold text-gray-800 dark:text-gray-100">{selected.name}</h3>
+                <div className="flex flex-wrap gap-2 mt-2">
+                  {selected.standards.map(code => (
+                    <span key={code} className="px-2 py-0.5 rounded-full text-xs font-mono bg-gray-100 text-gray-700 dark:bg-gray-600 dark:text-gray-200">
+                      {code}
+                    </span>
+                  ))}
+                  {selected.generator && (
+                    <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-emerald-100 text-emerald-800 dark:bg-emerald-900/50 dark:text-emerald-200">
+                      Verified practice
+                    </span>
+                  )}
+                </div>
+              </div>
+
+              <div className="grid gap-4 sm:grid-cols-2 text-sm">
+                <div>
+                  <h4 className="font-semibold text-gray-800 dark:text-gray-100 mb-1">Prerequisites</h4>
+                  {selected.prerequisites.length
+                    ? <div className="flex flex-wrap gap-x-3">{selected.prerequisites.map(id => topicButton(getCurriculumTopic(id)))}</div>
+                    : <p className="text-gray-500 dark:text-gray-400">None - a starting point</p>}
+                </div>
+                <div>
+                  <h4 className="font-semibold text-gray-800 dark:text-gray-100 mb-1">Leads to</h4>
+                  {leadsTo.length
+                    ? <div className="flex flex-wrap gap-x-3">{leadsTo.map(topicButton)}</div>
+                    : <p className="text-gray-500 dark:text-gray-400">-</p>}
+                </div>
+              </div>
+
+              <div className="text-sm">
+                <h4 className="font-semibold text-gray-800 dark:text-gray-100 mb-1">Objectives</h4>
+                <ul className="list-disc pl-5 space-y-0.5">
+                  {selected.objectives.map(objective => <li key={objective}>{objective}</li>)}
+                </ul>
+              </div>
+
+              <div className="text-sm">
+                <h4 className="font-semibold text-gray-800 dark:text-gray-100 mb-1">Sample problems</h4>
+                <ol className="list-decimal pl-5 space-y-0.5">
+                  {selected.samples.map(sample => <li key={sample}>{sample}</li>)}
+                </ol>
+              </div>
+
+              <div className="text-sm">
+                <div className="flex flex-wrap items-center gap-2 mb-1">
+                  <h4 className="font-semibold text-gray-800 dark:text-gray-100">Game-framed template</h4>
+                  <label className="text-xs text-gray-500 dark:text-gray-400">
+                    Preview with
+                    <input
+                      type="text"
+                      value={game}
+                      onChange={(e) => setGame(e.target.value)}
+                      className="ml-2 w-32 px-2 py-0.5 rounded border border-gray-300 dark:border-gray-500 bg-white dark:bg-gray-600 text-gray-900 dark:text-white"
+                    />
+                  </label>
+                </div>
+                <p className="italic">{selected.gameTemplate(game.trim() || 'a favorite game')}</p>
+              </div>
+            </article>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+CurriculumPanel.propTypes = {
+  currentTopicId: PropTypes.string
+}
+
+export default CurriculumPanel
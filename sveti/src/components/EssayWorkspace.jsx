@@ -0,0 +1,555 @@
+import PropTypes from 'prop-types'
+import { useEffect, useMemo, useRef, useState } from 'react'
+import AnnotationCard from './AnnotationCard'
+import HighlightedText from './HighlightedText'
+import OutlineEditor from './OutlineEditor'
+import RubricScoreCard from './RubricScoreCard'
+import { anchorAnnotations, applySuggestion, lintAnnotations } from '../writing/annotations'
+import { lintText } from '../writing/grammarLint'
+import { countWords, splitSentences } from '../writing/sentences'
+import { requestAnnotationReply, requestAnnotations, requestRubricScore } from '../utils/essayFeedback'
+
+/**
+ * Read-only view of the draft with annotated sentences highlighted
+ * `evidence` is a sentence quoted on the score card, shown outlined
+ */
+function AnnotatedDraft({ sentences, annotations, selectedId, evidence = null, onSelect }) {
+  // Open notes by sentence start offset
+  const notesAt = useMemo(() => {
+    const map = new Map()
+    for (const annotation of annotations) {
+      if (annotation.status !== 'open' || !annotation.anchor) continue
+      map.set(annotation.anchor.start, [...(map.get(annotation.anchor.start) || []), annotation])
+    }
+    return map
+  }, [annotations])
+
+  const paragraphs = sentences.reduce((groups, sentence) => {
+    (groups[sentence.paragraph] ||= []).push(sentence)
+    return groups
+  }, [])
+
+  return (
+    <div className="space-y-3 leading-relaxed text-gray-800 dark:text-gray-100">
+      {paragraphs.map((paragraph, index) => (
+        <p key={index}>
+          {paragraph.map(sentence => {
+            const notes = notesAt.get(sentence.start)
+            const evidenceStyle = sentence.text === evidence ? 'ring-2 ring-teal-500 rounded' : ''
+            if (!notes) return <span key={sentence.start}><span className={evidenceStyle}>{sentence.text}</span> </span>
+            const selected = notes.some(note => note.id === selectedId)
+            // The grammar checker's notes underline the exact words
+            const spans = notes.flatMap(note => note.spans || [])
+            return (
+              <span key={sentence.start}>
+                <button
+                  type="button"
+                  onClick={() => onSelect(notes[0].id)}
+                  className={`inline text-left rounded px-0.5 ${evidenceStyle} ${
+                    selected ? 'bg-amber-300/80 dark:bg-amber-600/60' : 'bg-amber-100 dark:bg-amber-900/50'
+                  }`}
+                  title={notes.map(note => note.comment).join('\n')}
+                >
+                  {spans.length ? <HighlightedText text={sentence.text} marks={spans} /> : sentence.text}
+                </button>{' '}
+              </span>
+            )
+          })}
+        </p>
+      ))}
+    </div>
+  )
+}
+
+AnnotatedDraft.propTypes = {
+  sentences: PropTypes.array.isRequired,
+  annotations: PropTypes.array.isRequired,
+  selectedId: PropTypes.string,
+  evidence: PropTypes.string,
+  onSelect: PropTypes.func.isRequired
+}
+
+/**
+ * Saved versions of the draft, newest first
+ */
+function VersionHistory({ versions, onRestore }) {
+  if (!versions.length) return <p className="text-xs text-gray-500 dark:text-gray-400">No saved versions yet.</p>
+  return (
+    <ul className="space-y-1 text-xs">
+      {[...versions].reverse().map(version => (
+        <li key={version.id} className="flex items-center justify-between gap-2">
+          <span className="text-gray-700 dark:text-gray-300">
+            {new Date(version.savedAt).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })} · {version.label} · {countWords(version.text)} words
+          </span>
+          <button
+            type="button"
+            onClick={() => onRestore(version.id)}
+            className="text-blue-700 dark:text-blue-300 hover:underline"
+          >
+            Restore
+          </button>
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+VersionHistory.propTypes = {
+  versions: PropTypes.array.isRequired,
+  onRestore: PropTypes.func.isRequired
+}
+
+/**
+ * Essay workspace for the English subject
+ * The draft sits next to the tutor's notes, which are anchored to sentences and can
+ * be accepted, dismissed or replied to. Drafts are kept per assignment with versions,
+ * and can be evaluated against a teacher's rubric on the Score tab. The Outline view edits
+ * the assignment's outline, which can be sent to the chat for Improve.
+ */
+function EssayWorkspace({ essays, rubrics, provider, onUsage, onIntercept, onSendOutline, canSendOutline = true }) {
+  const { assignments, active } = essays
+  const [newTitle, setNewTitle] = useState('')
+  const [view, setView] = useState('edit') // 'edit' | 'review' | 'outline'
+  const [selectedId, setSelectedId] = useState(null)
+  const [tab, setTab] = useState('notes') // 'notes' | 'score'
+  const [evidence, setEvidence] = useState(null) // sentence text picked on the score card
+  const [pending, setPending] = useState(null) // 'improve' | 'grammar' | 'rubric' | annotation id being replied to
+  const [error, setError] = useState(null)
+  const controllerRef = useRef(null)
+
+  // Cancel an in-flight request when the workspace closes
+  useEffect(() => () => controllerRef.current?.abort(), [])
+
+  const draft = active?.draft ?? ''
+  const sentences = useMemo(() => splitSentences(draft), [draft])
+  const annotations = useMemo(
+    () => anchorAnnotations(active?.annotations ?? [], sentences),
+    [active?.annotations, sentences]
+  )
+  const openNotes = annotations.filter(annotation => annotation.status === 'open')
+  const resolvedNotes = annotations.filter(annotation => annotation.status !== 'open')
+
+  const rubric = rubrics.getRubric(active?.rubricId) || rubrics.rubrics[0]
+  const scores = active?.scores ?? []
+  const latestScore = scores.at(-1)
+  const scoredText = active?.versions.find(version => version.id === latestScore?.versionId)?.text
+
+  const run = async (key, request) => {
+    const controller = new AbortController()
+    controllerRef.current = controller
+    setPending(key)
+    setError(null)
+    try {
+      const result = await request(controller.signal)
+      if (result.usage) onUsage(result.usage)
+      if (result.error) setError(result.error)
+      return result
+    } finally {
+      if (controllerRef.current === controller) {
+        controllerRef.current = null
+        setPending(null)
+      }
+    }
+  }
+
+  const handleFeedback = async () => {
+    if (!draft.trim() || pending) return
+    if (provider.id === 'mock') {
+      setError('The offline tutor can\'t annotate drafts. Pick OpenAI or a local model as the tutor.')
+      return
+    }
+    const result = await run('improve', signal => requestAnnotations({ provider, draft, mode: 'improve', title: active.title, signal }))
+    if (result.annotations) {
+      essays.addAnnotations(result.annotations, 'Feedback')
+      setView('review')
+      if (!result.annotations.length) setError('No notes this time - the tutor had nothing to flag.')
+    }
+  }
+
+  // The offline checker's notes appear at once; the tutor then looks for what it can't catch
+  const handleGrammar = async () => {
+    if (!draft.trim() || pending) return
+    const findings = lintText(draft)
+    const noted = new Set(openNotes.filter(a => a.source === 'checker').map(a => a.sentence))
+    const local = lintAnnotations(findings, sentences).filter(a => !noted.has(a.sentence))
+    if (local.length) {
+      essays.addAnnotations(local, 'Grammar check')
+      setView('review')
+    }
+
+    if (provider.id === 'mock') {
+      setError(findings.length
+        ? 'These notes are from the offline checker. Pick OpenAI or a local model as the tutor for a full grammar check.'
+        : 'The offline checker found no simple issues. Pick OpenAI or a local model as the tutor for a full grammar check.')
+      return
+    }
+    const result = await run('grammar', signal => requestAnnotations({
+      provider, draft, mode: 'grammar', title: active.title, hints: findings, signal
+    }))
+    if (result.annotations) {
+      essays.addAnnotations(result.annotations, 'Grammar check')
+      setView('review')
+      if (!result.annotations.length && !findings.length) setError('No notes this time - the tutor had nothing to flag.')
+    }
+  }
+
+  const handleEvaluate = async () => {
+    if (!draft.trim() || pending) return
+    if (provider.id === 'mock') {
+      setError('The offline tutor can\'t score drafts. Pick OpenAI or a local model as the tutor.')
+      return
+    }
+    const result = await run('rubric', signal => requestRubricScore({ provider, draft, rubric, title: active.title, signal }))
+    if (result.score) essays.addScore(result.score)
+  }
+
+  const handleEvidence = (sentence) => {
+    setEvidence(sentence)
+    setView('review')
+  }
+
+  const handleAccept = (id) => {
+    const annotation = annotations.find(a => a.id === id)
+    if (annotation.suggestion && annotation.anchor) essays.setDraft(applySuggestion(draft, annotation))
+    essays.updateAnnotation(id, () => ({ status: 'accepted' }))
+  }
+
+  const handleReply = async (id, reply) => {
+    if (provider.id === 'mock') {
+      setError('The offline tutor can\'t answer replies. Pick OpenAI or a local model as the tutor.')
+      return
+    }
+    const annotation = annotations.find(a => a.id === id)
+    const at = new Date().toISOString()
+    essays.updateAnnotation(id, a => ({ replies: [...a.replies, { role: 'student', content: reply, at }] }))
+
+    const result = await run(id, signal => requestAnnotationReply({ provider, annotation, reply, draft, signal }))
+    if (result.integrity) {
+      onIntercept({
+        action: 'annotation',
+        request: reply.slice(0, 300),
+        passages: result.integrity.passages,
+        outcome: result.integrity.outcome,
+        model: provider.model
+      })
+    }
+    if (result.content) {
+      essays.updateAnnotation(id, a => ({
+        replies: [...a.replies, { role: 'tutor', content: result.content, at: new Date().toISOString() }]
+      }))
+    }
+  }
+
+  const handleSelect = (id) => {
+    setSelectedId(id)
+    setView('review')
+    document.getElementById(`annotation-${id}`)?.scrollIntoView({ block: 'nearest', behavior: 'smooth' })
+  }
+
+  const handleCreate = (e) => {
+    e.preventDefault()
+    essays.createAssignment(newTitle)
+    setNewTitle('')
+    setView('edit')
+  }
+
+  const newAssignmentForm = (
+    <form onSubmit={handleCreate} className="flex gap-2">
+      <label htmlFor="new-assignment" className="sr-only">New assignment title</label>
+      <input
+        id="new-assignment"
+        type="text"
+        value={newTitle}
+        onChange={(e) => setNewTitle(e.target.value)}
+        placeholder="New assignment, e.g. Persuasive essay"
+        className="w-64 px-2 py-1 text-sm rounded-lg border border-gray-300 dark:border-gray-500 bg-white dark:bg-gray-600 text-gray-900 dark:text-white"
+      />
+      <button type="submit" className="px-3 py-1 text-sm font-medium rounded-lg bg-blue-600 text-white hover:bg-blue-700">
+        New
+      </button>
+    </form>
+  )
+
+  if (!active) {
+    return (
+      <div className="h-full flex flex-col items-center justify-center gap-3 p-6 text-center">
+        <h2 className="text-lg font-semibold text-gray-800 dark:text-gray-100">Essay workspace</h2>
+        <p className="text-sm text-gray-600 dark:text-gray-300 max-w-sm">
+          Write your draft here and Sveti will leave notes on specific sentences. Start by naming the assignment.
+        </p>
+        {newAssignmentForm}
+      </div>
+    )
+  }
+
+  return (
+    <div className="h-full flex flex-col">
+      {/* Assignment bar */}
+      <div className="flex flex-wrap items-center gap-3 px-4 py-3 border-b border-gray-200 dark:border-gray-600">
+        <label htmlFor="assignment" className="sr-only">Assignment</label>
+        <select
+          id="assignment"
+          value={active.id}
+          onChange={(e) => { essays.selectAssignment(e.target.value); setSelectedId(null); setEvidence(null); setError(null) }}
+          className="px-2 py-1 text-sm border border-gray-300 dark:border-gray-500 rounded-lg bg-white dark:bg-gray-600 text-gray-900 dark:text-white"
+        >
+          {assignments.map(assignment => (
+            <option key={assignment.id} value={assignment.id}>{assignment.title}</option>
+          ))}
+        </select>
+        <button
+          type="button"
+          onClick={() => window.confirm(`Delete "${active.title}" with all its versions and notes?`) && essays.deleteAssignment(active.id)}
+          className="px-2 py-1 text-xs font-medium rounded-lg text-rose-700 dark:text-rose-300 hover:bg-rose-50 dark:hover:bg-gray-600"
+        >
+          Delete
+        </button>
+        <div className="ml-auto">{newAssignmentForm}</div>
+      </div>
+
+      <div className="flex-1 grid grid-cols-1 lg:grid-cols-[3fr_2fr] overflow-hidden">
+        {/* Draft */}
+        <section className="flex flex-col overflow-hidden border-r border-gray-200 dark:border-gray-600">
+          <div className="flex items-center gap-2 px-4 py-2">
+            <label htmlFor="assignment-title" className="sr-only">Assignment title</label>
+            <input
+              id="assignment-title"
+              type="text"
+              value={active.title}
+              onChange={(e) => essays.renameAssignment(e.target.value)}
+              className="flex-1 bg-transparent font-semibold text-gray-800 dark:text-gray-100 focus:outline-none"
+            />
+            <div className="flex rounded-lg border border-gray-300 dark:border-gray-500 overflow-hidden text-xs">
+              {['edit', 'review', 'outline'].map(mode => (
+                <button
+                  key={mode}
+                  type="button"
+                  onClick={() => setView(mode)}
+                  className={`px-2 py-1 capitalize ${view === mode ? 'bg-blue-600 text-white' : 'text-gray-700 dark:text-gray-300'}`}
+                >
+                  {mode}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="flex-1 overflow-y-auto px-4 pb-4 scrollbar-thin">
+            {view === 'outline' ? (
+              <OutlineEditor
+                nodes={active.outline}
+                onChange={(nodes) => essays.setOutline(nodes)}
+                onSendToImprove={onSendOutline}
+                canSend={canSendOutline}
+              />
+            ) : view === 'edit' ? (
+              <>
+                <label htmlFor="essay-draft" className="sr-only">Draft</label>
+                <textarea
+                  id="essay-draft"
+                  value={draft}
+                  onChange={(e) => essays.setDraft(e.target.value)}
+                  placeholder="Write or paste your draft here. Leave a blank line between paragraphs."
+                  className="w-full h-full min-h-[300px] resize-none rounded-xl border border-gray-300 dark:border-gray-500 bg-white dark:bg-gray-600 p-3 text-sm leading-relaxed text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </>
+            ) : (
+              <AnnotatedDraft
+                sentences={sentences}
+                annotations={annotations}
+                selectedId={selectedId}
+                evidence={evidence}
+                onSelect={handleSelect}
+              />
+            )}
+          </div>
+
+          <div className="flex flex-wrap items-center gap-3 px-4 py-2 border-t border-gray-200 dark:border-gray-600 text-xs text-gray-600 dark:text-gray-300">
+            <span>{countWords(draft)} words</span>
+            <button
+              type="button"
+              onClick={() => essays.saveVersion()}
+              disabled={!draft.trim() || active.versions.at(-1)?.text === draft}
+              className="px-2 py-1 rounded-md font-medium text-blue-700 dark:text-blue-300 hover:bg-blue-50 dark:hover:bg-gray-600 disabled:opacity-50"
+            >
+              Save version
+            </button>
+            <details className="relative">
+              <summary className="cursor-pointer">Versions ({active.versions.length})</summary>
+              <div className="absolute bottom-6 left-0 z-10 w-80 max-h-60 overflow-y-auto rounded-lg border border-gray-200 dark:border-gray-600 bg-white dark:bg-gray-700 p-2 shadow-lg">
+                <VersionHistory versions={active.versions} onRestore={essays.restoreVersion} />
+              </div>
+            </details>
+          </div>
+        </section>
+
+        {/* Feedback */}
+        <section className="flex flex-col overflow-hidden">
+          <div className="flex flex-wrap items-center gap-2 px-4 py-2">
+            <div className="flex rounded-lg border border-gray-300 dark:border-gray-500 overflow-hidden text-sm mr-auto" role="tablist">
+              {[['notes', 'Notes'], ['score', 'Score']].map(([key, label]) => (
+                <button
+                  key={key}
+                  type="button"
+                  role="tab"
+                  aria-selected={tab === key}
+                  onClick={() => setTab(key)}
+                  className={`px-3 py-1 font-semibold ${tab === key ? 'bg-blue-600 text-white' : 'text-gray-700 dark:text-gray-300'}`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            {tab === 'notes' ? (
+              <>
+                <button
+                  type="button"
+                  onClick={handleFeedback}
+                  disabled={!draft.trim() || !!pending}
+                  className="px-3 py-1 text-sm font-medium rounded-lg bg-teal-600 text-white hover:bg-teal-700 disabled:opacity-50"
+                >
+                  {pending === 'improve' ? 'Reading…' : 'Get feedback'}
+                </button>
+                <button
+                  type="button"
+                  onClick={handleGrammar}
+                  disabled={!draft.trim() || !!pending}
+                  className="px-3 py-1 text-sm font-medium rounded-lg bg-gray-100 dark:bg-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-200 dark:hover:bg-gray-500 disabled:opacity-50"
+                >
+                  {pending === 'grammar' ? 'Checking…' : 'Check grammar'}
+                </button>
+              </>
+            ) : (
+              <>
+                <label htmlFor="assignment-rubric" className="sr-only">Rubric</label>
+                <select
+                  id="assignment-rubric"
+                  value={rubric.id}
+                  onChange={(e) => essays.setRubric(e.target.value)}
+                  className="max-w-[12rem] px-2 py-1 text-sm border border-gray-300 dark:border-gray-500 rounded-lg bg-white dark:bg-gray-600 text-gray-900 dark:text-white"
+                >
+                  {rubrics.rubrics.map(option => (
+                    <option key={option.id} value={option.id}>{option.name}</option>
+                  ))}
+                </select>
+                <button
+                  type="button"
+                  onClick={handleEvaluate}
+                  disabled={!draft.trim() || !!pending}
+                  className="px-3 py-1 text-sm font-medium rounded-lg bg-teal-600 text-white hover:bg-teal-700 disabled:opacity-50"
+                >
+                  {pending === 'rubric' ? 'Scoring…' : 'Evaluate against rubric'}
+                </button>
+              </>
+            )}
+          </div>
+
+          {error && <p className="mx-4 mb-2 text-sm text-rose-700 dark:text-rose-300" role="alert">{error}</p>}
+
+          {tab === 'notes' ? (
+            <div className="flex-1 overflow-y-auto px-4 pb-4 scrollbar-thin">
+              {openNotes.length === 0 && (
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                  {annotations.length ? 'All notes are resolved.' : 'Ask for feedback to get notes on specific sentences.'}
+                </p>
+              )}
+              <ul className="space-y-2">
+                {openNotes.map(annotation => (
+                  <AnnotationCard
+                    key={annotation.id}
+                    annotation={annotation}
+                    selected={annotation.id === selectedId}
+                    onSelect={handleSelect}
+                    onAccept={handleAccept}
+                    onDismiss={(id) => essays.updateAnnotation(id, () => ({ status: 'dismissed' }))}
+                    onReply={handleReply}
+                    isReplying={pending === annotation.id}
+                  />
+                ))}
+              </ul>
+              {resolvedNotes.length > 0 && (
+                <details className="mt-4">
+                  <summary className="cursor-pointer text-xs text-gray-500 dark:text-gray-400">
+                    {resolvedNotes.length} resolved
+                  </summary>
+                  <ul className="mt-2 space-y-2">
+                    {resolvedNotes.map(annotation => (
+                      <AnnotationCard
+                        key={annotation.id}
+                        annotation={annotation}
+                        onSelect={handleSelect}
+                        onAccept={handleAccept}
+                        onDismiss={() => {}}
+                        onReply={handleReply}
+                      />
+                    ))}
+                  </ul>
+                </details>
+              )}
+            </div>
+          ) : (
+            <div className="flex-1 overflow-y-auto px-4 pb-4 space-y-3 scrollbar-thin">
+              {latestScore ? (
+                <RubricScoreCard
+                  score={latestScore}
+                  rubric={rubrics.getRubric(latestScore.rubricId)}
+                  stale={scoredText !== undefined && scoredText !== draft}
+                  onSelectEvidence={handleEvidence}
+                />
+              ) : (
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                  Pick your teacher&apos;s rubric and evaluate the draft to see a level for each criterion, with the lines that earned it.
+                </p>
+              )}
+              {scores.length > 1 && (
+                <details>
+                  <summary className="cursor-pointer text-xs text-gray-500 dark:text-gray-400">Earlier evaluations</summary>
+                  <ul className="mt-2 space-y-1 text-xs text-gray-700 dark:text-gray-300">
+                    {scores.slice(0, -1).reverse().map(score => (
+                      <li key={score.id}>
+                        {new Date(score.createdAt).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })} · {score.rubricName} · {score.total}/{score.max}
+                      </li>
+                    ))}
+                  </ul>
+                </details>
+              )}
+            </div>
+          )}
+        </section>
+      </div>
+    </div>
+  )
+}
+
+EssayWorkspace.propTypes = {
+  essays: PropTypes.shape({
+    assignments: PropTypes.array.isRequired,
+    active: PropTypes.object,
+    createAssignment: PropTypes.func.isRequired,
+    selectAssignment: PropTypes.func.isRequired,
+    deleteAssignment: PropTypes.func.isRequired,
+    renameAssignment: PropTypes.func.isRequired,
+    setDraft: PropTypes.func.isRequired,
+    saveVersion: PropTypes.func.isRequired,
+    restoreVersion: PropTypes.func.isRequired,
+    addAnnotations: PropTypes.func.isRequired,
+    updateAnnotation: PropTypes.func.isRequired,
+    setOutline: PropTypes.func.isRequired,
+    setRubric: PropTypes.func.isRequired,
+    addScore: PropTypes.func.isRequired
+  }).isRequired,
+  rubrics: PropTypes.shape({
+    rubrics: PropTypes.array.isRequired,
+    getRubric: PropTypes.func.isRequired
+  }).isRequired,
+  provider: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    model: PropTypes.string.isRequired,
+    sendMessage: PropTypes.func.isRequired
+  }).isRequired,
+  onUsage: PropTypes.func.isRequired,
+  onIntercept: PropTypes.func.isRequired,
+  onSendOutline: PropTypes.func.isRequired,
+  canSendOutline: PropTypes.bool
+}
+
+export default EssayWorkspace
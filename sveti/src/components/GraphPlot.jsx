@@ -0,0 +1,270 @@
+import PropTypes from 'prop-types'
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { DEFAULT_RANGE, niceStep } from '../math/graph'
+
+const WIDTH = 400
+const HEIGHT = 300
+const SAMPLES = 240
+const COLORS = ['#0d9488', '#e11d48', '#7c3aed', '#d97706']
+const ZOOM_STEP = 1.25
+
+// Zoom limits on the width and height of the view; far past these, float precision
+// breaks the grid spacing
+const MIN_SPAN = 1e-3
+const MAX_SPAN = 1e6
+
+// Grid lines per axis, whatever the view (about 8-10 in practice)
+const MAX_GRID_LINES = 40
+
+/**
+ * Starting window: the requested ranges, or x in [-10, 10] with y centered on the curves
+ */
+function initialView(curves, xRange, yRange) {
+  const [x0, x1] = xRange || DEFAULT_RANGE
+  if (yRange) return { x0, x1, y0: yRange[0], y1: yRange[1] }
+
+  const ySpan = ((x1 - x0) * HEIGHT) / WIDTH
+  const middle = (x0 + x1) / 2
+  const values = curves
+    .filter(curve => curve.kind === 'function')
+    .map(curve => curve.evaluate(middle))
+    .filter(Number.isFinite)
+  const center = values.length && values.some(v => Math.abs(v) > ySpan / 2)
+    ? values.reduce((sum, v) => sum + v, 0) / values.length
+    : 0
+  return { x0, x1, y0: center - ySpan / 2, y1: center + ySpan / 2 }
+}
+
+/**
+ * Zoom a view by `factor` around (cx, cy), keeping each axis span within the zoom limits
+ */
+function zoomView(v, factor, cx, cy) {
+  const clamp = (span) => Math.min(Math.max(factor, MIN_SPAN / span), MAX_SPAN / span)
+  const fx = clamp(v.x1 - v.x0)
+  const fy = clamp(v.y1 - v.y0)
+  return {
+    x0: cx - (cx - v.x0) * fx,
+    x1: cx + (v.x1 - cx) * fx,
+    y0: cy - (cy - v.y0) * fy,
+    y1: cy + (v.y1 - cy) * fy
+  }
+}
+
+// Grid values from `from` to `to`, computed from an index so a tiny step can't stall
+function gridValues(from, to, step) {
+  const values = []
+  const first = Math.ceil(from / step)
+  for (let i = 0; i < MAX_GRID_LINES && (first + i) * step <= to; i++) values.push(round((first + i) * step, step))
+  return values
+}
+
+function round(value, step) {
+  const digits = Math.max(0, -Math.floor(Math.log10(step)))
+  return Number(value.toFixed(digits))
+}
+
+/**
+ * Interactive coordinate plane for chat messages
+ * Plots each curve in its own color; zoom with the buttons or mouse wheel,
+ * drag to pan, and hover to read the points under the cursor
+ */
+function GraphPlot({ curves, xRange = null, yRange = null }) {
+  const svgRef = useRef(null)
+  const dragRef = useRef(null)
+  const [view, setView] = useState(() => initialView(curves, xRange, yRange))
+  const [hoverX, setHoverX] = useState(null)
+
+  const { x0, x1, y0, y1 } = view
+  const toScreenX = (x) => ((x - x0) / (x1 - x0)) * WIDTH
+  const toScreenY = (y) => HEIGHT - ((y - y0) / (y1 - y0)) * HEIGHT
+
+  const zoom = (factor, cx = (x0 + x1) / 2, cy = (y0 + y1) / 2) => {
+    setView(v => zoomView(v, factor, cx, cy))
+  }
+
+  // Data coordinates under a mouse event
+  const pointerToData = (e) => {
+    const rect = svgRef.current.getBoundingClientRect()
+    return {
+      x: x0 + ((e.clientX - rect.left) / rect.width) * (x1 - x0),
+      y: y1 - ((e.clientY - rect.top) / rect.height) * (y1 - y0)
+    }
+  }
+
+  // Wheel zoom needs a non-passive listener so the chat doesn't scroll too
+  useEffect(() => {
+    const svg = svgRef.current
+    const onWheel = (e) => {
+      e.preventDefault()
+      const rect = svg.getBoundingClientRect()
+      const factor = e.deltaY > 0 ? ZOOM_STEP : 1 / ZOOM_STEP
+      setView(v => {
+        const cx = v.x0 + ((e.clientX - rect.left) / rect.width) * (v.x1 - v.x0)
+        const cy = v.y1 - ((e.clientY - rect.top) / rect.height) * (v.y1 - v.y0)
+        return zoomView(v, factor, cx, cy)
+      })
+    }
+    svg.addEventListener('wheel', onWheel, { passive: false })
+    return () => svg.removeEventListener('wheel', onWheel)
+  }, [])
+
+  const handleMouseDown = (e) => {
+    dragRef.current = { clientX: e.clientX, clientY: e.clientY, view }
+  }
+
+  const handleMouseMove = (e) => {
+    if (dragRef.current) {
+      // Measure the drag against the view it started from so panning doesn't drift
+      const { clientX, clientY, view: from } = dragRef.current
+      const rect = svgRef.current.getBoundingClientRect()
+      const dx = -((e.clientX - clientX) / rect.width) * (from.x1 - from.x0)
+      const dy = ((e.clientY - clientY) / rect.height) * (from.y1 - from.y0)
+      setView({ x0: from.x0 + dx, x1: from.x1 + dx, y0: from.y0 + dy, y1: from.y1 + dy })
+      return
+    }
+    setHoverX(pointerToData(e).x)
+  }
+
+  const stopDrag = () => {
+    dragRef.current = null
+  }
+
+  const xStep = niceStep(x1 - x0)
+  const yStep = niceStep(y1 - y0)
+
+  const gridLines = useMemo(() => [
+    ...gridValues(x0, x1, xStep).map(value => ({ axis: 'x', value })),
+    ...gridValues(y0, y1, yStep).map(value => ({ axis: 'y', value }))
+  ], [x0, x1, y0, y1, xStep, yStep])
+
+  const paths = useMemo(() => curves.map(curve => {
+    if (curve.kind === 'vertical') {
+      const sx = ((curve.x - x0) / (x1 - x0)) * WIDTH
+      return `M${sx},0 L${sx},${HEIGHT}`
+    }
+    // Break the path where the curve is undefined or jumps off screen (asymptotes)
+    let d = ''
+    let penDown = false
+    for (let i = 0; i <= SAMPLES; i++) {
+      const x = x0 + ((x1 - x0) * i) / SAMPLES
+      const y = curve.evaluate(x)
+      const sy = HEIGHT - ((y - y0) / (y1 - y0)) * HEIGHT
+      if (!Number.isFinite(y) || Math.abs(sy) > HEIGHT * 10) {
+        penDown = false
+        continue
+      }
+      d += `${penDown ? 'L' : 'M'}${((x - x0) / (x1 - x0)) * WIDTH},${sy} `
+      penDown = true
+    }
+    return d
+  }), [curves, x0, x1, y0, y1])
+
+  // Snap the hover readout to a tenth of the grid spacing
+  const readX = hoverX === null ? null : round(Math.round(hoverX / (xStep / 10)) * (xStep / 10), xStep / 10)
+  const readings = readX === null ? [] : curves
+    .map((curve, index) => ({ index, y: curve.kind === 'function' ? curve.evaluate(readX) : NaN }))
+    .filter(reading => Number.isFinite(reading.y))
+
+  return (
+    <div className="my-3 not-prose">
+      <div className="relative rounded-xl border border-stone-200 dark:border-gray-600 bg-white dark:bg-gray-800 overflow-hidden">
+        <svg
+          ref={svgRef}
+          viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+          className="w-full h-auto touch-none cursor-crosshair select-none"
+          role="img"
+          aria-label={`Graph of ${curves.map(curve => curve.expression).join(' and ')}`}
+          onMouseDown={handleMouseDown}
+          onMouseMove={handleMouseMove}
+          onMouseUp={stopDrag}
+          onMouseLeave={() => {
+            stopDrag()
+            setHoverX(null)
+          }}
+        >
+          {gridLines.map(({ axis, value }) => (axis === 'x' ? (
+            <g key={`x${value}`}>
+              <line x1={toScreenX(value)} x2={toScreenX(value)} y1={0} y2={HEIGHT} className={value === 0 ? 'stroke-gray-500' : 'stroke-gray-200 dark:stroke-gray-700'} strokeWidth={value === 0 ? 1.5 : 1} />
+              {value !== 0 && (
+                <text x={toScreenX(value)} y={Math.min(Math.max(toScreenY(0) + 12, 12), HEIGHT - 3)} textAnchor="middle" className="fill-gray-500 dark:fill-gray-400" fontSize="9">{value}</text>
+              )}
+            </g>
+          ) : (
+            <g key={`y${value}`}>
+              <line x1={0} x2={WIDTH} y1={toScreenY(value)} y2={toScreenY(value)} className={value === 0 ? 'stroke-gray-500' : 'stroke-gray-200 dark:stroke-gray-700'} strokeWidth={value === 0 ? 1.5 : 1} />
+              {value !== 0 && (
+                <text x={Math.min(Math.max(toScreenX(0) - 4, 18), WIDTH - 4)} y={toScreenY(value) + 3} textAnchor="end" className="fill-gray-500 dark:fill-gray-400" fontSize="9">{value}</text>
+              )}
+            </g>
+          )))}
+
+          {paths.map((d, index) => (
+            <path key={index} d={d} fill="none" stroke={COLORS[index % COLORS.length]} strokeWidth={2.5} strokeLinejoin="round" />
+          ))}
+
+          {readX !== null && (
+            <line x1={toScreenX(readX)} x2={toScreenX(readX)} y1={0} y2={HEIGHT} className="stroke-gray-400" strokeDasharray="3 3" />
+          )}
+          {readings.map(({ index, y }) => (
+            <circle key={index} cx={toScreenX(readX)} cy={toScreenY(y)} r={4} fill={COLORS[index % COLORS.length]} stroke="white" strokeWidth={1.5} />
+          ))}
+        </svg>
+
+        {readings.length > 0 && (
+          <div className="absolute top-2 left-2 rounded-lg bg-white/90 dark:bg-gray-700/90 px-2 py-1 text-xs font-mono text-gray-700 dark:text-gray-100 shadow pointer-events-none">
+            {readings.map(({ index, y }) => (
+              <div key={index} style={{ color: COLORS[index % COLORS.length] }}>
+                ({readX}, {round(y, xStep / 100)})
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="absolute top-2 right-2 flex gap-1">
+          {[
+            { label: '+', title: 'Zoom in', onClick: () => zoom(1 / ZOOM_STEP) },
+            { label: '−', title: 'Zoom out', onClick: () => zoom(ZOOM_STEP) },
+            { label: '⟲', title: 'Reset view', onClick: () => setView(initialView(curves, xRange, yRange)) }
+          ].map(button => (
+            <button
+              key={button.title}
+              type="button"
+              title={button.title}
+              aria-label={button.title}
+              onClick={button.onClick}
+              className="w-7 h-7 rounded-md bg-white/90 dark:bg-gray-700/90 border border-stone-200 dark:border-gray-600 text-gray-700 dark:text-gray-100 text-sm hover:bg-stone-100 dark:hover:bg-gray-600"
+            >
+              {button.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <ul className="flex flex-wrap gap-x-4 gap-y-1 mt-2 text-sm">
+        {curves.map((curve, index) => (
+          <li key={index} className="flex items-center gap-1.5">
+            <span className="inline-block w-3 h-1 rounded" style={{ backgroundColor: COLORS[index % COLORS.length] }} />
+            <span className="font-medium">{curve.label}</span>
+            {curve.label !== curve.expression && (
+              <span className="font-mono text-xs text-gray-500 dark:text-gray-400">{curve.expression}</span>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+GraphPlot.propTypes = {
+  curves: PropTypes.arrayOf(PropTypes.shape({
+    kind: PropTypes.oneOf(['function', 'vertical']).isRequired,
+    expression: PropTypes.string.isRequired,
+    label: PropTypes.string.isRequired,
+    evaluate: PropTypes.func,
+    x: PropTypes.number
+  })).isRequired,
+  xRange: PropTypes.arrayOf(PropTypes.number),
+  yRange: PropTypes.arrayOf(PropTypes.number)
+}
+
+export default GraphPlot
@@ -0,0 +1,35 @@
+import PropTypes from 'prop-types'
+
+/**
+ * Plain text with marked ranges, e.g. grammar findings underlined in a student's text
+ * Ranges must not overlap; each shows its `title` on hover
+ */
+function HighlightedText({ text, marks, markClassName = 'underline decoration-wavy decoration-rose-500 underline-offset-4' }) {
+  const parts = []
+  let cursor = 0
+  for (const mark of [...marks].sort((a, b) => a.start - b.start)) {
+    if (mark.start < cursor) continue
+    if (mark.start > cursor) parts.push(text.slice(cursor, mark.start))
+    parts.push(
+      <mark key={mark.start} title={mark.title} className={`bg-transparent text-inherit ${markClassName}`}>
+        {text.slice(mark.start, mark.end)}
+      </mark>
+    )
+    cursor = mark.end
+  }
+  parts.push(text.slice(cursor))
+
+  return <span className="whitespace-pre-wrap">{parts}</span>
+}
+
+HighlightedText.propTypes = {
+  text: PropTypes.string.isRequired,
+  marks: PropTypes.arrayOf(PropTypes.shape({
+    start: PropTypes.number.isRequired,
+    end: PropTypes.number.isRequired,
+    title: PropTypes.string
+  })).isRequired,
+  markClassName: PropTypes.string
+}
+
+export default HighlightedText
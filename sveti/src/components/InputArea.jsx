@@ -1,14 +1,36 @@
 import PropTypes from 'prop-types'
-import { useState, useRef } from 'react'
+import { useState, useRef, useEffect } from 'react'
+import MathInput from './MathInput'
+import { normalizeMathInput } from '../math/format'
+import { HINT_LEVELS } from '../config/hintLadder'
+
+const LS_KEYS = {
+  mode: 'sveti-input-mode',          // 'text' | 'math'
+  mathFormat: 'sveti-math-format'    // 'latex' | 'ascii'
+}
 
 /**
  * Input area with action chips and textarea for Sveti chat interface
  */
-function InputArea({ onSendMessage, isLoading, subject }) {
+function InputArea({ onSendMessage, onStop, isLoading, subject, hintLevel = null }) {
   const [inputValue, setInputValue] = useState('')
   const [currentActionType, setCurrentActionType] = useState(null)
   const textareaRef = useRef(null)
 
+  // Math mode (algebra only): palette + live preview, sent as normalized LaTeX or ASCII-math
+  const [inputMode, setInputMode] = useState(() => localStorage.getItem(LS_KEYS.mode) || 'text')
+  const [mathFormat, setMathFormat] = useState(() => localStorage.getItem(LS_KEYS.mathFormat) || 'latex')
+  const [leadText, setLeadText] = useState('') // Chip prompt shown above the math editor
+  const isMathMode = subject === 'algebra' && inputMode === 'math'
+
+  useEffect(() => {
+    localStorage.setItem(LS_KEYS.mode, inputMode)
+  }, [inputMode])
+
+  useEffect(() => {
+    localStorage.setItem(LS_KEYS.mathFormat, mathFormat)
+  }, [mathFormat])
+
   // Action chips based on subject
   const getActionChips = () => {
     if (subject === 'algebra') {
@@ -31,7 +53,11 @@ function InputArea({ onSendMessage, isLoading, subject }) {
   // Handle chip click
   const handleChipClick = (prompt, actionType) => {
     if (isLoading) return
-    setInputValue(prompt)
+    if (isMathMode) {
+      setLeadText(prompt)
+    } else {
+      setInputValue(prompt)
+    }
     setCurrentActionType(actionType)
     if (textareaRef.current) {
       textareaRef.current.focus()
@@ -43,11 +69,36 @@ function InputArea({ onSendMessage, isLoading, subject }) {
     e.preventDefault()
     if (!inputValue.trim() || isLoading) return
     
-    onSendMessage(inputValue.trim(), currentActionType)
+    if (isMathMode) {
+      const math = normalizeMathInput(inputValue, mathFormat).text
+      // Several steps start on their own line after the chip prompt
+      const separator = math.includes('\n') ? '\n' : ' '
+      onSendMessage(leadText ? `${leadText.trim()}${separator}${math}` : math, currentActionType)
+      setLeadText('')
+    } else {
+      onSendMessage(inputValue.trim(), currentActionType)
+    }
     setInputValue('')
     setCurrentActionType(null) // Reset action type after sending
   }
 
+  // Toggle between plain text and math input, carrying over what was typed
+  const toggleInputMode = () => {
+    if (isMathMode) {
+      setInputValue(leadText + inputValue)
+      setLeadText('')
+      setInputMode('text')
+    } else {
+      const chip = getActionChips().find(c => inputValue.startsWith(c.prompt))
+      if (chip) {
+        setLeadText(chip.prompt)
+        setInputValue(inputValue.slice(chip.prompt.length))
+      }
+      setInputMode('math')
+    }
+    requestAnimationFrame(() => textareaRef.current?.focus())
+  }
+
   // Handle textarea key press
   const handleKeyPress = (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
@@ -77,6 +128,32 @@ function InputArea({ onSendMessage, isLoading, subject }) {
       {/* Action Chips Row */}
       <div className="p-6 pb-4">
         <div className="flex gap-2 overflow-x-auto scrollbar-thin">
+          {subject === 'algebra' && (
+            <button
+              type="button"
+              onClick={toggleInputMode}
+              disabled={isLoading}
+              className={`px-3 py-1.5 rounded-md text-sm font-medium whitespace-nowrap transition-all duration-300 focus:outline-none focus:ring-2 focus:ring-teal-400 disabled:opacity-50 disabled:cursor-not-allowed min-h-[36px] ${
+                isMathMode
+                  ? 'bg-teal-100 text-teal-800 dark:bg-teal-900 dark:text-teal-200 hover:bg-teal-200 dark:hover:bg-teal-800'
+                  : 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600'
+              }`}
+              aria-pressed={isMathMode}
+            >
+              {isMathMode ? 'Aa Switch to text' : '√x Math input'}
+            </button>
+          )}
+          {isMathMode && (
+            <select
+              value={mathFormat}
+              onChange={(e) => setMathFormat(e.target.value)}
+              className="px-2 py-1.5 rounded-md text-sm bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 border-0 focus:outline-none focus:ring-2 focus:ring-teal-400 min-h-[36px]"
+              aria-label="Send math as"
+            >
+              <option value="latex">Send as LaTeX</option>
+              <option value="ascii">Send as ASCII</option>
+            </select>
+          )}
           {getActionChips().map((chip, index) => (
             <button
               key={index}
@@ -88,6 +165,22 @@ function InputArea({ onSendMessage, isLoading, subject }) {
               {chip.text}
             </button>
           ))}
+          {subject === 'algebra' && (
+            <button
+              type="button"
+              onClick={() => onSendMessage('Give me a hint', 'hint')}
+              disabled={isLoading || hintLevel === null}
+              title={hintLevel === null
+                ? 'Send a problem first, then ask for hints one step at a time'
+                : `Next hint: ${HINT_LEVELS[hintLevel].label} (${hintLevel + 1} of ${HINT_LEVELS.length})`}
+              className="px-3 py-1.5 bg-amber-100 dark:bg-amber-900/50 text-amber-800 dark:text-amber-200 rounded-md text-sm font-medium whitespace-nowrap transition-all duration-300 hover:bg-amber-200 dark:hover:bg-amber-800 focus:outline-none focus:ring-2 focus:ring-amber-400 disabled:opacity-50 disabled:cursor-not-allowed min-h-[36px]"
+            >
+              💡 Give me a hint
+              {hintLevel !== null && (
+                <span className="ml-1.5 text-xs font-normal opacity-80">· {HINT_LEVELS[hintLevel].label}</span>
+              )}
+            </button>
+          )}
         </div>
       </div>
 
@@ -95,36 +188,64 @@ function InputArea({ onSendMessage, isLoading, subject }) {
       <div className="p-6 pt-0">
         <form onSubmit={handleSubmit} className="flex gap-4 items-end">
           <div className="flex-1">
-            <label htmlFor="message-input" className="sr-only">
-              Type your message
-            </label>
-            <textarea
-              id="message-input"
-              ref={textareaRef}
-              value={inputValue}
-              onChange={handleInputChange}
-              onKeyPress={handleKeyPress}
-              placeholder={subject === 'algebra' ? 'Ask me anything about Algebra - I\'m here to help!' : 'Ask me anything about English - I\'m here to help!'}
-              rows={1}
-              className="w-full resize-none rounded-2xl bg-stone-100 dark:bg-gray-600 border-2 border-stone-300 dark:border-gray-500 text-gray-800 dark:text-gray-100 px-5 py-4 text-base leading-relaxed focus:outline-none focus:border-teal-500 focus:ring-4 focus:ring-teal-500/20 transition-all duration-300 ease-in-out scrollbar-thin placeholder-gray-500 dark:placeholder-gray-400"
-              style={{ minHeight: '56px', maxHeight: '112px' }}
-              disabled={isLoading}
-              aria-describedby="message-input-help"
-            />
-            <div id="message-input-help" className="sr-only">
-              Press Enter to send, Shift+Enter for new line
-            </div>
+            {isMathMode ? (
+              <MathInput
+                value={inputValue}
+                onChange={setInputValue}
+                onSubmit={handleSubmit}
+                disabled={isLoading}
+                textareaRef={textareaRef}
+                leadText={leadText}
+                onClearLead={() => {
+                  setLeadText('')
+                  setCurrentActionType(null)
+                }}
+              />
+            ) : (
+              <>
+                <label htmlFor="message-input" className="sr-only">
+                  Type your message
+                </label>
+                <textarea
+                  id="message-input"
+                  ref={textareaRef}
+                  value={inputValue}
+                  onChange={handleInputChange}
+                  onKeyPress={handleKeyPress}
+                  placeholder={subject === 'algebra' ? 'Ask me anything about Algebra - I\'m here to help!' : 'Ask me anything about English - I\'m here to help!'}
+                  rows={1}
+                  className="w-full resize-none rounded-2xl bg-stone-100 dark:bg-gray-600 border-2 border-stone-300 dark:border-gray-500 text-gray-800 dark:text-gray-100 px-5 py-4 text-base leading-relaxed focus:outline-none focus:border-teal-500 focus:ring-4 focus:ring-teal-500/20 transition-all duration-300 ease-in-out scrollbar-thin placeholder-gray-500 dark:placeholder-gray-400"
+                  style={{ minHeight: '56px', maxHeight: '112px' }}
+                  disabled={isLoading}
+                  aria-describedby="message-input-help"
+                />
+                <div id="message-input-help" className="sr-only">
+                  Press Enter to send, Shift+Enter for new line
+                </div>
+              </>
+            )}
           </div>
-          <button
-            type="submit"
-            disabled={!inputValue.trim() || isLoading}
-            className="flex items-center justify-center px-8 py-4 bg-teal-500 hover:bg-teal-600 disabled:bg-gray-400 text-white rounded-2xl font-medium text-lg transition-all duration-300 ease-in-out focus:outline-none focus:ring-4 focus:ring-teal-500/20 disabled:cursor-not-allowed transform hover:scale-105 hover:shadow-lg shadow-md min-h-[56px] min-w-[56px]"
-            aria-label={isLoading ? 'Message is being sent' : 'Send message'}
-          >
-            <span className="text-sm font-medium">
-              {isLoading ? 'Sending...' : 'Send'}
-            </span>
-          </button>
+          {isLoading && onStop ? (
+            <button
+              type="button"
+              onClick={onStop}
+              className="flex items-center justify-center px-8 py-4 bg-rose-500 hover:bg-rose-600 text-white rounded-2xl font-medium text-lg transition-all duration-300 ease-in-out focus:outline-none focus:ring-4 focus:ring-rose-500/20 transform hover:scale-105 hover:shadow-lg shadow-md min-h-[56px] min-w-[56px]"
+              aria-label="Stop generating the answer"
+            >
+              <span className="text-sm font-medium">Stop</span>
+            </button>
+          ) : (
+            <button
+              type="submit"
+              disabled={!inputValue.trim() || isLoading}
+              className="flex items-center justify-center px-8 py-4 bg-teal-500 hover:bg-teal-600 disabled:bg-gray-400 text-white rounded-2xl font-medium text-lg transition-all duration-300 ease-in-out focus:outline-none focus:ring-4 focus:ring-teal-500/20 disabled:cursor-not-allowed transform hover:scale-105 hover:shadow-lg shadow-md min-h-[56px] min-w-[56px]"
+              aria-label={isLoading ? 'Message is being sent' : 'Send message'}
+            >
+              <span className="text-sm font-medium">
+                {isLoading ? 'Sending...' : 'Send'}
+              </span>
+            </button>
+          )}
         </form>
       </div>
     </div>
@@ -133,8 +254,10 @@ function InputArea({ onSendMessage, isLoading, subject }) {
 
 InputArea.propTypes = {
   onSendMessage: PropTypes.func.isRequired,
+  onStop: PropTypes.func,
   isLoading: PropTypes.bool.isRequired,
-  subject: PropTypes.oneOf(['algebra', 'ela']).isRequired
+  subject: PropTypes.oneOf(['algebra', 'english']).isRequired,
+  hintLevel: PropTypes.number
 }
 
 export default InputArea
\ No newline at end of file
@@ -0,0 +1,86 @@
+import PropTypes from 'prop-types'
+
+const OUTCOMES = {
+  regenerated: { label: 'Rewritten as coaching', style: 'bg-emerald-100 text-emerald-800 dark:bg-emerald-900/50 dark:text-emerald-200' },
+  redacted: { label: 'Passage removed', style: 'bg-amber-100 text-amber-800 dark:bg-amber-900/50 dark:text-amber-200' }
+}
+
+/**
+ * Integrity log for teachers
+ * Lists the English replies in which the tutor wrote prose a student could copy,
+ * with what the student asked and what was stopped, newest first
+ */
+function IntegrityLogPanel({ entries, clearLog }) {
+  return (
+    <div className="h-full overflow-y-auto p-6 scrollbar-thin">
+      <div className="max-w-4xl mx-auto space-y-6">
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <div>
+            <h2 className="text-xl font-bold text-gray-800 dark:text-gray-100">Integrity log</h2>
+            <p className="text-sm text-gray-600 dark:text-gray-300">
+              English replies where the tutor started writing the student&apos;s work. Sveti kept those words from the student.
+            </p>
+          </div>
+          <button
+            type="button"
+            onClick={() => window.confirm('Clear the whole integrity log?') && clearLog()}
+            disabled={!entries.length}
+            className="px-3 py-1.5 text-sm font-medium rounded-lg text-rose-700 dark:text-rose-300 hover:bg-rose-50 dark:hover:bg-gray-600 disabled:opacity-50"
+          >
+            Clear log
+          </button>
+        </div>
+
+        {entries.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400">Nothing intercepted yet.</p>
+        ) : (
+          <ul className="space-y-3">
+            {[...entries].reverse().map(entry => {
+              const outcome = OUTCOMES[entry.outcome] || OUTCOMES.redacted
+              return (
+                <li key={entry.id} className="rounded-xl border border-gray-200 dark:border-gray-600 bg-white dark:bg-gray-700 p-4 text-sm">
+                  <div className="flex flex-wrap items-center gap-2 mb-2">
+                    <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${outcome.style}`}>{outcome.label}</span>
+                    <span className="text-xs text-gray-500 dark:text-gray-400">
+                      {new Date(entry.at).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}
+                      {entry.action && ` · ${entry.action}`}
+                      {entry.model && ` · ${entry.model}`}
+                    </span>
+                  </div>
+                  <p className="text-gray-800 dark:text-gray-100">
+                    <span className="font-medium">Student asked: </span>{entry.request}
+                  </p>
+                  <details className="mt-2">
+                    <summary className="cursor-pointer text-xs text-gray-500 dark:text-gray-400">
+                      Intercepted {entry.passages.length === 1 ? 'passage' : `${entry.passages.length} passages`}
+                    </summary>
+                    {entry.passages.map((passage, index) => (
+                      <blockquote key={index} className="mt-2 border-l-2 border-gray-300 dark:border-gray-500 pl-3 text-gray-600 dark:text-gray-300 whitespace-pre-wrap">
+                        {passage}
+                      </blockquote>
+                    ))}
+                  </details>
+                </li>
+              )
+            })}
+          </ul>
+        )}
+      </div>
+    </div>
+  )
+}
+
+IntegrityLogPanel.propTypes = {
+  entries: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    at: PropTypes.string.isRequired,
+    action: PropTypes.string,
+    request: PropTypes.string.isRequired,
+    passages: PropTypes.arrayOf(PropTypes.string).isRequired,
+    outcome: PropTypes.oneOf(['regenerated', 'redacted']).isRequired,
+    model: PropTypes.string
+  })).isRequired,
+  clearLog: PropTypes.func.isRequired
+}
+
+export default IntegrityLogPanel
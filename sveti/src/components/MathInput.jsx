@@ -0,0 +1,143 @@
+import PropTypes from 'prop-types'
+import { useMemo } from 'react'
+import katex from 'katex'
+import 'katex/dist/katex.min.css'
+import { normalizeMathInput } from '../math/format'
+
+/**
+ * Palette buttons. `|` marks where the cursor lands; `$` is replaced by the
+ * selected text when there is a selection (so select "x+1" then √ gives sqrt(x+1))
+ */
+const PALETTE = [
+  { label: 'a/b', title: 'Fraction', insert: '(|)/()', wrap: '($)/(|)' },
+  { label: 'x²', title: 'Squared', insert: '^2|' },
+  { label: 'xⁿ', title: 'Exponent', insert: '^(|)' },
+  { label: '√', title: 'Square root', insert: 'sqrt(|)', wrap: 'sqrt($)|' },
+  { label: '( )', title: 'Parentheses', insert: '(|)', wrap: '($)|' },
+  { label: '×', title: 'Times', insert: ' * |' },
+  { label: '÷', title: 'Divide', insert: ' / |' },
+  { label: '=', title: 'Equals', insert: ' = |' },
+  { label: '<', title: 'Less than', insert: ' < |' },
+  { label: '>', title: 'Greater than', insert: ' > |' },
+  { label: '≤', title: 'Less than or equal', insert: ' <= |' },
+  { label: '≥', title: 'Greater than or equal', insert: ' >= |' },
+  { label: '%', title: 'Percent', insert: '%|' }
+]
+
+/**
+ * Math input mode for Sveti
+ * A monospace editor with a symbol palette and a live KaTeX preview of each line
+ */
+function MathInput({ value, onChange, onSubmit, disabled = false, textareaRef, leadText = '', onClearLead }) {
+  const preview = useMemo(() => normalizeMathInput(value).lines, [value])
+
+  const insert = (item) => {
+    const textarea = textareaRef.current
+    const start = textarea?.selectionStart ?? value.length
+    const end = textarea?.selectionEnd ?? value.length
+    const selected = value.slice(start, end)
+    const template = selected && item.wrap ? item.wrap : item.insert
+
+    // Split at the cursor marker before filling in the selection, which may contain `|` or `$&` itself
+    const [head, tail = ''] = template.split('|')
+    const fill = (part) => part.replace('$', () => selected)
+    const cursor = fill(head).length
+    onChange(value.slice(0, start) + fill(head) + fill(tail) + value.slice(end))
+
+    // Put the cursor inside the inserted template once React has re-rendered
+    requestAnimationFrame(() => {
+      if (!textareaRef.current) return
+      textareaRef.current.focus()
+      textareaRef.current.setSelectionRange(start + cursor, start + cursor)
+    })
+  }
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault()
+      onSubmit(e)
+    }
+  }
+
+  return (
+    <div className="space-y-2">
+      {leadText && (
+        <div className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-300">
+          <span className="truncate">{leadText.trim()}</span>
+          <button
+            type="button"
+            onClick={onClearLead}
+            className="text-xs text-gray-400 hover:text-gray-700 dark:hover:text-gray-100"
+            aria-label="Remove the action prompt"
+          >
+            ✕
+          </button>
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-1" role="toolbar" aria-label="Math symbols">
+        {PALETTE.map(item => (
+          <button
+            key={item.label}
+            type="button"
+            title={item.title}
+            aria-label={item.title}
+            onClick={() => insert(item)}
+            disabled={disabled}
+            className="min-w-[36px] px-2 py-1 rounded-md bg-gray-100 dark:bg-gray-600 text-gray-700 dark:text-gray-100 text-sm font-medium hover:bg-gray-200 dark:hover:bg-gray-500 focus:outline-none focus:ring-2 focus:ring-teal-500/40 disabled:opacity-50"
+          >
+            {item.label}
+          </button>
+        ))}
+      </div>
+
+      <label htmlFor="math-input" className="sr-only">
+        Type math, one step per line
+      </label>
+      <textarea
+        id="math-input"
+        ref={textareaRef}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        onKeyDown={handleKeyDown}
+        placeholder="3x^2 + 2x - 1 = 0   (Shift+Enter for the next step)"
+        rows={2}
+        disabled={disabled}
+        spellCheck={false}
+        className="w-full resize-none rounded-2xl bg-stone-100 dark:bg-gray-600 border-2 border-stone-300 dark:border-gray-500 text-gray-800 dark:text-gray-100 px-5 py-3 font-mono text-base focus:outline-none focus:border-teal-500 focus:ring-4 focus:ring-teal-500/20 scrollbar-thin placeholder-gray-500 dark:placeholder-gray-400"
+        style={{ maxHeight: '140px' }}
+      />
+
+      {preview.length > 0 && (
+        <div
+          className="rounded-xl border border-stone-200 dark:border-gray-600 bg-white dark:bg-gray-800 px-4 py-2 max-h-40 overflow-y-auto scrollbar-thin"
+          aria-live="polite"
+        >
+          {preview.map((line, index) => (
+            <div key={index} className="py-1 text-gray-800 dark:text-gray-100">
+              {line.latex ? (
+                <span dangerouslySetInnerHTML={{ __html: katex.renderToString(line.latex, { throwOnError: false }) }} />
+              ) : (
+                <span className="font-mono text-sm text-amber-700 dark:text-amber-300" title={line.error}>
+                  {line.source} <span className="text-xs">- can&apos;t read this line yet, it will be sent as typed</span>
+                </span>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+MathInput.propTypes = {
+  value: PropTypes.string.isRequired,
+  onChange: PropTypes.func.isRequired,
+  onSubmit: PropTypes.func.isRequired,
+  disabled: PropTypes.bool,
+  textareaRef: PropTypes.shape({ current: PropTypes.any }).isRequired,
+  leadText: PropTypes.string,
+  onClearLead: PropTypes.func
+}
+
+export default MathInput
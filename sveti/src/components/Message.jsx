@@ -1,55 +1,56 @@
 import PropTypes from 'prop-types'
-import { useMemo } from 'react'
+import { useMemo, useState } from 'react'
 import ReactMarkdown from 'react-markdown'
+import remarkMath from 'remark-math'
+import rehypeKatex from 'rehype-katex'
+import 'katex/dist/katex.min.css'
+import { formatCost } from '../config/pricing'
+import { HINT_LEVELS } from '../config/hintLadder'
+import { CITATION_STYLES, SOURCE_TYPES, formatCitation } from '../writing/citations'
+import { describeFinding } from '../writing/grammarLint'
+import { formatOutline } from '../writing/outline'
+import { findLineRefs, formatRange } from '../writing/reading'
+import { prepareMath } from '../utils/mathMarkdown'
+import { findCurvesInText, parseGraphSpec } from '../math/graph'
+import GraphPlot from './GraphPlot'
+import HighlightedText from './HighlightedText'
+import PracticeSet from './PracticeSet'
+import ReadingQuestions from './ReadingQuestions'
+
+const remarkPlugins = [[remarkMath, { singleDollarTextMath: false }]]
+const rehypePlugins = [rehypeKatex]
 
 /**
- * Clean up LaTeX symbols but preserve markdown formatting
+ * Code blocks tagged `graph` become an interactive plot; everything else stays a <pre>
  */
-function cleanLatexSymbols(text) {
-  if (!text) return ''
-  
-  // Only clean LaTeX symbols, preserve markdown
-  return text
-    // Remove LaTeX delimiters
-    .replace(/\\\[/g, '') // Remove \[
-    .replace(/\\\]/g, '') // Remove \]
-    .replace(/\\\(/g, '') // Remove \(
-    .replace(/\\\)/g, '') // Remove \)
-    
-    // Clean up common LaTeX commands
-    .replace(/\\neq/g, '≠') // Not equal
-    .replace(/\\leq/g, '≤') // Less than or equal
-    .replace(/\\geq/g, '≥') // Greater than or equal
-    .replace(/\\pm/g, '±') // Plus minus
-    .replace(/\\times/g, '×') // Times
-    .replace(/\\div/g, '÷') // Division
-    
-    // Handle fractions - convert \frac{a}{b} to a/b
-    .replace(/\\frac\{\{([^}]+)\}\}\{\{([^}]+)\}\}/g, '($1)/($2)')
-    .replace(/\\frac\{([^}]+)\}\{([^}]+)\}/g, '($1)/($2)')
-    
-    // Handle square roots - convert \sqrt{a} to √(a)
-    .replace(/\\sqrt\{\{([^}]+)\}\}/g, '√($1)')
-    .replace(/\\sqrt\{([^}]+)\}/g, '√($1)')
-    
-    // Clean up remaining LaTeX commands but preserve markdown
-    .replace(/\\[a-zA-Z]+/g, '') // Remove other LaTeX commands
-    .replace(/\\\\/g, '') // Remove double backslashes
-    .replace(/\\(?![a-zA-Z])/g, '') // Remove single backslashes not followed by letters
-    
-    // Clean up extra braces
-    .replace(/\{\{/g, '') // Remove {{
-    .replace(/\}\}/g, '') // Remove }}
-    .replace(/\{([^}]*)\}/g, '$1') // Remove single braces but keep content
+function GraphBlock({ node, children, ...props }) {
+  const code = node?.children?.[0]
+  const isGraph = code?.properties?.className?.includes('language-graph')
+  const spec = useMemo(
+    () => (isGraph ? parseGraphSpec(code.children.map(child => child.value || '').join('')) : null),
+    [isGraph, code]
+  )
+
+  if (!spec?.curves.length) return <pre {...props}>{children}</pre>
+  return <GraphPlot curves={spec.curves} xRange={spec.xRange} yRange={spec.yRange} />
+}
+
+GraphBlock.propTypes = {
+  node: PropTypes.object,
+  children: PropTypes.node
 }
 
 /**
  * Chat message bubble component for Sveti
  * Displays user and assistant messages with proper styling and timestamps
  */
-function Message({ role, content, timestamp }) {
+function Message({
+  role, content, timestamp, streaming = false, interrupted = false, usage = null, budgetLimited = false,
+  practice = null, practiceResponses = {}, onAnswerPractice, solverCheck = null, hint = null, lint = null, integrity = null, outline = null,
+  citation = null, reading = null, readingResponses = {}, onAnswerReading, onShowLines = null, lineCount = 0
+}) {
   // Debug: log the content to see what we're working with
-  if (role === 'assistant') {
+  if (role === 'assistant' && !streaming) {
     console.log('AI Response content:', JSON.stringify(content))
   }
   
@@ -64,6 +65,36 @@ function Message({ role, content, timestamp }) {
     })
   }, [timestamp])
 
+  // Typeset formulas; only the ones KaTeX can't parse fall back to plain text
+  const markdown = useMemo(() => prepareMath(content), [content])
+
+  // Equations like "y = 2x + 3" in the text can be graphed on request
+  const [showGraph, setShowGraph] = useState(false)
+  const detectedCurves = useMemo(
+    () => (streaming || /```graph/.test(content) ? [] : findCurvesInText(content)),
+    [content, streaming]
+  )
+
+  // Line references to the open reading passage can be shown there
+  const lineRefs = useMemo(
+    () => (streaming || reading || !onShowLines || !lineCount ? [] : findLineRefs(content, lineCount)),
+    [content, streaming, reading, onShowLines, lineCount]
+  )
+
+  // Graph blocks are drawn once the reply is complete, not while they stream in
+  const graphComponents = streaming ? {} : { pre: GraphBlock }
+
+  const graphToggle = detectedCurves.length > 0 && (
+    <button
+      type="button"
+      onClick={() => setShowGraph(!showGraph)}
+      className="ml-2 text-xs font-medium text-teal-700 dark:text-teal-300 hover:underline"
+      aria-expanded={showGraph}
+    >
+      {showGraph ? 'Hide graph' : '📈 Graph it'}
+    </button>
+  )
+
   // User message (student) - aligned right with teal gradient
   if (role === 'user') {
     return (
@@ -71,25 +102,61 @@ function Message({ role, content, timestamp }) {
         <div className="max-w-[75%] sm:max-w-[80%] ml-auto">
           <div className="bg-gradient-to-br from-teal-500 to-cyan-600 text-white px-6 py-4 rounded-3xl shadow-lg transition-all duration-300 ease-in-out hover:shadow-xl transform hover:-translate-y-0.5">
             <div className="leading-relaxed break-words text-base font-medium prose prose-invert max-w-none">
-              <ReactMarkdown
-                components={{
-                  h1: ({node, ...props}) => <h1 className="text-xl font-bold mb-3 mt-4 text-white" {...props} />,
-                  h2: ({node, ...props}) => <h2 className="text-lg font-bold mb-2 mt-3 text-white" {...props} />,
-                  h3: ({node, ...props}) => <h3 className="text-base font-semibold mb-2 mt-2 text-white" {...props} />,
-                  h4: ({node, ...props}) => <h4 className="text-sm font-semibold mb-1 mt-2 text-white" {...props} />,
-                  p: ({node, ...props}) => <p className="mb-3 last:mb-0" {...props} />,
-                  strong: ({node, ...props}) => <strong className="font-bold" {...props} />,
-                  em: ({node, ...props}) => <em className="italic" {...props} />
-                }}
-              >
-                {cleanLatexSymbols(content)}
-              </ReactMarkdown>
+              {lint?.length ? (
+                // Text sent for a grammar check shows the offline linter's findings in place
+                <HighlightedText
+                  text={content}
+                  marks={lint
+                    .filter(finding => finding.rule !== 'runOn') // a whole sentence would hide the marks inside it
+                    .map(finding => ({ start: finding.start, end: finding.end, title: describeFinding(finding) }))}
+                  markClassName="underline decoration-wavy decoration-amber-300 underline-offset-4"
+                />
+              ) : (
+                <ReactMarkdown
+                  remarkPlugins={remarkPlugins}
+                  rehypePlugins={rehypePlugins}
+                  components={{
+                    h1: ({node, ...props}) => <h1 className="text-xl font-bold mb-3 mt-4 text-white" {...props} />,
+                    h2: ({node, ...props}) => <h2 className="text-lg font-bold mb-2 mt-3 text-white" {...props} />,
+                    h3: ({node, ...props}) => <h3 className="text-base font-semibold mb-2 mt-2 text-white" {...props} />,
+                    h4: ({node, ...props}) => <h4 className="text-sm font-semibold mb-1 mt-2 text-white" {...props} />,
+                    p: ({node, ...props}) => <p className="mb-3 last:mb-0" {...props} />,
+                    strong: ({node, ...props}) => <strong className="font-bold" {...props} />,
+                    em: ({node, ...props}) => <em className="italic" {...props} />,
+                    ...graphComponents
+                  }}
+                >
+                  {markdown}
+                </ReactMarkdown>
+              )}
+              {showGraph && <GraphPlot curves={detectedCurves} />}
             </div>
           </div>
           <div className="text-right mt-2 mr-3">
             <span className="text-sm text-gray-500 dark:text-gray-400 font-medium">
               {formattedTime}
             </span>
+            {graphToggle}
+            {outline && (
+              <span className="ml-2 text-xs font-medium text-teal-700 dark:text-teal-300" title={formatOutline(outline)}>
+                📋 Outline attached
+              </span>
+            )}
+            {citation && (
+              <span className="ml-2 text-xs font-medium text-indigo-700 dark:text-indigo-300" title={formatCitation(citation.source, citation.style).text}>
+                📚 {CITATION_STYLES[citation.style].label} citation attached
+              </span>
+            )}
+            {lint && (
+              <span
+                className="ml-2 text-xs font-medium text-amber-700 dark:text-amber-300"
+                title={lint.map(describeFinding).join('\n') || undefined}
+              >
+                {lint.length
+                  ? `${lint.length} ${lint.length === 1 ? 'issue' : 'issues'} flagged offline`
+                  : '✓ No simple issues found offline'}
+              </span>
+            )}
           </div>
         </div>
       </div>
@@ -107,26 +174,49 @@ function Message({ role, content, timestamp }) {
             </span>
             <div className="flex-1">
               <div className="leading-relaxed break-words text-base prose dark:prose-invert max-w-none">
-                <ReactMarkdown
-                  components={{
-                    h1: ({node, ...props}) => <h1 className="text-xl font-bold mb-3 mt-4 text-gray-800 dark:text-gray-100" {...props} />,
-                    h2: ({node, ...props}) => <h2 className="text-lg font-bold mb-2 mt-3 text-gray-800 dark:text-gray-100" {...props} />,
-                    h3: ({node, ...props}) => <h3 className="text-base font-semibold mb-2 mt-2 text-gray-800 dark:text-gray-100" {...props} />,
-                    h4: ({node, ...props}) => <h4 className="text-sm font-semibold mb-1 mt-2 text-gray-800 dark:text-gray-100" {...props} />,
-                    p: ({node, ...props}) => <p className="mb-3 last:mb-0" {...props} />,
-                    strong: ({node, ...props}) => <strong className="font-bold" {...props} />,
-                    em: ({node, ...props}) => <em className="italic" {...props} />,
-                    ul: ({node, ...props}) => <ul className="list-disc ml-4 mb-3" {...props} />,
-                    ol: ({node, ...props}) => <ol className="list-decimal ml-4 mb-3" {...props} />,
-                    li: ({node, ...props}) => <li className="mb-1" {...props} />,
-                    code: ({node, inline, ...props}) => 
-                      inline 
-                        ? <code className="bg-gray-100 dark:bg-gray-600 px-1 py-0.5 rounded text-sm font-mono" {...props} />
-                        : <code className="block bg-gray-100 dark:bg-gray-600 p-3 rounded text-sm font-mono overflow-x-auto mb-3" {...props} />
-                  }}
-                >
-                  {cleanLatexSymbols(content)}
-                </ReactMarkdown>
+                {practice ? (
+                  <PracticeSet items={practice} responses={practiceResponses} onAnswer={onAnswerPractice} />
+                ) : reading ? (
+                  <ReadingQuestions
+                    title={reading.title}
+                    lineCount={reading.lines.length}
+                    questions={reading.questions}
+                    responses={readingResponses}
+                    onAnswer={onAnswerReading}
+                    onShowLines={(range) => onShowLines?.(range, reading.passageId)}
+                  />
+                ) : (
+                  <ReactMarkdown
+                    remarkPlugins={remarkPlugins}
+                    rehypePlugins={rehypePlugins}
+                    components={{
+                      h1: ({node, ...props}) => <h1 className="text-xl font-bold mb-3 mt-4 text-gray-800 dark:text-gray-100" {...props} />,
+                      h2: ({node, ...props}) => <h2 className="text-lg font-bold mb-2 mt-3 text-gray-800 dark:text-gray-100" {...props} />,
+                      h3: ({node, ...props}) => <h3 className="text-base font-semibold mb-2 mt-2 text-gray-800 dark:text-gray-100" {...props} />,
+                      h4: ({node, ...props}) => <h4 className="text-sm font-semibold mb-1 mt-2 text-gray-800 dark:text-gray-100" {...props} />,
+                      p: ({node, ...props}) => <p className="mb-3 last:mb-0" {...props} />,
+                      strong: ({node, ...props}) => <strong className="font-bold" {...props} />,
+                      em: ({node, ...props}) => <em className="italic" {...props} />,
+                      ul: ({node, ...props}) => <ul className="list-disc ml-4 mb-3" {...props} />,
+                      ol: ({node, ...props}) => <ol className="list-decimal ml-4 mb-3" {...props} />,
+                      li: ({node, ...props}) => <li className="mb-1" {...props} />,
+                      code: ({node, inline, ...props}) => 
+                        inline 
+                          ? <code className="bg-gray-100 dark:bg-gray-600 px-1 py-0.5 rounded text-sm font-mono" {...props} />
+                          : <code className="block bg-gray-100 dark:bg-gray-600 p-3 rounded text-sm font-mono overflow-x-auto mb-3" {...props} />,
+                      ...graphComponents
+                    }}
+                  >
+                    {markdown}
+                  </ReactMarkdown>
+                )}
+                {showGraph && <GraphPlot curves={detectedCurves} />}
+                {streaming && (
+                  <span
+                    className="inline-block w-2 h-4 ml-0.5 align-text-bottom bg-amber-400 animate-pulse"
+                    aria-label="Sveti is still typing"
+                  />
+                )}
               </div>
             </div>
           </div>
@@ -135,6 +225,67 @@ function Message({ role, content, timestamp }) {
           <span className="text-sm text-gray-500 dark:text-gray-400 font-medium">
             {formattedTime}
           </span>
+          {graphToggle}
+          {lineRefs.map(range => (
+            <button
+              key={`${range.start}-${range.end}`}
+              type="button"
+              onClick={() => onShowLines(range)}
+              className="ml-2 text-xs font-medium text-blue-700 dark:text-blue-300 hover:underline"
+              title="Highlight in the passage"
+            >
+              📖 {formatRange(range)}
+            </button>
+          ))}
+          {interrupted && (
+            <span className="ml-2 text-xs font-medium text-rose-600 dark:text-rose-400">
+              Stopped - partial answer
+            </span>
+          )}
+          {usage && (
+            <span
+              className="ml-2 text-xs text-gray-400 dark:text-gray-500"
+              title={`${usage.prompt_tokens} prompt + ${usage.completion_tokens} reply tokens${usage.estimated ? ' (counted locally)' : ''}`}
+            >
+              {usage.estimated ? '~' : ''}{usage.total_tokens.toLocaleString()} tokens · {formatCost(usage.cost)}
+            </span>
+          )}
+          {hint && (
+            <span
+              className="ml-2 text-xs font-medium text-amber-700 dark:text-amber-300"
+              title={`Hints so far on this problem: ${HINT_LEVELS.slice(0, hint.level + 1).map(step => step.label).join(' → ')}`}
+            >
+              💡 Hint {hint.level + 1}/{HINT_LEVELS.length} · {HINT_LEVELS[hint.level].label}
+            </span>
+          )}
+          {solverCheck?.status === 'agrees' && (
+            <span
+              className="ml-2 text-xs font-medium text-emerald-700 dark:text-emerald-300"
+              title={solverCheck.regenerated ? 'The first draft had a wrong answer and was rewritten before you saw it' : undefined}
+            >
+              ✓ Answer checked: {solverCheck.expected}
+            </span>
+          )}
+          {solverCheck?.status === 'disagrees' && (
+            <span className="ml-2 text-xs font-medium text-rose-600 dark:text-rose-400">
+              ⚠ This solution ends with {solverCheck.found}, but Sveti&apos;s solver gets {solverCheck.expected}
+            </span>
+          )}
+          {integrity && (
+            <span
+              className="ml-2 text-xs font-medium text-teal-700 dark:text-teal-300"
+              title={integrity.outcome === 'regenerated'
+                ? 'The first reply wrote part of your work for you, so Sveti rewrote it as coaching'
+                : 'Part of this reply wrote your work for you, so Sveti took it out'}
+            >
+              🛡 Kept your writing yours
+            </span>
+          )}
+          {budgetLimited && (
+            <span className="ml-2 text-xs font-medium text-amber-600 dark:text-amber-400">
+              Offline answer - daily budget reached
+            </span>
+          )}
         </div>
       </div>
     </div>
@@ -144,7 +295,69 @@ function Message({ role, content, timestamp }) {
 Message.propTypes = {
   role: PropTypes.oneOf(['user', 'assistant']).isRequired,
   content: PropTypes.string.isRequired,
-  timestamp: PropTypes.instanceOf(Date).isRequired
+  timestamp: PropTypes.instanceOf(Date).isRequired,
+  streaming: PropTypes.bool,
+  interrupted: PropTypes.bool,
+  usage: PropTypes.shape({
+    prompt_tokens: PropTypes.number.isRequired,
+    completion_tokens: PropTypes.number.isRequired,
+    total_tokens: PropTypes.number.isRequired,
+    cost: PropTypes.number.isRequired,
+    estimated: PropTypes.bool
+  }),
+  budgetLimited: PropTypes.bool,
+  practice: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    level: PropTypes.string.isRequired,
+    text: PropTypes.string.isRequired,
+    answer: PropTypes.string.isRequired,
+    unit: PropTypes.string
+  })),
+  practiceResponses: PropTypes.object,
+  onAnswerPractice: PropTypes.func,
+  solverCheck: PropTypes.shape({
+    status: PropTypes.oneOf(['agrees', 'disagrees', 'no-answer', 'unsupported']).isRequired,
+    expected: PropTypes.string,
+    found: PropTypes.string,
+    regenerated: PropTypes.number
+  }),
+  hint: PropTypes.shape({
+    problemId: PropTypes.string,
+    level: PropTypes.number.isRequired
+  }),
+  outline: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    kind: PropTypes.string.isRequired,
+    text: PropTypes.string.isRequired,
+    children: PropTypes.array.isRequired
+  })),
+  citation: PropTypes.shape({
+    source: PropTypes.shape({
+      type: PropTypes.oneOf(Object.keys(SOURCE_TYPES)).isRequired
+    }).isRequired,
+    style: PropTypes.oneOf(Object.keys(CITATION_STYLES)).isRequired
+  }),
+  reading: PropTypes.shape({
+    passageId: PropTypes.string.isRequired,
+    title: PropTypes.string.isRequired,
+    lines: PropTypes.array.isRequired,
+    questions: PropTypes.array.isRequired
+  }),
+  readingResponses: PropTypes.object,
+  onAnswerReading: PropTypes.func,
+  onShowLines: PropTypes.func,
+  lineCount: PropTypes.number,
+  integrity: PropTypes.shape({
+    outcome: PropTypes.oneOf(['regenerated', 'redacted']).isRequired
+  }),
+  lint: PropTypes.arrayOf(PropTypes.shape({
+    rule: PropTypes.string.isRequired,
+    start: PropTypes.number.isRequired,
+    end: PropTypes.number.isRequired,
+    text: PropTypes.string.isRequired,
+    suggestion: PropTypes.string,
+    message: PropTypes.string
+  }))
 }
 
 export default Message
\ No newline at end of file
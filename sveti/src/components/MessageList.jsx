@@ -6,7 +6,10 @@ import Message from './Message'
 /**
  * Scrollable message list container with empty state and typing indicator
  */
-function MessageList({ messages, isLoading, subject = 'algebra' }) {
+function MessageList({
+  messages, isLoading, retryStatus = null, subject = 'algebra', onAnswerPractice = () => {}, onAnswerReading = async () => {},
+  onShowLines = null, lineCount = 0
+}) {
   const scrollRef = useRef(null)
   const [isDark, setIsDark] = useState(false)
 
@@ -38,6 +41,9 @@ function MessageList({ messages, isLoading, subject = 'algebra' }) {
     return () => observer.disconnect()
   }, [])
 
+  // Once a streamed reply has text, the growing bubble replaces the typing indicator
+  const isStreamingVisible = messages.some(msg => msg.streaming && msg.content)
+
   // Empty state when no messages and not loading
   if (messages.length === 0 && !isLoading) {
     return (
@@ -86,17 +92,35 @@ function MessageList({ messages, isLoading, subject = 'algebra' }) {
       aria-label="Chat messages"
     >
       {/* Render all messages */}
-      {messages.map((message) => (
+      {messages.filter(message => !(message.streaming && !message.content)).map((message) => (
         <Message
           key={message.id}
           role={message.role}
           content={message.content}
           timestamp={message.timestamp}
+          streaming={!!message.streaming}
+          interrupted={!!message.interrupted}
+          usage={message.usage}
+          budgetLimited={!!message.budgetLimited}
+          practice={message.practice}
+          practiceResponses={message.practiceResponses}
+          onAnswerPractice={(itemId, input) => onAnswerPractice(message.id, itemId, input)}
+          solverCheck={message.solverCheck}
+          hint={message.hint}
+          lint={message.lint}
+          integrity={message.integrity}
+          outline={message.outline}
+          citation={message.citation}
+          reading={message.reading}
+          readingResponses={message.readingResponses}
+          onAnswerReading={(questionId, answer) => onAnswerReading(message.id, questionId, answer)}
+          onShowLines={onShowLines}
+          lineCount={lineCount}
         />
       ))}
       
       {/* Warm branded typing indicator when loading */}
-      {isLoading && (
+      {isLoading && !isStreamingVisible && (
         <div className="flex justify-start mb-6 animate-fadeIn">
           <div className="max-w-[75%] sm:max-w-[80%] mr-auto">
             <div className="bg-white/95 dark:bg-gray-700/95 backdrop-blur-sm border border-stone-200 dark:border-gray-600 px-6 py-4 rounded-3xl shadow-md">
@@ -113,7 +137,9 @@ function MessageList({ messages, isLoading, subject = 'algebra' }) {
                   </div>
                   {/* Branded text */}
                   <p className="text-xs text-gray-500 dark:text-gray-400 font-medium">
-                    Sveti is thinking...
+                    {retryStatus
+                      ? `Connection hiccup - retrying (${retryStatus.attempt}/${retryStatus.retries})...`
+                      : 'Sveti is thinking...'}
                   </p>
                 </div>
               </div>
@@ -131,11 +157,31 @@ MessageList.propTypes = {
       id: PropTypes.string.isRequired,
       role: PropTypes.oneOf(['user', 'assistant']).isRequired,
       content: PropTypes.string.isRequired,
-      timestamp: PropTypes.instanceOf(Date).isRequired
+      timestamp: PropTypes.instanceOf(Date).isRequired,
+      streaming: PropTypes.bool,
+      interrupted: PropTypes.bool,
+      practice: PropTypes.array,
+      practiceResponses: PropTypes.object,
+      solverCheck: PropTypes.object,
+      hint: PropTypes.object,
+      lint: PropTypes.array,
+      integrity: PropTypes.object,
+      outline: PropTypes.array,
+      citation: PropTypes.object,
+      reading: PropTypes.object,
+      readingResponses: PropTypes.object
     })
   ).isRequired,
   isLoading: PropTypes.bool.isRequired,
-  subject: PropTypes.string
+  retryStatus: PropTypes.shape({
+    attempt: PropTypes.number.isRequired,
+    retries: PropTypes.number.isRequired
+  }),
+  subject: PropTypes.string,
+  onAnswerPractice: PropTypes.func,
+  onAnswerReading: PropTypes.func,
+  onShowLines: PropTypes.func,
+  lineCount: PropTypes.number
 }
 
 export default MessageList
\ No newline at end of file
@@ -0,0 +1,138 @@
+import PropTypes from 'prop-types'
+import { OUTLINE_KINDS, addNode, createNode, moveNode, removeNode, updateNode } from '../writing/outline'
+
+const iconButton = 'px-1.5 py-0.5 rounded text-xs text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-600 disabled:opacity-30'
+
+/**
+ * One outline node with its controls and children
+ */
+function OutlineNode({ node, index, siblings, onChange, nodes }) {
+  const kind = OUTLINE_KINDS[node.kind] || OUTLINE_KINDS.point
+  const label = kind.label.toLowerCase()
+
+  return (
+    <li className="space-y-1">
+      <div className="flex items-start gap-2">
+        <span className={`mt-1 px-2 py-0.5 rounded-full text-xs font-medium whitespace-nowrap ${kind.style}`}>{kind.label}</span>
+        <label className="sr-only" htmlFor={`outline-${node.id}`}>{kind.label} text</label>
+        <textarea
+          id={`outline-${node.id}`}
+          rows={1}
+          value={node.text}
+          onChange={(e) => onChange(updateNode(nodes, node.id, { text: e.target.value }))}
+          placeholder={node.kind === 'thesis' ? 'Your claim in one sentence' : `Write the ${label}`}
+          className="flex-1 resize-y rounded-lg border border-gray-300 dark:border-gray-500 bg-white dark:bg-gray-600 px-2 py-1 text-sm text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <div className="flex shrink-0">
+          <button type="button" onClick={() => onChange(moveNode(nodes, node.id, -1))} disabled={index === 0} className={iconButton} aria-label={`Move ${label} up`}>↑</button>
+          <button type="button" onClick={() => onChange(moveNode(nodes, node.id, 1))} disabled={index === siblings - 1} className={iconButton} aria-label={`Move ${label} down`}>↓</button>
+          <button type="button" onClick={() => onChange(removeNode(nodes, node.id))} className={`${iconButton} text-rose-700 dark:text-rose-300`} aria-label={`Delete ${label}`}>✕</button>
+        </div>
+      </div>
+
+      {(node.children.length > 0 || kind.childKinds.length > 0) && (
+        <div className="ml-6 pl-3 border-l-2 border-gray-200 dark:border-gray-600 space-y-1">
+          {node.children.length > 0 && (
+            <ul className="space-y-1">
+              {node.children.map((child, childIndex) => (
+                <OutlineNode key={child.id} node={child} index={childIndex} siblings={node.children.length} onChange={onChange} nodes={nodes} />
+              ))}
+            </ul>
+          )}
+          {kind.childKinds.length > 0 && (
+            <div className="flex gap-2">
+              {kind.childKinds.map(childKind => (
+                <button
+                  key={childKind}
+                  type="button"
+                  onClick={() => onChange(addNode(nodes, node.id, createNode(childKind)))}
+                  className="text-xs text-blue-700 dark:text-blue-300 hover:underline"
+                >
+                  + {OUTLINE_KINDS[childKind].label}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </li>
+  )
+}
+
+OutlineNode.propTypes = {
+  node: PropTypes.object.isRequired,
+  index: PropTypes.number.isRequired,
+  siblings: PropTypes.number.isRequired,
+  onChange: PropTypes.func.isRequired,
+  nodes: PropTypes.array.isRequired
+}
+
+/**
+ * Editable outline tree for an assignment
+ * Nodes can be edited, reordered among their siblings, added and deleted; the
+ * whole outline can be sent to the tutor as context for Improve.
+ */
+function OutlineEditor({ nodes, onChange, onSendToImprove, canSend = true }) {
+  const hasThesis = nodes.some(node => node.kind === 'thesis')
+
+  if (!nodes.length) {
+    return (
+      <div className="space-y-3 text-sm text-gray-600 dark:text-gray-300">
+        <p>
+          No outline yet. Use the <span className="font-medium">Outline</span> button in the chat to build one with Sveti,
+          or start your own here.
+        </p>
+        <button
+          type="button"
+          onClick={() => onChange([createNode('thesis'), createNode('point')])}
+          className="px-3 py-1 rounded-lg font-medium bg-blue-600 text-white hover:bg-blue-700"
+        >
+          Start an outline
+        </button>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-3">
+      <ul className="space-y-3">
+        {nodes.map((node, index) => (
+          <OutlineNode key={node.id} node={node} index={index} siblings={nodes.length} onChange={onChange} nodes={nodes} />
+        ))}
+      </ul>
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        <button type="button" onClick={() => onChange(addNode(nodes, null, createNode('point')))} className="text-blue-700 dark:text-blue-300 hover:underline">
+          + Main point
+        </button>
+        {!hasThesis && (
+          <button type="button" onClick={() => onChange([createNode('thesis'), ...nodes])} className="text-blue-700 dark:text-blue-300 hover:underline">
+            + Thesis
+          </button>
+        )}
+        <button
+          type="button"
+          onClick={() => onSendToImprove(nodes)}
+          disabled={!canSend}
+          className="ml-auto px-3 py-1 rounded-lg font-medium bg-teal-600 text-white hover:bg-teal-700 disabled:opacity-50"
+          title="Ask Sveti in the chat how to improve this outline and your draft"
+        >
+          Send to Improve
+        </button>
+      </div>
+    </div>
+  )
+}
+
+OutlineEditor.propTypes = {
+  nodes: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    kind: PropTypes.oneOf(Object.keys(OUTLINE_KINDS)).isRequired,
+    text: PropTypes.string.isRequired,
+    children: PropTypes.array.isRequired
+  })).isRequired,
+  onChange: PropTypes.func.isRequired,
+  onSendToImprove: PropTypes.func.isRequired,
+  canSend: PropTypes.bool
+}
+
+export default OutlineEditor
@@ -0,0 +1,60 @@
+import PropTypes from 'prop-types'
+import { useEffect, useRef } from 'react'
+
+/**
+ * Reading passage with numbered lines
+ * Highlighted lines (from a question or a line reference in the chat) are shaded
+ * and scrolled into view.
+ */
+function PassageViewer({ lines, highlight = null }) {
+  const listRef = useRef(null)
+
+  useEffect(() => {
+    if (!highlight) return
+    listRef.current
+      ?.querySelector(`[data-line="${highlight.start}"]`)
+      ?.scrollIntoView({ block: 'center', behavior: 'smooth' })
+  }, [highlight])
+
+  return (
+    <ol ref={listRef} className="font-serif text-[15px] leading-7 text-gray-900 dark:text-gray-100" aria-label="Passage with numbered lines">
+      {lines.map(line => {
+        const marked = highlight && line.number >= highlight.start && line.number <= highlight.end
+        return (
+          <li
+            key={line.number}
+            data-line={line.number}
+            className={`flex gap-3 rounded ${line.paragraphStart && line.number > 1 ? 'mt-3' : ''} ${
+              marked ? 'bg-amber-100 dark:bg-amber-900/50' : ''
+            }`}
+            aria-current={marked ? 'true' : undefined}
+          >
+            <span
+              className={`w-8 shrink-0 text-right font-sans text-xs leading-7 select-none ${
+                marked || line.number % 5 === 0 ? 'text-gray-700 dark:text-gray-200 font-medium' : 'text-gray-400 dark:text-gray-500'
+              }`}
+              aria-hidden="true"
+            >
+              {line.number}
+            </span>
+            <span className={line.paragraphStart ? 'indent-6' : ''}>{line.text}</span>
+          </li>
+        )
+      })}
+    </ol>
+  )
+}
+
+PassageViewer.propTypes = {
+  lines: PropTypes.arrayOf(PropTypes.shape({
+    number: PropTypes.number.isRequired,
+    text: PropTypes.string.isRequired,
+    paragraphStart: PropTypes.bool
+  })).isRequired,
+  highlight: PropTypes.shape({
+    start: PropTypes.number.isRequired,
+    end: PropTypes.number.isRequired
+  })
+}
+
+export default PassageViewer
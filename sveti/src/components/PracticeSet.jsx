@@ -0,0 +1,145 @@
+import PropTypes from 'prop-types'
+import { useState } from 'react'
+import { getLevelLabel } from '../math/problems'
+import { parseAnswer, scorePractice } from '../math/grading'
+
+const LEVEL_STYLES = {
+  easy: 'bg-emerald-100 text-emerald-800 dark:bg-emerald-900/50 dark:text-emerald-200',
+  same: 'bg-sky-100 text-sky-800 dark:bg-sky-900/50 dark:text-sky-200',
+  harder: 'bg-violet-100 text-violet-800 dark:bg-violet-900/50 dark:text-violet-200'
+}
+
+/**
+ * One practice problem with its answer box
+ */
+function PracticeItem({ item, index, response = null, onAnswer }) {
+  const [draft, setDraft] = useState('')
+  const [hint, setHint] = useState(null)
+  const solved = !!response?.correct
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (!draft.trim()) return
+    // Don't spend an attempt on something that isn't a number
+    if (!parseAnswer(draft)) {
+      setHint('Enter a single number, like 12, -3.5, 3/4 or 25%.')
+      return
+    }
+    setHint(null)
+    onAnswer(item.id, draft.trim())
+    setDraft('')
+  }
+
+  return (
+    <li className="rounded-2xl border border-stone-200 dark:border-gray-600 p-4">
+      <div className="flex items-center gap-2 mb-2">
+        <span className="text-sm font-semibold">{index + 1}.</span>
+        <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${LEVEL_STYLES[item.level] || LEVEL_STYLES.same}`}>
+          {getLevelLabel(item.level)}
+        </span>
+        {item.standards?.length > 0 && (
+          <span className="ml-auto text-xs font-mono text-gray-500 dark:text-gray-400" title="Common Core standards">
+            {item.standards.join(' · ')}
+          </span>
+        )}
+      </div>
+      <p className="mb-3">{item.text}</p>
+
+      {solved ? (
+        <p className="text-sm font-medium text-emerald-700 dark:text-emerald-300">
+          ✓ {response.input} is correct{response.attempts > 1 ? ` (${response.attempts} tries)` : ''}
+        </p>
+      ) : (
+        <form onSubmit={handleSubmit} className="flex items-center gap-2">
+          <label htmlFor={`answer-${item.id}`} className="sr-only">
+            Answer to problem {index + 1}
+          </label>
+          {item.unit === '$' && <span className="text-sm text-gray-500 dark:text-gray-400">$</span>}
+          <input
+            id={`answer-${item.id}`}
+            type="text"
+            inputMode="decimal"
+            autoComplete="off"
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            placeholder="Your answer"
+            className="w-40 rounded-lg bg-stone-100 dark:bg-gray-600 border border-stone-300 dark:border-gray-500 px-3 py-1.5 text-sm font-mono focus:outline-none focus:border-teal-500 focus:ring-2 focus:ring-teal-500/20"
+          />
+          {item.unit && item.unit !== '$' && <span className="text-sm text-gray-500 dark:text-gray-400">{item.unit}</span>}
+          <button
+            type="submit"
+            disabled={!draft.trim()}
+            className="px-3 py-1.5 rounded-lg bg-teal-600 text-white text-sm font-medium hover:bg-teal-700 disabled:opacity-50"
+          >
+            Check
+          </button>
+        </form>
+      )}
+
+      {!solved && response && (
+        <p className="mt-2 text-sm text-rose-700 dark:text-rose-300" aria-live="polite">
+          ✗ {response.input} isn&apos;t right yet - try again, or ask Sveti for a hint.
+        </p>
+      )}
+      {hint && <p className="mt-2 text-sm text-amber-700 dark:text-amber-300">{hint}</p>}
+    </li>
+  )
+}
+
+PracticeItem.propTypes = {
+  item: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    level: PropTypes.string.isRequired,
+    text: PropTypes.string.isRequired,
+    unit: PropTypes.string,
+    standards: PropTypes.arrayOf(PropTypes.string)
+  }).isRequired,
+  index: PropTypes.number.isRequired,
+  response: PropTypes.shape({
+    input: PropTypes.string.isRequired,
+    correct: PropTypes.bool.isRequired,
+    attempts: PropTypes.number.isRequired
+  }),
+  onAnswer: PropTypes.func.isRequired
+}
+
+/**
+ * Structured practice problems inside an assistant message
+ * Each answer is graded on the spot; a score summary appears once all are answered
+ */
+function PracticeSet({ items, responses = {}, onAnswer }) {
+  const score = scorePractice(items, responses)
+
+  return (
+    <div className="not-prose">
+      <p className="mb-3">Here are {items.length} practice problems, from a warm-up to a challenge. Type your answer under each one.</p>
+      <ol className="space-y-3">
+        {items.map((item, index) => (
+          <PracticeItem key={item.id} item={item} index={index} response={responses[item.id]} onAnswer={onAnswer} />
+        ))}
+      </ol>
+
+      {score.complete && (
+        <div className="mt-4 rounded-2xl bg-amber-50 dark:bg-amber-900/30 border border-amber-200 dark:border-amber-800 p-4" role="status">
+          <p className="font-semibold text-amber-900 dark:text-amber-100">
+            Score: {score.correct}/{score.total} correct
+            {score.correct > 0 && ` · ${score.firstTry} on the first try`}
+          </p>
+          <p className="text-sm text-amber-800 dark:text-amber-200 mt-1">
+            {score.correct === score.total
+              ? 'All done - great work! Ask for another set when you are ready for more.'
+              : 'Keep going on the ones marked ✗, or ask Sveti to walk through one with you.'}
+          </p>
+        </div>
+      )}
+    </div>
+  )
+}
+
+PracticeSet.propTypes = {
+  items: PropTypes.arrayOf(PracticeItem.propTypes.item).isRequired,
+  responses: PropTypes.objectOf(PracticeItem.propTypes.response),
+  onAnswer: PropTypes.func.isRequired
+}
+
+export default PracticeSet
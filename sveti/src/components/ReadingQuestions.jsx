@@ -0,0 +1,194 @@
+import PropTypes from 'prop-types'
+import { useState } from 'react'
+import { QUESTION_TYPES, VERDICTS, formatRange, parseLineRange } from '../writing/reading'
+
+const rangeShape = PropTypes.shape({
+  start: PropTypes.number.isRequired,
+  end: PropTypes.number.isRequired
+})
+
+// What the lines a student cited say about where they looked
+function citationNote(citation, anchor) {
+  if (citation === 'match') return { text: '✓ You cited the right part of the passage.', style: 'text-emerald-700 dark:text-emerald-300' }
+  if (citation === 'near') return { text: `Your lines are close - the key evidence is in ${formatRange(anchor)}.`, style: 'text-amber-700 dark:text-amber-300' }
+  return { text: `Those lines are about something else - look again at ${formatRange(anchor)}.`, style: 'text-rose-700 dark:text-rose-300' }
+}
+
+/**
+ * One reading question with its answer and evidence boxes
+ */
+function ReadingQuestion({ question, index, lineCount, response = null, onAnswer, onShowLines }) {
+  const [answer, setAnswer] = useState('')
+  const [lines, setLines] = useState('')
+  const [hint, setHint] = useState(null)
+  const [checking, setChecking] = useState(false)
+  const type = QUESTION_TYPES[question.type]
+  const solved = response?.check?.verdict === 'correct'
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!answer.trim() || checking) return
+    const cited = parseLineRange(lines, lineCount)
+    if (!cited) {
+      setHint(`Cite the lines that support your answer, like 4-6 (the passage has ${lineCount} lines).`)
+      return
+    }
+    setHint(null)
+    setChecking(true)
+    try {
+      await onAnswer(question.id, { answer: answer.trim(), cited })
+    } finally {
+      setChecking(false)
+    }
+  }
+
+  const note = response && citationNote(response.citation, question.lines)
+  const verdict = response?.check && VERDICTS[response.check.verdict]
+
+  return (
+    <li className="rounded-2xl border border-stone-200 dark:border-gray-600 p-4">
+      <div className="flex flex-wrap items-center gap-2 mb-2">
+        <span className="text-sm font-semibold">{index + 1}.</span>
+        <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${type.style}`}>{type.label}</span>
+        <button
+          type="button"
+          onClick={() => onShowLines(question.lines)}
+          className="ml-auto text-xs font-medium text-blue-700 dark:text-blue-300 hover:underline"
+          title="Highlight these lines in the passage"
+        >
+          📖 {formatRange(question.lines)}
+        </button>
+      </div>
+      <p className="mb-3">{question.question}</p>
+
+      {response && (
+        <div className="mb-3 space-y-1 text-sm" aria-live="polite">
+          <p className="text-gray-700 dark:text-gray-200">
+            <span className="font-medium">Your answer: </span>{response.answer}{' '}
+            <button type="button" onClick={() => onShowLines(response.cited)} className="text-blue-700 dark:text-blue-300 hover:underline">
+              ({formatRange(response.cited)})
+            </button>
+          </p>
+          <p className={note.style}>{note.text}</p>
+          {verdict && (
+            <p className={verdict.style}>
+              <span className="font-medium">{verdict.label}.</span>
+              {!response.check.evidence && ' Your cited lines don\'t back this up yet.'}
+              {response.check.feedback && ` ${response.check.feedback}`}
+            </p>
+          )}
+          {response.error && <p className="text-gray-500 dark:text-gray-400">{response.error}</p>}
+        </div>
+      )}
+
+      {!solved && (
+        <form onSubmit={handleSubmit} className="space-y-2">
+          <label htmlFor={`reading-answer-${question.id}`} className="sr-only">
+            Answer to question {index + 1}
+          </label>
+          <textarea
+            id={`reading-answer-${question.id}`}
+            rows={2}
+            value={answer}
+            onChange={(e) => setAnswer(e.target.value)}
+            placeholder={response ? 'Try again in your own words' : 'Your answer, in your own words'}
+            className="w-full resize-y rounded-lg bg-stone-100 dark:bg-gray-600 border border-stone-300 dark:border-gray-500 px-3 py-1.5 text-sm focus:outline-none focus:border-teal-500 focus:ring-2 focus:ring-teal-500/20"
+          />
+          <div className="flex items-center gap-2">
+            <label htmlFor={`reading-lines-${question.id}`} className="text-sm text-gray-600 dark:text-gray-300">
+              Evidence: lines
+            </label>
+            <input
+              id={`reading-lines-${question.id}`}
+              type="text"
+              autoComplete="off"
+              value={lines}
+              onChange={(e) => setLines(e.target.value)}
+              placeholder="4-6"
+              className="w-20 rounded-lg bg-stone-100 dark:bg-gray-600 border border-stone-300 dark:border-gray-500 px-2 py-1.5 text-sm font-mono focus:outline-none focus:border-teal-500 focus:ring-2 focus:ring-teal-500/20"
+            />
+            <button
+              type="submit"
+              disabled={!answer.trim() || checking}
+              className="ml-auto px-3 py-1.5 rounded-lg bg-teal-600 text-white text-sm font-medium hover:bg-teal-700 disabled:opacity-50"
+            >
+              {checking ? 'Checking…' : 'Check'}
+            </button>
+          </div>
+        </form>
+      )}
+      {hint && <p className="mt-2 text-sm text-amber-700 dark:text-amber-300">{hint}</p>}
+    </li>
+  )
+}
+
+ReadingQuestion.propTypes = {
+  question: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    type: PropTypes.oneOf(Object.keys(QUESTION_TYPES)).isRequired,
+    question: PropTypes.string.isRequired,
+    lines: rangeShape.isRequired
+  }).isRequired,
+  index: PropTypes.number.isRequired,
+  lineCount: PropTypes.number.isRequired,
+  response: PropTypes.shape({
+    answer: PropTypes.string.isRequired,
+    cited: rangeShape.isRequired,
+    citation: PropTypes.oneOf(['match', 'near', 'far']).isRequired,
+    check: PropTypes.shape({
+      verdict: PropTypes.oneOf(Object.keys(VERDICTS)).isRequired,
+      evidence: PropTypes.bool.isRequired,
+      feedback: PropTypes.string
+    }),
+    error: PropTypes.string
+  }),
+  onAnswer: PropTypes.func.isRequired,
+  onShowLines: PropTypes.func.isRequired
+}
+
+/**
+ * Reading questions on a passage inside an assistant message
+ * Each answer cites lines; the citation is checked on the spot and the answer
+ * itself by the tutor, against what those lines say
+ */
+function ReadingQuestions({ title, lineCount, questions, responses = {}, onAnswer, onShowLines }) {
+  const answered = questions.filter(question => responses[question.id]?.check?.verdict === 'correct').length
+
+  return (
+    <div className="not-prose">
+      <p className="mb-3">
+        Here are {questions.length} questions on <span className="font-medium">{title}</span>. Answer in your own words and
+        cite the lines that support your answer - click a line reference to see it in the passage.
+      </p>
+      <ol className="space-y-3">
+        {questions.map((question, index) => (
+          <ReadingQuestion
+            key={question.id}
+            question={question}
+            index={index}
+            lineCount={lineCount}
+            response={responses[question.id]}
+            onAnswer={onAnswer}
+            onShowLines={onShowLines}
+          />
+        ))}
+      </ol>
+      {answered > 0 && (
+        <p className="mt-3 text-sm font-medium text-gray-600 dark:text-gray-300">
+          {answered} of {questions.length} answered with support from the text
+        </p>
+      )}
+    </div>
+  )
+}
+
+ReadingQuestions.propTypes = {
+  title: PropTypes.string.isRequired,
+  lineCount: PropTypes.number.isRequired,
+  questions: PropTypes.arrayOf(PropTypes.object).isRequired,
+  responses: PropTypes.object,
+  onAnswer: PropTypes.func.isRequired,
+  onShowLines: PropTypes.func.isRequired
+}
+
+export default ReadingQuestions
@@ -0,0 +1,154 @@
+import PropTypes from 'prop-types'
+import { useState } from 'react'
+import { formatRange } from '../writing/reading'
+import PassageViewer from './PassageViewer'
+
+/**
+ * Reading workspace next to the chat
+ * A student or teacher pastes a passage; Sveti numbers its lines and asks questions
+ * about it in the chat. Line references there highlight lines here.
+ */
+function ReadingWorkspace({ reading, highlight = null, onClearHighlight, onAskQuestions, canAsk = true }) {
+  const { passages, active } = reading
+  const [adding, setAdding] = useState(!active)
+  const [title, setTitle] = useState('')
+  const [text, setText] = useState('')
+
+  const handleAdd = (e) => {
+    e.preventDefault()
+    if (!reading.addPassage(text, title)) return
+    setTitle('')
+    setText('')
+    setAdding(false)
+    onClearHighlight()
+  }
+
+  const addForm = (
+    <form onSubmit={handleAdd} className="flex flex-col gap-2 h-full">
+      <label htmlFor="passage-title" className="sr-only">Passage title</label>
+      <input
+        id="passage-title"
+        type="text"
+        value={title}
+        onChange={(e) => setTitle(e.target.value)}
+        placeholder="Title, e.g. The Gift of the Magi (optional)"
+        className="px-2 py-1 text-sm rounded-lg border border-gray-300 dark:border-gray-500 bg-white dark:bg-gray-600 text-gray-900 dark:text-white"
+      />
+      <label htmlFor="passage-text" className="sr-only">Passage</label>
+      <textarea
+        id="passage-text"
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        placeholder="Paste the passage here. Leave a blank line between paragraphs; line breaks in poems are kept."
+        className="flex-1 min-h-[240px] resize-none rounded-xl border border-gray-300 dark:border-gray-500 bg-white dark:bg-gray-600 p-3 text-sm leading-relaxed text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+      />
+      <div className="flex gap-2">
+        <button type="submit" disabled={!text.trim()} className="px-3 py-1 text-sm font-medium rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50">
+          Number the lines
+        </button>
+        {active && (
+          <button type="button" onClick={() => setAdding(false)} className="px-3 py-1 text-sm font-medium rounded-lg text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-600">
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  )
+
+  if (!active || adding) {
+    return (
+      <div className="h-full flex flex-col p-4 gap-3">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-800 dark:text-gray-100">Reading passage</h2>
+          <p className="text-sm text-gray-600 dark:text-gray-300">
+            Paste a story, article or poem. Sveti numbers its lines, asks comprehension, vocabulary and inference
+            questions about them, and checks your answers against the lines you cite.
+          </p>
+        </div>
+        {addForm}
+      </div>
+    )
+  }
+
+  return (
+    <div className="h-full flex flex-col">
+      {/* Passage bar */}
+      <div className="flex flex-wrap items-center gap-3 px-4 py-3 border-b border-gray-200 dark:border-gray-600">
+        <label htmlFor="passage" className="sr-only">Passage</label>
+        <select
+          id="passage"
+          value={active.id}
+          onChange={(e) => { reading.selectPassage(e.target.value); onClearHighlight() }}
+          className="max-w-[16rem] px-2 py-1 text-sm border border-gray-300 dark:border-gray-500 rounded-lg bg-white dark:bg-gray-600 text-gray-900 dark:text-white"
+        >
+          {passages.map(passage => (
+            <option key={passage.id} value={passage.id}>{passage.title}</option>
+          ))}
+        </select>
+        <button
+          type="button"
+          onClick={() => window.confirm(`Delete "${active.title}"? Questions about it stay in the chat.`) && reading.deletePassage(active.id)}
+          className="px-2 py-1 text-xs font-medium rounded-lg text-rose-700 dark:text-rose-300 hover:bg-rose-50 dark:hover:bg-gray-600"
+        >
+          Delete
+        </button>
+        <button
+          type="button"
+          onClick={() => setAdding(true)}
+          className="ml-auto px-3 py-1 text-sm font-medium rounded-lg bg-blue-600 text-white hover:bg-blue-700"
+        >
+          New passage
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto px-4 py-3 scrollbar-thin">
+        <h3 className="mb-3 ml-11 font-semibold text-gray-800 dark:text-gray-100">{active.title}</h3>
+        <PassageViewer lines={active.lines} highlight={highlight} />
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3 px-4 py-2 border-t border-gray-200 dark:border-gray-600 text-xs text-gray-600 dark:text-gray-300">
+        <span>{active.lines.length} lines</span>
+        {highlight && (
+          <span className="flex items-center gap-1">
+            Showing {formatRange(highlight)}
+            <button type="button" onClick={onClearHighlight} className="text-blue-700 dark:text-blue-300 hover:underline">
+              Clear
+            </button>
+          </span>
+        )}
+        <button
+          type="button"
+          onClick={() => onAskQuestions(active)}
+          disabled={!canAsk}
+          className="ml-auto px-3 py-1 text-sm font-medium rounded-lg bg-teal-600 text-white hover:bg-teal-700 disabled:opacity-50"
+          title="Sveti asks questions about this passage in the chat"
+        >
+          Ask me questions
+        </button>
+      </div>
+    </div>
+  )
+}
+
+ReadingWorkspace.propTypes = {
+  reading: PropTypes.shape({
+    passages: PropTypes.arrayOf(PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      title: PropTypes.string.isRequired,
+      lines: PropTypes.array.isRequired
+    })).isRequired,
+    active: PropTypes.object,
+    addPassage: PropTypes.func.isRequired,
+    selectPassage: PropTypes.func.isRequired,
+    deletePassage: PropTypes.func.isRequired
+  }).isRequired,
+  highlight: PropTypes.shape({
+    start: PropTypes.number.isRequired,
+    end: PropTypes.number.isRequired
+  }),
+  onClearHighlight: PropTypes.func.isRequired,
+  onAskQuestions: PropTypes.func.isRequired,
+  canAsk: PropTypes.bool
+}
+
+export default ReadingWorkspace
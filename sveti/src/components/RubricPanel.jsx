@@ -0,0 +1,394 @@
+import PropTypes from 'prop-types'
+import { useState } from 'react'
+import { rubricToJson } from '../writing/rubrics'
+
+const inputClass = 'px-2 py-1 text-sm rounded-lg border border-gray-300 dark:border-gray-500 bg-white dark:bg-gray-600 text-gray-900 dark:text-white'
+
+// Starting point for a new rubric
+function blankRubric() {
+  return {
+    name: '',
+    description: '',
+    levels: [
+      { score: 1, label: 'Beginning' },
+      { score: 2, label: 'Developing' },
+      { score: 3, label: 'Proficient' },
+      { score: 4, label: 'Exemplary' }
+    ],
+    criteria: [{ name: '', weight: 1, descriptors: ['', '', '', ''] }]
+  }
+}
+
+/**
+ * Form for authoring a rubric: levels across, criteria down, a description in every cell
+ */
+function RubricEditor({ initial, onSave, onCancel }) {
+  const [rubric, setRubric] = useState(initial)
+  const [errors, setErrors] = useState([])
+
+  const setCriterion = (index, change) => setRubric(prev => ({
+    ...prev,
+    criteria: prev.criteria.map((criterion, i) => i === index ? { ...criterion, ...change } : criterion)
+  }))
+
+  // Levels are scored 1..n in order, so adding or removing one renumbers them
+  const addLevel = () => setRubric(prev => ({
+    ...prev,
+    levels: [...prev.levels, { score: prev.levels.length + 1, label: '' }],
+    criteria: prev.criteria.map(criterion => ({ ...criterion, descriptors: [...criterion.descriptors, ''] }))
+  }))
+  const removeLevel = () => setRubric(prev => ({
+    ...prev,
+    levels: prev.levels.slice(0, -1),
+    criteria: prev.criteria.map(criterion => ({ ...criterion, descriptors: criterion.descriptors.slice(0, -1) }))
+  }))
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    const result = onSave(rubric)
+    setErrors(result.errors)
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="grid gap-2 sm:grid-cols-2">
+        <label className="text-sm text-gray-700 dark:text-gray-300">
+          Name
+          <input type="text" value={rubric.name} onChange={(e) => setRubric({ ...rubric, name: e.target.value })} className={`${inputClass} block w-full mt-1`} />
+        </label>
+        <label className="text-sm text-gray-700 dark:text-gray-300">
+          Description
+          <input type="text" value={rubric.description} onChange={(e) => setRubric({ ...rubric, description: e.target.value })} className={`${inputClass} block w-full mt-1`} />
+        </label>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr>
+              <th className="p-1 text-left font-medium text-gray-600 dark:text-gray-300">Criterion</th>
+              <th className="p-1 text-left font-medium text-gray-600 dark:text-gray-300 w-16">Weight</th>
+              {rubric.levels.map((level, index) => (
+                <th key={level.score} className="p-1 text-left font-medium text-gray-600 dark:text-gray-300">
+                  <span className="text-xs">{level.score}</span>
+                  <input
+                    type="text"
+                    aria-label={`Label for level ${level.score}`}
+                    value={level.label}
+                    onChange={(e) => setRubric({
+                      ...rubric,
+                      levels: rubric.levels.map((l, i) => i === index ? { ...l, label: e.target.value } : l)
+                    })}
+                    className={`${inputClass} block w-full`}
+                  />
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rubric.criteria.map((criterion, index) => (
+              <tr key={index} className="align-top">
+                <td className="p-1">
+                  <input
+                    type="text"
+                    aria-label={`Criterion ${index + 1} name`}
+                    value={criterion.name}
+                    onChange={(e) => setCriterion(index, { name: e.target.value })}
+                    className={`${inputClass} w-full`}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setRubric({ ...rubric, criteria: rubric.criteria.filter((c, i) => i !== index) })}
+                    disabled={rubric.criteria.length === 1}
+                    className="mt-1 text-xs text-rose-700 dark:text-rose-300 hover:underline disabled:opacity-50"
+                  >
+                    Remove
+                  </button>
+                </td>
+                <td className="p-1">
+                  <input
+                    type="number"
+                    min="0.5"
+                    step="0.5"
+                    aria-label={`Criterion ${index + 1} weight`}
+                    value={criterion.weight}
+                    onChange={(e) => setCriterion(index, { weight: Number(e.target.value) })}
+                    className={`${inputClass} w-16`}
+                  />
+                </td>
+                {criterion.descriptors.map((descriptor, level) => (
+                  <td key={level} className="p-1">
+                    <textarea
+                      rows={3}
+                      aria-label={`Criterion ${index + 1}, level ${rubric.levels[level].score}`}
+                      value={descriptor}
+                      onChange={(e) => setCriterion(index, {
+                        descriptors: criterion.descriptors.map((d, i) => i === level ? e.target.value : d)
+                      })}
+                      className={`${inputClass} w-full min-w-[8rem]`}
+                    />
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex flex-wrap gap-2 text-sm">
+        <button
+          type="button"
+          onClick={() => setRubric({ ...rubric, criteria: [...rubric.criteria, { name: '', weight: 1, descriptors: rubric.levels.map(() => '') }] })}
+          className="px-2 py-1 rounded-lg text-blue-700 dark:text-blue-300 hover:bg-blue-50 dark:hover:bg-gray-600"
+        >
+          + Criterion
+        </button>
+        <button type="button" onClick={addLevel} className="px-2 py-1 rounded-lg text-blue-700 dark:text-blue-300 hover:bg-blue-50 dark:hover:bg-gray-600">
+          + Level
+        </button>
+        <button
+          type="button"
+          onClick={removeLevel}
+          disabled={rubric.levels.length <= 2}
+          className="px-2 py-1 rounded-lg text-blue-700 dark:text-blue-300 hover:bg-blue-50 dark:hover:bg-gray-600 disabled:opacity-50"
+        >
+          − Level
+        </button>
+        <span className="ml-auto flex gap-2">
+          <button type="button" onClick={onCancel} className="px-3 py-1 rounded-lg text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-600">
+            Cancel
+          </button>
+          <button type="submit" className="px-3 py-1 rounded-lg font-medium bg-blue-600 text-white hover:bg-blue-700">
+            Save rubric
+          </button>
+        </span>
+      </div>
+      {errors.length > 0 && (
+        <ul className="text-sm text-rose-700 dark:text-rose-300 list-disc ml-5" role="alert">
+          {errors.map(error => <li key={error}>{error}</li>)}
+        </ul>
+      )}
+    </form>
+  )
+}
+
+RubricEditor.propTypes = {
+  initial: PropTypes.object.isRequired,
+  onSave: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired
+}
+
+/**
+ * Rubric library for teachers
+ * Built-in rubrics can be viewed, exported and copied; teacher rubrics can also be
+ * edited and deleted. New rubrics are written in the editor or imported as JSON.
+ */
+function RubricPanel({ rubrics, getRubric, addRubric, updateRubric, deleteRubric }) {
+  const [selectedId, setSelectedId] = useState(rubrics[0].id)
+  const [editing, setEditing] = useState(null) // null | 'new' | rubric id
+  const [importText, setImportText] = useState('')
+  const [importErrors, setImportErrors] = useState([])
+
+  const selected = getRubric(selectedId) || rubrics[0]
+
+  const handleSave = (draft) => {
+    const result = editing === 'new' ? addRubric(draft) : updateRubric(editing, draft)
+    if (result.rubric) {
+      setSelectedId(result.rubric.id)
+      setEditing(null)
+    }
+    return result
+  }
+
+  const handleImport = (text) => {
+    const result = addRubric(text)
+    setImportErrors(result.errors)
+    if (result.rubric) {
+      setSelectedId(result.rubric.id)
+      setImportText('')
+    }
+  }
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (file) handleImport(await file.text())
+  }
+
+  const handleExport = () => {
+    const url = URL.createObjectURL(new Blob([rubricToJson(selected)], { type: 'application/json' }))
+    const link = document.createElement('a')
+    link.href = url
+    link.download = `${selected.name.replace(/[^\w-]+/g, '-').toLowerCase()}.json`
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+
+  return (
+    <div className="h-full overflow-y-auto p-6 scrollbar-thin">
+      <div className="max-w-5xl mx-auto space-y-6">
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <h2 className="text-xl font-bold text-gray-800 dark:text-gray-100">Rubrics</h2>
+          <button
+            type="button"
+            onClick={() => setEditing('new')}
+            className="px-3 py-1.5 text-sm font-medium rounded-lg bg-blue-600 text-white hover:bg-blue-700"
+          >
+            New rubric
+          </button>
+        </div>
+
+        {editing ? (
+          <RubricEditor
+            key={editing}
+            initial={editing === 'new' ? blankRubric() : structuredClone(getRubric(editing))}
+            onSave={handleSave}
+            onCancel={() => setEditing(null)}
+          />
+        ) : (
+          <div className="grid gap-6 md:grid-cols-[16rem_1fr]">
+            <nav className="space-y-4" aria-label="Rubrics">
+              <ul className="space-y-1">
+                {rubrics.map(rubric => (
+                  <li key={rubric.id}>
+                    <button
+                      onClick={() => setSelectedId(rubric.id)}
+                      aria-current={rubric.id === selected.id ? 'true' : undefined}
+                      className={`w-full text-left px-3 py-2 rounded-lg text-sm transition-colors ${
+                        rubric.id === selected.id
+                          ? 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200'
+                          : 'text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-600'
+                      }`}
+                    >
+                      <span className="font-medium">{rubric.name}</span>
+                      {rubric.builtIn && <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">built-in</span>}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+
+              <section className="space-y-2">
+                <h3 className="text-xs font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400">Import JSON</h3>
+                <label htmlFor="rubric-import" className="sr-only">Rubric JSON</label>
+                <textarea
+                  id="rubric-import"
+                  rows={5}
+                  value={importText}
+                  onChange={(e) => setImportText(e.target.value)}
+                  placeholder={'{"name": "...", "levels": [{"score": 1, "label": "..."}], "criteria": [{"name": "...", "descriptors": ["..."]}]}'}
+                  className={`${inputClass} w-full font-mono text-xs`}
+                />
+                <div className="flex items-center gap-2 text-sm">
+                  <button
+                    type="button"
+                    onClick={() => handleImport(importText)}
+                    disabled={!importText.trim()}
+                    className="px-2 py-1 rounded-lg font-medium bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    Import
+                  </button>
+                  <label className="px-2 py-1 rounded-lg text-blue-700 dark:text-blue-300 hover:bg-blue-50 dark:hover:bg-gray-600 cursor-pointer">
+                    From file…
+                    <input type="file" accept="application/json,.json" onChange={handleFile} className="sr-only" />
+                  </label>
+                </div>
+                {importErrors.length > 0 && (
+                  <ul className="text-xs text-rose-700 dark:text-rose-300 list-disc ml-4" role="alert">
+                    {importErrors.map(error => <li key={error}>{error}</li>)}
+                  </ul>
+                )}
+              </section>
+            </nav>
+
+            <article className="space-y-4">
+              <div className="flex flex-wrap items-start gap-2">
+                <div className="mr-auto">
+                  <h3 className="text-lg font-semibold text-gray-800 dark:text-gray-100">{selected.name}</h3>
+                  {selected.description && <p className="text-sm text-gray-600 dark:text-gray-300">{selected.description}</p>}
+                </div>
+                <button type="button" onClick={handleExport} className="px-2 py-1 text-sm rounded-lg text-blue-700 dark:text-blue-300 hover:bg-blue-50 dark:hover:bg-gray-600">
+                  Export JSON
+                </button>
+                {selected.builtIn ? (
+                  <button
+                    type="button"
+                    onClick={() => {
+                      const result = addRubric({ ...selected, id: undefined, name: `${selected.name} (copy)` })
+                      if (result.rubric) setSelectedId(result.rubric.id)
+                    }}
+                    className="px-2 py-1 text-sm rounded-lg text-blue-700 dark:text-blue-300 hover:bg-blue-50 dark:hover:bg-gray-600"
+                  >
+                    Copy to edit
+                  </button>
+                ) : (
+                  <>
+                    <button
+                      type="button"
+                      onClick={() => setEditing(selected.id)}
+                      className="px-2 py-1 text-sm rounded-lg text-blue-700 dark:text-blue-300 hover:bg-blue-50 dark:hover:bg-gray-600"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => {
+                        if (!window.confirm(`Delete the "${selected.name}" rubric?`)) return
+                        deleteRubric(selected.id)
+                        setSelectedId(rubrics[0].id)
+                      }}
+                      className="px-2 py-1 text-sm rounded-lg text-rose-700 dark:text-rose-300 hover:bg-rose-50 dark:hover:bg-gray-600"
+                    >
+                      Delete
+                    </button>
+                  </>
+                )}
+              </div>
+
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm border border-gray-200 dark:border-gray-600">
+                  <thead className="bg-gray-50 dark:bg-gray-700">
+                    <tr>
+                      <th className="p-2 text-left font-medium text-gray-700 dark:text-gray-200">Criterion</th>
+                      {selected.levels.map(level => (
+                        <th key={level.score} className="p-2 text-left font-medium text-gray-700 dark:text-gray-200">
+                          {level.score} · {level.label}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {selected.criteria.map(criterion => (
+                      <tr key={criterion.id} className="align-top border-t border-gray-200 dark:border-gray-600">
+                        <th scope="row" className="p-2 text-left font-medium text-gray-800 dark:text-gray-100">
+                          {criterion.name}
+                          {criterion.weight !== 1 && <span className="ml-1 text-xs text-gray-500 dark:text-gray-400">×{criterion.weight}</span>}
+                        </th>
+                        {criterion.descriptors.map((descriptor, index) => (
+                          <td key={index} className="p-2 text-gray-700 dark:text-gray-300">{descriptor}</td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </article>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+RubricPanel.propTypes = {
+  rubrics: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+    builtIn: PropTypes.bool
+  })).isRequired,
+  getRubric: PropTypes.func.isRequired,
+  addRubric: PropTypes.func.isRequired,
+  updateRubric: PropTypes.func.isRequired,
+  deleteRubric: PropTypes.func.isRequired
+}
+
+export default RubricPanel
@@ -0,0 +1,108 @@
+import PropTypes from 'prop-types'
+
+// Pill colors from the lowest to the highest level, by how far up the scale a level is
+const LEVEL_STYLES = [
+  'bg-rose-100 text-rose-800 dark:bg-rose-900/50 dark:text-rose-200',
+  'bg-amber-100 text-amber-800 dark:bg-amber-900/50 dark:text-amber-200',
+  'bg-sky-100 text-sky-800 dark:bg-sky-900/50 dark:text-sky-200',
+  'bg-emerald-100 text-emerald-800 dark:bg-emerald-900/50 dark:text-emerald-200'
+]
+
+function levelStyle(level, maxLevel) {
+  const share = maxLevel > 1 ? (level - 1) / (maxLevel - 1) : 1
+  return LEVEL_STYLES[Math.min(LEVEL_STYLES.length - 1, Math.floor(share * LEVEL_STYLES.length))]
+}
+
+/**
+ * Rubric evaluation of a draft as a score card: one row per criterion with its level,
+ * the rubric's description of that level and the quotes it rests on
+ */
+function RubricScoreCard({ score, rubric = null, stale = false, onSelectEvidence }) {
+  const percent = score.max ? Math.round((score.total / score.max) * 100) : 0
+
+  return (
+    <section className="rounded-xl border border-gray-200 dark:border-gray-600 bg-white dark:bg-gray-700 text-sm" aria-label={`${score.rubricName} score card`}>
+      <header className="flex flex-wrap items-baseline gap-2 px-3 py-2 border-b border-gray-200 dark:border-gray-600">
+        <h4 className="font-semibold text-gray-800 dark:text-gray-100 mr-auto">{score.rubricName}</h4>
+        <span className="text-lg font-bold text-gray-800 dark:text-gray-100">
+          {score.total}/{score.max}
+        </span>
+        <span className="text-xs text-gray-500 dark:text-gray-400">{percent}%</span>
+      </header>
+      {stale && (
+        <p className="px-3 pt-2 text-xs text-amber-700 dark:text-amber-300">
+          The draft has changed since this evaluation - evaluate again to score the new version.
+        </p>
+      )}
+
+      <ul className="divide-y divide-gray-100 dark:divide-gray-600">
+        {score.criteria.map(criterion => {
+          const descriptor = rubric?.criteria.find(c => c.id === criterion.id)
+            ?.descriptors[rubric.levels.findIndex(level => level.score === criterion.level)]
+          return (
+            <li key={criterion.id} className="px-3 py-2">
+              <div className="flex items-center gap-2">
+                <span className="font-medium text-gray-800 dark:text-gray-100 mr-auto">
+                  {criterion.name}
+                  {criterion.weight !== 1 && <span className="ml-1 text-xs text-gray-500 dark:text-gray-400">×{criterion.weight}</span>}
+                </span>
+                {criterion.level === null ? (
+                  <span className="text-xs text-gray-500 dark:text-gray-400">not scored</span>
+                ) : (
+                  <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${levelStyle(criterion.level, criterion.maxLevel)}`}>
+                    {criterion.level}/{criterion.maxLevel} · {criterion.label}
+                  </span>
+                )}
+              </div>
+              {descriptor && <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">{descriptor}</p>}
+              {criterion.rationale && <p className="mt-1 text-gray-700 dark:text-gray-200">{criterion.rationale}</p>}
+              {criterion.evidence.length > 0 && (
+                <ul className="mt-1 space-y-1">
+                  {criterion.evidence.map((item, index) => (
+                    <li key={index}>
+                      <button
+                        type="button"
+                        onClick={() => onSelectEvidence(item.sentence)}
+                        disabled={!item.sentence}
+                        className="text-left text-xs italic text-teal-800 dark:text-teal-200 border-l-2 border-teal-400 pl-2 hover:underline disabled:no-underline"
+                        title={item.sentence ? 'Show this in the draft' : undefined}
+                      >
+                        &ldquo;{item.quote}&rdquo;
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </li>
+          )
+        })}
+      </ul>
+    </section>
+  )
+}
+
+RubricScoreCard.propTypes = {
+  score: PropTypes.shape({
+    rubricName: PropTypes.string.isRequired,
+    criteria: PropTypes.arrayOf(PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      weight: PropTypes.number.isRequired,
+      level: PropTypes.number,
+      label: PropTypes.string,
+      maxLevel: PropTypes.number.isRequired,
+      evidence: PropTypes.arrayOf(PropTypes.shape({
+        quote: PropTypes.string.isRequired,
+        sentence: PropTypes.string
+      })).isRequired,
+      rationale: PropTypes.string
+    })).isRequired,
+    total: PropTypes.number.isRequired,
+    max: PropTypes.number.isRequired
+  }).isRequired,
+  rubric: PropTypes.object,
+  stale: PropTypes.bool,
+  onSelectEvidence: PropTypes.func.isRequired
+}
+
+export default RubricScoreCard
@@ -0,0 +1,103 @@
+import PropTypes from 'prop-types'
+import { useState } from 'react'
+
+/**
+ * Collapsible panel showing the running session summary above the chat
+ * The student can edit it; edits are what the tutor sees from then on
+ */
+function SessionSummary({ summary, updatedAt = null, isSummarizing, onSave }) {
+  const [isOpen, setIsOpen] = useState(false)
+  const [isEditing, setIsEditing] = useState(false)
+  const [draft, setDraft] = useState('')
+
+  // Nothing to show until the first summary is being written
+  if (!summary && !isSummarizing) return null
+
+  const startEditing = () => {
+    setDraft(summary)
+    setIsEditing(true)
+    setIsOpen(true)
+  }
+
+  const handleSave = () => {
+    onSave(draft.trim())
+    setIsEditing(false)
+  }
+
+  return (
+    <div className="border-b border-gray-200 dark:border-gray-600 bg-amber-50/70 dark:bg-gray-700/70 px-6 py-2">
+      <div className="flex items-center justify-between gap-3">
+        <button
+          onClick={() => setIsOpen(!isOpen)}
+          className="text-sm font-semibold text-amber-800 dark:text-amber-300 hover:underline"
+          aria-expanded={isOpen}
+        >
+          {isOpen ? '▾' : '▸'} Session summary
+        </button>
+        <div className="flex items-center gap-3 text-xs text-gray-500 dark:text-gray-400">
+          {isSummarizing ? (
+            <span>Summarizing earlier messages...</span>
+          ) : updatedAt && (
+            <span>
+              Updated {new Date(updatedAt).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true })}
+            </span>
+          )}
+          {summary && !isEditing && (
+            <button
+              onClick={startEditing}
+              className="font-medium text-gray-700 dark:text-gray-300 hover:text-gray-900 dark:hover:text-white"
+            >
+              Edit
+            </button>
+          )}
+        </div>
+      </div>
+
+      {isOpen && (
+        <div className="mt-2 mb-1">
+          {isEditing ? (
+            <>
+              <label htmlFor="session-summary" className="sr-only">
+                Edit session summary
+              </label>
+              <textarea
+                id="session-summary"
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                rows={6}
+                className="w-full rounded-lg border border-amber-300 dark:border-gray-500 bg-white dark:bg-gray-600 text-sm text-gray-800 dark:text-gray-100 p-3 focus:outline-none focus:ring-2 focus:ring-amber-400"
+              />
+              <div className="flex justify-end gap-2 mt-2">
+                <button
+                  onClick={() => setIsEditing(false)}
+                  className="px-3 py-1 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-600 rounded-lg"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleSave}
+                  className="px-3 py-1 text-sm font-medium bg-amber-500 hover:bg-amber-600 text-white rounded-lg"
+                >
+                  Save
+                </button>
+              </div>
+            </>
+          ) : (
+            <p className="text-sm text-gray-700 dark:text-gray-200 whitespace-pre-wrap max-h-48 overflow-y-auto scrollbar-thin">
+              {summary || 'Sveti is writing the first summary of this session...'}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+SessionSummary.propTypes = {
+  summary: PropTypes.string.isRequired,
+  updatedAt: PropTypes.string,
+  isSummarizing: PropTypes.bool.isRequired,
+  onSave: PropTypes.func.isRequired
+}
+
+export default SessionSummary
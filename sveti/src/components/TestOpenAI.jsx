@@ -1,8 +1,15 @@
-import { useState } from 'react'
+import { useState, useEffect } from 'react'
+import { checkChatServer } from '../utils/openai'
 
 function TestOpenAI() {
   const [testResult, setTestResult] = useState('')
   const [isLoading, setIsLoading] = useState(false)
+  const [serverStatus, setServerStatus] = useState(null)
+
+  // Ask the chat proxy whether it is up and has a key configured
+  useEffect(() => {
+    checkChatServer().then(setServerStatus)
+  }, [])
 
   const runTest = async (testType) => {
     setIsLoading(true)
@@ -125,9 +132,13 @@ function TestOpenAI() {
         {/* API Status */}
         <div className="mb-6 p-4 bg-white dark:bg-slate-800 border border-gray-200 dark:border-slate-700 rounded-lg">
           <div className="flex items-center gap-2">
-            <div className={`w-3 h-3 rounded-full ${import.meta.env.VITE_OPENAI_API_KEY ? 'bg-green-500' : 'bg-red-500'}`}></div>
+            <div className={`w-3 h-3 rounded-full ${serverStatus?.configured ? 'bg-green-500' : serverStatus ? 'bg-red-500' : 'bg-gray-400'}`}></div>
             <span className="font-medium text-gray-900 dark:text-white">
-              API Key: {import.meta.env.VITE_OPENAI_API_KEY ? 'Configured ✅' : 'Missing ❌'}
+              Chat Server: {!serverStatus
+                ? 'Checking...'
+                : !serverStatus.ok
+                  ? 'Unreachable ❌ (run `npm run server`)'
+                  : serverStatus.configured ? 'API Key Configured ✅' : 'API Key Missing ❌'}
             </span>
           </div>
         </div>
@@ -0,0 +1,224 @@
+import PropTypes from 'prop-types'
+import { useState } from 'react'
+import { formatCost } from '../config/pricing'
+import { dayKey } from '../utils/usage'
+
+const SUBJECT_LABELS = {
+  algebra: 'Algebra',
+  english: 'English'
+}
+
+const totalsShape = PropTypes.shape({
+  requests: PropTypes.number.isRequired,
+  prompt_tokens: PropTypes.number.isRequired,
+  completion_tokens: PropTypes.number.isRequired,
+  total_tokens: PropTypes.number.isRequired,
+  cost: PropTypes.number.isRequired
+})
+
+/**
+ * Sum a day's per-subject totals
+ */
+function sumDay(day = {}) {
+  return Object.values(day).reduce(
+    (sum, totals) => ({
+      requests: sum.requests + totals.requests,
+      total_tokens: sum.total_tokens + totals.total_tokens,
+      cost: sum.cost + totals.cost
+    }),
+    { requests: 0, total_tokens: 0, cost: 0 }
+  )
+}
+
+/**
+ * Parse a cap input; empty or non-positive means "no cap"
+ */
+function parseCap(value) {
+  const number = Number(value)
+  return value !== '' && number > 0 ? number : null
+}
+
+/**
+ * Usage panel for Sveti
+ * Shows token use and estimated cost per subject and per day, and lets the
+ * teacher or parent set daily caps
+ */
+function UsagePanel({ ledger, today, caps, setCaps, capStatus, resetUsage }) {
+  const [tokenCap, setTokenCap] = useState(caps.dailyTokens ?? '')
+  const [costCap, setCostCap] = useState(caps.dailyCost ?? '')
+  const [saved, setSaved] = useState(false)
+
+  const todayBySubject = Object.entries(ledger[dayKey()] || {})
+
+  // Last 7 calendar days, newest first, including days with no use
+  const lastWeek = Array.from({ length: 7 }, (_, i) => {
+    const date = new Date()
+    date.setDate(date.getDate() - i)
+    const key = dayKey(date)
+    return { key, ...sumDay(ledger[key]) }
+  })
+
+  const handleSaveCaps = (e) => {
+    e.preventDefault()
+    setCaps({ dailyTokens: parseCap(tokenCap), dailyCost: parseCap(costCap) })
+    setSaved(true)
+  }
+
+  const handleReset = () => {
+    if (window.confirm('Reset all usage history? Daily caps are kept.')) {
+      resetUsage()
+    }
+  }
+
+  const statusLabel = {
+    ok: 'Within budget',
+    near: 'Close to the daily cap - replies are shorter',
+    reached: 'Daily cap reached - offline answers only'
+  }[capStatus]
+
+  return (
+    <div className="h-full overflow-y-auto p-6 scrollbar-thin">
+      <div className="max-w-3xl mx-auto space-y-6">
+        <h2 className="text-xl font-bold text-gray-800 dark:text-gray-100">Usage &amp; Cost</h2>
+
+        {/* Today */}
+        <section className="bg-white dark:bg-gray-700 rounded-xl border border-gray-200 dark:border-gray-600 p-4">
+          <div className="flex items-center justify-between mb-3">
+            <h3 className="font-semibold text-gray-800 dark:text-gray-100">Today</h3>
+            <span className={`text-xs font-medium px-2 py-1 rounded-full ${
+              capStatus === 'reached'
+                ? 'bg-rose-100 text-rose-800 dark:bg-rose-900 dark:text-rose-200'
+                : capStatus === 'near'
+                  ? 'bg-amber-100 text-amber-800 dark:bg-amber-900 dark:text-amber-200'
+                  : 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200'
+            }`}>
+              {statusLabel}
+            </span>
+          </div>
+          <div className="grid grid-cols-3 gap-4 text-center">
+            <div>
+              <div className="text-2xl font-bold text-gray-800 dark:text-gray-100">{today.requests}</div>
+              <div className="text-xs text-gray-500 dark:text-gray-400">replies</div>
+            </div>
+            <div>
+              <div className="text-2xl font-bold text-gray-800 dark:text-gray-100">{today.total_tokens.toLocaleString()}</div>
+              <div className="text-xs text-gray-500 dark:text-gray-400">
+                tokens{caps.dailyTokens ? ` of ${caps.dailyTokens.toLocaleString()}` : ''}
+              </div>
+            </div>
+            <div>
+              <div className="text-2xl font-bold text-gray-800 dark:text-gray-100">{formatCost(today.cost)}</div>
+              <div className="text-xs text-gray-500 dark:text-gray-400">
+                estimated{caps.dailyCost ? ` of ${formatCost(caps.dailyCost)}` : ''}
+              </div>
+            </div>
+          </div>
+
+          {todayBySubject.length > 0 && (
+            <table className="w-full mt-4 text-sm text-gray-700 dark:text-gray-200">
+              <thead>
+                <tr className="text-left text-xs text-gray-500 dark:text-gray-400 border-b border-gray-200 dark:border-gray-600">
+                  <th className="py-1 font-medium">Subject</th>
+                  <th className="py-1 font-medium text-right">Replies</th>
+                  <th className="py-1 font-medium text-right">Prompt</th>
+                  <th className="py-1 font-medium text-right">Reply</th>
+                  <th className="py-1 font-medium text-right">Cost</th>
+                </tr>
+              </thead>
+              <tbody>
+                {todayBySubject.map(([subject, totals]) => (
+                  <tr key={subject} className="border-b border-gray-100 dark:border-gray-600 last:border-0">
+                    <td className="py-1">{SUBJECT_LABELS[subject] || subject}</td>
+                    <td className="py-1 text-right">{totals.requests}</td>
+                    <td className="py-1 text-right">{totals.prompt_tokens.toLocaleString()}</td>
+                    <td className="py-1 text-right">{totals.completion_tokens.toLocaleString()}</td>
+                    <td className="py-1 text-right">{formatCost(totals.cost)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </section>
+
+        {/* Last 7 days */}
+        <section className="bg-white dark:bg-gray-700 rounded-xl border border-gray-200 dark:border-gray-600 p-4">
+          <h3 className="font-semibold text-gray-800 dark:text-gray-100 mb-3">Last 7 days</h3>
+          <table className="w-full text-sm text-gray-700 dark:text-gray-200">
+            <tbody>
+              {lastWeek.map(day => (
+                <tr key={day.key} className="border-b border-gray-100 dark:border-gray-600 last:border-0">
+                  <td className="py-1">{day.key}</td>
+                  <td className="py-1 text-right">{day.requests} replies</td>
+                  <td className="py-1 text-right">{day.total_tokens.toLocaleString()} tokens</td>
+                  <td className="py-1 text-right">{formatCost(day.cost)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </section>
+
+        {/* Caps */}
+        <section className="bg-white dark:bg-gray-700 rounded-xl border border-gray-200 dark:border-gray-600 p-4">
+          <h3 className="font-semibold text-gray-800 dark:text-gray-100 mb-1">Daily caps</h3>
+          <p className="text-xs text-gray-500 dark:text-gray-400 mb-3">
+            Leave a field empty for no cap. At 80% replies get shorter; at 100% Sveti answers offline until tomorrow.
+          </p>
+          <form onSubmit={handleSaveCaps} className="flex flex-wrap items-end gap-4">
+            <label className="text-sm text-gray-700 dark:text-gray-300">
+              Tokens per day
+              <input
+                type="number"
+                min="0"
+                step="1000"
+                value={tokenCap}
+                onChange={(e) => { setTokenCap(e.target.value); setSaved(false) }}
+                className="block mt-1 w-36 px-2 py-1 rounded-lg border border-gray-300 dark:border-gray-500 bg-white dark:bg-gray-600 text-gray-900 dark:text-white"
+              />
+            </label>
+            <label className="text-sm text-gray-700 dark:text-gray-300">
+              Cost per day (USD)
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={costCap}
+                onChange={(e) => { setCostCap(e.target.value); setSaved(false) }}
+                className="block mt-1 w-36 px-2 py-1 rounded-lg border border-gray-300 dark:border-gray-500 bg-white dark:bg-gray-600 text-gray-900 dark:text-white"
+              />
+            </label>
+            <button
+              type="submit"
+              className="px-4 py-1.5 text-sm font-medium bg-blue-600 hover:bg-blue-700 text-white rounded-lg"
+            >
+              Save caps
+            </button>
+            {saved && <span className="text-sm text-green-700 dark:text-green-300">Saved</span>}
+          </form>
+        </section>
+
+        <div className="flex justify-end">
+          <button
+            onClick={handleReset}
+            className="px-3 py-1.5 text-sm text-rose-700 dark:text-rose-300 hover:bg-rose-50 dark:hover:bg-gray-700 rounded-lg"
+          >
+            Reset usage history
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+UsagePanel.propTypes = {
+  ledger: PropTypes.objectOf(PropTypes.objectOf(totalsShape)).isRequired,
+  today: totalsShape.isRequired,
+  caps: PropTypes.shape({
+    dailyTokens: PropTypes.number,
+    dailyCost: PropTypes.number
+  }).isRequired,
+  setCaps: PropTypes.func.isRequired,
+  capStatus: PropTypes.oneOf(['ok', 'near', 'reached']).isRequired,
+  resetUsage: PropTypes.func.isRequired
+}
+
+export default UsagePanel
@@ -0,0 +1,287 @@
+import { GAME_TEMPLATES } from './gameTemplates'
+
+/**
+ * Algebra curriculum for Sveti, aligned to the Common Core State Standards
+ *
+ * Units group topics; each topic lists its standard codes, prerequisite topics,
+ * learning objectives, sample problems and a game-framed template. Topic ids
+ * match the topic classifier (src/math/topics.js), and `generator` names the
+ * local practice generator (src/math/problems.js) when there is one.
+ */
+
+export const CURRICULUM = [
+  {
+    id: 'ratios-proportions',
+    name: 'Ratios and Proportional Relationships',
+    grades: '6-7',
+    topics: [
+      {
+        id: 'ratio',
+        name: 'Ratios and proportions',
+        standards: ['6.RP.A.1', '6.RP.A.3', '7.RP.A.2'],
+        prerequisites: [],
+        objectives: [
+          'Describe a ratio relationship between two quantities',
+          'Find unit rates and equivalent ratios',
+          'Solve proportions by scaling or cross-multiplying'
+        ],
+        samples: [
+          'The ratio of boys to girls is 3:4. If there are 12 boys, how many girls are there?',
+          'A recipe uses 2 cups of flour for 3 eggs. How much flour goes with 9 eggs?',
+          'Solve 3/4 = x/12.'
+        ],
+        hint: 'Set up equivalent ratios with matching units in the same positions, then cross-multiply or scale.',
+        generator: 'ratios',
+        gameTemplate: GAME_TEMPLATES.ratios
+      },
+      {
+        id: 'percent',
+        name: 'Percent',
+        standards: ['6.RP.A.3c', '7.RP.A.3'],
+        prerequisites: ['ratio'],
+        objectives: [
+          'Find a percent of a quantity and the whole from a part',
+          'Compute percent increase and decrease',
+          'Solve problems with discounts, tax, tips and simple interest'
+        ],
+        samples: [
+          'A jacket went from $80 to $60. What is the percent decrease?',
+          'What is 15% of 240?',
+          'After a 25% discount a game costs $45. What was the original price?'
+        ],
+        hint: 'Turn percents into decimals or fractions, and be clear about which amount is the whole (the original value for percent change).',
+        generator: 'percentChange',
+        gameTemplate: GAME_TEMPLATES.percentChange
+      }
+    ]
+  },
+  {
+    id: 'expressions-equations',
+    name: 'Expressions, Equations and Inequalities',
+    grades: '7-9',
+    topics: [
+      {
+        id: 'linearEquations',
+        name: 'Linear equations',
+        standards: ['7.EE.B.4a', '8.EE.C.7', 'HSA-REI.B.3'],
+        prerequisites: [],
+        objectives: [
+          'Solve one- and two-step equations',
+          'Solve equations with variables on both sides and the distributive property',
+          'Recognize equations with one, no or infinitely many solutions'
+        ],
+        samples: [
+          'Solve 3x + 7 = 22.',
+          'Solve 2(x - 3) = 4x + 10.',
+          'Solve 5x - 4 = 2x + 11.'
+        ],
+        hint: 'Solve by undoing operations in reverse order, doing the same thing to both sides, and check the answer by substitution.',
+        generator: 'twoStepEq',
+        gameTemplate: GAME_TEMPLATES.twoStepEq
+      },
+      {
+        id: 'inequalities',
+        name: 'Inequalities',
+        standards: ['7.EE.B.4b', 'HSA-REI.B.3'],
+        prerequisites: ['linearEquations'],
+        objectives: [
+          'Solve linear inequalities, flipping the sign when multiplying or dividing by a negative',
+          'Graph solution sets on a number line',
+          'Interpret inequality solutions in context'
+        ],
+        samples: [
+          'Solve 2x - 5 > 9 and graph the solution.',
+          'Solve -3x + 4 ≤ 19.',
+          'You have $50 and each ticket costs $8. How many tickets can you buy?'
+        ],
+        hint: 'Solve like an equation, but flip the inequality sign when multiplying or dividing by a negative; describe the solution set and how to show it on a number line.',
+        generator: null,
+        gameTemplate: (game) =>
+          `Use a ${game} budget or requirement example: the player needs at least (or at most) a certain amount. Ask the student to write and solve the inequality, then explain what the solutions mean in the game.`
+      },
+      {
+        id: 'systems',
+        name: 'Systems of equations',
+        standards: ['8.EE.C.8', 'HSA-REI.C.6'],
+        prerequisites: ['linearEquations', 'functions'],
+        objectives: [
+          'Solve systems of two linear equations by substitution and elimination',
+          'Interpret the solution as the intersection of two lines',
+          'Recognize systems with no solution or infinitely many'
+        ],
+        samples: [
+          'Solve x + y = 10 and x - y = 2.',
+          'Solve y = 2x + 1 and y = -x + 7.',
+          'Adult tickets cost $8 and child tickets $5. 20 tickets sold for $130. How many of each?'
+        ],
+        hint: 'Compare substitution and elimination, and connect the solution to the point where the two lines cross.',
+        generator: null,
+        gameTemplate: (game) =>
+          `Use a ${game} trading example with two item types and two facts about them (total count and total cost). Ask the student to write a system and solve it two ways.`
+      },
+      {
+        id: 'exponents',
+        name: 'Exponents',
+        standards: ['8.EE.A.1', '8.EE.A.3', 'HSN-RN.A.2'],
+        prerequisites: [],
+        objectives: [
+          'Apply the product, quotient and power rules',
+          'Work with zero and negative exponents',
+          'Use scientific notation'
+        ],
+        samples: [
+          'Simplify x^3 · x^5.',
+          'Simplify 2^-3.',
+          'Write 45,000,000 in scientific notation.'
+        ],
+        hint: 'Name the exponent rule behind each step (product, quotient, power of a power, zero and negative exponents).',
+        generator: null,
+        gameTemplate: (game) =>
+          `Use a ${game} doubling example: a resource or population that doubles every round. Ask the student to write the amount as a power and compare rounds with exponent rules.`
+      }
+    ]
+  },
+  {
+    id: 'functions',
+    name: 'Functions',
+    grades: '8-9',
+    topics: [
+      {
+        id: 'functions',
+        name: 'Functions and graphs',
+        standards: ['8.F.A.1', '8.F.B.4', 'HSF-IF.A.1', 'HSF-LE.A.2'],
+        prerequisites: ['linearEquations'],
+        objectives: [
+          'Understand a function as one output for each input',
+          'Find slope and intercept from an equation, table, graph or two points',
+          'Write a linear function for a situation and interpret it'
+        ],
+        samples: [
+          'What is the slope of y = 2x + 3?',
+          'A line passes through (1, 4) and (3, 10). Write its equation.',
+          'For f(x) = 3x - 2, find f(5).'
+        ],
+        hint: 'Connect the equation, a table of values and the graph; interpret slope and intercept in the context of the problem.',
+        generator: 'linearEq',
+        gameTemplate: GAME_TEMPLATES.linearEq
+      }
+    ]
+  },
+  {
+    id: 'polynomials-quadratics',
+    name: 'Polynomials and Quadratics',
+    grades: '9-10',
+    topics: [
+      {
+        id: 'polynomials',
+        name: 'Polynomials',
+        standards: ['HSA-APR.A.1', 'HSA-SSE.A.1'],
+        prerequisites: ['exponents'],
+        objectives: [
+          'Add, subtract and multiply polynomials',
+          'Combine like terms and write polynomials in standard form',
+          'Interpret the parts of a polynomial expression'
+        ],
+        samples: [
+          'Expand (x + 2)(x - 3).',
+          'Simplify 3a^2 + 2a - a^2.',
+          'Subtract (2x^2 - 5) from (x^2 + 3x + 1).'
+        ],
+        hint: 'Keep track of like terms and the distributive property; write answers in standard form.',
+        generator: null,
+        gameTemplate: (game) =>
+          `Use a ${game} area example: a rectangular base or field whose sides are expressions like (x + 2) and (x + 5). Ask the student to expand the area and name each term.`
+      },
+      {
+        id: 'factoring',
+        name: 'Factoring',
+        standards: ['HSA-SSE.A.2', 'HSA-SSE.B.3a'],
+        prerequisites: ['polynomials'],
+        objectives: [
+          'Factor out a greatest common factor',
+          'Factor trinomials and differences of squares',
+          'Use factored form to find zeros'
+        ],
+        samples: [
+          'Factor x^2 + 5x + 6.',
+          'Factor 6x^2 - 9x.',
+          'Factor x^2 - 49.'
+        ],
+        hint: 'Always look for a greatest common factor first, then recognize patterns; check by multiplying the factors back out.',
+        generator: null,
+        gameTemplate: (game) =>
+          `Use a ${game} building example: a rectangle with area x^2 + 7x + 12 built from tiles. Ask the student to find side lengths by factoring.`
+      },
+      {
+        id: 'quadratics',
+        name: 'Quadratics',
+        standards: ['HSA-REI.B.4', 'HSF-IF.C.8a', 'HSA-CED.A.1'],
+        prerequisites: ['factoring', 'functions'],
+        objectives: [
+          'Solve quadratic equations by factoring, completing the square and the quadratic formula',
+          'Use the discriminant to count solutions',
+          'Find the vertex and zeros of a parabola'
+        ],
+        samples: [
+          'Solve x^2 - 5x + 6 = 0.',
+          'Solve 2x^2 + 3x - 2 = 0 with the quadratic formula.',
+          'Find the vertex of y = x^2 - 4x + 1.'
+        ],
+        hint: 'Choose between factoring, completing the square and the quadratic formula, and expect up to two solutions.',
+        generator: null,
+        gameTemplate: (game) =>
+          `Use a ${game} jump or launch example: height follows a parabola h = -t^2 + bt + c. Ask the student when the object lands and when it is highest.`
+      }
+    ]
+  }
+]
+
+const TOPIC_INDEX = Object.fromEntries(
+  CURRICULUM.flatMap(unit => unit.topics.map(topic => [topic.id, { ...topic, unitId: unit.id, unitName: unit.name }]))
+)
+
+/**
+ * Look up a curriculum topic
+ * @param {string} topicId - Topic id, e.g. 'quadratics'
+ * @returns {Object|null} Topic with `unitId` and `unitName`, or null
+ */
+export function getCurriculumTopic(topicId) {
+  return TOPIC_INDEX[topicId] || null
+}
+
+/**
+ * All curriculum topics in teaching order
+ * @returns {Array<Object>}
+ */
+export function getAllTopics() {
+  return Object.values(TOPIC_INDEX)
+}
+
+/**
+ * Topics that list a standard code, e.g. '7.RP.A.3'
+ * @param {string} code - Standard code (case-insensitive)
+ * @returns {Array<Object>}
+ */
+export function findTopicsByStandard(code) {
+  const wanted = code.trim().toUpperCase()
+  return getAllTopics().filter(topic => topic.standards.some(standard => standard.toUpperCase() === wanted))
+}
+
+/**
+ * Every prerequisite of a topic, nearest first, without repeats
+ * @param {string} topicId - Topic id
+ * @returns {Array<Object>}
+ */
+export function getPrerequisiteChain(topicId) {
+  const chain = []
+  const queue = [...(getCurriculumTopic(topicId)?.prerequisites || [])]
+  while (queue.length) {
+    const id = queue.shift()
+    if (chain.some(topic => topic.id === id)) continue
+    const topic = getCurriculumTopic(id)
+    if (!topic) continue
+    chain.push(topic)
+    queue.push(...topic.prerequisites)
+  }
+  return chain
+}
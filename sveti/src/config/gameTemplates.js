@@ -5,6 +5,8 @@ export const GAME_TEMPLATES = {
     `Use a ${game} context with resources or items in two groups (A:B). Ask the student to simplify the ratio and solve a proportional question.`,
   linearEq: (game) =>
     `Use a ${game} progression example: total points follow y = m*x + b. Ask the student to identify m and b, then evaluate for a given x.`,
+  twoStepEq: (game) =>
+    `Use a ${game} puzzle example: a locked chest or door opens with the number x that solves ax + b = c. Ask the student to undo each operation in order and check the answer by substitution.`,
 };
 
 export function pickGameForContext(gamePrefs = []) {
@@ -0,0 +1,75 @@
+/**
+ * Hint ladder for algebra problems
+ *
+ * Each "Give me a hint" request moves one rung up, from a nudge to the full
+ * solution. The rung a reply was written at is stored on it as
+ * `hint: {problemId, level}`, so the ladder restarts for each new problem and
+ * teachers can see how much help a problem needed.
+ */
+
+export const HINT_LEVELS = [
+  {
+    id: 'nudge',
+    label: 'Nudge',
+    instruction: 'Give a nudge only: one short question or observation that points the student at what matters in the problem. Do not name a method and do not do any math for them.'
+  },
+  {
+    id: 'strategy',
+    label: 'Strategy',
+    instruction: 'Name the strategy to use and why it fits this problem, in two or three sentences. Do not carry out any step.'
+  },
+  {
+    id: 'firstStep',
+    label: 'First step',
+    instruction: 'Tell the student exactly what the first step is (e.g. "subtract 7 from both sides"), but let them carry it out. Do not show the result of the step.'
+  },
+  {
+    id: 'workedStep',
+    label: 'Worked step',
+    instruction: 'Work the first step (or the step the student is stuck on) in full, showing the result, then ask the student to do the next step. Do not go further.'
+  },
+  {
+    id: 'fullSolution',
+    label: 'Full solution',
+    instruction: 'Show the complete worked solution with a reason for every step and the final answer, then ask the student to try a similar problem on their own.'
+  }
+]
+
+/**
+ * Highest hint level given so far for a problem
+ * @param {Array} messages - Conversation, oldest first
+ * @param {string|null} problemId - Id of the message stating the problem
+ * @returns {number} Index into HINT_LEVELS, or -1 when no hint was given yet
+ */
+export function getHintLevel(messages, problemId) {
+  return messages.reduce(
+    (level, msg) => (msg.hint && msg.hint.problemId === problemId ? Math.max(level, msg.hint.level) : level),
+    -1
+  )
+}
+
+/**
+ * The level the next hint for a problem should be given at
+ * Stays at the full solution once it has been reached
+ * @param {Array} messages - Conversation, oldest first
+ * @param {string|null} problemId - Id of the message stating the problem
+ * @returns {number} Index into HINT_LEVELS
+ */
+export function getNextHintLevel(messages, problemId) {
+  return Math.min(getHintLevel(messages, problemId) + 1, HINT_LEVELS.length - 1)
+}
+
+/**
+ * Hint ladder block for the system prompt
+ * @param {number} level - Index into HINT_LEVELS
+ * @returns {string} Prompt block
+ */
+export function formatHintPrompt(level) {
+  const rung = HINT_LEVELS[level]
+  return `
+
+[Hint Ladder]
+The student asked for hint ${level + 1} of ${HINT_LEVELS.length} (${rung.label}) on their current problem. Hints go: ${HINT_LEVELS.map(step => step.label).join(' → ')}.
+${rung.instruction}
+Give exactly this much help and no more - later hints will give more if the student asks again.`
+}
@@ -0,0 +1,33 @@
+/**
+ * Model pricing for Sveti usage tracking
+ * USD per 1M tokens; update when OpenAI changes its price list
+ */
+
+export const MODEL_PRICING = {
+  'gpt-4o-mini': { input: 0.15, output: 0.60 },
+  'gpt-4o': { input: 2.50, output: 10.00 },
+  'gpt-3.5-turbo': { input: 0.50, output: 1.50 }
+}
+
+/**
+ * Estimate the cost of a request
+ * Models without a price (local and mock) cost nothing
+ * @param {string} model - Model name
+ * @param {{prompt_tokens: number, completion_tokens: number}} usage - Token counts
+ * @returns {number} Cost in USD
+ */
+export function estimateCost(model, usage) {
+  const price = MODEL_PRICING[model]
+  if (!price || !usage) return 0
+  return (usage.prompt_tokens * price.input + usage.completion_tokens * price.output) / 1_000_000
+}
+
+/**
+ * Format a USD amount with enough precision for tiny per-message costs
+ * @param {number} amount - Cost in USD
+ * @returns {string} e.g. "$0.0004" or "$1.25"
+ */
+export function formatCost(amount) {
+  if (amount === 0) return '$0.00'
+  return amount < 0.01 ? `$${amount.toFixed(4)}` : `$${amount.toFixed(2)}`
+}
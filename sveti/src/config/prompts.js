@@ -1,4 +1,5 @@
-import { GAME_TEMPLATES, pickGameForContext } from "./gameTemplates";
+import { pickGameForContext } from "./gameTemplates";
+import { getCurriculumTopic } from "./curriculum";
 
 /**
  * System prompts for educational AI tutoring
@@ -27,11 +28,15 @@ For each problem, provide the setup but let the student work through the solutio
 - Any computational errors
 - Understanding of underlying concepts
 
-If you find errors, point them out gently with phrases like "I notice something here that we can improve..." or "Let's take another look at this step together..." Always explain why something is incorrect and guide them toward the right approach rather than just giving the correct answer.`
+If you find errors, point them out gently with phrases like "I notice something here that we can improve..." or "Let's take another look at this step together..." Always explain why something is incorrect and guide them toward the right approach rather than just giving the correct answer.
+
+If a [Verified Work Check] block is included below, it was computed exactly from the student's lines. Trust it over your own reading: never call a step flagged ✗ correct or a step marked ✓ wrong.`,
+
+      hint: `The student pressed "Give me a hint" on the problem they are working on. Give one hint at the level set by the [Hint Ladder] block below - no more help than that level allows, even if more would be quicker. Keep it short and end by handing the next move back to the student.`
     }
   },
 
-  ela: {
+  english: {
     base: `You are Sveti, a supportive English writing coach dedicated to helping students become better writers and critical thinkers.
 
 CORE PRINCIPLES:
@@ -92,14 +97,69 @@ Use encouraging language like "This idea has great potential - what if you devel
 - Offer tips for avoiding similar errors in the future
 - Focus on the most important issues first (clarity, then correctness)
 
-Remember to praise what they're doing well grammatically, and frame corrections as opportunities to make their excellent ideas even clearer.`
+Remember to praise what they're doing well grammatically, and frame corrections as opportunities to make their excellent ideas even clearer.`,
+
+      reading: `Help the student read a passage closely. Ask questions that send them back to the text:
+- Comprehension: what the passage says, in their own words
+- Vocabulary in context: what a word means here, and which nearby words show it
+- Inference: what the text suggests but doesn't state, supported by details
+
+Always point to line numbers, and ask the student to cite lines for their answers. When an answer is off, send them back to the lines that matter rather than giving the answer away.`
     }
   }
 }
 
+/**
+ * Practice problems as structured items (JSON mode), so Sveti can grade answers itself
+ */
+export const practiceJsonPrompt = `[Practice JSON]
+Reply with a JSON object only, in exactly this shape:
+{"topic": "short topic name", "problems": [{"level": "easy", "text": "problem text", "answer": "12", "unit": ""}, {"level": "same", ...}, {"level": "harder", ...}]}
+Write one problem per level. "answer" must be a single number such as 12, -3.5 or 3/4 - never an expression or a sentence. For percent questions give the percent as a number and set "unit" to "%". Solve every problem yourself and double-check each answer.`
+
+// JSON outline for the English Outline action
+export const outlineJsonPrompt = `[Outline JSON]
+Build the outline from the student's own topic, ideas and words. Where they haven't decided something yet, write a short guiding question in square brackets instead of inventing it, e.g. "[Which statistic shows this best?]".
+Reply with a JSON object only, in exactly this shape:
+{"thesis": "one-sentence claim", "points": [{"point": "main point as a phrase", "evidence": ["evidence or example to use"], "transition": "how this point leads to the next"}]}
+Give 3 or 4 points with one to three evidence items each. Keep every entry to a phrase or short sentence - this is a plan, not prose.`
+
+// JSON reading questions for the English Reading action; the passage comes in its own block
+export const readingQuestionsJsonPrompt = `[Reading Questions JSON]
+Write questions on the [Reading Passage] above, each tied to the lines a reader needs to answer it.
+Reply with a JSON object only, in exactly this shape:
+{"questions": [{"type": "comprehension", "question": "question text", "lines": [4, 6], "word": "", "answer": "what a good answer says, in one or two sentences"}]}
+Write two comprehension, two vocabulary and two inference questions, in passage order. "type" is one of: comprehension, vocabulary, inference.
+"lines" is the first and last line number the answer rests on - keep it to five lines or fewer. For vocabulary questions set "word" to the exact word or phrase as it appears in those lines, and ask what it means in context; leave "word" empty otherwise.
+Inference questions must be answerable from details in the text, not from outside knowledge. Don't quote the answer inside the question.`
+
+/**
+ * Curriculum context for model-written practice: standards, objectives and sample problems
+ * @param {Object} topic - Curriculum topic (see src/config/curriculum.js)
+ * @returns {string} Prompt block
+ */
+export function curriculumPracticePrompt(topic) {
+  return `[Curriculum]
+Topic: ${topic.name} (${topic.standards.join(', ')})
+Objectives: ${topic.objectives.join('; ')}.
+Match the style and difficulty of these sample problems, with new numbers and contexts:
+${topic.samples.map(sample => `- ${sample}`).join('\n')}`
+}
+
+/**
+ * How the tutor draws graphs; Sveti renders ```graph blocks as an interactive plane
+ */
+export const graphPrompt = `[Graphs]
+To show a graph, write a fenced code block with the language "graph": one equation per line (y = ... in terms of x, or x = number), with an optional label after "|". Optional "x: -5..10" and "y: -2..8" lines set the window.
+\`\`\`graph
+y = 2x + 1 | Your line
+y = 2x - 3 | Correct line
+\`\`\`
+When a student's line or equation is wrong, graph their line and the correct line together so they can compare them.`
+
 /**
  * Get the appropriate system prompt for a subject and optional action
- * @param {string} subject - 'algebra' or 'ela'
+ * @param {string} subject - 'algebra' or 'english'
  * @param {string|null} actionType - Optional action type ('explain', 'steps', etc.)
  * @returns {string} The complete system prompt
  */
@@ -122,7 +182,7 @@ export function getSystemPrompt(subject, actionType = null) {
 
 /**
  * Get available action types for a subject
- * @param {string} subject - 'algebra' or 'ela'
+ * @param {string} subject - 'algebra' or 'english'
  * @returns {string[]} Array of available action types
  */
 export function getAvailableActions(subject) {
@@ -137,7 +197,7 @@ export function getAvailableActions(subject) {
 
 /**
  * Validate if a subject and action combination is valid
- * @param {string} subject - 'algebra' or 'ela'
+ * @param {string} subject - 'algebra' or 'english'
  * @param {string} actionType - The action type to validate
  * @returns {boolean} Whether the combination is valid
  */
@@ -146,7 +206,15 @@ export function isValidAction(subject, actionType) {
   return !!(subjectPrompts && subjectPrompts.actions[actionType])
 }
 
-export function buildSystemWithGames(baseSystem, learningStyleBlock, gamePrefs = [], topicKey = null) {
+/**
+ * Add personalization, the topic's game-framed template and style rules to a system prompt
+ * @param {string} baseSystem - Subject prompt with teaching style and topic blocks
+ * @param {string} learningStyleBlock - Learning style prompt
+ * @param {string[]} gamePrefs - Student's games
+ * @param {string|null} topicId - Curriculum topic id (see src/config/curriculum.js)
+ * @returns {string} The complete system prompt
+ */
+export function buildSystemWithGames(baseSystem, learningStyleBlock, gamePrefs = [], topicId = null) {
   const game = pickGameForContext(gamePrefs);
   const gameBlock = game
     ? `
@@ -162,8 +230,9 @@ No game preference known or student opted out. Use neutral, age-appropriate cont
 Never give final answers immediately—stay in tutor mode.
 `;
 
-  const templateHint = game && topicKey && GAME_TEMPLATES[topicKey]
-    ? `\n[Context Template Hint]\n${GAME_TEMPLATES[topicKey](game)}\n`
+  const template = getCurriculumTopic(topicId)?.gameTemplate;
+  const templateHint = game && template
+    ? `\n[Context Template Hint]\n${template(game)}\n`
     : "";
 
   const noEchoRule = `
@@ -173,4 +242,165 @@ Never give final answers immediately—stay in tutor mode.
 - Stay in tutor mode: guide with questions before revealing answers.`;
 
   return `${baseSystem}\n${learningStyleBlock}\n${gameBlock}${templateHint}${noEchoRule}`;
-}
\ No newline at end of file
+}
+/**
+ * Prompt for rolling older turns into the running session summary
+ * The summary is injected into the system prompt in place of those turns
+ */
+export const sessionSummaryPrompt = `You keep running notes for Sveti, a homework tutor, about one tutoring session.
+You get the previous notes (may be empty) and the next part of the conversation. Return updated notes that merge both.
+
+Use exactly these headings, with short bullet points under each:
+PROBLEMS WORKED: each problem exactly as the student wrote it (keep equations verbatim) and how far they got
+MISTAKES MADE: specific errors or misconceptions the student showed
+UNDERSTOOD: concepts or steps the student clearly got
+OPEN QUESTIONS: anything still unresolved
+
+Stay under 200 words. Write about the student in the third person. No greetings, no advice to the student.`
+
+/**
+ * Add the session summary to a system prompt
+ * @param {string} systemPrompt - System prompt built for this request
+ * @param {string} summary - Session summary text (may be empty)
+ * @returns {string} System prompt including the summary block
+ */
+export function withSessionSummary(systemPrompt, summary) {
+  if (!summary?.trim()) return systemPrompt
+  return `${systemPrompt}
+
+[Session Summary]
+Earlier in this session (older messages are summarized here instead of included):
+${summary.trim()}`
+}
+
+/**
+ * Add the solver's correction to a system prompt, for regenerating a worked solution
+ * @param {string} systemPrompt - System prompt built for this request
+ * @param {{expected: string, found: string}} check - Disagreement from `checkWorkedSolution`
+ * @returns {string} System prompt including the correction block
+ */
+export function withSolverCorrection(systemPrompt, check) {
+  return `${systemPrompt}
+
+[Solver Check]
+Sveti's exact solver says the answer to this problem is ${check.expected}. A draft of your worked solution arrived at ${check.found}, which is wrong. Work the problem again carefully so every step leads to ${check.expected}. Do not mention the draft or this check.`
+}
+
+/**
+ * Add the integrity check's correction to a system prompt, for regenerating an English reply
+ * that wrote the student's prose for them
+ * @param {string} systemPrompt - System prompt built for this request
+ * @param {Array<{text: string}>} passages - Flagged passages from `findGhostwriting`
+ * @returns {string} System prompt including the correction block
+ */
+export function withIntegrityCorrection(systemPrompt, passages) {
+  const opening = passages[0].text.split(/\s+/).slice(0, 12).join(' ')
+  return `${systemPrompt}
+
+[Integrity Check]
+A draft of your reply contained ${passages.length === 1 ? 'a passage' : `${passages.length} passages`} of finished prose the student could copy into their assignment (it began "${opening}…"). Write the reply again as coaching: explain what that part of their writing needs to do, ask guiding questions, and offer a sentence frame or at most one short example sentence. The student writes the paragraph. Do not mention the draft or this check.`
+}
+
+/**
+ * Draft feedback as inline annotations (JSON mode), anchored to numbered sentences
+ * @param {string} numberedDraft - Draft with each sentence numbered, "[1] ..."
+ * @param {'improve'|'grammar'} mode - Writing feedback or grammar only
+ * @param {Array<string>} [flagged] - Issues the offline checker already noted, "[3] its / it's: ..."
+ * @returns {string} Prompt block
+ */
+export function annotationJsonPrompt(numberedDraft, mode, flagged = []) {
+  const focus = mode === 'grammar'
+    ? 'Only point out grammar, spelling, punctuation and usage problems (type "grammar").'
+    : 'Comment on clarity, evidence, organization and word choice, and point out one or two real strengths (type "praise"). Skip minor grammar.'
+  const checked = flagged.length
+    ? `\n\n[Grammar Pre-check]\nSveti's offline checker already left notes on these, so don't repeat them - look for what it can't see, such as agreement, tense and word choice:\n${flagged.join('\n')}`
+    : ''
+  return `[Draft]
+${numberedDraft}${checked}
+
+[Annotation JSON]
+Give feedback on the draft above as notes anchored to single sentences. ${focus}
+Reply with a JSON object only, in exactly this shape:
+{"annotations": [{"sentence": 3, "quote": "exact text of sentence 3", "type": "clarity", "comment": "what to notice and why, in one or two sentences", "suggestion": ""}]}
+"type" is one of: praise, clarity, evidence, organization, wordChoice, grammar. Write at most 8 notes, in draft order.
+"suggestion" is the corrected sentence for small fixes (grammar, spelling, one word) and "" otherwise - for anything bigger, ask a question in the comment instead of rewriting the student's sentence.`
+}
+
+/**
+ * Context for replying to a student's reply on an annotation
+ * @param {string} sentence - Sentence the annotation is anchored to
+ * @param {Object} annotation - The annotation ({type, comment, suggestion})
+ * @returns {string} Prompt block
+ */
+export function annotationThreadPrompt(sentence, annotation) {
+  const suggestion = annotation.suggestion ? `\nYour suggested fix was: "${annotation.suggestion}"` : ''
+  return `[Annotation Thread]
+You left a note on this sentence of the student's draft:
+"${sentence}"
+Your note (${annotation.type}): ${annotation.comment}${suggestion}
+The student is replying to your note. Answer in two or three sentences, about this sentence only. Explain rather than rewrite: never write new sentences or paragraphs for their essay.`
+}
+
+/**
+ * Rubric evaluation of a draft (JSON mode), one level per criterion with quoted evidence
+ * @param {string} numberedDraft - Draft with each sentence numbered, "[1] ..."
+ * @param {Object} rubric - Teacher rubric (see src/writing/rubrics.js)
+ * @returns {string} Prompt block
+ */
+export function rubricScorePrompt(numberedDraft, rubric) {
+  const levels = rubric.levels.map(level => `${level.score} = ${level.label}`).join(', ')
+  const criteria = rubric.criteria.map(criterion => [
+    `- ${criterion.name} (id "${criterion.id}")`,
+    ...criterion.descriptors.map((descriptor, index) => `  ${rubric.levels[index].score}: ${descriptor}`)
+  ].join('\n')).join('\n')
+  return `[Draft]
+${numberedDraft}
+
+[Rubric]
+${rubric.name}${rubric.description ? ` - ${rubric.description}` : ''}
+Levels: ${levels}
+${criteria}
+
+[Rubric JSON]
+Score the draft above against every criterion of the rubric, the way the teacher would. Pick the level whose description fits best; when in doubt between two, choose the lower one and say what would raise it.
+Reply with a JSON object only, in exactly this shape:
+{"criteria": [{"id": "criterion id", "level": 3, "evidence": ["exact words copied from the draft"], "rationale": "one or two sentences tying the evidence to the level description"}]}
+Give one or two short evidence quotes per criterion, copied word for word from the draft - never paraphrase, and use [] if the draft has nothing to quote for it.`
+}
+
+/**
+ * A reading passage the student is working on, with numbered lines
+ * @param {string} title - Passage title
+ * @param {string} numberedPassage - Passage with each line numbered, "[1] ..."
+ * @returns {string} Prompt block
+ */
+export function readingPassagePrompt(title, numberedPassage) {
+  return `
+
+[Reading Passage]
+The student is reading "${title}". Its lines are numbered:
+${numberedPassage}
+When you point to the text, cite line numbers such as "lines 4-6" - Sveti highlights them in the passage next to the chat.`
+}
+
+/**
+ * Check one reading answer against the lines the student cited (JSON mode)
+ * @param {Object} question - Reading question ({type, question, lines, answer, word})
+ * @param {string} numberedExcerpt - The question's lines and the cited lines, numbered
+ * @param {string} cited - The student's citation, e.g. "lines 4–6", or "no lines cited"
+ * @returns {string} Prompt block
+ */
+export function readingCheckPrompt(question, numberedExcerpt, cited) {
+  const key = question.answer ? `\nA good answer says: ${question.answer}` : ''
+  return `[Reading Check]
+Question (${question.type}, lines ${question.lines.start}-${question.lines.end}): ${question.question}${key}
+The student cited ${cited}. These are the relevant lines:
+${numberedExcerpt}
+
+[Reading Check JSON]
+Check the student's answer, which is their next message. Judge it against what the lines say, not against your own wording: an answer in different words that the text supports is correct.
+Reply with a JSON object only, in exactly this shape:
+{"verdict": "correct", "evidenceSupports": true, "feedback": "one or two sentences to the student"}
+"verdict" is one of: correct, partial, incorrect. "evidenceSupports" says whether the lines the student cited actually back up their answer.
+In the feedback, say what the cited lines show. If the answer is off, point to the words or lines to reread instead of giving the answer.`
+}
@@ -0,0 +1,66 @@
+import { useCallback, useEffect, useState } from 'react'
+import { CITATION_STYLES, SOURCE_TYPES, createSource } from '../writing/citations'
+
+const LS_KEY = 'sveti-citations' // JSON {sources: [...], style}
+
+function readCitations() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(LS_KEY))
+    if (Array.isArray(saved?.sources)) {
+      return {
+        // Fields added later start out blank
+        sources: saved.sources
+          .filter(source => SOURCE_TYPES[source?.type])
+          .map(source => ({ ...createSource(source.type), ...source })),
+        style: CITATION_STYLES[saved.style] ? saved.style : 'mla'
+      }
+    }
+  } catch {
+    // Unreadable storage starts fresh
+  }
+  return { sources: [], style: 'mla' }
+}
+
+/**
+ * The student's sources for the citation builder and their chosen style, persisted in localStorage
+ * @returns {Object} Sources, style and actions on them
+ */
+export function useCitations() {
+  const [state, setState] = useState(readCitations)
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(LS_KEY, JSON.stringify(state))
+    } catch (error) {
+      console.warn('Failed to save citations:', error)
+    }
+  }, [state])
+
+  /**
+   * Add a blank source
+   * @returns {Object} The new source
+   */
+  const addSource = useCallback((type) => {
+    const source = createSource(type)
+    setState(prev => ({ ...prev, sources: [...prev.sources, source] }))
+    return source
+  }, [])
+
+  // Change some fields of a source, e.g. {title} or {authors}
+  const updateSource = useCallback((id, change) => {
+    setState(prev => ({
+      ...prev,
+      sources: prev.sources.map(source => source.id === id ? { ...source, ...change } : source)
+    }))
+  }, [])
+
+  const deleteSource = useCallback((id) => {
+    setState(prev => ({ ...prev, sources: prev.sources.filter(source => source.id !== id) }))
+  }, [])
+
+  const setStyle = useCallback((style) => {
+    if (CITATION_STYLES[style]) setState(prev => ({ ...prev, style }))
+  }, [])
+
+  return { sources: state.sources, style: state.style, addSource, updateSource, deleteSource, setStyle }
+}
@@ -0,0 +1,169 @@
+import { useCallback, useEffect, useMemo, useState } from 'react'
+
+const LS_KEY = 'sveti-essays' // { assignments: [...], activeId }
+
+// Snapshots kept per assignment; the oldest are dropped first
+const MAX_VERSIONS = 50
+// Rubric evaluations kept per assignment, likewise
+const MAX_SCORES = 20
+
+function readEssays() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(LS_KEY))
+    // Assignments saved before rubrics and outlines existed get their fields
+    if (Array.isArray(saved?.assignments)) {
+      return { ...saved, assignments: saved.assignments.map(assignment => ({ rubricId: null, scores: [], outline: [], ...assignment })) }
+    }
+  } catch {
+    // Unreadable storage starts fresh
+  }
+  return { assignments: [], activeId: null }
+}
+
+function newAssignment(title) {
+  const now = new Date().toISOString()
+  return { id: crypto.randomUUID(), title, draft: '', versions: [], annotations: [], rubricId: null, scores: [], outline: [], createdAt: now, updatedAt: now }
+}
+
+/**
+ * Snapshot the draft unless it matches the latest version
+ */
+function withVersion(assignment, label) {
+  const latest = assignment.versions.at(-1)
+  if (!assignment.draft.trim() || latest?.text === assignment.draft) return assignment
+  const version = { id: crypto.randomUUID(), text: assignment.draft, label, savedAt: new Date().toISOString() }
+  return { ...assignment, versions: [...assignment.versions, version].slice(-MAX_VERSIONS) }
+}
+
+/**
+ * Essay drafts for the English workspace, one per assignment, persisted in localStorage
+ * Each assignment keeps its working draft, saved versions, the tutor's annotations, its
+ * outline, and the rubric it's graded with along with its rubric scores.
+ * @returns {Object} Assignments, the active one and actions on it
+ */
+export function useEssayDrafts() {
+  const [essays, setEssays] = useState(readEssays)
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(LS_KEY, JSON.stringify(essays))
+    } catch (error) {
+      console.warn('Failed to save essay drafts:', error)
+    }
+  }, [essays])
+
+  const active = useMemo(
+    () => essays.assignments.find(assignment => assignment.id === essays.activeId) || null,
+    [essays]
+  )
+
+  // Change the active assignment
+  const updateActive = useCallback((change) => {
+    setEssays(prev => ({
+      ...prev,
+      assignments: prev.assignments.map(assignment => assignment.id === prev.activeId
+        ? { ...change(assignment), updatedAt: new Date().toISOString() }
+        : assignment)
+    }))
+  }, [])
+
+  const createAssignment = useCallback((title) => {
+    const assignment = newAssignment(title.trim() || 'Untitled assignment')
+    setEssays(prev => ({ assignments: [...prev.assignments, assignment], activeId: assignment.id }))
+  }, [])
+
+  const selectAssignment = useCallback((id) => {
+    setEssays(prev => ({ ...prev, activeId: id }))
+  }, [])
+
+  const deleteAssignment = useCallback((id) => {
+    setEssays(prev => {
+      const assignments = prev.assignments.filter(assignment => assignment.id !== id)
+      return { assignments, activeId: prev.activeId === id ? assignments.at(-1)?.id ?? null : prev.activeId }
+    })
+  }, [])
+
+  const renameAssignment = useCallback((title) => {
+    updateActive(assignment => ({ ...assignment, title }))
+  }, [updateActive])
+
+  const setDraft = useCallback((draft) => {
+    updateActive(assignment => ({ ...assignment, draft }))
+  }, [updateActive])
+
+  // Snapshot the working draft as a named version
+  const saveVersion = useCallback((label = 'Saved') => {
+    updateActive(assignment => withVersion(assignment, label))
+  }, [updateActive])
+
+  // Go back to a version; the current draft is saved first so nothing is lost
+  const restoreVersion = useCallback((versionId) => {
+    updateActive(assignment => {
+      const version = assignment.versions.find(v => v.id === versionId)
+      if (!version) return assignment
+      return { ...withVersion(assignment, 'Before restore'), draft: version.text }
+    })
+  }, [updateActive])
+
+  // New feedback is tied to a snapshot of the draft it was written for
+  const addAnnotations = useCallback((annotations, label = 'Feedback') => {
+    updateActive(assignment => {
+      const versioned = withVersion(assignment, label)
+      const versionId = versioned.versions.at(-1)?.id ?? null
+      return { ...versioned, annotations: [...versioned.annotations, ...annotations.map(a => ({ ...a, versionId }))] }
+    })
+  }, [updateActive])
+
+  const updateAnnotation = useCallback((id, change) => {
+    updateActive(assignment => ({
+      ...assignment,
+      annotations: assignment.annotations.map(a => a.id === id ? { ...a, ...change(a) } : a)
+    }))
+  }, [updateActive])
+
+  // Replace the outline; one from the chat with no assignment open starts a new assignment
+  const setOutline = useCallback((outline, title = 'Untitled assignment') => {
+    setEssays(prev => {
+      if (!prev.assignments.some(assignment => assignment.id === prev.activeId)) {
+        const assignment = { ...newAssignment(title), outline }
+        return { assignments: [...prev.assignments, assignment], activeId: assignment.id }
+      }
+      return {
+        ...prev,
+        assignments: prev.assignments.map(assignment => assignment.id === prev.activeId
+          ? { ...assignment, outline, updatedAt: new Date().toISOString() }
+          : assignment)
+      }
+    })
+  }, [])
+
+  const setRubric = useCallback((rubricId) => {
+    updateActive(assignment => ({ ...assignment, rubricId }))
+  }, [updateActive])
+
+  // Like feedback, a rubric score is tied to a snapshot of the draft it evaluated
+  const addScore = useCallback((score) => {
+    updateActive(assignment => {
+      const versioned = withVersion(assignment, 'Rubric evaluation')
+      const versionId = versioned.versions.at(-1)?.id ?? null
+      return { ...versioned, scores: [...versioned.scores, { ...score, versionId }].slice(-MAX_SCORES) }
+    })
+  }, [updateActive])
+
+  return {
+    assignments: essays.assignments,
+    active,
+    createAssignment,
+    selectAssignment,
+    deleteAssignment,
+    renameAssignment,
+    setDraft,
+    saveVersion,
+    restoreVersion,
+    addAnnotations,
+    updateAnnotation,
+    setOutline,
+    setRubric,
+    addScore
+  }
+}
@@ -0,0 +1,44 @@
+import { useCallback, useState } from 'react'
+
+const LS_KEY = 'sveti-integrity-log' // JSON array of interceptions, oldest first
+
+// Entries kept; the oldest are dropped first
+const MAX_ENTRIES = 200
+
+function readLog() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(LS_KEY))
+    if (Array.isArray(saved)) return saved
+  } catch {
+    // Unreadable storage starts fresh
+  }
+  return []
+}
+
+/**
+ * Log of English replies the integrity check stopped, for teachers, persisted in localStorage
+ * @returns {{entries: Array<Object>, logInterception: Function, clearLog: Function}}
+ */
+export function useIntegrityLog() {
+  const [entries, setEntries] = useState(readLog)
+
+  // Record one interception: {action, request, passages, outcome, model}
+  const logInterception = useCallback((entry) => {
+    setEntries(prev => {
+      const next = [...prev, { id: crypto.randomUUID(), at: new Date().toISOString(), ...entry }].slice(-MAX_ENTRIES)
+      try {
+        localStorage.setItem(LS_KEY, JSON.stringify(next))
+      } catch (error) {
+        console.warn('Failed to save the integrity log:', error)
+      }
+      return next
+    })
+  }, [])
+
+  const clearLog = useCallback(() => {
+    localStorage.removeItem(LS_KEY)
+    setEntries([])
+  }, [])
+
+  return { entries, logInterception, clearLog }
+}
@@ -0,0 +1,71 @@
+import { useCallback, useEffect, useMemo, useState } from 'react'
+import { toPassageLines } from '../writing/reading'
+
+const LS_KEY = 'sveti-reading' // JSON {passages: [...], activeId}
+
+function readPassages() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(LS_KEY))
+    if (Array.isArray(saved?.passages)) {
+      const passages = saved.passages.filter(passage => passage?.id && Array.isArray(passage.lines))
+      const activeId = passages.some(passage => passage.id === saved.activeId) ? saved.activeId : passages[0]?.id ?? null
+      return { passages, activeId }
+    }
+  } catch {
+    // Unreadable storage starts fresh
+  }
+  return { passages: [], activeId: null }
+}
+
+/**
+ * Reading passages pasted by a student or teacher, persisted in localStorage
+ * Lines are numbered when a passage is added and never re-wrapped, so line
+ * references in earlier questions keep pointing at the same words.
+ * @returns {Object} Passages, the open passage and actions on them
+ */
+export function useReadingPassages() {
+  const [state, setState] = useState(readPassages)
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(LS_KEY, JSON.stringify(state))
+    } catch (error) {
+      console.warn('Failed to save reading passages:', error)
+    }
+  }, [state])
+
+  const active = useMemo(
+    () => state.passages.find(passage => passage.id === state.activeId) || null,
+    [state]
+  )
+
+  /**
+   * Add a passage and open it
+   * @returns {Object|null} The passage, or null when the text is blank
+   */
+  const addPassage = useCallback((text, title) => {
+    const lines = toPassageLines(text)
+    if (!lines.length) return null
+    const passage = {
+      id: crypto.randomUUID(),
+      title: title?.trim() || `${lines[0].text.split(/\s+/).slice(0, 6).join(' ')}…`,
+      lines,
+      createdAt: new Date().toISOString()
+    }
+    setState(prev => ({ passages: [...prev.passages, passage], activeId: passage.id }))
+    return passage
+  }, [])
+
+  const selectPassage = useCallback((id) => {
+    setState(prev => (prev.passages.some(passage => passage.id === id) ? { ...prev, activeId: id } : prev))
+  }, [])
+
+  const deletePassage = useCallback((id) => {
+    setState(prev => {
+      const passages = prev.passages.filter(passage => passage.id !== id)
+      return { passages, activeId: prev.activeId === id ? passages.at(-1)?.id ?? null : prev.activeId }
+    })
+  }, [])
+
+  return { passages: state.passages, active, addPassage, selectPassage, deletePassage }
+}
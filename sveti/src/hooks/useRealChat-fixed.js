@@ -6,7 +6,7 @@ import { buildSystemWithGames } from "../config/prompts";
  * Custom React hook for real-time AI chat - Fixed version with error handling
  * Falls back to mock responses if OpenAI is not available
  * 
- * @param {string} subject - The subject to tutor ('algebra' or 'ela')
+ * @param {string} subject - The subject to tutor ('algebra' or 'english')
  * @param {string} learningStyle - The learning style preference
  * @returns {Object} Chat interface with messages, loading state, and functions
  */
@@ -140,11 +140,11 @@ export function useRealChat(subject = 'algebra', learningStyle = 'visual') {
       let topicKey = null;
       const userText = (messages?.at(-1)?.content || "").toLowerCase();
       if (userText.includes("%") || userText.includes("percent") || userText.includes("discount"))
-        topicKey = "percentChange";
+        topicKey = "percent";
       else if (userText.includes("ratio") || userText.includes("proportion"))
-        topicKey = "ratios";
+        topicKey = "ratio";
       else if (userText.includes("linear") || userText.includes("slope") || userText.includes("y="))
-        topicKey = "linearEq";
+        topicKey = "functions";
 
       // build final system prompt with optional game context + topic hint
       const baseSystemPrompt = `You are Sveti, a friendly ${subject} tutor. Guide students with questions rather than giving direct answers.`;
@@ -2,12 +2,14 @@ import { useState, useEffect, useCallback } from 'react'
 import { sendMessage as sendOpenAIMessage } from '../utils/openai.js'
 import { getSystemPrompt } from '../config/prompts.js'
 import { getLearningStylePrompt } from '../config/learningStyles'
+import { withRetry } from '../utils/retry.js'
+import { buildContext, countTokens, countMessageTokens } from '../utils/contextWindow.js'
 
 /**
  * Custom React hook for real-time AI chat using OpenAI API
  * Provides educational tutoring with conversation context and persistence
  * 
- * @param {string} subject - The subject to tutor ('algebra' or 'ela')
+ * @param {string} subject - The subject to tutor ('algebra' or 'english')
  * @param {string} learningStyle - The learning style preference ('visual', 'reading', 'examples', 'socratic', 'analogies')
  * @returns {Object} Chat interface with messages, loading state, and functions
  */
@@ -114,33 +116,18 @@ export function useRealChat(subject = 'algebra', learningStyle = 'visual') {
 
     // Combine base prompt with learning style adaptation
     const combinedSystemPrompt = `${baseSystemPrompt}\n\n${learningStyleModifier}`
-    
-    // Start with enhanced system message
-    const apiMessages = [{
-      role: 'system',
-      content: combinedSystemPrompt
-    }]
 
     // Debug logging
     console.log('Current learning style:', learningStyle)
     console.log('Learning style modifier:', learningStyleModifier)
 
-    // Add recent conversation history (last 8 messages for faster response times)
-    // Only include user and assistant messages, not system messages
-    const recentMessages = messages
-      .filter(msg => msg.role !== 'system')
-      .slice(-8)
-      .map(msg => ({
-        role: msg.role,
-        content: msg.content
-      }))
-
-    apiMessages.push(...recentMessages)
-
-    // Add the new user message
-    apiMessages.push({
-      role: 'user',
-      content: newContent
+    // Fit history plus the new user message into the token budget
+    // (max_tokens matches the reply size requested in sendMessage)
+    const { messages: apiMessages } = buildContext({
+      systemPrompt: combinedSystemPrompt,
+      history: [...messages, { role: 'user', content: newContent }],
+      model: 'gpt-4o-mini',
+      maxReplyTokens: 600
     })
 
     return apiMessages
@@ -165,12 +152,12 @@ export function useRealChat(subject = 'algebra', learningStyle = 'visual') {
       // Build messages for API
       const apiMessages = buildAPIMessages(content.trim(), actionType)
 
-      // Send to OpenAI
-      const response = await sendOpenAIMessage(apiMessages, {
+      // Send to OpenAI, retrying rate limits and outages before showing an error
+      const response = await withRetry(() => sendOpenAIMessage(apiMessages, {
         max_tokens: 600,
         temperature: 0.7,
         stream: false
-      })
+      }))
 
       if (response.error) {
         // Handle API errors with user-friendly messages
@@ -242,13 +229,13 @@ export function useRealChat(subject = 'algebra', learningStyle = 'visual') {
 }
 
 /**
- * Utility function to estimate token count for message management
- * Rough approximation: 1 token ≈ 4 characters
- * @param {string} text - Text to estimate
- * @returns {number} Estimated token count
+ * Utility function to count tokens for message management
+ * Kept for existing callers; counts via the context window tokenizer (estimated until it loads)
+ * @param {string} text - Text to count
+ * @returns {number} Token count
  */
 export function estimateTokens(text) {
-  return Math.ceil(text.length / 4)
+  return countTokens(text)
 }
 
 /**
@@ -257,9 +244,8 @@ export function estimateTokens(text) {
  * @returns {boolean} Whether conversation should be cleared
  */
 export function shouldSuggestClear(messages) {
-  const totalLength = messages.reduce((acc, msg) => acc + msg.content.length, 0)
-  const estimatedTokens = estimateTokens(totalLength.toString())
+  const totalTokens = messages.reduce((acc, msg) => acc + countMessageTokens(msg), 0)
   
   // Suggest clearing if over ~3000 tokens to maintain quality and reduce costs
-  return estimatedTokens > 3000
+  return totalTokens > 3000
 }
\ No newline at end of file
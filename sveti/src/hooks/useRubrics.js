@@ -0,0 +1,61 @@
+import { useCallback, useEffect, useMemo, useState } from 'react'
+import { BUILT_IN_RUBRICS, validateRubric } from '../writing/rubrics'
+
+const LS_KEY = 'sveti-rubrics' // JSON array of teacher rubrics
+
+function readRubrics() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(LS_KEY))
+    if (Array.isArray(saved)) return saved.map(rubric => validateRubric(rubric).rubric).filter(Boolean)
+  } catch {
+    // Unreadable storage starts fresh
+  }
+  return []
+}
+
+/**
+ * Essay rubrics: the built-in ones plus those teachers author or import, persisted in localStorage
+ * @returns {Object} All rubrics and actions on the teacher's own
+ */
+export function useRubrics() {
+  const [custom, setCustom] = useState(readRubrics)
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(LS_KEY, JSON.stringify(custom))
+    } catch (error) {
+      console.warn('Failed to save rubrics:', error)
+    }
+  }, [custom])
+
+  const rubrics = useMemo(() => [...BUILT_IN_RUBRICS, ...custom], [custom])
+
+  const getRubric = useCallback((id) => rubrics.find(rubric => rubric.id === id) || null, [rubrics])
+
+  /**
+   * Add a rubric from JSON text or an object; an id that's already taken gets a fresh one
+   * @returns {{rubric: Object|null, errors: Array<string>}}
+   */
+  const addRubric = useCallback((data) => {
+    const result = validateRubric(data)
+    if (!result.rubric) return result
+    const taken = rubrics.some(rubric => rubric.id === result.rubric.id)
+    const rubric = taken ? { ...result.rubric, id: crypto.randomUUID() } : result.rubric
+    setCustom(prev => [...prev, rubric])
+    return { rubric, errors: [] }
+  }, [rubrics])
+
+  // Replace a teacher rubric after editing; built-in rubrics can't be changed
+  const updateRubric = useCallback((id, data) => {
+    const result = validateRubric({ ...data, id })
+    if (!result.rubric) return result
+    setCustom(prev => prev.map(rubric => rubric.id === id ? result.rubric : rubric))
+    return result
+  }, [])
+
+  const deleteRubric = useCallback((id) => {
+    setCustom(prev => prev.filter(rubric => rubric.id !== id))
+  }, [])
+
+  return { rubrics, getRubric, addRubric, updateRubric, deleteRubric }
+}
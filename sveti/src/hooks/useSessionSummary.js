@@ -0,0 +1,51 @@
+import { useCallback, useEffect, useState } from 'react'
+
+/**
+ * Running session summary for one subject, persisted in localStorage
+ * `throughId` is the id of the last message the summary covers
+ *
+ * @param {string} subject - The subject whose summary to load
+ * @returns {Object} Summary state and setters
+ */
+export function useSessionSummary(subject) {
+  const storageKey = `sveti-summary-${subject}`
+  const [summary, setSummaryState] = useState({ text: '', throughId: null, updatedAt: null })
+
+  // Load the summary when the subject changes
+  useEffect(() => {
+    try {
+      const saved = JSON.parse(localStorage.getItem(storageKey))
+      setSummaryState(saved && typeof saved.text === 'string'
+        ? saved
+        : { text: '', throughId: null, updatedAt: null })
+    } catch {
+      setSummaryState({ text: '', throughId: null, updatedAt: null })
+    }
+  }, [storageKey])
+
+  const save = useCallback((next) => {
+    setSummaryState(next)
+    try {
+      localStorage.setItem(storageKey, JSON.stringify(next))
+    } catch (error) {
+      console.warn('Failed to save session summary:', error)
+    }
+  }, [storageKey])
+
+  // Record a freshly generated summary covering messages up to `throughId`
+  const recordSummary = useCallback((text, throughId) => {
+    save({ text, throughId, updatedAt: new Date().toISOString() })
+  }, [save])
+
+  // Student edits keep the coverage point unchanged
+  const setSummaryText = useCallback((text) => {
+    save({ ...summary, text, updatedAt: new Date().toISOString() })
+  }, [save, summary])
+
+  const clearSummary = useCallback(() => {
+    setSummaryState({ text: '', throughId: null, updatedAt: null })
+    localStorage.removeItem(storageKey)
+  }, [storageKey])
+
+  return { summary, recordSummary, setSummaryText, clearSummary }
+}
@@ -0,0 +1,93 @@
+import { useCallback, useMemo, useState } from 'react'
+import { dayKey } from '../utils/usage'
+
+const LS_KEYS = {
+  ledger: 'sveti-usage',      // { [YYYY-MM-DD]: { [subject]: totals } }
+  caps: 'sveti-usage-caps'    // { dailyTokens: number|null, dailyCost: number|null }
+}
+
+// Share of a daily cap after which replies get shorter
+const NEAR_CAP_RATIO = 0.8
+
+// Days of history kept in localStorage
+const LEDGER_DAYS = 30
+
+const EMPTY_TOTALS = { requests: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, cost: 0 }
+
+function readJSON(key, fallback) {
+  try {
+    return JSON.parse(localStorage.getItem(key)) ?? fallback
+  } catch {
+    return fallback
+  }
+}
+
+/**
+ * Sum totals objects
+ */
+function addTotals(a, b) {
+  return {
+    requests: a.requests + (b.requests ?? 1),
+    prompt_tokens: a.prompt_tokens + b.prompt_tokens,
+    completion_tokens: a.completion_tokens + b.completion_tokens,
+    total_tokens: a.total_tokens + b.total_tokens,
+    cost: a.cost + b.cost
+  }
+}
+
+/**
+ * Usage ledger and daily caps, persisted in localStorage
+ * Tracks tokens and estimated cost per subject per day
+ */
+export function useUsage() {
+  const [ledger, setLedger] = useState(() => readJSON(LS_KEYS.ledger, {}))
+  const [caps, setCapsState] = useState(() => readJSON(LS_KEYS.caps, { dailyTokens: null, dailyCost: null }))
+
+  // Add one request's usage to today's totals for a subject
+  const recordUsage = useCallback((subject, usage) => {
+    setLedger(prev => {
+      const today = dayKey()
+      const day = prev[today] || {}
+      const next = {
+        ...prev,
+        [today]: { ...day, [subject]: addTotals(day[subject] || EMPTY_TOTALS, usage) }
+      }
+
+      // Forget days older than the retention window
+      const keep = Object.keys(next).sort().slice(-LEDGER_DAYS)
+      const trimmed = Object.fromEntries(keep.map(key => [key, next[key]]))
+      localStorage.setItem(LS_KEYS.ledger, JSON.stringify(trimmed))
+      return trimmed
+    })
+  }, [])
+
+  const setCaps = useCallback((nextCaps) => {
+    setCapsState(nextCaps)
+    localStorage.setItem(LS_KEYS.caps, JSON.stringify(nextCaps))
+  }, [])
+
+  const resetUsage = useCallback(() => {
+    setLedger({})
+    localStorage.removeItem(LS_KEYS.ledger)
+  }, [])
+
+  // Totals for today across all subjects
+  const today = useMemo(() => {
+    const day = ledger[dayKey()] || {}
+    return Object.values(day).reduce(addTotals, EMPTY_TOTALS)
+  }, [ledger])
+
+  // 'ok' | 'near' (replies get shorter) | 'reached' (model calls stop for the day)
+  const capStatus = useMemo(() => {
+    const ratios = [
+      caps.dailyTokens ? today.total_tokens / caps.dailyTokens : 0,
+      caps.dailyCost ? today.cost / caps.dailyCost : 0
+    ]
+    const worst = Math.max(...ratios)
+    if (worst >= 1) return 'reached'
+    if (worst >= NEAR_CAP_RATIO) return 'near'
+    return 'ok'
+  }, [caps, today])
+
+  return { ledger, today, caps, setCaps, capStatus, recordUsage, resetUsage, LS_KEYS }
+}
@@ -0,0 +1,239 @@
+import * as Q from './rational.js'
+import * as P from './polynomial.js'
+
+/**
+ * Symbolic equivalence checks on parsed math
+ * Expressions become exact rational functions (numerator / denominator polynomials),
+ * so "2(x + 3)" and "2x + 6" compare equal without any numeric sampling.
+ */
+
+// Keeps x^1000 from freezing the tab
+const MAX_EXPONENT = 32
+
+/**
+ * Convert an expression AST to a rational function
+ * @param {Object} node - Expression AST from `parseMath`
+ * @returns {{num: Map, den: Map}} Numerator and denominator polynomials
+ * @throws {Error} For division by zero, irrational roots or non-integer exponents
+ */
+export function toRationalFunction(node) {
+  switch (node.type) {
+    case 'number':
+      return { num: P.constant(node.value), den: P.constant(Q.ONE) }
+    case 'symbol':
+      return { num: P.variable(node.name), den: P.constant(Q.ONE) }
+    case 'negate': {
+      const arg = toRationalFunction(node.arg)
+      return { num: P.neg(arg.num), den: arg.den }
+    }
+    case 'percent': {
+      const arg = toRationalFunction(node.arg)
+      return { num: arg.num, den: P.scale(arg.den, Q.rational(100)) }
+    }
+    case 'sqrt': {
+      const value = constantOf(toRationalFunction(node.arg))
+      const root = value && Q.sqrt(value)
+      if (!root) throw new Error('Only square roots of perfect squares can be checked')
+      return { num: P.constant(root), den: P.constant(Q.ONE) }
+    }
+    case 'binary':
+      return binary(node.op, toRationalFunction(node.left), toRationalFunction(node.right))
+    default:
+      throw new Error(`Cannot evaluate a ${node.type} here`)
+  }
+}
+
+function binary(op, a, b) {
+  switch (op) {
+    case '+':
+      return simplify({ num: P.add(P.mul(a.num, b.den), P.mul(b.num, a.den)), den: P.mul(a.den, b.den) })
+    case '-':
+      return simplify({ num: P.sub(P.mul(a.num, b.den), P.mul(b.num, a.den)), den: P.mul(a.den, b.den) })
+    case '*':
+      return simplify({ num: P.mul(a.num, b.num), den: P.mul(a.den, b.den) })
+    case '/':
+      if (P.isZero(b.num)) throw new Error('Division by zero')
+      return simplify({ num: P.mul(a.num, b.den), den: P.mul(a.den, b.num) })
+    case '^': {
+      const exponent = constantOf(b)
+      if (!exponent || !Q.isInteger(exponent)) throw new Error('Only whole-number exponents can be checked')
+      const e = Number(exponent.n)
+      if (Math.abs(e) > MAX_EXPONENT) throw new Error('Exponent is too large to check')
+      if (e < 0) {
+        if (P.isZero(a.num)) throw new Error('Division by zero')
+        return { num: P.pow(a.den, -e), den: P.pow(a.num, -e) }
+      }
+      return { num: P.pow(a.num, e), den: P.pow(a.den, e) }
+    }
+    default:
+      throw new Error(`Unknown operator ${op}`)
+  }
+}
+
+/**
+ * Fold a constant denominator into the numerator
+ */
+function simplify(fraction) {
+  const den = P.constantValue(fraction.den)
+  if (!den) return fraction
+  return { num: P.scale(fraction.num, Q.div(Q.ONE, den)), den: P.constant(Q.ONE) }
+}
+
+function constantOf(fraction) {
+  const num = P.constantValue(fraction.num)
+  const den = P.constantValue(fraction.den)
+  return num && den ? Q.div(num, den) : null
+}
+
+function variablesOf(...fractions) {
+  const names = new Set()
+  for (const { num, den } of fractions) {
+    P.variables(num).forEach(name => names.add(name))
+    P.variables(den).forEach(name => names.add(name))
+  }
+  return names
+}
+
+/**
+ * Whether two expression ASTs are equal for every value of their variables
+ * @returns {boolean}
+ */
+export function expressionsEquivalent(a, b) {
+  const left = toRationalFunction(a)
+  const right = toRationalFunction(b)
+  return P.equals(P.mul(left.num, right.den), P.mul(right.num, left.den))
+}
+
+/**
+ * Bring a relation into the form `expr op 0` with op one of = < ≤
+ * @param {Object} node - Relation AST
+ * @returns {{op: string, num: Map, den: Map, variables: Set<string>}}
+ */
+export function normalizeRelation(node) {
+  // a > b  ⇔  b - a < 0
+  const flipped = node.op === '>' || node.op === '≥'
+  const left = toRationalFunction(flipped ? node.right : node.left)
+  const right = toRationalFunction(flipped ? node.left : node.right)
+  const difference = binary('-', left, right)
+  const op = { '=': '=', '<': '<', '>': '<', '≤': '≤', '≥': '≤' }[node.op]
+  return { op, ...difference, variables: variablesOf(difference) }
+}
+
+/**
+ * Decide a relation with no variables, e.g. "22 - 7 = 15"
+ * @returns {boolean|null} Its truth value, or null when it has variables
+ */
+export function evaluateRelation(node) {
+  const relation = normalizeRelation(node)
+  if (relation.variables.size) return null
+  const value = constantOf(relation)
+  const s = Q.sign(value)
+  return relation.op === '=' ? s === 0 : relation.op === '<' ? s < 0 : s <= 0
+}
+
+/**
+ * Whether a relation holds for every value of its variables (e.g. 2(x + 3) = 2x + 6)
+ */
+export function isIdentity(node) {
+  const relation = normalizeRelation(node)
+  return relation.op !== '<' && P.isZero(relation.num)
+}
+
+/**
+ * Whether an equation with variables can never hold (e.g. 2x + 3 = 2x + 5)
+ */
+export function isContradiction(node) {
+  const relation = normalizeRelation(node)
+  return relation.op === '=' && relation.variables.size > 0 && P.isConstant(relation.num) && !P.isZero(relation.num)
+}
+
+/**
+ * Numerator with repeated roots and roots excluded by the denominator removed:
+ * the polynomial whose roots are exactly the equation's solutions
+ * @returns {Map|null} Null when the numerator is zero (e.g. x/x = 1): every value
+ *   the denominator allows is a solution, which no polynomial describes
+ */
+function solutionPolynomial(relation, name) {
+  if (P.isZero(relation.num)) return null
+  let roots = P.squareFree(relation.num, name)
+  while (!P.isConstant(roots)) {
+    const common = P.gcd(roots, relation.den, name)
+    if (P.degree(common, name) < 1) break
+    const reduced = P.divide(roots, common, name)
+    // Guards against a division that doesn't make progress
+    if (P.degree(reduced, name) >= P.degree(roots, name)) break
+    roots = reduced
+  }
+  return roots
+}
+
+/**
+ * Compare two relations for having the same solution set
+ *
+ * Equations in one variable compare their real solution sets exactly, so x³ = 8 and
+ * x = 2 are equivalent; when neither equation has a real solution (x² = -4 and
+ * x² = -9) the result is undecided. Linear equations and
+ * inequalities in any number of variables compare as multiples of each other.
+ * Anything else that isn't an obvious multiple is reported as undecided.
+ *
+ * @param {Object} a - Relation AST
+ * @param {Object} b - Relation AST
+ * @returns {{equivalent: boolean|null, reason: string|null}} `equivalent` is null when undecided
+ */
+export function compareRelations(a, b) {
+  const first = normalizeRelation(a)
+  const second = normalizeRelation(b)
+
+  if ((first.op === '=') !== (second.op === '=')) {
+    return { equivalent: false, reason: 'an equation became an inequality (or the other way round)' }
+  }
+
+  if (first.op !== '=') {
+    if (first.op !== second.op) {
+      return { equivalent: false, reason: 'the inequality changed between strict (<, >) and non-strict (≤, ≥)' }
+    }
+    if (!P.isConstant(first.den) || !P.isConstant(second.den)) {
+      return { equivalent: null, reason: 'inequalities with variables in a denominator are not checked' }
+    }
+    const factor = P.ratio(first.num, second.num)
+    if (factor && Q.sign(factor) > 0) return { equivalent: true, reason: null }
+    if (factor) {
+      return { equivalent: false, reason: 'the inequality sign points the wrong way (it must flip when multiplying or dividing by a negative number)' }
+    }
+    if (P.totalDegree(first.num) <= 1 && P.totalDegree(second.num) <= 1) {
+      return { equivalent: false, reason: null }
+    }
+    return { equivalent: null, reason: 'non-linear inequalities are not checked' }
+  }
+
+  // Two identities (true for every value) are trivially equivalent
+  if (P.isZero(first.num) && P.isZero(second.num)) return { equivalent: true, reason: null }
+  if (P.ratio(first.num, second.num)) return { equivalent: true, reason: null }
+
+  const names = variablesOf(first, second)
+  if (names.size === 1) {
+    const [name] = names
+    const before = solutionPolynomial(first, name)
+    const after = solutionPolynomial(second, name)
+    // Only one side holds for every allowed value (both doing so returned above)
+    if (!before) return { equivalent: false, reason: 'a solution was lost' }
+    if (!after) return { equivalent: false, reason: 'an extra solution appeared' }
+    if (P.equals(before, after)) return { equivalent: true, reason: null }
+
+    // Factors only one side has; complex roots like those of x² + 1 don't count
+    const shared = P.gcd(before, after, name)
+    const lost = P.countRealRoots(P.divide(before, shared, name), name)
+    const gained = P.countRealRoots(P.divide(after, shared, name), name)
+    if (lost || gained) {
+      const reason = !gained ? 'a solution was lost' : !lost ? 'an extra solution appeared' : null
+      return { equivalent: false, reason }
+    }
+    if (P.countRealRoots(shared, name)) return { equivalent: true, reason: null }
+    return { equivalent: null, reason: 'neither equation has a real solution' }
+  }
+
+  if (P.totalDegree(first.num) <= 1 && P.totalDegree(second.num) <= 1) {
+    return { equivalent: false, reason: null }
+  }
+  return { equivalent: null, reason: 'non-linear equations in several variables are not checked' }
+}
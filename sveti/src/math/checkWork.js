@@ -0,0 +1,287 @@
+import { tryParseMath } from './parser.js'
+import { ZERO } from './rational.js'
+import { compareRelations, evaluateRelation, expressionsEquivalent, isContradiction, isIdentity } from './algebra.js'
+
+/**
+ * Line-by-line verification of a student's algebra work for "Check Work"
+ * Each math line is compared with the one before it: equations and inequalities
+ * must keep the same solutions, expressions must stay equal. The results go into
+ * the tutor prompt so feedback is grounded in real math instead of the model's guess.
+ */
+
+// Words that mean a line is commentary rather than math ("so x = 5", "subtract 7")
+const COMMON_SHORT_WORDS = ['so', 'is', 'to', 'of', 'or', 'it', 'we', 'in', 'on', 'as', 'at', 'by', 'if', 'my', 'me', 'be', 'do', 'go', 'no', 'up', 'an', 'am', 'i']
+const MATH_WORDS = ['sqrt']
+
+// Lines, arrows, and sentence ends in one-line work ("3x = 15. Divide by 3: x = 5")
+const STEP_SEPARATORS = /\n|→|⇒|⟹|->|;|\.\s+(?=[A-Z*_\\])/
+const CHECK_MARKS = /[✓✔✗✘❌✅]/g
+
+/**
+ * Positions of prose words in a line
+ */
+function findProseWords(text) {
+  const words = []
+  for (const match of text.matchAll(/\\?[a-z]+/gi)) {
+    const word = match[0].toLowerCase()
+    if (word.startsWith('\\') || MATH_WORDS.includes(word)) continue
+    if (word.length >= 3 || COMMON_SHORT_WORDS.includes(word)) {
+      words.push({ start: match.index, end: match.index + word.length })
+    }
+  }
+  return words
+}
+
+/**
+ * Where the math starts after a label such as "Check: " or "Subtract 7: ", or 0 without one
+ * A ratio's colon (2:3, 8:x, 2 : 3) isn't a label: a label either ends in a word, or
+ * follows some words and is written "7: " with a space after the colon only
+ */
+function labelEnd(text) {
+  for (let i = text.length - 1; i > 0; i--) {
+    if (text[i] !== ':') continue
+    const before = text.slice(0, i)
+    const words = findProseWords(before)
+    if (!words.length) continue
+    if (words.at(-1).end === before.length || (/\S$/.test(before) && /^\s/.test(text.slice(i + 1)))) return i + 1
+  }
+  return 0
+}
+
+/**
+ * Whether a parsed line is worth checking (not just "x" or "5")
+ */
+function isWorkLine(ast) {
+  return ast.type === 'relation' || ['binary', 'negate', 'sqrt', 'percent'].includes(ast.type)
+}
+
+function parseWorkLine(text) {
+  const ast = tryParseMath(text)
+  return ast && isWorkLine(ast) ? ast : null
+}
+
+/**
+ * "x = 2 or x = 3" as the single equation (x - 2)(x - 3) = 0
+ */
+function parseAlternatives(text) {
+  const options = text.split(/\bor\b/i).map(part => tryParseMath(part))
+  if (options.length < 2 || !options.every(option => option?.type === 'relation' && option.op === '=')) return null
+  const zero = { type: 'number', value: ZERO }
+  const product = options
+    .map(({ left, right }) => ({ type: 'binary', op: '-', left, right }))
+    .reduce((left, right) => ({ type: 'binary', op: '*', left, right }))
+  return { type: 'relation', op: '=', left: product, right: zero }
+}
+
+/**
+ * Parse one chunk of math, or return null if it isn't checkable work
+ */
+function parseChunk(text) {
+  // A line that continues the previous one: "= 2x + 6"
+  const continuation = /^=(?![=<>])/.test(text)
+  const body = continuation ? text.slice(1) : text
+
+  // Chained equalities on one line: "2(x + 3) + 4 = 2x + 6 + 4 = 2x + 10"
+  const parts = body.split('=')
+  if (parts.length > 2 && !/[<>≤≥]/.test(body)) {
+    const chain = parts.map(part => tryParseMath(part))
+    return chain.every(Boolean)
+      ? { text, ast: null, chain, parts: parts.map(part => part.trim()), continuation }
+      : null
+  }
+
+  const ast = parseWorkLine(body)
+  return ast ? { text, ast, chain: null, continuation } : null
+}
+
+/**
+ * Pull the math out of one line of a student's message
+ * @param {string} segment - One line or arrow-separated step
+ * @returns {Array<{text: string, ast: Object|null, chain: Array|null, continuation: boolean}>} Steps found, often none
+ */
+function extractSteps(segment) {
+  let text = segment
+    .replace(CHECK_MARKS, '')
+    // Parenthetical commentary: "3x = 15 (subtract 7)"
+    .replace(/(?<!\\)\([^()\\]*[a-z]{3,}[^()\\]*\)/gi, (group) => (/sqrt/i.test(group) ? group : ''))
+    // Numbered steps: "1) ", "2. ", "Step 3:"
+    .replace(/^\s*(?:step\s*\d+\s*[:.)-]?|\(?\d+[.)](?=\s))\s*/i, '')
+    // "50% of 80" is a product
+    .replace(/%\s*of\b/gi, '% *')
+    .trim()
+    .replace(/[.,!?]+$/, '')
+
+  text = text.slice(labelEnd(text)).trim()
+
+  const alternatives = parseAlternatives(text)
+  if (alternatives) return [{ text, ast: alternatives, chain: null, continuation: false }]
+
+  // Math between words: "so x = 5 is my answer", "3x = 15 then x = 5"
+  const chunks = []
+  let from = 0
+  for (const word of [...findProseWords(text), { start: text.length, end: text.length }]) {
+    chunks.push(text.slice(from, word.start).trim())
+    from = word.end
+  }
+
+  return chunks.filter(Boolean).map(parseChunk).filter(Boolean)
+}
+
+/**
+ * Split a message into the math steps it contains
+ * @param {string} text - Student's message
+ * @returns {Array<{text: string, ast: Object|null, chain: Array|null, continuation: boolean}>}
+ */
+export function extractWorkSteps(text) {
+  return (text || '')
+    .split(STEP_SEPARATORS)
+    .flatMap(extractSteps)
+}
+
+/**
+ * Compare a list of expressions pairwise, returning the index of the first break
+ */
+function firstBreak(expressions) {
+  for (let i = 1; i < expressions.length; i++) {
+    if (!expressionsEquivalent(expressions[i - 1], expressions[i])) return i
+  }
+  return -1
+}
+
+/**
+ * Check a student's work line by line
+ *
+ * @param {string} text - The student's message
+ * @returns {{steps: Array<{line: number, text: string, kind: string, status: string, note: string|null}>, checked: number, firstError: number|null, finalMatchesStart: boolean|null}}
+ *   `status` is one of: 'start', 'equivalent', 'not-equivalent', 'true', 'false', 'unverified'.
+ *   `firstError` is the line number of the first wrong step; `finalMatchesStart` compares the
+ *   last equation or inequality with the first one.
+ */
+export function checkWork(text) {
+  const steps = []
+  let previousRelation = null
+  let firstRelation = null
+  let lastRelation = null
+  let previousExpression = null
+  let previousKind = null
+
+  extractWorkSteps(text).forEach((step, index) => {
+    const entry = { line: index + 1, text: step.text, kind: 'expression', status: 'start', note: null }
+    steps.push(entry)
+
+    try {
+      if (step.chain) {
+        const joined = step.continuation && previousExpression
+        const expressions = joined ? [previousExpression, ...step.chain] : step.chain
+        const parts = joined ? ['the previous line', ...step.parts] : step.parts
+        const broken = firstBreak(expressions)
+        entry.status = broken === -1 ? 'equivalent' : 'not-equivalent'
+        if (broken !== -1) entry.note = `"${parts[broken - 1]}" and "${parts[broken]}" are not equal`
+        previousExpression = step.chain.at(-1)
+        previousKind = 'expression'
+        return
+      }
+
+      const { ast } = step
+
+      if (ast.type !== 'relation') {
+        if (step.continuation || previousKind === 'expression') {
+          if (previousExpression) {
+            entry.status = expressionsEquivalent(previousExpression, ast) ? 'equivalent' : 'not-equivalent'
+          }
+        }
+        previousExpression = ast
+        previousKind = 'expression'
+        return
+      }
+
+      entry.kind = ast.op === '=' ? 'equation' : 'inequality'
+
+      // Side calculation with plain numbers: "22 - 7 = 15"
+      const truth = evaluateRelation(ast)
+      if (truth !== null) {
+        entry.kind = 'arithmetic'
+        entry.status = truth ? 'true' : 'false'
+        return
+      }
+
+      if (previousRelation) {
+        const { equivalent, reason } = compareRelations(previousRelation, ast)
+        entry.status = equivalent === null ? 'unverified' : equivalent ? 'equivalent' : 'not-equivalent'
+        entry.note = reason
+      } else if (isIdentity(ast)) {
+        entry.status = 'true'
+        entry.note = 'both sides are equal for every value'
+      } else if (isContradiction(ast)) {
+        entry.note = 'the two sides can never be equal'
+      }
+
+      previousRelation = ast
+      firstRelation ??= ast
+      lastRelation = ast
+      previousExpression = ast.right
+      previousKind = 'relation'
+    } catch (error) {
+      entry.status = 'unverified'
+      entry.note = error.message
+    }
+  })
+
+  let finalMatchesStart = null
+  if (firstRelation && lastRelation && firstRelation !== lastRelation) {
+    try {
+      finalMatchesStart = compareRelations(firstRelation, lastRelation).equivalent
+    } catch {
+      finalMatchesStart = null
+    }
+  }
+
+  const errors = steps.filter(step => step.status === 'not-equivalent' || step.status === 'false')
+
+  return {
+    steps,
+    checked: steps.filter(step => ['equivalent', 'not-equivalent', 'true', 'false'].includes(step.status)).length,
+    firstError: errors[0]?.line ?? null,
+    finalMatchesStart
+  }
+}
+
+const STATUS_TEXT = {
+  start: 'starting point',
+  equivalent: 'equivalent to the previous line ✓',
+  'not-equivalent': 'NOT equivalent to the previous line ✗',
+  true: 'correct ✓',
+  false: 'INCORRECT ✗',
+  unverified: 'could not be checked automatically'
+}
+
+/**
+ * Format check results as a system prompt block
+ * @param {ReturnType<typeof checkWork>} result - Output of `checkWork`
+ * @returns {string} Prompt block, or '' when there was nothing to check
+ */
+export function formatCheckReport(result) {
+  if (!result?.checked) return ''
+
+  const lines = result.steps.map(step => {
+    const label = step.kind === 'arithmetic' && step.status !== 'unverified'
+      ? `arithmetic is ${STATUS_TEXT[step.status]}`
+      : STATUS_TEXT[step.status]
+    return `Line ${step.line}: ${step.text} - ${label}${step.note ? ` (${step.note})` : ''}`
+  })
+
+  const summary = result.firstError
+    ? `The first mistake is on line ${result.firstError}. Guide the student to find it in that step; do not just give the corrected line.`
+    : 'Every checked step is valid. Confirm this, then ask the student to explain a step or verify the answer by substitution.'
+
+  const overall = result.finalMatchesStart === null
+    ? ''
+    : `\nThe last line ${result.finalMatchesStart ? 'has the same solutions as' : 'does NOT have the same solutions as'} the first line.`
+
+  return `
+
+[Verified Work Check]
+Sveti's algebra engine checked the student's work line by line. These results are exact - base your feedback on them and never contradict them.
+${lines.join('\n')}${overall}
+${summary}`
+}
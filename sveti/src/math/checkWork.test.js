@@ -0,0 +1,36 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { checkWork } from './checkWork.js'
+
+test('identity with a variable denominator loses solutions when solved', () => {
+  for (const text of ['x/x = 1\nx = 1', '(x-1)/(x-1) = 1\nx = 1']) {
+    const result = checkWork(text)
+    assert.equal(result.steps[1].status, 'not-equivalent')
+    assert.equal(result.steps[1].note, 'a solution was lost')
+  }
+})
+
+test('equation turned into an identity with a variable denominator gains solutions', () => {
+  const result = checkWork('x = 1\nx/x = 1')
+  assert.equal(result.steps[1].status, 'not-equivalent')
+  assert.equal(result.steps[1].note, 'an extra solution appeared')
+})
+
+test('roots excluded by the denominator are dropped', () => {
+  assert.equal(checkWork('(x^2-1)/(x-1) = 0\nx = -1').steps[1].status, 'equivalent')
+})
+
+test('steps that only drop complex solutions are equivalent over the reals', () => {
+  for (const text of ['x^3 = 8\nx = 2', 'x^4 = 16\nx^2 = 4', '(x-1)(x^2+1) = 0\nx = 1']) {
+    assert.equal(checkWork(text).steps[1].status, 'equivalent', text)
+  }
+})
+
+test('losing or gaining a real solution is still caught', () => {
+  assert.equal(checkWork('x^2 = 4\nx = 2').steps[1].note, 'a solution was lost')
+  assert.equal(checkWork('x^3 = 8\nx^2 = 4').steps[1].note, 'an extra solution appeared')
+})
+
+test('equations without real solutions are left undecided', () => {
+  assert.equal(checkWork('x^2 = -4\nx^2 = -9').steps[1].status, 'unverified')
+})
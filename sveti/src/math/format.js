@@ -0,0 +1,158 @@
+import { toString as rationalToString } from './rational.js'
+import { parseMath } from './parser.js'
+
+/**
+ * Print parsed math back out as normalized LaTeX or ASCII-math
+ * Both forms parse back to the same AST, so the tutor, the KaTeX renderer and
+ * the local checker all read a student's input the same way.
+ */
+
+// Binding strength of each node; higher binds tighter
+function precedence(node) {
+  switch (node.type) {
+    case 'relation':
+      return 0
+    case 'binary':
+      return { '+': 1, '-': 1, '*': 2, '/': 2, '^': 4 }[node.op]
+    case 'negate':
+      return 2
+    case 'number':
+      return node.value.n < 0n ? 2 : 5
+    default:
+      return 5
+  }
+}
+
+const isAtom = (node) => node.type === 'symbol' || (node.type === 'number' && node.value.n >= 0n)
+
+function numberText(node) {
+  return node.raw ?? rationalToString(node.value)
+}
+
+const LATEX_RELATIONS = { '=': '=', '<': '<', '>': '>', '≤': '\\le', '≥': '\\ge' }
+const ASCII_RELATIONS = { '=': '=', '<': '<', '>': '>', '≤': '<=', '≥': '>=' }
+
+/**
+ * Format an AST as LaTeX
+ * @param {Object} node - AST from `parseMath`
+ * @returns {string} e.g. "3x^{2} + 2x - 1 = 0", "\\frac{x + 1}{2}"
+ */
+export function toLatex(node) {
+  const wrap = (child, needsParens) => {
+    const text = toLatex(child)
+    return needsParens ? `\\left(${text}\\right)` : text
+  }
+
+  switch (node.type) {
+    case 'number':
+      return numberText(node)
+    case 'symbol':
+      return node.name
+    case 'negate':
+      return `-${wrap(node.arg, precedence(node.arg) <= 2)}`
+    case 'percent':
+      return `${wrap(node.arg, !isAtom(node.arg))}\\%`
+    case 'sqrt':
+      return `\\sqrt{${toLatex(node.arg)}}`
+    case 'relation':
+      return `${toLatex(node.left)} ${LATEX_RELATIONS[node.op]} ${toLatex(node.right)}`
+    case 'binary': {
+      const { op, left, right } = node
+      if (op === '+' || op === '-') {
+        const rightParens = right.type === 'negate' || (op === '-' && precedence(right) <= 1)
+        return `${wrap(left, precedence(left) < 1)} ${op} ${wrap(right, rightParens)}`
+      }
+      if (op === '/') return `\\frac{${toLatex(left)}}{${toLatex(right)}}`
+      if (op === '^') return `${wrap(left, !isAtom(left) && left.type !== 'sqrt')}^{${toLatex(right)}}`
+
+      const leftText = wrap(left, precedence(left) < 2)
+      const rightText = wrap(right, precedence(right) <= 2)
+      return implicitProduct(left, right, rightText) ? `${leftText}${rightText}` : `${leftText} \\cdot ${rightText}`
+    }
+    default:
+      throw new Error(`Cannot format a ${node.type}`)
+  }
+}
+
+/**
+ * Format an AST as ASCII-math
+ * @param {Object} node - AST from `parseMath`
+ * @returns {string} e.g. "3x^2 + 2x - 1 = 0", "(x + 1)/2", "sqrt(x + 1)"
+ */
+export function toAscii(node) {
+  const wrap = (child, needsParens) => {
+    const text = toAscii(child)
+    return needsParens ? `(${text})` : text
+  }
+
+  switch (node.type) {
+    case 'number':
+      return numberText(node)
+    case 'symbol':
+      return node.name
+    case 'negate':
+      return `-${wrap(node.arg, precedence(node.arg) <= 2)}`
+    case 'percent':
+      return `${wrap(node.arg, !isAtom(node.arg))}%`
+    case 'sqrt':
+      return `sqrt(${toAscii(node.arg)})`
+    case 'relation':
+      return `${toAscii(node.left)} ${ASCII_RELATIONS[node.op]} ${toAscii(node.right)}`
+    case 'binary': {
+      const { op, left, right } = node
+      if (op === '+' || op === '-') {
+        const rightParens = right.type === 'negate' || (op === '-' && precedence(right) <= 1)
+        return `${wrap(left, precedence(left) < 1)} ${op} ${wrap(right, rightParens)}`
+      }
+      if (op === '^') return `${wrap(left, !isAtom(left) && left.type !== 'sqrt')}^${wrap(right, !isAtom(right))}`
+      if (op === '/') return `${wrap(left, precedence(left) < 2)}/${wrap(right, precedence(right) <= 2)}`
+
+      const leftText = wrap(left, precedence(left) < 2)
+      const rightText = wrap(right, precedence(right) <= 2)
+      return implicitProduct(left, right, rightText) ? `${leftText}${rightText}` : `${leftText}*${rightText}`
+    }
+    default:
+      throw new Error(`Cannot format a ${node.type}`)
+  }
+}
+
+/**
+ * Whether a product reads naturally without a sign: 3x, 2(x + 1), xy - but not 2·3 or 2·½
+ */
+function implicitProduct(left, right, rightText) {
+  if (right.type === 'binary' && right.op === '/') return false
+  if (left.type === 'binary' && left.op === '/') return false
+  return /^[a-z(\\]/i.test(rightText) && !(left.type === 'symbol' && right.type === 'number')
+}
+
+/**
+ * Normalize what a student typed in math mode, one line at a time
+ * Lines that don't parse are kept as typed so nothing the student wrote is lost
+ * @param {string} text - Raw math input, possibly several lines
+ * @param {'latex'|'ascii'} format - Output notation
+ * @returns {{text: string, lines: Array<{source: string, latex: string|null, error: string|null}>}}
+ */
+export function normalizeMathInput(text, format = 'latex') {
+  const lines = text
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(source => {
+      try {
+        const ast = parseMath(source)
+        return { source, ast, latex: toLatex(ast), error: null }
+      } catch (error) {
+        return { source, ast: null, latex: null, error: error.message }
+      }
+    })
+
+  const output = lines.map(({ source, ast, latex }) => {
+    if (!ast) return source
+    return format === 'latex' ? `\\(${latex}\\)` : toAscii(ast)
+  })
+
+  return {
+    text: output.join('\n'),
+    lines: lines.map(({ source, latex, error }) => ({ source, latex, error }))
+  }
+}
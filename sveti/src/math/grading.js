@@ -0,0 +1,89 @@
+import * as Q from './rational.js'
+import { tryParseMath } from './parser.js'
+import { toRationalFunction } from './algebra.js'
+import { constantValue } from './polynomial.js'
+
+/**
+ * Grading for practice answers
+ * Answers are compared as exact numbers, so 0.5, 1/2, .50 and 50% all match an
+ * answer key of 1/2, and "x = 4", "$40" or "40 coins" are read as their number.
+ */
+
+/**
+ * Read a typed answer as an exact number
+ * @param {string} text - What the student typed, e.g. "x = -3", "$12.50", "3/4", "2 1/2", "25%"
+ * @returns {{value: {n: bigint, d: bigint}, percent: boolean}|null} The number and whether it was
+ *   written as a percent, or null when it isn't a single number
+ */
+export function parseAnswer(text) {
+  let source = String(text ?? '')
+    .trim()
+    // Thousands separators: 1,250 -> 1250
+    .replace(/(\d),(?=\d{3}(?!\d))/g, '$1')
+    .replace(/[$€£]/g, '')
+    // Units and words: "40 coins", "15 percent"
+    .replace(/\bpercent\b/gi, '%')
+    .replace(/[a-z]{2,}/gi, '')
+
+  // "x = 4" -> "4"
+  if (source.includes('=')) source = source.slice(source.lastIndexOf('=') + 1)
+  if (!source.trim()) return null
+
+  // Mixed number "2 1/2" is 5/2; the parser would read it as 2 * 1/2
+  const mixed = source.trim().match(/^(-?)(\d+)\s+(\d+)\s*\/\s*(\d+)$/)
+  if (mixed) {
+    const [, minus, whole, n, d] = mixed
+    if (BigInt(d) === 0n) return null
+    const value = Q.add(Q.rational(whole), Q.rational(n, d))
+    return { value: minus ? Q.neg(value) : value, percent: false }
+  }
+
+  const ast = tryParseMath(source)
+  if (!ast || ast.type === 'relation') return null
+  try {
+    const { num, den } = toRationalFunction(ast)
+    const n = constantValue(num)
+    const d = constantValue(den)
+    if (!n || !d) return null
+    return { value: Q.div(n, d), percent: ast.type === 'percent' }
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Grade an answer against a practice item's key
+ * For percent questions the student may answer 25, 25% or 0.25
+ * @param {string} input - Student's answer
+ * @param {{answer: string, unit?: string}} item - Practice item with its answer key
+ * @returns {{correct: boolean, readable: boolean}} `readable` is false when the input isn't a number
+ */
+export function gradeAnswer(input, item) {
+  const given = parseAnswer(input)
+  const key = parseAnswer(item.answer)
+  if (!given || !key) return { correct: false, readable: !!given }
+
+  const matches = (value) => Q.equals(given.value, value)
+  if (item.unit === '%') {
+    return { correct: matches(key.value) || matches(Q.div(key.value, Q.rational(100))), readable: true }
+  }
+  return { correct: matches(key.value), readable: true }
+}
+
+/**
+ * Score a practice set
+ * @param {Array<{id: string}>} items - Practice items
+ * @param {Object<string, {correct: boolean, attempts: number}>} responses - Graded answers by item id
+ * @returns {{total: number, answered: number, correct: number, firstTry: number, complete: boolean}}
+ */
+export function scorePractice(items, responses = {}) {
+  const graded = items.map(item => responses[item.id]).filter(Boolean)
+  const correct = graded.filter(response => response.correct)
+  return {
+    total: items.length,
+    answered: graded.length,
+    correct: correct.length,
+    firstTry: correct.filter(response => response.attempts === 1).length,
+    complete: graded.length === items.length
+  }
+}
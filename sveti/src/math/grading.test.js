@@ -0,0 +1,32 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { gradeAnswer, parseAnswer } from './grading.js'
+import * as Q from './rational.js'
+
+const valueOf = (text) => parseAnswer(text)?.value ?? null
+
+test('decimals, fractions and percents are read exactly', () => {
+  assert.deepEqual(valueOf('0.5'), Q.rational(1, 2))
+  assert.deepEqual(valueOf('x = -3/4'), Q.rational(-3, 4))
+  assert.deepEqual(valueOf('$1,250'), Q.rational(1250))
+  assert.deepEqual(valueOf('40 coins'), Q.rational(40))
+  assert.equal(parseAnswer('25%').percent, true)
+})
+
+test('a mixed number is its whole part plus the fraction', () => {
+  assert.deepEqual(valueOf('2 1/2'), Q.rational(5, 2))
+  assert.deepEqual(valueOf('x = 3 3/4 cups'), Q.rational(15, 4))
+  assert.deepEqual(valueOf('-1 1/3'), Q.rational(-4, 3))
+  assert.equal(parseAnswer('2 1/0'), null)
+})
+
+test('a mixed number answer matches its improper fraction and decimal', () => {
+  for (const input of ['2 1/2', '5/2', '2.5']) {
+    assert.deepEqual(gradeAnswer(input, { answer: '5/2' }), { correct: true, readable: true }, input)
+  }
+  assert.deepEqual(gradeAnswer('2 1/2', { answer: '1' }), { correct: false, readable: true })
+})
+
+test('text that is not a number is unreadable', () => {
+  assert.deepEqual(gradeAnswer('no idea', { answer: '4' }), { correct: false, readable: false })
+})
@@ -0,0 +1,175 @@
+import { parseMath } from './parser.js'
+import { toNumber } from './rational.js'
+import { toAscii } from './format.js'
+
+/**
+ * Graph specs for the inline coordinate plane
+ *
+ * The tutor draws a graph with a fenced code block:
+ *
+ *   ```graph
+ *   y = 2x + 1 | Your line
+ *   y = 2x - 3 | Correct line
+ *   x: -5..10
+ *   ```
+ *
+ * One curve per line (`y = …` in x, or a vertical line `x = 3`) with an optional
+ * label after `|`; `x:` and `y:` lines set the window.
+ */
+
+export const DEFAULT_RANGE = [-10, 10]
+
+/**
+ * Evaluate an expression AST with floating-point numbers
+ * Unlike the exact engine this handles irrational roots, so any curve can be drawn
+ * @param {Object} node - Expression AST from `parseMath`
+ * @param {Object<string, number>} scope - Variable values
+ * @returns {number} Value, NaN where undefined
+ */
+export function evaluate(node, scope) {
+  switch (node.type) {
+    case 'number':
+      return toNumber(node.value)
+    case 'symbol':
+      return scope[node.name] ?? NaN
+    case 'negate':
+      return -evaluate(node.arg, scope)
+    case 'percent':
+      return evaluate(node.arg, scope) / 100
+    case 'sqrt':
+      return Math.sqrt(evaluate(node.arg, scope))
+    case 'binary': {
+      const a = evaluate(node.left, scope)
+      const b = evaluate(node.right, scope)
+      switch (node.op) {
+        case '+': return a + b
+        case '-': return a - b
+        case '*': return a * b
+        case '/': return a / b
+        case '^': return Math.pow(a, b)
+        default: return NaN
+      }
+    }
+    default:
+      return NaN
+  }
+}
+
+function usesOnly(node, allowed) {
+  switch (node.type) {
+    case 'symbol':
+      return allowed.includes(node.name)
+    case 'binary':
+    case 'relation':
+      return usesOnly(node.left, allowed) && usesOnly(node.right, allowed)
+    case 'negate':
+    case 'sqrt':
+    case 'percent':
+      return usesOnly(node.arg, allowed)
+    default:
+      return true
+  }
+}
+
+/**
+ * Turn "y = 2x + 1", "f(x) = x^2" or "x = 3" into a plottable curve
+ * @param {string} text - One equation
+ * @returns {{kind: 'function', expression: string, evaluate: Function}|{kind: 'vertical', expression: string, x: number}|null}
+ */
+export function parseCurve(text) {
+  const source = text.replace(/^\s*[a-z]\s*\(\s*x\s*\)\s*=/i, 'y =').trim()
+  let ast
+  try {
+    ast = parseMath(source)
+  } catch {
+    return null
+  }
+  if (ast.type !== 'relation' || ast.op !== '=') return null
+
+  const { left, right } = ast
+  if (left.type === 'symbol' && left.name === 'y' && usesOnly(right, ['x'])) {
+    return { kind: 'function', expression: `y = ${toAscii(right)}`, evaluate: (x) => evaluate(right, { x }) }
+  }
+  if (right.type === 'symbol' && right.name === 'y' && usesOnly(left, ['x'])) {
+    return { kind: 'function', expression: `y = ${toAscii(left)}`, evaluate: (x) => evaluate(left, { x }) }
+  }
+  if (left.type === 'symbol' && left.name === 'x' && usesOnly(right, [])) {
+    const x = evaluate(right, {})
+    return Number.isFinite(x) ? { kind: 'vertical', expression: `x = ${toAscii(right)}`, x } : null
+  }
+  return null
+}
+
+function parseRange(text) {
+  const match = text.match(/(-?\d*\.?\d+)\s*(?:\.\.|to|,)\s*(-?\d*\.?\d+)/)
+  if (!match) return null
+  const [low, high] = [Number(match[1]), Number(match[2])]
+  return low < high ? [low, high] : null
+}
+
+/**
+ * Parse the body of a ```graph block
+ * @param {string} text - Block contents
+ * @returns {{curves: Array<Object>, xRange: number[]|null, yRange: number[]|null}}
+ */
+export function parseGraphSpec(text) {
+  const spec = { curves: [], xRange: null, yRange: null }
+
+  for (const rawLine of text.split('\n')) {
+    const line = rawLine.trim()
+    if (!line) continue
+
+    const windowMatch = line.match(/^([xy])\s*(?:range)?\s*:\s*(.+)$/i)
+    if (windowMatch) {
+      spec[`${windowMatch[1].toLowerCase()}Range`] = parseRange(windowMatch[2])
+      continue
+    }
+
+    const [equation, label] = line.split('|').map(part => part.trim())
+    const curve = parseCurve(equation)
+    if (curve) spec.curves.push({ ...curve, label: label || curve.expression })
+  }
+
+  return spec
+}
+
+/**
+ * Find equations like "y = 2x + 3" in ordinary message text
+ * @param {string} text - Message content
+ * @returns {Array<Object>} Curves, at most four, without duplicates
+ */
+export function findCurvesInText(text) {
+  const clean = (text || '')
+    .replace(/```[\s\S]*?```/g, '')
+    .replace(/\\[()[\]]|\$/g, ' ')
+
+  const curves = []
+  // Each match stops at a line break, comma, sentence end or the next equation
+  const pattern = /(?:\b[fg]\s*\(\s*x\s*\)|\by)\s*=\s*([^\n,;]+?)(?=[\n,;]|\.(?:\s|$)|\s(?:[fg]\s*\(\s*x\s*\)|y)\s*=|$)/g
+  for (const match of clean.matchAll(pattern)) {
+    // Shorten until it parses: "y = 2x + 3 is the line" -> "y = 2x + 3"
+    const words = match[1].trim().split(/\s+/)
+    for (let length = words.length; length > 0; length--) {
+      const curve = parseCurve(`y = ${words.slice(0, length).join(' ').replace(/[.:!?]+$/, '')}`)
+      if (curve) {
+        if (!curves.some(existing => existing.expression === curve.expression)) {
+          curves.push({ ...curve, label: curve.expression })
+        }
+        break
+      }
+    }
+  }
+  return curves.slice(0, 4)
+}
+
+/**
+ * A "nice" grid spacing (1, 2 or 5 times a power of ten) for a visible span
+ * @param {number} span - Width of the visible range
+ * @returns {number}
+ */
+export function niceStep(span) {
+  const rough = span / 8
+  const power = 10 ** Math.floor(Math.log10(rough))
+  const scaled = rough / power
+  return (scaled < 1.5 ? 1 : scaled < 3.5 ? 2 : scaled < 7.5 ? 5 : 10) * power
+}
@@ -0,0 +1,243 @@
+import { parseDecimal } from './rational.js'
+
+/**
+ * Parser for the algebra students type into Sveti
+ *
+ * Accepts everyday notation - implicit multiplication (3x, 2(x + 1)), ^ and ² ³,
+ * √ and sqrt(), percents, ratios written a:b, unicode operators and simple LaTeX
+ * (\frac, \sqrt, \cdot, \le) - and produces a small AST:
+ *
+ *   { type: 'number', value, raw }        value is an exact rational, raw the digits as typed
+ *   { type: 'symbol', name }              single-letter variable
+ *   { type: 'binary', op, left, right }   op is + - * / ^
+ *   { type: 'negate', arg }
+ *   { type: 'sqrt', arg }
+ *   { type: 'percent', arg }
+ *   { type: 'relation', op, left, right } op is = < > ≤ ≥ (top level only)
+ */
+
+const FUNCTIONS = ['sqrt']
+const RELATIONS = ['=', '<', '>', '≤', '≥']
+
+/**
+ * Rewrite unicode and LaTeX notation into the plain form the tokenizer reads
+ */
+function normalize(text) {
+  let result = text
+    .replace(/\$|\\[()[\]]/g, '')
+    .replace(/\\left|\\right|\\[,;! ]/g, '')
+    .replace(/\\(?:cdot|times)/g, '*')
+    .replace(/\\div/g, '/')
+    .replace(/\\%/g, '%')
+    .replace(/\\(?:leq?|leqslant)(?![a-z])/g, '≤')
+    .replace(/\\(?:geq?|geqslant)(?![a-z])/g, '≥')
+
+  // \frac{a}{b}, \sqrt{a} and ^{n}, innermost first
+  let previous
+  do {
+    previous = result
+    result = result
+      .replace(/\\[dt]?frac\s*\{([^{}]*)\}\s*\{([^{}]*)\}/g, '(($1)/($2))')
+      .replace(/\\sqrt\s*\{([^{}]*)\}/g, 'sqrt($1)')
+      .replace(/\^\s*\{([^{}]*)\}/g, '^($1)')
+  } while (result !== previous)
+
+  return result
+    .replace(/[−–—]/g, '-')
+    .replace(/[×·⋅∙]/g, '*')
+    .replace(/[÷:]/g, '/')
+    .replace(/²/g, '^2')
+    .replace(/³/g, '^3')
+    .replace(/√/g, 'sqrt')
+    .replace(/<=|=</g, '≤')
+    .replace(/>=|=>/g, '≥')
+    .replace(/[[{]/g, '(')
+    .replace(/[\]}]/g, ')')
+}
+
+/**
+ * Split normalized text into tokens
+ * @returns {Array<{type: string, value?: string}>}
+ */
+function tokenize(text) {
+  const tokens = []
+  let i = 0
+  while (i < text.length) {
+    const char = text[i]
+
+    if (/\s/.test(char)) {
+      i++
+    } else if (/[\d.]/.test(char)) {
+      const match = text.slice(i).match(/^(\d+\.?\d*|\.\d+)/)
+      if (!match) throw new Error(`Unexpected "${char}"`)
+      tokens.push({ type: 'number', value: match[1] })
+      i += match[1].length
+    } else if (/[a-z]/i.test(char)) {
+      const word = text.slice(i).match(/^[a-z]+/i)[0]
+      const fn = FUNCTIONS.find(name => word.toLowerCase().startsWith(name))
+      if (fn) {
+        tokens.push({ type: 'function', value: fn })
+        i += fn.length
+      } else {
+        // Letters next to each other are a product of variables: xy = x·y
+        tokens.push({ type: 'symbol', value: char })
+        i++
+      }
+    } else if ('+-*/^'.includes(char)) {
+      tokens.push({ type: 'operator', value: char })
+      i++
+    } else if (RELATIONS.includes(char)) {
+      tokens.push({ type: 'relation', value: char })
+      i++
+    } else if ('()%'.includes(char)) {
+      tokens.push({ type: char })
+      i++
+    } else {
+      throw new Error(`Unexpected "${char}"`)
+    }
+  }
+  return tokens
+}
+
+/**
+ * Recursive-descent parser over a token list
+ */
+function createParser(tokens) {
+  let position = 0
+
+  const peek = () => tokens[position]
+  const next = () => tokens[position++]
+  const isOperator = (value) => peek()?.type === 'operator' && peek().value === value
+
+  const expect = (type) => {
+    const token = next()
+    if (token?.type !== type) throw new Error(`Expected "${type}"`)
+    return token
+  }
+
+  // Tokens that can start a factor written right after another one: 3x, 2(x + 1), x sqrt(2)
+  const startsFactor = (token) =>
+    token && ['number', 'symbol', 'function', '('].includes(token.type)
+
+  function parsePrimary() {
+    const token = next()
+    if (!token) throw new Error('Unexpected end of input')
+
+    switch (token.type) {
+      case 'number':
+        return { type: 'number', value: parseDecimal(token.value), raw: token.value }
+      case 'symbol':
+        return { type: 'symbol', name: token.value }
+      case 'function': {
+        // sqrt(x) or sqrt 9
+        return { type: 'sqrt', arg: peek()?.type === '(' ? parseGroup() : parsePower() }
+      }
+      case '(':
+        position--
+        return parseGroup()
+      default:
+        throw new Error(`Unexpected "${token.value ?? token.type}"`)
+    }
+  }
+
+  function parseGroup() {
+    expect('(')
+    const inner = parseExpression()
+    expect(')')
+    return inner
+  }
+
+  function parsePostfix() {
+    let node = parsePrimary()
+    while (peek()?.type === '%') {
+      next()
+      node = { type: 'percent', arg: node }
+    }
+    return node
+  }
+
+  function parsePower() {
+    const base = parsePostfix()
+    if (isOperator('^')) {
+      next()
+      // Right-associative, and the exponent may carry its own sign: x^-1
+      return { type: 'binary', op: '^', left: base, right: parseUnary() }
+    }
+    return base
+  }
+
+  function parseUnary() {
+    if (isOperator('-')) {
+      next()
+      return { type: 'negate', arg: parseUnary() }
+    }
+    if (isOperator('+')) {
+      next()
+      return parseUnary()
+    }
+    return parsePower()
+  }
+
+  function parseTerm() {
+    let node = parseUnary()
+    for (;;) {
+      if (isOperator('*') || isOperator('/')) {
+        const op = next().value
+        node = { type: 'binary', op, left: node, right: parseUnary() }
+      } else if (startsFactor(peek()) && !(peek().type === 'number' && tokens[position - 1]?.type === 'number')) {
+        node = { type: 'binary', op: '*', left: node, right: parsePower() }
+      } else {
+        return node
+      }
+    }
+  }
+
+  function parseExpression() {
+    let node = parseTerm()
+    while (isOperator('+') || isOperator('-')) {
+      const op = next().value
+      node = { type: 'binary', op, left: node, right: parseTerm() }
+    }
+    return node
+  }
+
+  function parseStatement() {
+    if (!tokens.length) throw new Error('Nothing to parse')
+    const left = parseExpression()
+    let node = left
+    if (peek()?.type === 'relation') {
+      const op = next().value
+      node = { type: 'relation', op, left, right: parseExpression() }
+    }
+    if (position < tokens.length) {
+      const token = peek()
+      throw new Error(`Unexpected "${token.value ?? token.type}"`)
+    }
+    return node
+  }
+
+  return { parseStatement }
+}
+
+/**
+ * Parse an expression, equation or inequality
+ * @param {string} text - Math as typed by the student
+ * @returns {Object} AST (see the top of this file)
+ * @throws {Error} When the text is not valid math
+ */
+export function parseMath(text) {
+  return createParser(tokenize(normalize(text))).parseStatement()
+}
+
+/**
+ * Like `parseMath`, but returns null instead of throwing
+ * @param {string} text - Math as typed by the student
+ * @returns {Object|null}
+ */
+export function tryParseMath(text) {
+  try {
+    return parseMath(text)
+  } catch {
+    return null
+  }
+}
@@ -0,0 +1,266 @@
+import * as Q from './rational.js'
+
+/**
+ * Multivariate polynomials with exact rational coefficients
+ * A polynomial is a Map from monomial key ("", "x", "x^2*y") to `{powers, coef}`,
+ * where `powers` maps variable names to positive integer exponents. Zero terms are
+ * never stored, so the zero polynomial is an empty Map.
+ */
+
+function monomialKey(powers) {
+  return Object.keys(powers)
+    .sort()
+    .map(name => (powers[name] === 1 ? name : `${name}^${powers[name]}`))
+    .join('*')
+}
+
+function addTerm(poly, powers, coef) {
+  if (Q.isZero(coef)) return
+  const key = monomialKey(powers)
+  const existing = poly.get(key)
+  const total = existing ? Q.add(existing.coef, coef) : coef
+  if (Q.isZero(total)) {
+    poly.delete(key)
+  } else {
+    poly.set(key, { powers, coef: total })
+  }
+}
+
+/**
+ * Constant polynomial
+ * @param {{n: bigint, d: bigint}} value - Rational value
+ */
+export function constant(value) {
+  const poly = new Map()
+  addTerm(poly, {}, value)
+  return poly
+}
+
+/**
+ * Polynomial consisting of a single variable
+ * @param {string} name - Variable name
+ */
+export function variable(name) {
+  return new Map([[name, { powers: { [name]: 1 }, coef: Q.ONE }]])
+}
+
+export function add(a, b) {
+  const result = new Map(a)
+  for (const { powers, coef } of b.values()) addTerm(result, powers, coef)
+  return result
+}
+
+export function scale(poly, factor) {
+  const result = new Map()
+  for (const { powers, coef } of poly.values()) addTerm(result, powers, Q.mul(coef, factor))
+  return result
+}
+
+export function neg(poly) {
+  return scale(poly, Q.neg(Q.ONE))
+}
+
+export function sub(a, b) {
+  return add(a, neg(b))
+}
+
+export function mul(a, b) {
+  const result = new Map()
+  for (const left of a.values()) {
+    for (const right of b.values()) {
+      const powers = { ...left.powers }
+      for (const [name, exponent] of Object.entries(right.powers)) {
+        powers[name] = (powers[name] || 0) + exponent
+      }
+      addTerm(result, powers, Q.mul(left.coef, right.coef))
+    }
+  }
+  return result
+}
+
+/**
+ * Raise to a non-negative integer power
+ */
+export function pow(poly, exponent) {
+  let result = constant(Q.ONE)
+  for (let i = 0; i < exponent; i++) result = mul(result, poly)
+  return result
+}
+
+export function isZero(poly) {
+  return poly.size === 0
+}
+
+export function isConstant(poly) {
+  return poly.size === 0 || (poly.size === 1 && poly.has(''))
+}
+
+/**
+ * Value of a constant polynomial
+ * @returns {{n: bigint, d: bigint}|null} The constant, or null if the polynomial has variables
+ */
+export function constantValue(poly) {
+  if (!isConstant(poly)) return null
+  return poly.get('')?.coef ?? Q.ZERO
+}
+
+/**
+ * @returns {Set<string>} Variable names used
+ */
+export function variables(poly) {
+  const names = new Set()
+  for (const { powers } of poly.values()) Object.keys(powers).forEach(name => names.add(name))
+  return names
+}
+
+/**
+ * Highest total degree of any term (0 for constants, -1 for zero)
+ */
+export function totalDegree(poly) {
+  let degree = -1
+  for (const { powers } of poly.values()) {
+    degree = Math.max(degree, Object.values(powers).reduce((sum, e) => sum + e, 0))
+  }
+  return degree
+}
+
+export function equals(a, b) {
+  return isZero(sub(a, b))
+}
+
+/**
+ * Find c such that a = c·b
+ * @returns {{n: bigint, d: bigint}|null} The factor, or null when a is not a multiple of b
+ */
+export function ratio(a, b) {
+  if (isZero(b)) return null
+  const [key, term] = b.entries().next().value
+  const factor = Q.div(a.get(key)?.coef ?? Q.ZERO, term.coef)
+  if (Q.isZero(factor)) return null
+  return equals(a, scale(b, factor)) ? factor : null
+}
+
+/*
+ * Univariate helpers. Coefficient arrays are indexed by degree: [c0, c1, c2, ...]
+ */
+
+/**
+ * Coefficients of a polynomial in one variable
+ * @param {Map} poly - Polynomial using at most the variable `name`
+ * @param {string} name - The variable
+ * @returns {Array<{n: bigint, d: bigint}>} Coefficients, lowest degree first
+ */
+export function toCoefficients(poly, name) {
+  const coefficients = []
+  for (const { powers, coef } of poly.values()) {
+    const degree = powers[name] || 0
+    while (coefficients.length <= degree) coefficients.push(Q.ZERO)
+    coefficients[degree] = coef
+  }
+  return coefficients
+}
+
+export function fromCoefficients(coefficients, name) {
+  const poly = new Map()
+  coefficients.forEach((coef, degree) => addTerm(poly, degree ? { [name]: degree } : {}, coef))
+  return poly
+}
+
+function trim(coefficients) {
+  const result = [...coefficients]
+  while (result.length && Q.isZero(result.at(-1))) result.pop()
+  return result
+}
+
+function monic(coefficients) {
+  const trimmed = trim(coefficients)
+  if (!trimmed.length) return trimmed
+  const lead = trimmed.at(-1)
+  return trimmed.map(coef => Q.div(coef, lead))
+}
+
+function divMod(dividend, divisor) {
+  const remainder = trim(dividend)
+  const d = trim(divisor)
+  const quotient = Array(Math.max(remainder.length - d.length + 1, 0)).fill(Q.ZERO)
+  while (remainder.length >= d.length) {
+    const shift = remainder.length - d.length
+    const factor = Q.div(remainder.at(-1), d.at(-1))
+    quotient[shift] = factor
+    d.forEach((coef, i) => {
+      remainder[i + shift] = Q.sub(remainder[i + shift], Q.mul(coef, factor))
+    })
+    remainder.pop()
+    while (remainder.length && Q.isZero(remainder.at(-1))) remainder.pop()
+  }
+  return { quotient, remainder }
+}
+
+function gcdCoefficients(a, b) {
+  let x = monic(a)
+  let y = monic(b)
+  while (y.length) {
+    const { remainder } = divMod(x, y)
+    x = y
+    y = monic(remainder)
+  }
+  return x
+}
+
+/**
+ * Monic greatest common divisor of two univariate polynomials
+ */
+export function gcd(a, b, name) {
+  return fromCoefficients(gcdCoefficients(toCoefficients(a, name), toCoefficients(b, name)), name)
+}
+
+/**
+ * Exact division of univariate polynomials (remainder discarded)
+ */
+export function divide(a, b, name) {
+  return fromCoefficients(divMod(toCoefficients(a, name), toCoefficients(b, name)).quotient, name)
+}
+
+export function derivative(poly, name) {
+  const coefficients = toCoefficients(poly, name)
+  return fromCoefficients(coefficients.slice(1).map((coef, i) => Q.mul(coef, Q.rational(i + 1))), name)
+}
+
+/**
+ * Monic polynomial with the same roots but no repeated factors
+ * (x - 2)²(x + 1) becomes (x - 2)(x + 1)
+ */
+export function squareFree(poly, name) {
+  if (isConstant(poly)) return isZero(poly) ? poly : constant(Q.ONE)
+  const repeated = gcd(poly, derivative(poly, name), name)
+  const result = divide(poly, repeated, name)
+  return fromCoefficients(monic(toCoefficients(result, name)), name)
+}
+
+/**
+ * Number of distinct real roots of a univariate polynomial, by Sturm's theorem:
+ * sign changes along the Sturm sequence at -∞ minus those at +∞
+ */
+export function countRealRoots(poly, name) {
+  let previous = trim(toCoefficients(poly, name))
+  if (previous.length <= 1) return 0
+  let current = trim(toCoefficients(derivative(poly, name), name))
+  const sequence = [previous]
+  while (current.length) {
+    sequence.push(current)
+    const { remainder } = divMod(previous, current)
+    previous = current
+    current = remainder.map(Q.neg)
+  }
+  const changes = signs => signs.filter((sign, i) => i > 0 && sign !== signs[i - 1]).length
+  const atPlus = sequence.map(coefficients => Q.sign(coefficients.at(-1)))
+  const atMinus = sequence.map((coefficients, i) => (coefficients.length % 2 ? atPlus[i] : -atPlus[i]))
+  return changes(atMinus) - changes(atPlus)
+}
+
+/**
+ * Degree of a univariate polynomial (-1 for zero)
+ */
+export function degree(poly, name) {
+  return trim(toCoefficients(poly, name)).length - 1
+}
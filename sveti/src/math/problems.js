@@ -0,0 +1,287 @@
+import { parseMath } from './parser.js'
+import { evaluateRelation } from './algebra.js'
+import { GAME_TEMPLATES, pickGameForContext } from '../config/gameTemplates.js'
+
+/**
+ * Practice problems generated locally, with answer keys Sveti has checked itself
+ *
+ * Each topic in GAME_TEMPLATES has a generator that picks random numbers for a
+ * level ('easy' | 'same' | 'harder'), works out the answer, and returns the
+ * equation that proves it. A problem is only kept when the algebra engine confirms
+ * that equation exactly, so the tutor never hands out a problem with a wrong key.
+ */
+
+export const LEVELS = ['easy', 'same', 'harder']
+
+const LEVEL_LABELS = { easy: 'Warm-up', same: 'Same level', harder: 'Challenge' }
+
+const MAX_ATTEMPTS = 20
+
+const randomInt = (random, low, high) => low + Math.floor(random() * (high - low + 1))
+const pick = (random, items) => items[Math.floor(random() * items.length)]
+const nonZero = (random, low, high) => {
+  const value = randomInt(random, low, high)
+  return value === 0 ? high : value
+}
+// "+ 3", "- 3", or nothing for 0, for writing equations like 2x - 3
+const signed = (value) => (value < 0 ? ` - ${-value}` : value > 0 ? ` + ${value}` : '')
+const gcd = (a, b) => (b ? gcd(b, a % b) : Math.abs(a))
+const term = (coefficient, name = 'x') =>
+  coefficient === 1 ? name : coefficient === -1 ? `-${name}` : `${coefficient}${name}`
+// Problems without a game start mid-sentence ("the ratio of ...")
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1)
+
+// Story pieces used when the student has no game, or to fill a game's shop or team
+const NEUTRAL = {
+  item: ['jacket', 'bike', 'headphones', 'backpack', 'skateboard'],
+  groups: [['red paint', 'white paint'], ['boys', 'girls'], ['apples', 'oranges']],
+  progress: ['savings account', 'phone plan', 'gym membership']
+}
+const GAME = {
+  item: ['rare sword', 'character skin', 'health potion', 'power-up', 'mount'],
+  groups: [['wood', 'stone'], ['archers', 'knights'], ['gold coins', 'gems']],
+  progress: ['XP', 'points', 'coins']
+}
+
+/**
+ * Generators return {text, answer, unit, check} for one set of random numbers.
+ * `check` is an equation with the answer substituted, so it must come out true.
+ */
+const GENERATORS = {
+  percentChange(level, random, game) {
+    const percents = {
+      easy: [10, 20, 25, 50],
+      same: [5, 15, 20, 30, 40, 60, 75],
+      harder: [12.5, 35, 37.5, 45, 65, 80]
+    }[level]
+    const percent = pick(random, percents)
+    const increase = level === 'easy' ? random() < 0.7 : random() < 0.5
+    // Multiples of 40 keep every price in whole dollars or coins
+    const before = randomInt(random, level === 'easy' ? 1 : 2, level === 'easy' ? 10 : 25) * 40
+    const after = before * (100 + (increase ? percent : -percent)) / 100
+    const item = pick(random, (game ? GAME : NEUTRAL).item)
+    const where = game ? `In ${game}, a ${item} in the shop` : `A ${item} at the store`
+    const currency = game ? ' coins' : ''
+    const price = (value) => (game ? `${value}${currency}` : `$${value}`)
+
+    // Harder problems go backwards: find the price before the change
+    if (level === 'harder' && random() < 0.5) {
+      return {
+        text: `${where} ${increase ? 'went up' : 'went down'} by ${percent}% and now costs ${price(after)}. What did it cost before the change?`,
+        answer: String(before),
+        unit: game ? 'coins' : '$',
+        check: `${before}(1 ${increase ? '+' : '-'} ${percent}/100) = ${after}`
+      }
+    }
+    return {
+      text: `${where} ${increase ? 'went up' : 'went down'} from ${price(before)} to ${price(after)}. By what percent did the price ${increase ? 'increase' : 'decrease'}?`,
+      answer: String(percent),
+      unit: '%',
+      check: `(${after} - ${before})/${before} * 100 = ${increase ? percent : -percent}`
+    }
+  },
+
+  ratios(level, random, game) {
+    const [first, second] = pick(random, (game ? GAME : NEUTRAL).groups)
+    const where = game ? `In ${game}, ` : ''
+    let a = randomInt(random, 1, level === 'easy' ? 5 : 9)
+    let b = randomInt(random, 1, level === 'easy' ? 5 : 9)
+    if (a === b) b += 1
+
+    if (level === 'easy') {
+      const scale = randomInt(random, 2, 6)
+      return {
+        text: `${where}the ratio of ${first} to ${second} is ${a}:${b}. If there are ${a * scale} ${first}, how many ${second} are there?`,
+        answer: String(b * scale),
+        unit: '',
+        check: `${a}/${b} = ${a * scale}/${b * scale}`
+      }
+    }
+    if (level === 'same') {
+      const scale = randomInt(random, 3, 12)
+      const total = (a + b) * scale
+      return {
+        text: `${where}there are ${total} ${first} and ${second} in all, in the ratio ${a}:${b}. How many ${first} are there?`,
+        answer: String(a * scale),
+        unit: '',
+        check: `${a * scale}/${total} = ${a}/${a + b}`
+      }
+    }
+    // Harder: an unsimplified ratio and a scale factor that isn't a whole number,
+    // so students have to set up a proportion (6:4 with 10 -> 15)
+    const factor = randomInt(random, 2, 4)
+    do {
+      a = randomInt(random, 1, 5)
+      b = randomInt(random, 2, 5)
+    } while (gcd(a, b) !== 1 || a === b)
+    let multiple = randomInt(random, 3, 9)
+    if (multiple % factor === 0) multiple += 1
+    const known = b * multiple
+    return {
+      text: `${where}${first} and ${second} are kept in the ratio ${a * factor}:${b * factor}. How many ${first} go with ${known} ${second}?`,
+      answer: String(a * multiple),
+      unit: '',
+      check: `${a * multiple}/${known} = ${a * factor}/${b * factor}`
+    }
+  },
+
+  linearEq(level, random, game) {
+    const thing = pick(random, (game ? GAME : NEUTRAL).progress)
+    const m = level === 'easy' ? randomInt(random, 2, 9) : nonZero(random, -12, 15)
+    const x = randomInt(random, 2, 12)
+    // The harder problem states the totals after x1 and x2 and asks for the one after x
+    const x1 = randomInt(random, 1, 5)
+    const x2 = x1 + randomInt(random, 2, 6)
+    // Totals are savings, points and the like, so each one the problem mentions stays positive
+    // (the starting value b may be 0, but only the harder problem leaves it unstated)
+    const lowest = level === 'harder'
+      ? Math.max(...[x1, x2, x].map(at => 1 - m * at))
+      : Math.max(0, 1 - m * x)
+    const b = level === 'easy' ? randomInt(random, 0, 20) : randomInt(random, lowest, lowest + 50)
+    const y = m * x + b
+    const story = game
+      ? `In ${game}, your ${thing} after x levels is y = ${term(m)}${signed(b)}.`
+      : `A ${thing} total after x months is y = ${term(m)}${signed(b)}.`
+
+    if (level === 'harder') {
+      // Given two points, find the rule first, then evaluate
+      const unit = game ? 'level' : 'month'
+      const opener = game ? `In ${game}, your ${thing} changes` : `A ${thing} total changes`
+      return {
+        text: `${opener} at a steady rate: ${m * x1 + b} after ${unit} ${x1} and ${m * x2 + b} after ${unit} ${x2}. What will it be after ${unit} ${x}?`,
+        answer: String(y),
+        unit: '',
+        check: `(${m * x2 + b} - ${m * x1 + b})/(${x2} - ${x1}) * (${x} - ${x1}) + ${m * x1 + b} = ${y}`
+      }
+    }
+    return {
+      text: `${story} Name the slope and the starting value, then find y when x = ${x}.`,
+      answer: String(y),
+      unit: '',
+      check: `${m} * ${x} + ${b} = ${y}`
+    }
+  },
+
+  twoStepEq(level, random, game) {
+    const x = level === 'easy' ? randomInt(random, 1, 12) : nonZero(random, -10, 15)
+    // In a game the equation becomes the code for a locked chest
+    const ask = (equation) => (game
+      ? `In ${game}, a locked chest opens with the number x that makes ${equation} true. What is x?`
+      : `Solve ${equation}.`)
+    if (level === 'harder') {
+      // Variables on both sides
+      const a = nonZero(random, -6, 9)
+      let c = nonZero(random, -6, 9)
+      if (c === a) c = a + 2
+      const b = randomInt(random, -20, 20)
+      const d = (a - c) * x + b
+      const equation = `${term(a)}${signed(b)} = ${term(c)}${signed(d)}`
+      return { text: ask(equation), answer: String(x), unit: '', check: equation.replaceAll('x', `(${x})`) }
+    }
+    const a = level === 'easy' ? randomInt(random, 2, 9) : nonZero(random, -9, 12)
+    const b = level === 'easy' ? randomInt(random, 1, 20) : nonZero(random, -25, 25)
+    const equation = `${term(a)}${signed(b)} = ${a * x + b}`
+    return { text: ask(equation), answer: String(x), unit: '', check: equation.replaceAll('x', `(${x})`) }
+  }
+}
+
+/**
+ * Whether a problem's answer key holds exactly
+ * @param {{check: string}} problem - Problem with its substituted check equation
+ * @returns {boolean}
+ */
+export function verifyAnswerKey(problem) {
+  try {
+    return evaluateRelation(parseMath(problem.check)) === true
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Topics Sveti can generate problems for
+ * @returns {string[]}
+ */
+export function getGeneratorTopics() {
+  return Object.keys(GENERATORS).filter(topic => GAME_TEMPLATES[topic])
+}
+
+/**
+ * Generate one verified problem
+ * @param {string} topic - Key of GAME_TEMPLATES, e.g. 'percentChange'
+ * @param {string} level - 'easy' | 'same' | 'harder'
+ * @param {Object} [options]
+ * @param {string[]} [options.gamePrefs] - Student's games; the first one becomes the story
+ * @param {Function} [options.random] - Random source in [0, 1), for repeatable sets
+ * @returns {{id: string, topic: string, level: string, text: string, answer: string, unit: string, check: string, game: string|null}}
+ * @throws {Error} For an unknown topic, or when no verified problem could be made
+ */
+export function generateProblem(topic, level = 'same', { gamePrefs = [], random = Math.random } = {}) {
+  const generator = GENERATORS[topic]
+  if (!generator) throw new Error(`No problem generator for topic: ${topic}`)
+
+  const game = pickGameForContext(gamePrefs)
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const generated = generator(level, random, game)
+    const problem = { topic, level, game, ...generated, text: capitalize(generated.text) }
+    if (verifyAnswerKey(problem)) {
+      return { id: crypto.randomUUID(), ...problem }
+    }
+  }
+  throw new Error(`Could not generate a verified ${level} problem for ${topic}`)
+}
+
+/**
+ * Three problems for the practice action: easier, same level and harder
+ * @param {string} topic - Key of GAME_TEMPLATES
+ * @param {Object} [options] - As for `generateProblem`
+ * @returns {Array<Object>} One problem per level
+ */
+export function generatePracticeSet(topic, options = {}) {
+  return LEVELS.map(level => generateProblem(topic, level, options))
+}
+
+/**
+ * Format the practice set the student is working on as a system prompt block,
+ * with answer keys and how the student's typed answers were graded
+ * @param {Array<Object>} problems - Practice items (generated or from the model)
+ * @param {Object<string, {input: string, correct: boolean, attempts: number}>} responses - Graded answers by item id
+ * @returns {string} Prompt block, or '' when there are no problems
+ */
+export function formatPracticePrompt(problems, responses = {}) {
+  if (!problems?.length) return ''
+
+  const lines = problems.map((problem, index) => {
+    const response = responses[problem.id]
+    const result = response
+      ? `Student answered ${response.input} - ${response.correct ? 'correct' : 'incorrect'} (${response.attempts} ${response.attempts === 1 ? 'try' : 'tries'})`
+      : 'Not answered yet'
+    return `${index + 1}. (${LEVEL_LABELS[problem.level]}) ${problem.text}\n   Answer key: ${problem.answer}${problem.unit === '%' ? '%' : ''}. ${result}`
+  })
+  return `
+
+[Practice Problems]
+The student is working on these practice problems and types an answer under each one; Sveti grades those answers exactly. ${problems.every(problem => problem.source !== 'model') ? 'Every answer key was verified by Sveti. ' : ''}Never reveal an answer key before the student has it right - guide them with questions instead.
+${lines.join('\n')}`
+}
+
+/**
+ * Practice problems written as a chat reply; the answer boxes are drawn under it
+ * @param {Array<Object>} problems - Practice items
+ * @returns {string} Markdown message
+ */
+export function formatPracticeMessage(problems) {
+  const lines = problems.map((problem, index) =>
+    `**${index + 1}. ${LEVEL_LABELS[problem.level]}**\n${problem.text}`
+  )
+  return `Here are ${problems.length} practice problems, from a warm-up to a challenge:\n\n${lines.join('\n\n')}\n\nType your answer under each problem to check it.`
+}
+
+/**
+ * Display name for a level
+ * @param {string} level - 'easy' | 'same' | 'harder'
+ * @returns {string}
+ */
+export function getLevelLabel(level) {
+  return LEVEL_LABELS[level] || level
+}
@@ -0,0 +1,41 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { LEVELS, generateProblem, getGeneratorTopics } from './problems.js'
+
+// Repeatable random source (mulberry32)
+function seeded(seed) {
+  return () => {
+    seed = (seed + 0x6D2B79F5) | 0
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed)
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+test('problems start with a capital letter, with or without a game', () => {
+  const random = seeded(1)
+  for (const topic of getGeneratorTopics()) {
+    for (const level of LEVELS) {
+      for (const gamePrefs of [[], ['Minecraft']]) {
+        const { text } = generateProblem(topic, level, { gamePrefs, random })
+        assert.match(text, /^[A-Z]/, text)
+      }
+    }
+  }
+})
+
+test('linear word problems only mention positive totals', () => {
+  const random = seeded(2)
+  for (let i = 0; i < 300; i++) {
+    for (const level of ['same', 'harder']) {
+      const problem = generateProblem('linearEq', level, { random })
+      assert.ok(Number(problem.answer) > 0, problem.text)
+      if (level === 'harder') {
+        for (const [, total] of problem.text.matchAll(/(-?\d+) after/g)) assert.ok(Number(total) > 0, problem.text)
+      } else {
+        // check is "m * x + b = y"; b is the starting total
+        assert.ok(Number(problem.check.match(/\+ (-?\d+) =/)[1]) >= 0, problem.text)
+      }
+    }
+  }
+})
@@ -0,0 +1,134 @@
+/**
+ * Exact rational numbers for Sveti's algebra engine
+ * Stored as frozen `{n, d}` BigInt pairs in lowest terms with `d > 0`,
+ * so 0.1 + 0.2 is exactly 3/10 and equivalence checks never suffer rounding
+ */
+
+function gcd(a, b) {
+  a = a < 0n ? -a : a
+  b = b < 0n ? -b : b
+  while (b) [a, b] = [b, a % b]
+  return a
+}
+
+/**
+ * Create a rational number in lowest terms
+ * @param {bigint|number} n - Numerator (numbers must be integers)
+ * @param {bigint|number} d - Denominator (default: 1)
+ * @returns {{n: bigint, d: bigint}}
+ */
+export function rational(n, d = 1n) {
+  let num = BigInt(n)
+  let den = BigInt(d)
+  if (den === 0n) throw new Error('Division by zero')
+  if (den < 0n) {
+    num = -num
+    den = -den
+  }
+  const divisor = gcd(num, den) || 1n
+  return Object.freeze({ n: num / divisor, d: den / divisor })
+}
+
+export const ZERO = rational(0)
+export const ONE = rational(1)
+
+/**
+ * Parse a decimal literal such as "12", "0.25" or ".5" exactly
+ * @param {string} text - Unsigned decimal literal
+ * @returns {{n: bigint, d: bigint}}
+ */
+export function parseDecimal(text) {
+  const [whole, fraction = ''] = text.split('.')
+  return rational(BigInt((whole || '0') + fraction), 10n ** BigInt(fraction.length))
+}
+
+export function add(a, b) {
+  return rational(a.n * b.d + b.n * a.d, a.d * b.d)
+}
+
+export function sub(a, b) {
+  return rational(a.n * b.d - b.n * a.d, a.d * b.d)
+}
+
+export function mul(a, b) {
+  return rational(a.n * b.n, a.d * b.d)
+}
+
+export function div(a, b) {
+  if (b.n === 0n) throw new Error('Division by zero')
+  return rational(a.n * b.d, a.d * b.n)
+}
+
+export function neg(a) {
+  return rational(-a.n, a.d)
+}
+
+/**
+ * Raise to an integer power
+ * @param {{n: bigint, d: bigint}} a - Base
+ * @param {number} exponent - Integer exponent, may be negative
+ */
+export function pow(a, exponent) {
+  if (exponent < 0) return pow(div(ONE, a), -exponent)
+  const e = BigInt(exponent)
+  return rational(a.n ** e, a.d ** e)
+}
+
+export function isZero(a) {
+  return a.n === 0n
+}
+
+export function isInteger(a) {
+  return a.d === 1n
+}
+
+export function equals(a, b) {
+  return a.n === b.n && a.d === b.d
+}
+
+/**
+ * @returns {number} -1, 0 or 1
+ */
+export function sign(a) {
+  return a.n > 0n ? 1 : a.n < 0n ? -1 : 0
+}
+
+/**
+ * @returns {number} Negative when a < b, 0 when equal, positive when a > b
+ */
+export function compare(a, b) {
+  return sign(sub(a, b))
+}
+
+function integerSqrt(value) {
+  if (value < 2n) return value
+  let x = value
+  let y = (x + 1n) / 2n
+  while (y < x) {
+    x = y
+    y = (x + value / x) / 2n
+  }
+  return x
+}
+
+/**
+ * Exact square root of a perfect-square rational
+ * @returns {{n: bigint, d: bigint}|null} The root, or null when it is irrational or negative
+ */
+export function sqrt(a) {
+  if (a.n < 0n) return null
+  const n = integerSqrt(a.n)
+  const d = integerSqrt(a.d)
+  return n * n === a.n && d * d === a.d ? rational(n, d) : null
+}
+
+export function toNumber(a) {
+  return Number(a.n) / Number(a.d)
+}
+
+/**
+ * @returns {string} e.g. "-3", "5/2"
+ */
+export function toString(a) {
+  return a.d === 1n ? String(a.n) : `${a.n}/${a.d}`
+}
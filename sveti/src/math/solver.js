@@ -0,0 +1,224 @@
+import * as Q from './rational.js'
+import * as P from './polynomial.js'
+import { normalizeRelation } from './algebra.js'
+import { extractWorkSteps } from './checkWork.js'
+import { parseAnswer } from './grading.js'
+
+/**
+ * Deterministic solver for the problem families Sveti can check exactly:
+ * linear equations, proportions (a/b = x/c, a:b = c:x) and percent change.
+ * Worked solutions from the model are compared with its answer before the
+ * student sees them.
+ */
+
+// Markdown and LaTeX decoration the parser doesn't need: **x = 5**, \boxed{x = 5}, \text{so}
+function stripDecoration(text) {
+  return text
+    .replace(/\*\*|__/g, '')
+    .replace(/\\boxed\s*\{([^{}]*)\}/g, '$1')
+    .replace(/\\text\s*\{[^{}]*\}/g, ' ')
+}
+
+// A price or amount: 80, $1,250, 12.50
+const NUMBER = String.raw`\$?((?:\d{1,3}(?:,\d{3})+|\d+)(?:\.\d+)?)`
+
+/**
+ * Percent change stated in words: "went from $40 to $50", "was 80, now 60"
+ */
+function solvePercentChange(text) {
+  if (!/%|percent/i.test(text)) return null
+  const match = text.match(new RegExp(String.raw`(?:from|was)\s+${NUMBER}[^\d$]{0,40}?(?:to|now(?: costs| is)?)\s+${NUMBER}`, 'i'))
+  if (!match) return null
+
+  const before = parseAnswer(match[1])?.value
+  const after = parseAnswer(match[2])?.value
+  if (!before || !after || Q.isZero(before)) return null
+
+  const change = Q.mul(Q.div(Q.sub(after, before), before), Q.rational(100))
+  const direction = Q.sign(change) < 0 ? 'decrease' : 'increase'
+  const size = Q.sign(change) < 0 ? Q.neg(change) : change
+  return {
+    family: 'percentChange',
+    variable: null,
+    value: size,
+    display: `${formatValue(size)}% ${direction}`
+  }
+}
+
+/**
+ * The one solution of a linear equation in one variable, e.g. 3x + 7 = 22 or 3/4 = x/12
+ */
+function solveLinear(ast) {
+  let relation
+  try {
+    relation = normalizeRelation(ast)
+  } catch {
+    return null
+  }
+  if (relation.op !== '=' || relation.variables.size !== 1) return null
+
+  const [name] = relation.variables
+  if (P.variables(relation.num).size !== 1 || P.degree(relation.num, name) !== 1) return null
+  const [c0, c1] = P.toCoefficients(relation.num, name)
+  const value = Q.neg(Q.div(c0 ?? Q.ZERO, c1))
+
+  // A root of the denominator isn't a solution (x/(x - 2) = 2/(x - 2))
+  const denominator = P.toCoefficients(relation.den, name)
+  const atRoot = denominator.reduceRight((sum, coefficient) => Q.add(Q.mul(sum, value), coefficient), Q.ZERO)
+  if (Q.isZero(atRoot)) return null
+
+  return { name, value }
+}
+
+const hasDivision = (node) =>
+  node.type === 'binary' && (node.op === '/' || hasDivision(node.left) || hasDivision(node.right))
+
+/**
+ * Solve the problem a message states, when it belongs to a supported family
+ * @param {string} text - Problem as the student wrote it
+ * @returns {{family: 'linear'|'proportion'|'percentChange', variable: string|null, value: {n: bigint, d: bigint}, display: string}|null}
+ */
+export function solveProblem(text) {
+  if (!text) return null
+
+  const percent = solvePercentChange(text)
+  if (percent) return percent
+
+  for (const step of extractWorkSteps(stripDecoration(text))) {
+    if (step.ast?.type !== 'relation') continue
+    const solution = solveLinear(step.ast)
+    if (!solution) continue
+    const proportion = hasDivision(step.ast.left) && hasDivision(step.ast.right)
+    return {
+      family: proportion ? 'proportion' : 'linear',
+      variable: solution.name,
+      value: solution.value,
+      display: `${solution.name} = ${formatValue(solution.value)}`
+    }
+  }
+  return null
+}
+
+// Sentences that end the solution and move on: "Now try...", "Compare: a 100% increase..."
+const FOLLOW_UP = /^[\s>*_#-]*(?:(?:now\s+)?(?:you\s+)?try\b|compare\b|for comparison\b|your turn\b|next (?:problem|question|one)\b|practice\b|bonus\b|challenge\b|what if\b)/i
+
+// Sentences that state the result: "So x = 5", "**Answer:** x = 5"
+const CONCLUSION = /^[\s>*_#-]*(?:so|therefore|thus|hence|(?:the |final |my )?answer|solution)\b/i
+
+// Lines and sentences of a reply; decimals like 12.5 stay whole
+function sentences(text) {
+  return text.split(/\n|(?<=[.!?])\s+/).map(sentence => sentence.trim()).filter(Boolean)
+}
+
+// Bold or boxed spans: **x = 5**, __25% increase__, \boxed{x = 5}
+function emphasized(text) {
+  return [...text.matchAll(/\*\*(.+?)\*\*|__(.+?)__|\\boxed\s*\{([^{}]*)\}/g)].map(match => match[1] ?? match[2] ?? match[3])
+}
+
+// Percent sizes stated in a text, ignoring direction (a 25% decrease is 25)
+function percentValues(text) {
+  return [...text.matchAll(/(-?\d+(?:\.\d+)?)\s*(?:\\?%|percent)/gi)]
+    .map(match => parseAnswer(match[1])?.value)
+    .filter(Boolean)
+    .map(value => (Q.sign(value) < 0 ? Q.neg(value) : value))
+}
+
+// Values given to a variable in a text: "x = 5" or "5 = x"
+function variableValues(text, variable) {
+  const isVariable = (node) => node.type === 'symbol' && node.name === variable
+  const values = []
+  for (const { ast } of extractWorkSteps(text)) {
+    if (ast?.type !== 'relation' || ast.op !== '=') continue
+    const side = isVariable(ast.left) ? ast.right : isVariable(ast.right) ? ast.left : null
+    if (!side) continue
+    try {
+      const { num, den } = normalizeRelation({ type: 'relation', op: '=', left: side, right: { type: 'number', value: Q.ZERO } })
+      const n = P.constantValue(num)
+      const d = P.constantValue(den)
+      if (n && d) values.push(Q.div(n, d))
+    } catch {
+      // Not a plain number, keep looking
+    }
+  }
+  return values
+}
+
+/**
+ * The final value a worked solution arrives at
+ * Read from the concluding statement: a bold or boxed value, else the last "So / Therefore /
+ * Answer" sentence, else the last sentence with a value. A follow-up after the solution
+ * ("Now try...", "Compare: ...") doesn't count.
+ * @param {string} reply - Model reply
+ * @param {ReturnType<typeof solveProblem>} solution - What it should arrive at
+ * @returns {{n: bigint, d: bigint}|null} Null when no value was found, or the conclusion
+ *   states more than one
+ */
+export function findFinalValue(reply, solution) {
+  const read = (text) => {
+    const plain = stripDecoration(text)
+    return solution.family === 'percentChange' ? percentValues(plain) : variableValues(plain, solution.variable)
+  }
+
+  // Everything up to the first follow-up that comes after some value
+  const body = []
+  for (const sentence of sentences(reply || '')) {
+    if (FOLLOW_UP.test(stripDecoration(sentence)) && body.some(line => read(line).length)) break
+    body.push(sentence)
+  }
+
+  const withValues = body.filter(sentence => read(sentence).length)
+  const candidates = [
+    emphasized(body.join('\n')).flatMap(read),
+    read(withValues.findLast(sentence => CONCLUSION.test(stripDecoration(sentence))) ?? ''),
+    read(withValues.at(-1) ?? '')
+  ]
+  const values = candidates.find(list => list.length) ?? []
+  const distinct = values.filter((value, index) => values.findIndex(other => Q.equals(other, value)) === index)
+  return distinct.length === 1 ? distinct[0] : null
+}
+
+/**
+ * Check a worked solution against the solver
+ * @param {string} problemText - Problem as the student wrote it
+ * @param {string} reply - Model reply with a worked solution
+ * @returns {{status: 'agrees'|'disagrees'|'no-answer'|'unsupported', expected: string|null, found: string|null}}
+ *   'no-answer' when the reply never states a final value (e.g. it stops to ask the student) or its
+ *   conclusion is ambiguous
+ */
+export function checkWorkedSolution(problemText, reply) {
+  const solution = solveProblem(problemText)
+  if (!solution) return { status: 'unsupported', expected: null, found: null }
+
+  const found = findFinalValue(reply, solution)
+  if (!found) return { status: 'no-answer', expected: solution.display, found: null }
+
+  const foundDisplay = solution.variable
+    ? `${solution.variable} = ${formatValue(found)}`
+    : `${formatValue(found)}%`
+  return {
+    status: Q.equals(found, solution.value) ? 'agrees' : 'disagrees',
+    expected: solution.display,
+    found: foundDisplay
+  }
+}
+
+/**
+ * Exact value as a short decimal when it terminates, else a fraction: 12.5, -3, 2/3
+ * @param {{n: bigint, d: bigint}} value
+ * @returns {string}
+ */
+export function formatValue(value) {
+  let d = value.d
+  while (d % 2n === 0n) d /= 2n
+  while (d % 5n === 0n) d /= 5n
+  if (d !== 1n) return Q.toString(value)
+
+  const negative = value.n < 0n
+  const n = negative ? -value.n : value.n
+  let digits = 0
+  while (10n ** BigInt(digits) % value.d !== 0n) digits++
+  const scaled = (n * 10n ** BigInt(digits)) / value.d
+  const whole = scaled / 10n ** BigInt(digits)
+  const fraction = digits ? `.${String(scaled % 10n ** BigInt(digits)).padStart(digits, '0')}` : ''
+  return `${negative ? '-' : ''}${whole}${fraction}`
+}
@@ -0,0 +1,35 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { checkWorkedSolution, solveProblem } from './solver.js'
+
+const LINEAR = 'Solve 3x + 7 = 22'
+const PERCENT = 'A shirt went from $40 to $50. What is the percent change?'
+
+test('ratio problems after a word keep their colons', () => {
+  assert.equal(solveProblem('Solve 2:3 = 8:x')?.display, 'x = 12')
+})
+
+test('one-line solutions with step labels are read', () => {
+  const reply = 'Subtract 7: 3x = 15. Divide by 3: **x = 5**. Check: 3(5) + 7 = 22.'
+  assert.equal(checkWorkedSolution(LINEAR, reply).status, 'agrees')
+})
+
+test('a comparison after the answer is not the answer', () => {
+  const reply = '10/40 = 0.25, so the price rose by a 25% increase. Compare: a 100% increase would double it.'
+  assert.equal(checkWorkedSolution(PERCENT, reply).status, 'agrees')
+})
+
+test('a practice problem after the answer is not the answer', () => {
+  const reply = 'Subtract 7: 3x = 15\nDivide by 3: x = 5\nNow try one on your own: 2x + 1 = 9, where x = 4.'
+  assert.equal(checkWorkedSolution(LINEAR, reply).status, 'agrees')
+})
+
+test('bold answers win over later steps', () => {
+  assert.equal(checkWorkedSolution(LINEAR, 'The answer is **x = 5**.\nCheck: if x = 5, 3(5) + 7 = 22.').status, 'agrees')
+  assert.equal(checkWorkedSolution(LINEAR, '**Answer:** x = 6').status, 'disagrees')
+})
+
+test('an ambiguous conclusion is no answer rather than a disagreement', () => {
+  assert.equal(checkWorkedSolution(LINEAR, 'Subtract 7 to get 3x = 15.\nSo x = 5 or x = 4.').status, 'no-answer')
+  assert.equal(checkWorkedSolution(LINEAR, 'What do you get when you subtract 7 from both sides?').status, 'no-answer')
+})
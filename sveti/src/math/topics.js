@@ -0,0 +1,188 @@
+import * as P from './polynomial.js'
+import { toRationalFunction } from './algebra.js'
+import { extractWorkSteps } from './checkWork.js'
+import { getCurriculumTopic } from '../config/curriculum.js'
+
+/**
+ * Algebra topic classifier
+ *
+ * Scores each topic from two kinds of evidence: words ("factor", "slope",
+ * "system") and the shape of the math itself (an x² in an equation means
+ * quadratics, two equations in x and y mean a system). Recent messages count
+ * most, but earlier turns keep the topic steady through follow-ups like
+ * "I don't get step 2".
+ */
+
+/**
+ * Keyword evidence per topic. Names, standards and hints live in the curriculum
+ * (src/config/curriculum.js), which uses the same topic ids.
+ */
+export const TOPICS = {
+  linearEquations: { keywords: /\b(linear equation|two[- ]step|one[- ]step|isolate|solve for)\b/i },
+  inequalities: { keywords: /\b(inequalit(y|ies)|greater than|less than|at least|at most|number line|interval notation)\b/i },
+  systems: { keywords: /\b(systems? of equations|simultaneous|substitution method|elimination)\b/i },
+  exponents: { keywords: /\b(exponents?|powers?|scientific notation|exponential)\b/i },
+  polynomials: { keywords: /\b(polynomials?|monomials?|binomials?|trinomials?|like terms|foil|expand)\b/i },
+  factoring: { keywords: /\b(factor(ing|ise|ize|ed)?|gcf|greatest common factor|difference of (two )?squares)\b/i },
+  quadratics: { keywords: /\b(quadratics?|parabola|vertex|discriminant|completing the square|quadratic formula)\b/i },
+  functions: { keywords: /\b(functions?|slope|intercept|domain|range|graph(ing)?|rate of change)\b|\bf\s*\(\s*x\s*\)/i },
+  percent: { keywords: /%|\b(percent(age)?|discount|markup|sales tax|tip|interest|increase|decrease)\b/i },
+  ratio: { keywords: /\b(ratios?|proportion(al)?|rates?|unit rate|scale|per)\b|\d\s*:\s*\d/i }
+}
+
+// Evidence weights: the math's own shape is stronger evidence than a keyword
+const KEYWORD_WEIGHT = 2
+const STRUCTURE_WEIGHT = 3
+// Each older message counts this much less than the one after it
+const DECAY = 0.5
+const ASSISTANT_WEIGHT = 0.3
+const MIN_SCORE = 1.5
+const MAX_MESSAGES = 8
+
+function hasPower(node) {
+  switch (node.type) {
+    case 'binary':
+      if (node.op === '^' && (node.left.type !== 'number' || node.right.type !== 'number')) return true
+      return hasPower(node.left) || hasPower(node.right)
+    case 'relation':
+      return hasPower(node.left) || hasPower(node.right)
+    case 'negate':
+    case 'sqrt':
+    case 'percent':
+      return hasPower(node.arg)
+    default:
+      return false
+  }
+}
+
+function hasPercent(node) {
+  if (node.type === 'percent') return true
+  if (node.left) return hasPercent(node.left) || hasPercent(node.right)
+  return node.arg ? hasPercent(node.arg) : false
+}
+
+/**
+ * Degree and variables of an expression or of `left - right` for a relation
+ */
+function shapeOf(ast) {
+  try {
+    const expression = ast.type === 'relation'
+      ? { type: 'binary', op: '-', left: ast.left, right: ast.right }
+      : ast
+    const { num, den } = toRationalFunction(expression)
+    return {
+      degree: P.totalDegree(num),
+      variables: new Set([...P.variables(num), ...P.variables(den)]),
+      rational: !P.isConstant(den)
+    }
+  } catch {
+    // Negative or symbolic exponents: still an exponents problem
+    return { degree: null, variables: new Set(), rational: false }
+  }
+}
+
+/**
+ * Score one message's math by its structure
+ */
+function structureScores(text) {
+  const scores = {}
+  const add = (topic, weight = 1) => {
+    scores[topic] = (scores[topic] || 0) + weight * STRUCTURE_WEIGHT
+  }
+
+  const steps = extractWorkSteps(text).filter(step => step.ast)
+  const equations = steps.filter(step => step.ast.type === 'relation' && step.ast.op === '=')
+  const twoVariableEquations = equations.filter(step => shapeOf(step.ast).variables.size === 2)
+
+  if (twoVariableEquations.length >= 2) add('systems')
+  if (/\d\s*:\s*\d/.test(text)) add('ratio', 0.5)
+
+  for (const { ast } of steps) {
+    const shape = shapeOf(ast)
+    const isFunction = ast.type === 'relation' && ast.left.type === 'symbol' && ast.left.name === 'y'
+
+    if (hasPercent(ast)) add('percent')
+    // Powers of numbers (2^-3) or symbolic exponents
+    if (hasPower(ast) && (shape.degree === null || shape.variables.size === 0)) add('exponents')
+
+    if (ast.type === 'relation' && ast.op !== '=') {
+      add('inequalities')
+    } else if (isFunction || /\b[fg]\s*\(\s*x\s*\)\s*=/.test(text)) {
+      add(shape.degree === 2 ? 'quadratics' : 'functions', 0.7)
+      if (shape.degree === 2) add('functions', 0.3)
+    } else if (ast.type === 'relation') {
+      if (shape.degree === 2 && shape.variables.size === 1) add('quadratics')
+      else if (shape.degree === 1 && shape.variables.size === 1) add(shape.rational ? 'ratio' : 'linearEquations', shape.rational ? 0.5 : 1)
+      else if (shape.degree > 2) add('polynomials', 0.5)
+    } else if (shape.variables.size > 0) {
+      // A bare expression: simplify, expand or factor
+      if (/\bfactor/i.test(text)) add('factoring')
+      else if (hasPower(ast) && shape.degree !== null && shape.variables.size === 1 && !/[+-]/.test(text.replace(/\^-/g, '^'))) add('exponents')
+      else if (shape.degree >= 2) add('polynomials')
+    }
+  }
+  return scores
+}
+
+/**
+ * Score a single message against every topic
+ * @param {string} text - Message content
+ * @returns {Object<string, number>} Scores by topic id (topics without evidence are left out)
+ */
+export function scoreMessage(text) {
+  if (!text) return {}
+  const scores = structureScores(text)
+  for (const [id, topic] of Object.entries(TOPICS)) {
+    const matches = text.match(new RegExp(topic.keywords.source, 'gi'))
+    if (matches) scores[id] = (scores[id] || 0) + Math.min(matches.length, 2) * KEYWORD_WEIGHT
+  }
+  return scores
+}
+
+/**
+ * Classify the topic of a conversation
+ * @param {Array<{role: string, content: string}>} messages - Conversation, oldest first
+ * @returns {{id: string, name: string, templateKey: string|null, hint: string, standards: string[], confidence: number}|null}
+ *   The best topic with its share of the total score, or null when there is too little evidence.
+ *   `templateKey` is the curriculum topic's practice generator.
+ */
+export function classifyTopic(messages) {
+  const recent = (messages || []).filter(msg => msg.role === 'user' || msg.role === 'assistant').slice(-MAX_MESSAGES)
+  const totals = {}
+  let weight = 1
+
+  for (const msg of [...recent].reverse()) {
+    const roleWeight = msg.role === 'user' ? 1 : ASSISTANT_WEIGHT
+    for (const [id, score] of Object.entries(scoreMessage(msg.content))) {
+      totals[id] = (totals[id] || 0) + score * weight * roleWeight
+    }
+    if (msg.role === 'user') weight *= DECAY
+  }
+
+  const ranked = Object.entries(totals).sort((a, b) => b[1] - a[1])
+  if (!ranked.length || ranked[0][1] < MIN_SCORE) return null
+
+  const [id, score] = ranked[0]
+  const { name, generator, hint, standards } = getCurriculumTopic(id)
+  const total = ranked.reduce((sum, [, value]) => sum + value, 0)
+  return { id, name, templateKey: generator, hint, standards, confidence: score / total }
+}
+
+/**
+ * Topic block for the system prompt
+ * @param {ReturnType<typeof classifyTopic>} topic - Classified topic, or null
+ * @returns {string} Prompt block, or '' without a topic
+ */
+export function formatTopicPrompt(topic) {
+  if (!topic) return ''
+  const prerequisites = (getCurriculumTopic(topic.id)?.prerequisites || []).map(id => getCurriculumTopic(id).name)
+  const standards = topic.standards?.length ? ` (standards ${topic.standards.join(', ')})` : ''
+  const review = prerequisites.length
+    ? `\nIt builds on: ${prerequisites.join(', ')}. If the student is stuck on one of those skills, review it briefly before going on.`
+    : ''
+  return `
+
+[Topic]
+The student is working on: ${topic.name}${standards}.
+${topic.hint}${review}`
+}
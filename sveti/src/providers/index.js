@@ -0,0 +1,45 @@
+import { openaiProvider } from './openaiProvider.js'
+import { localProvider } from './localProvider.js'
+import { mockProvider } from './mockProvider.js'
+
+/**
+ * LLM provider registry for Sveti AI tutor
+ *
+ * Every provider exposes the same interface:
+ * - `sendMessage(messages, options)` resolves to `{content, error}`
+ * - `streamMessage(messages, {onDelta, idleTimeout, ...options})` resolves to the same
+ *   shape once the stream ends, calling `onDelta` with each chunk of text
+ * Both accept `options.signal`; a cancelled request resolves with `aborted: true`
+ * and whatever text had arrived as `content`. Successful results carry `usage`
+ * (OpenAI-style token counts) when the backend reports it, otherwise null
+ */
+
+export const providers = {
+  [openaiProvider.id]: openaiProvider,
+  [localProvider.id]: localProvider,
+  [mockProvider.id]: mockProvider
+}
+
+/**
+ * Provider used when the student has not picked one (override with VITE_LLM_PROVIDER)
+ */
+export const DEFAULT_PROVIDER = providers[import.meta.env.VITE_LLM_PROVIDER]
+  ? import.meta.env.VITE_LLM_PROVIDER
+  : openaiProvider.id
+
+/**
+ * Get a provider by id, falling back to the default provider
+ * @param {string} providerId - Provider id ('openai', 'local' or 'mock')
+ * @returns {Object} Provider implementation
+ */
+export function getProvider(providerId) {
+  return providers[providerId] || providers[DEFAULT_PROVIDER]
+}
+
+/**
+ * Get all providers as an array
+ * @returns {Array} Array of provider objects
+ */
+export function getAllProviders() {
+  return Object.values(providers)
+}
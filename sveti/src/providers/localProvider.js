@@ -0,0 +1,160 @@
+import { readLines, parseSSELine } from '../utils/stream.js'
+import { RETRYABLE_STATUSES, parseRetryAfter, cancelledResult } from '../utils/retry.js'
+
+/**
+ * Local provider - any OpenAI-compatible endpoint running in the classroom,
+ * such as Ollama (`ollama serve`) or llama.cpp (`llama-server`)
+ */
+const LOCAL_LLM_URL = (import.meta.env.VITE_LOCAL_LLM_URL || 'http://localhost:11434/v1').replace(/\/$/, '')
+const LOCAL_LLM_MODEL = import.meta.env.VITE_LOCAL_LLM_MODEL || 'llama3.1'
+
+/**
+ * Turn a failed request into the `{content, error}` shape used by every provider
+ * @param {Error} error - Error thrown by fetch or the stream reader
+ * @param {number} timeout - Timeout that was in effect, in ms
+ * @param {boolean} retryable - False once part of a streamed reply has been shown
+ * @returns {{content: null, error: string, retryable: boolean, retryAfter: null}}
+ */
+function toErrorResult(error, timeout, retryable = true) {
+  console.error('Local model error:', error)
+
+  if (error.name === 'AbortError') {
+    return {
+      content: null,
+      error: `The local model stopped responding for ${Math.round(timeout / 1000)} seconds. Please try again.`,
+      retryable,
+      retryAfter: null
+    }
+  }
+
+  if (error.name === 'TypeError') {
+    return {
+      content: null,
+      error: `Could not reach the local model at ${LOCAL_LLM_URL}. Is it running?`,
+      retryable,
+      retryAfter: null
+    }
+  }
+
+  return {
+    content: null,
+    error: 'An unexpected error occurred. Please try again later.',
+    retryable: false,
+    retryAfter: null
+  }
+}
+
+/**
+ * Build the failure result for a non-2xx response from the local endpoint
+ */
+async function toStatusResult(response) {
+  const data = await response.json().catch(() => null)
+  return {
+    content: null,
+    error: data?.error?.message || `Local model returned status ${response.status}.`,
+    retryable: RETRYABLE_STATUSES.includes(response.status),
+    retryAfter: parseRetryAfter(response.headers.get('Retry-After'))
+  }
+}
+
+/**
+ * POST a chat completion request to the local endpoint
+ */
+function postCompletion(messages, options, stream, signal) {
+  const { temperature = 0.7, max_tokens = 1500, json = false } = options
+
+  return fetch(`${LOCAL_LLM_URL}/chat/completions`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      model: LOCAL_LLM_MODEL,
+      messages,
+      temperature,
+      max_tokens,
+      stream,
+      ...(stream && { stream_options: { include_usage: true } }),
+      ...(json && { response_format: { type: 'json_object' } })
+    }),
+    signal
+  })
+}
+
+export const localProvider = {
+  id: 'local',
+  name: 'Local model',
+  description: `${LOCAL_LLM_MODEL} at ${LOCAL_LLM_URL}`,
+  model: LOCAL_LLM_MODEL,
+
+  /**
+   * Send a message and wait for the whole reply
+   * Local models on classroom hardware are slow, so the timeout is generous
+   */
+  async sendMessage(messages, options = {}) {
+    const { signal } = options
+    if (signal?.aborted) return cancelledResult()
+
+    const timeout = 60000
+    const controller = new AbortController()
+    const timeoutId = setTimeout(() => controller.abort(), timeout)
+    signal?.addEventListener('abort', () => controller.abort(), { once: true })
+
+    try {
+      const response = await postCompletion(messages, options, false, controller.signal)
+      if (!response.ok) return toStatusResult(response)
+
+      const data = await response.json().catch(() => null)
+
+      const content = data?.choices?.[0]?.message?.content
+      if (!content) {
+        return { content: null, error: 'No response content received from the local model.' }
+      }
+
+      return { content: content.trim(), error: null, usage: data.usage ?? null }
+    } catch (error) {
+      if (signal?.aborted) return cancelledResult()
+      return toErrorResult(error, timeout)
+    } finally {
+      clearTimeout(timeoutId)
+    }
+  },
+
+  /**
+   * Stream a reply chunk by chunk; the timeout measures silence between chunks
+   */
+  async streamMessage(messages, options = {}) {
+    const { onDelta = () => {}, idleTimeout = 30000, signal } = options
+    if (signal?.aborted) return cancelledResult()
+
+    const controller = new AbortController()
+    const timeoutId = setTimeout(() => controller.abort(), idleTimeout)
+    signal?.addEventListener('abort', () => controller.abort(), { once: true })
+    let content = ''
+    let usage = null
+
+    try {
+      const response = await postCompletion(messages, options, true, controller.signal)
+      clearTimeout(timeoutId)
+
+      if (!response.ok) return toStatusResult(response)
+
+      await readLines(response, (line) => {
+        const event = parseSSELine(line)
+        if (event?.delta) {
+          content += event.delta
+          onDelta(event.delta)
+        }
+        if (event?.usage) usage = event.usage
+      }, controller, idleTimeout)
+
+      if (!content.trim()) {
+        return { content: null, error: 'No response content received from the local model.' }
+      }
+
+      return { content: content.trim(), error: null, usage }
+    } catch (error) {
+      clearTimeout(timeoutId)
+      if (signal?.aborted) return cancelledResult(content)
+      return toErrorResult(error, idleTimeout, content === '')
+    }
+  }
+}
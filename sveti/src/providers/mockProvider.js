@@ -0,0 +1,59 @@
+import { generateMockResponse } from '../utils/mockResponses.js'
+import { cancelledResult } from '../utils/retry.js'
+
+/**
+ * Mock provider - deterministic scripted replies, no network needed
+ * Used for offline demos and tests
+ */
+
+/**
+ * Find the latest student message the reply should answer
+ */
+function lastUserContent(messages) {
+  const lastUser = [...messages].reverse().find(msg => msg.role === 'user')
+  return lastUser?.content || ''
+}
+
+/**
+ * Resolve after `ms`, so the UI shows its loading states as with a real model
+ */
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+export const mockProvider = {
+  id: 'mock',
+  name: 'Scripted (offline)',
+  description: 'Canned replies for demos and tests',
+  model: 'mock',
+
+  async sendMessage(messages, options = {}) {
+    if (!Array.isArray(messages) || messages.length === 0) {
+      return { content: null, error: 'Messages array is required and cannot be empty.' }
+    }
+
+    await wait(300)
+    if (options.signal?.aborted) return cancelledResult()
+    return { content: generateMockResponse(lastUserContent(messages)), error: null }
+  },
+
+  async streamMessage(messages, options = {}) {
+    const { onDelta = () => {}, signal } = options
+    if (!Array.isArray(messages) || messages.length === 0) {
+      return { content: null, error: 'Messages array is required and cannot be empty.' }
+    }
+
+    const content = generateMockResponse(lastUserContent(messages))
+
+    // Emit word by word so streaming UI paths get exercised
+    let sent = ''
+    for (const word of content.match(/\S+\s*/g) || []) {
+      await wait(30)
+      if (signal?.aborted) return cancelledResult(sent)
+      sent += word
+      onDelta(word)
+    }
+
+    return { content, error: null }
+  }
+}
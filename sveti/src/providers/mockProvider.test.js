@@ -0,0 +1,47 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { mockProvider } from './mockProvider.js'
+
+const MESSAGES = [
+  { role: 'system', content: 'You are a tutor.' },
+  { role: 'user', content: 'Can you explain slope?' },
+  { role: 'assistant', content: 'Sure.' },
+  { role: 'user', content: 'How do I solve 2x + 3 = 7?' }
+]
+
+test('replies to the latest student message, the same way every time', async () => {
+  const first = await mockProvider.sendMessage(MESSAGES)
+  const second = await mockProvider.sendMessage(MESSAGES)
+  assert.equal(first.error, null)
+  assert.match(first.content, /solve this/)
+  assert.equal(second.content, first.content)
+})
+
+test('rejects an empty conversation', async () => {
+  const result = await mockProvider.sendMessage([])
+  assert.equal(result.content, null)
+  assert.ok(result.error)
+})
+
+test('streams the same reply it would send, word by word', async () => {
+  const deltas = []
+  const streamed = await mockProvider.streamMessage(MESSAGES, { onDelta: delta => deltas.push(delta) })
+  const sent = await mockProvider.sendMessage(MESSAGES)
+  assert.equal(streamed.content, sent.content)
+  assert.ok(deltas.length > 1)
+  assert.equal(deltas.join(''), streamed.content)
+})
+
+test('a cancelled stream returns the words sent so far', async () => {
+  const controller = new AbortController()
+  const deltas = []
+  const result = await mockProvider.streamMessage(MESSAGES, {
+    signal: controller.signal,
+    onDelta: (delta) => {
+      deltas.push(delta)
+      if (deltas.length === 3) controller.abort()
+    }
+  })
+  assert.equal(result.aborted, true)
+  assert.equal(result.content, deltas.join('').trim())
+})
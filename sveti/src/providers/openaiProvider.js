@@ -0,0 +1,19 @@
+import { sendMessage, streamMessage } from '../utils/openai.js'
+
+/**
+ * OpenAI provider - talks to OpenAI through the Sveti chat proxy
+ */
+export const openaiProvider = {
+  id: 'openai',
+  name: 'OpenAI',
+  description: 'gpt-4o-mini through the Sveti server',
+  model: 'gpt-4o-mini',
+
+  sendMessage(messages, options = {}) {
+    return sendMessage(messages, { model: this.model, ...options })
+  },
+
+  streamMessage(messages, options = {}) {
+    return streamMessage(messages, { model: this.model, ...options })
+  }
+}
@@ -0,0 +1,60 @@
+import { withSolverCorrection } from '../config/prompts.js'
+import { checkWorkedSolution } from '../math/solver.js'
+import { withRetry } from './retry.js'
+import { buildUsageRecord, combineUsage } from './usage.js'
+
+/**
+ * Worked solutions checked against Sveti's solver before the student sees them
+ * The reply is buffered instead of streamed; when its final value disagrees with
+ * the solver, it is regenerated with the correct answer in the system prompt.
+ */
+
+// Regenerations before the reply is shown with a warning instead
+const MAX_REGENERATIONS = 1
+
+/**
+ * Get a worked solution whose answer matches the solver
+ * @param {Object} params
+ * @param {Object} params.provider - LLM provider (see src/providers)
+ * @param {Array} params.messages - Chat messages built for this request, system prompt first
+ * @param {string} params.problemText - Problem the solution is for
+ * @param {number} params.maxTokens - Reply length limit
+ * @param {AbortSignal} params.signal - Cancels the request
+ * @param {Function} params.onRetry - Called before each retry of a failed request (see `withRetry`)
+ * @returns {Promise<Object>} Provider result, plus `solverCheck` ({status, expected, found, regenerated})
+ *   and `usageRecord` covering every request made
+ */
+export async function requestCheckedSolution({ provider, messages, problemText, maxTokens, signal, onRetry }) {
+  const records = []
+  const request = async (promptMessages) => {
+    const response = await withRetry(
+      () => provider.sendMessage(promptMessages, { max_tokens: maxTokens, signal }),
+      { signal, onRetry }
+    )
+    if (response.content) records.push(buildUsageRecord(provider.model, response.usage, promptMessages, response.content))
+    return response
+  }
+
+  let response = await request(messages)
+  let check = null
+  let regenerated = 0
+
+  while (response.content) {
+    check = checkWorkedSolution(problemText, response.content)
+    if (check.status !== 'disagrees' || regenerated === MAX_REGENERATIONS) break
+
+    console.warn(`Worked solution reached ${check.found}, solver says ${check.expected}; regenerating`)
+    const [system, ...rest] = messages
+    const retry = await request([{ ...system, content: withSolverCorrection(system.content, check) }, ...rest])
+    regenerated++
+    // Keep the first draft if the retry failed outright
+    if (!retry.content) break
+    response = retry
+  }
+
+  return {
+    ...response,
+    solverCheck: check && { ...check, regenerated },
+    usageRecord: combineUsage(records)
+  }
+}
@@ -0,0 +1,182 @@
+/**
+ * Token-aware context builder for Sveti chat requests
+ * Counts real tokens (o200k_base, the gpt-4o family tokenizer) and fits the
+ * conversation into the model's window without losing the problem being worked on
+ */
+
+// The tokenizer's encoder table is ~3 MB, so it loads in its own chunk after startup;
+// counts are estimated from characters until it arrives (or if it fails to load)
+let tokenizer = null
+import('gpt-tokenizer/encoding/o200k_base')
+  .then(module => {
+    tokenizer = module
+  })
+  .catch(error => {
+    console.warn('Tokenizer failed to load, estimating token counts:', error)
+  })
+
+// English averages about 4 characters a token and math fewer; 3 keeps estimates close for both
+const CHARS_PER_TOKEN = 3
+
+/**
+ * Context window sizes in tokens
+ */
+export const MODEL_CONTEXT_LIMITS = {
+  'gpt-4o-mini': 128000,
+  'gpt-4o': 128000,
+  'gpt-3.5-turbo': 16385,
+  'llama3.1': 8192,
+  mock: 8192
+}
+
+// Window assumed for models we don't know (local models are often small)
+const DEFAULT_CONTEXT_LIMIT = 8192
+
+// Cap on prompt size even for huge windows - long prompts are slow and cost money
+const MAX_PROMPT_TOKENS = 6000
+
+// Fixed per-message overhead of the chat format (role markers, separators)
+const MESSAGE_OVERHEAD_TOKENS = 4
+
+// Long older replies get cut down to this many tokens before anything is dropped
+const COMPRESSED_REPLY_TOKENS = 120
+
+// The latest exchanges stay verbatim
+const RECENT_MESSAGES_KEPT_VERBATIM = 4
+
+/**
+ * Count tokens in a piece of text
+ * @param {string} text - Text to count
+ * @returns {number} Token count
+ */
+export function countTokens(text) {
+  if (!text) return 0
+  return tokenizer ? tokenizer.encode(text).length : Math.ceil(text.length / CHARS_PER_TOKEN)
+}
+
+/**
+ * Count tokens a chat message costs, including chat-format overhead
+ * @param {{content: string}} message - Message to count
+ * @returns {number} Token count
+ */
+export function countMessageTokens(message) {
+  return countTokens(message.content) + MESSAGE_OVERHEAD_TOKENS
+}
+
+/**
+ * Get the prompt budget for a model, leaving room for the reply
+ * @param {string} model - Model name
+ * @param {number} maxReplyTokens - Tokens reserved for the reply
+ * @returns {number} Maximum prompt tokens
+ */
+export function getContextBudget(model, maxReplyTokens = 1500) {
+  const limit = MODEL_CONTEXT_LIMITS[model] || DEFAULT_CONTEXT_LIMIT
+  return Math.min(limit - maxReplyTokens, MAX_PROMPT_TOKENS)
+}
+
+const MATH_PATTERN = /(\d\s*[a-z(]|[a-z)]\s*[\^²³]|[a-z0-9)]\s*(=|<|>|≤|≥)\s*[-a-z0-9(])/i
+const PROBLEM_CUE_PATTERN = /\b(solve|simplify|factor|graph|evaluate|find|expand|calculate|what is|how do i|help)\b|\?|:\s*$/i
+
+/**
+ * Whether a student message states a problem (not just a follow-up like "I don't get it")
+ * @param {string} text - Message content
+ * @returns {boolean}
+ */
+export function isProblemStatement(text) {
+  return MATH_PATTERN.test(text) && PROBLEM_CUE_PATTERN.test(text)
+}
+
+/**
+ * Find the student's current problem in the conversation
+ * Prefers the latest message that states a problem; falls back to the
+ * first message with any math in it
+ * @param {Array} history - Conversation messages, oldest first
+ * @returns {Object|null} The problem message, or null if there is none
+ */
+export function findProblemMessage(history) {
+  const userMessages = history.filter(msg => msg.role === 'user')
+  const latestStatement = [...userMessages].reverse().find(msg => isProblemStatement(msg.content))
+  return latestStatement || userMessages.find(msg => MATH_PATTERN.test(msg.content)) || null
+}
+
+/**
+ * Cut a reply down to its opening tokens
+ */
+function compressReply(content) {
+  const opening = tokenizer
+    ? tokenizer.decode(tokenizer.encode(content).slice(0, COMPRESSED_REPLY_TOKENS))
+    : content.slice(0, Math.floor(COMPRESSED_REPLY_TOKENS * CHARS_PER_TOKEN))
+  const shortened = opening.trim()
+  return `${shortened} … [earlier reply shortened]`
+}
+
+/**
+ * Build the messages for a chat request within the model's token budget
+ *
+ * Always keeps the system prompt, the student's latest message and the message
+ * stating the current problem. When the rest does not fit, older long replies are
+ * compressed first, then the oldest messages are dropped - and the system prompt
+ * says so, so nothing disappears silently.
+ *
+ * @param {Object} params
+ * @param {string} params.systemPrompt - System prompt content
+ * @param {Array} params.history - Conversation messages, oldest first, ending with the new user message
+ * @param {string} params.model - Model name, used to look up the context window
+ * @param {number} params.maxReplyTokens - Tokens reserved for the reply (default: 1500)
+ * @param {number} params.budget - Optional explicit prompt budget, overrides the model lookup
+ * @returns {{messages: Array, stats: {promptTokens: number, budget: number, dropped: number, compressed: number}}}
+ */
+export function buildContext({ systemPrompt, history, model, maxReplyTokens = 1500, budget }) {
+  const tokenBudget = budget ?? getContextBudget(model, maxReplyTokens)
+
+  const turns = history
+    .filter(msg => (msg.role === 'user' || msg.role === 'assistant') && msg.content)
+    .map(msg => ({ id: msg.id, role: msg.role, content: msg.content }))
+
+  const problem = findProblemMessage(turns)
+  const pinned = new Set([turns.at(-1), problem].filter(Boolean))
+
+  const total = () => turns.reduce((sum, msg) => sum + countMessageTokens(msg), 0)
+  // Reserve room for the system prompt plus the omission note we may add to it
+  const available = tokenBudget - countTokens(systemPrompt) - MESSAGE_OVERHEAD_TOKENS - 40
+
+  let compressed = 0
+  let dropped = 0
+
+  // Pass 1: shorten long older replies, oldest first
+  const olderReplies = turns.slice(0, -RECENT_MESSAGES_KEPT_VERBATIM).filter(msg => msg.role === 'assistant')
+  for (const msg of olderReplies) {
+    if (total() <= available) break
+    if (countTokens(msg.content) > COMPRESSED_REPLY_TOKENS * 2) {
+      msg.content = compressReply(msg.content)
+      compressed++
+    }
+  }
+
+  // Pass 2: drop the oldest unpinned messages
+  while (total() > available) {
+    const index = turns.findIndex(msg => !pinned.has(msg))
+    if (index === -1) break
+    turns.splice(index, 1)
+    dropped++
+  }
+
+  const note = dropped > 0
+    ? `\n\n[Context note] ${dropped} earlier message(s) were left out to fit the context window. The message stating the student's current problem was kept.`
+    : ''
+
+  const messages = [
+    { role: 'system', content: systemPrompt + note },
+    ...turns.map(({ role, content }) => ({ role, content }))
+  ]
+
+  return {
+    messages,
+    stats: {
+      promptTokens: messages.reduce((sum, msg) => sum + countMessageTokens(msg), 0),
+      budget: tokenBudget,
+      dropped,
+      compressed
+    }
+  }
+}
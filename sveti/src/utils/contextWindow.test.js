@@ -0,0 +1,52 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { buildContext, countMessageTokens, findProblemMessage } from './contextWindow.js'
+
+const PROBLEM = 'Solve 3x + 5 = 20, please help'
+const FILLER = 'Let us think about that step carefully and see where it leads. '.repeat(40)
+
+// A long session: the problem first, then many long exchanges about it
+function longHistory(exchanges = 12) {
+  const history = [{ id: 'p', role: 'user', content: PROBLEM }]
+  for (let i = 0; i < exchanges; i++) {
+    history.push({ id: `a${i}`, role: 'assistant', content: `Reply ${i}. ${FILLER}` })
+    history.push({ id: `u${i}`, role: 'user', content: `I still don't get step ${i}` })
+  }
+  return history
+}
+
+test('findProblemMessage prefers the latest problem statement', () => {
+  const history = [
+    { role: 'user', content: 'Solve 2x = 8' },
+    { role: 'assistant', content: 'x = 4' },
+    { role: 'user', content: 'What is 5x - 1 = 9?' },
+    { role: 'user', content: 'I am confused' }
+  ]
+  assert.equal(findProblemMessage(history).content, 'What is 5x - 1 = 9?')
+})
+
+test('a conversation within budget is sent unchanged', () => {
+  const history = longHistory(1)
+  const { messages, stats } = buildContext({ systemPrompt: 'Tutor', history, model: 'gpt-4o' })
+  assert.equal(messages.length, history.length + 1)
+  assert.equal(stats.dropped, 0)
+  assert.equal(stats.compressed, 0)
+})
+
+test('trimming keeps the pinned problem and the latest message within budget', () => {
+  const history = longHistory()
+  const budget = 600
+  const { messages, stats } = buildContext({ systemPrompt: 'Tutor', history, model: 'gpt-4o', budget })
+
+  assert.ok(stats.dropped > 0)
+  assert.equal(messages[1].content, PROBLEM)
+  assert.equal(messages.at(-1).content, history.at(-1).content)
+  assert.match(messages[0].content, /\[Context note\] \d+ earlier message/)
+  assert.ok(messages.reduce((sum, msg) => sum + countMessageTokens(msg), 0) <= budget)
+})
+
+test('the pinned problem survives even when it is the oldest message and nothing else fits', () => {
+  const history = longHistory()
+  const { messages } = buildContext({ systemPrompt: 'Tutor', history, model: 'gpt-4o', budget: 100 })
+  assert.deepEqual(messages.slice(1).map(msg => msg.content), [PROBLEM, history.at(-1).content])
+})
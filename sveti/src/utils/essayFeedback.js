@@ -0,0 +1,127 @@
+import { annotationJsonPrompt, annotationThreadPrompt, getSystemPrompt, rubricScorePrompt } from '../config/prompts.js'
+import { numberSentences, parseAnnotations } from '../writing/annotations.js'
+import { describeFinding } from '../writing/grammarLint.js'
+import { parseRubricScore } from '../writing/rubrics.js'
+import { splitSentences } from '../writing/sentences.js'
+import { requestGuardedReply } from './guardedReply.js'
+import { withRetry } from './retry.js'
+import { buildUsageRecord } from './usage.js'
+
+/**
+ * Tutor feedback for the essay workspace
+ * Feedback comes back as sentence-anchored annotations in JSON mode; replies on
+ * an annotation are short answers about that one sentence. Rubric evaluations
+ * are JSON too, one level per criterion with quotes from the draft as evidence.
+ */
+
+/**
+ * Ask the tutor to annotate a draft
+ * @param {Object} params
+ * @param {Object} params.provider - LLM provider (see src/providers)
+ * @param {string} params.draft - Draft text
+ * @param {'improve'|'grammar'} params.mode - Writing feedback or grammar only
+ * @param {string} params.title - Assignment title, for context
+ * @param {Array} [params.hints] - Offline grammar findings already shown to the student (see `lintText`)
+ * @param {AbortSignal} params.signal - Cancels the request
+ * @returns {Promise<{annotations: Array<Object>|null, usage: Object|null, error: string|null}>}
+ *   `annotations` is null when the request failed or the reply wasn't valid JSON
+ */
+export async function requestAnnotations({ provider, draft, mode, title, hints = [], signal }) {
+  const sentences = splitSentences(draft)
+  const flagged = hints.map(finding => {
+    const sentence = sentences.find(s => finding.start >= s.start && finding.start < s.end)
+    return `${sentence ? `[${sentence.index + 1}] ` : ''}${describeFinding(finding)}`
+  })
+  const system = `${getSystemPrompt('english', mode)}\n\n${annotationJsonPrompt(numberSentences(sentences), mode, flagged)}`
+  const promptMessages = [
+    { role: 'system', content: system },
+    { role: 'user', content: `Please give me ${mode === 'grammar' ? 'grammar' : 'writing'} feedback on my draft${title ? ` for "${title}"` : ''}.` }
+  ]
+
+  const response = await withRetry(
+    () => provider.sendMessage(promptMessages, { json: true, temperature: 0.3, max_tokens: 1200, signal }),
+    { signal }
+  )
+  if (!response.content) {
+    return { annotations: null, usage: null, error: response.aborted ? null : response.error || 'No reply' }
+  }
+
+  const annotations = parseAnnotations(response.content, sentences)
+  return {
+    annotations,
+    usage: buildUsageRecord(provider.model, response.usage, promptMessages, response.content),
+    error: annotations ? null : "The tutor's feedback couldn't be read - please try again."
+  }
+}
+
+/**
+ * Ask the tutor to evaluate a draft against a teacher's rubric
+ * @param {Object} params
+ * @param {Object} params.provider - LLM provider (see src/providers)
+ * @param {string} params.draft - Draft text
+ * @param {Object} params.rubric - Rubric to score against (see src/writing/rubrics.js)
+ * @param {string} params.title - Assignment title, for context
+ * @param {AbortSignal} params.signal - Cancels the request
+ * @returns {Promise<{score: Object|null, usage: Object|null, error: string|null}>}
+ *   `score` is null when the request failed or the reply couldn't be read
+ */
+export async function requestRubricScore({ provider, draft, rubric, title, signal }) {
+  const sentences = splitSentences(draft)
+  const promptMessages = [
+    { role: 'system', content: `${getSystemPrompt('english')}\n\n${rubricScorePrompt(numberSentences(sentences), rubric)}` },
+    { role: 'user', content: `Please evaluate my draft${title ? ` for "${title}"` : ''} against the "${rubric.name}" rubric.` }
+  ]
+
+  const response = await withRetry(
+    // Temperature 0 so the same draft gets the same levels
+    () => provider.sendMessage(promptMessages, { json: true, temperature: 0, max_tokens: 1500, signal }),
+    { signal }
+  )
+  if (!response.content) {
+    return { score: null, usage: null, error: response.aborted ? null : response.error || 'No reply' }
+  }
+
+  const score = parseRubricScore(response.content, rubric, draft, sentences)
+  return {
+    score,
+    usage: buildUsageRecord(provider.model, response.usage, promptMessages, response.content),
+    error: score ? null : "The tutor's evaluation couldn't be read - please try again."
+  }
+}
+
+/**
+ * Get the tutor's answer to a student's reply on an annotation
+ * Checked for ghostwriting like chat replies, since a student can ask here to have a paragraph rewritten
+ * @param {Object} params
+ * @param {Object} params.provider - LLM provider (see src/providers)
+ * @param {Object} params.annotation - The annotation, with its earlier `replies`
+ * @param {string} params.reply - The student's new reply
+ * @param {string} params.draft - Draft text, which the reply may quote back
+ * @param {AbortSignal} params.signal - Cancels the request
+ * @returns {Promise<{content: string|null, usage: Object|null, integrity: Object|null, error: string|null}>}
+ *   `integrity` as from `requestGuardedReply`
+ */
+export async function requestAnnotationReply({ provider, annotation, reply, draft, signal }) {
+  const promptMessages = [
+    { role: 'system', content: `${getSystemPrompt('english')}\n\n${annotationThreadPrompt(annotation.sentence, annotation)}` },
+    ...annotation.replies.map(entry => ({ role: entry.role === 'student' ? 'user' : 'assistant', content: entry.content })),
+    { role: 'user', content: reply }
+  ]
+
+  const response = await requestGuardedReply({
+    provider,
+    messages: promptMessages,
+    studentTexts: [draft, annotation.sentence, reply, ...annotation.replies.filter(entry => entry.role === 'student').map(entry => entry.content)],
+    maxTokens: 300,
+    signal
+  })
+  if (!response.content) {
+    return { content: null, usage: null, integrity: null, error: response.aborted ? null : response.error || 'No reply' }
+  }
+  return {
+    content: response.content,
+    usage: response.usageRecord,
+    integrity: response.integrity,
+    error: null
+  }
+}
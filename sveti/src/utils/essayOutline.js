@@ -0,0 +1,34 @@
+import { outlineJsonPrompt } from '../config/prompts.js'
+import { parseOutline } from '../writing/outline.js'
+import { withRetry } from './retry.js'
+import { buildUsageRecord } from './usage.js'
+
+/**
+ * Ask the tutor for a structured essay outline in JSON mode
+ * @param {Object} params
+ * @param {Object} params.provider - LLM provider (see src/providers)
+ * @param {Array} params.messages - Chat messages built for this request, system prompt first
+ * @param {AbortSignal} params.signal - Cancels the request
+ * @param {Function} params.onRetry - Called before each retry of a failed request (see `withRetry`)
+ * @returns {Promise<{nodes: Array<Object>|null, usage: Object|null, aborted: boolean}>} `nodes` is null
+ *   when the request failed or the reply wasn't a usable outline
+ */
+export async function requestOutline({ provider, messages, signal, onRetry }) {
+  const [system, ...rest] = messages
+  const promptMessages = [{ ...system, content: `${system.content}\n\n${outlineJsonPrompt}` }, ...rest]
+
+  const response = await withRetry(
+    () => provider.sendMessage(promptMessages, { json: true, temperature: 0.4, max_tokens: 900, signal }),
+    { signal, onRetry }
+  )
+  if (!response.content) {
+    if (!response.aborted) console.warn('Outline request failed:', response.error)
+    return { nodes: null, usage: null, aborted: !!response.aborted }
+  }
+
+  return {
+    nodes: parseOutline(response.content),
+    usage: buildUsageRecord(provider.model, response.usage, promptMessages, response.content),
+    aborted: false
+  }
+}
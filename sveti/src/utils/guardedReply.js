@@ -0,0 +1,65 @@
+import { withIntegrityCorrection } from '../config/prompts.js'
+import { findGhostwriting, redactGhostwriting } from '../writing/integrityGuard.js'
+import { withRetry } from './retry.js'
+import { buildUsageRecord, combineUsage } from './usage.js'
+
+/**
+ * English replies checked for ghostwriting before the student sees them
+ * The reply is buffered instead of streamed; when it contains prose the student
+ * could copy, it is regenerated as coaching, and if that still fails the passages
+ * are replaced with guidance.
+ */
+
+// Regenerations before the flagged passages are cut out instead
+const MAX_REGENERATIONS = 1
+
+/**
+ * Get an English reply that coaches rather than writes for the student
+ * @param {Object} params
+ * @param {Object} params.provider - LLM provider (see src/providers)
+ * @param {Array} params.messages - Chat messages built for this request, system prompt first
+ * @param {Array<string>} params.studentTexts - The student's own writing, which the reply may quote
+ * @param {number} params.maxTokens - Reply length limit
+ * @param {AbortSignal} params.signal - Cancels the request
+ * @param {Function} params.onRetry - Called before each retry of a failed request (see `withRetry`)
+ * @returns {Promise<Object>} Provider result, plus `integrity` (null when the first reply was fine,
+ *   else {outcome: 'regenerated'|'redacted', passages}) and `usageRecord` covering every request made
+ */
+export async function requestGuardedReply({ provider, messages, studentTexts, maxTokens, signal, onRetry }) {
+  const records = []
+  const request = async (promptMessages) => {
+    const response = await withRetry(
+      () => provider.sendMessage(promptMessages, { max_tokens: maxTokens, signal }),
+      { signal, onRetry }
+    )
+    if (response.content) records.push(buildUsageRecord(provider.model, response.usage, promptMessages, response.content))
+    return response
+  }
+
+  let response = await request(messages)
+  let flagged = response.content ? findGhostwriting(response.content, studentTexts) : []
+  // What was intercepted, for the teacher's log
+  const intercepted = flagged
+  let regenerated = 0
+
+  while (flagged.length && regenerated < MAX_REGENERATIONS) {
+    console.warn(`English reply has ${flagged.length} ready-to-copy passage(s); regenerating`)
+    const [system, ...rest] = messages
+    const retry = await request([{ ...system, content: withIntegrityCorrection(system.content, flagged) }, ...rest])
+    regenerated++
+    // Keep the first reply (and cut it below) if the retry failed outright
+    if (!retry.content) break
+    response = retry
+    flagged = findGhostwriting(response.content, studentTexts)
+  }
+
+  const redacted = flagged.length > 0
+  return {
+    ...response,
+    ...(redacted && { content: redactGhostwriting(response.content, flagged) }),
+    integrity: intercepted.length
+      ? { outcome: redacted ? 'redacted' : 'regenerated', passages: intercepted.map(passage => passage.text) }
+      : null,
+    usageRecord: combineUsage(records)
+  }
+}
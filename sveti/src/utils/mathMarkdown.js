@@ -0,0 +1,114 @@
+import katex from 'katex'
+
+/**
+ * Math preparation for chat messages
+ * Tutors write LaTeX with \( \) and \[ \] delimiters, students sometimes with $...$.
+ * Everything is rewritten to the `$$` delimiters remark-math reads (single `$` stays
+ * plain text so prices like "$5 and $10" never turn into math). Any formula KaTeX
+ * cannot parse falls back to readable plain text instead of a red error.
+ */
+
+/**
+ * Clean up LaTeX symbols but preserve markdown formatting
+ * Plain-text fallback for formulas KaTeX cannot render
+ */
+export function cleanLatexSymbols(text) {
+  if (!text) return ''
+
+  // Only clean LaTeX symbols, preserve markdown
+  return text
+    // Remove LaTeX delimiters
+    .replace(/\\\[/g, '') // Remove \[
+    .replace(/\\\]/g, '') // Remove \]
+    .replace(/\\\(/g, '') // Remove \(
+    .replace(/\\\)/g, '') // Remove \)
+
+    // Clean up common LaTeX commands
+    .replace(/\\neq/g, '≠') // Not equal
+    .replace(/\\leq/g, '≤') // Less than or equal
+    .replace(/\\geq/g, '≥') // Greater than or equal
+    .replace(/\\pm/g, '±') // Plus minus
+    .replace(/\\times/g, '×') // Times
+    .replace(/\\div/g, '÷') // Division
+
+    // Handle fractions - convert \frac{a}{b} to a/b
+    .replace(/\\frac\{\{([^}]+)\}\}\{\{([^}]+)\}\}/g, '($1)/($2)')
+    .replace(/\\frac\{([^}]+)\}\{([^}]+)\}/g, '($1)/($2)')
+
+    // Handle square roots - convert \sqrt{a} to √(a)
+    .replace(/\\sqrt\{\{([^}]+)\}\}/g, '√($1)')
+    .replace(/\\sqrt\{([^}]+)\}/g, '√($1)')
+
+    // Clean up remaining LaTeX commands but preserve markdown
+    .replace(/\\[a-zA-Z]+/g, '') // Remove other LaTeX commands
+    .replace(/\\\\/g, '') // Remove double backslashes
+    .replace(/\\(?![a-zA-Z])/g, '') // Remove single backslashes not followed by letters
+
+    // Clean up extra braces
+    .replace(/\{\{/g, '') // Remove {{
+    .replace(/\}\}/g, '') // Remove }}
+    .replace(/\{([^}]*)\}/g, '$1') // Remove single braces but keep content
+}
+
+/**
+ * Whether KaTeX can typeset a formula
+ */
+function canRender(tex, displayMode) {
+  try {
+    katex.renderToString(tex, { displayMode, throwOnError: true })
+    return true
+  } catch {
+    return false
+  }
+}
+
+/**
+ * A formula as markdown: `$$` math when KaTeX can render it, plain text otherwise
+ */
+function mathOrText(tex, displayMode) {
+  const formula = tex.trim()
+  if (!formula) return ''
+  if (!canRender(formula, displayMode)) return cleanLatexSymbols(formula)
+  return displayMode ? `\n\n$$\n${formula}\n$$\n\n` : `$$${formula}$$`
+}
+
+// Display math first so $$...$$ is not read as two inline $...$ pairs
+const DISPLAY_MATH = /\\\[([\s\S]+?)\\\]|\$\$([\s\S]+?)\$\$/g
+const INLINE_MATH = /\\\(([\s\S]+?)\\\)/g
+// $x^2$ but not "$5 and $10": no space inside the delimiters, no digit right after the closing one
+const DOLLAR_MATH = /(?<![\\$\w])\$(?![\s$])([^$\n]+?)(?<!\s)\$(?![\d$])/g
+
+/**
+ * Rewrite a message so remark-math/rehype-katex typeset its formulas
+ * @param {string} text - Message content as written by the student or tutor
+ * @returns {string} Markdown with `$$` math delimiters
+ */
+export function prepareMath(text) {
+  if (!text) return ''
+
+  // Keep code spans and blocks untouched
+  const parts = text.split(/(```[\s\S]*?(?:```|$)|`[^`\n]*`)/g)
+  return parts
+    .map((part, index) => {
+      if (index % 2 === 1) return part
+
+      // $$...$$ that sits inside a line is inline math; on its own line it is a display block
+      const withDisplay = part.replace(DISPLAY_MATH, (match, bracketed, dollars, offset, whole) => {
+        const standalone = /(^|\n)\s*$/.test(whole.slice(0, offset)) && /^\s*(\n|$)/.test(whole.slice(offset + match.length))
+        return mathOrText(bracketed ?? dollars, bracketed !== undefined || standalone)
+      })
+
+      // Protect the math we just wrote while looking for more
+      const pieces = withDisplay.split(/(\$\$[\s\S]+?\$\$)/g)
+      return pieces
+        .map((piece, i) => (i % 2 === 1
+          ? piece
+          : piece
+            .replace(INLINE_MATH, (_, tex) => mathOrText(tex, false))
+            .replace(DOLLAR_MATH, (match, tex) => (/[\\^_{}=+\-*/]|[a-z]/i.test(tex) && !/^\d+(\.\d+)?$/.test(tex)
+              ? mathOrText(tex, false)
+              : match))))
+        .join('')
+    })
+    .join('')
+}
@@ -0,0 +1,70 @@
+/**
+ * Scripted tutor replies for development, tests and classrooms without a model
+ * Replies depend only on the input text, so the same question always gets the same answer
+ */
+
+const defaultResponses = [
+  "I'm here to help! Can you tell me more about what you're working on? The more details you share, the better I can assist you.",
+  "That's a great question to explore! Let's break it down together. What specific part would you like to focus on first?",
+  "I love helping students learn! Could you share more context about your assignment or what you're trying to understand?"
+]
+
+/**
+ * Small stable string hash used to pick a default reply
+ * @param {string} text - Text to hash
+ * @returns {number} Non-negative integer hash
+ */
+function hashText(text) {
+  let hash = 0
+  for (let i = 0; i < text.length; i++) {
+    hash = (hash * 31 + text.charCodeAt(i)) >>> 0
+  }
+  return hash
+}
+
+/**
+ * Generate a mock AI response based on the user's input
+ * @param {string} content - User's message content
+ * @returns {string} Generated AI response
+ */
+export function generateMockResponse(content) {
+  const lowerContent = content.toLowerCase()
+
+  // Hint ladder requests
+  if (lowerContent.includes('hint')) {
+    return "Here's a hint: look at what is being done to the variable, and think about how you could undo it. What do you notice first?"
+  }
+
+  // Math problem solving
+  if (lowerContent.includes('solve') || /\d+.*x|x.*\d+/.test(lowerContent)) {
+    return "I'd be happy to help you solve this! Let's work through it step by step. First, we need to isolate the variable by performing the same operation on both sides of the equation. What operation do you think we should start with?"
+  }
+
+  // Explanation requests
+  if (lowerContent.includes('explain') || lowerContent.includes('what is')) {
+    return "Great question! Let me break this down for you in simple terms. Understanding the concept is more important than just memorizing formulas. Think of it this way - when we're working with equations, we're like detectives solving a mystery to find the value of our unknown variable."
+  }
+
+  // Practice problems
+  if (lowerContent.includes('practice') || lowerContent.includes('problems')) {
+    return `Here are 3 practice problems for you:\n\n1. 3x + 7 = 22\n2. 2(x - 4) = 10\n3. 5x - 3 = 4x + 8\n\nTry solving these step by step! Remember to show your work, and let me know if you need help with any of them.`
+  }
+
+  // Writing/ELA topics
+  if (lowerContent.includes('essay') || lowerContent.includes('thesis')) {
+    return "Let's work on developing your thesis together! A strong thesis should be specific, arguable, and provide a roadmap for your essay. What's your topic? I can help you narrow it down and create a clear, focused thesis statement."
+  }
+
+  // Grammar check
+  if (lowerContent.includes('grammar') || lowerContent.includes('check')) {
+    return "I'd be happy to help you check your grammar! Please share the text you'd like me to review, and I'll point out any issues and explain how to fix them. Remember, good writing is all about clear communication."
+  }
+
+  // Brainstorming
+  if (lowerContent.includes('brainstorm') || lowerContent.includes('ideas')) {
+    return "Brainstorming is one of my favorite parts of writing! Let's think about this together. What's your assignment about? I can help you generate ideas, organize your thoughts, and find the angle that interests you most."
+  }
+
+  // Default encouraging response
+  return defaultResponses[hashText(lowerContent) % defaultResponses.length]
+}
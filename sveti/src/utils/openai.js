@@ -1,40 +1,46 @@
-import OpenAI from 'openai'
+import { readLines } from './stream.js'
+import { RETRYABLE_STATUSES, parseRetryAfter, cancelledResult } from './retry.js'
 
 /**
- * OpenAI client instance for Sveti AI homework tutor
- * Note: dangerouslyAllowBrowser is enabled for development only
+ * Chat proxy endpoint for Sveti AI homework tutor
+ * The OpenAI API key lives on the server (see server/chat.js), never in the browser
  */
-const openai = new OpenAI({
-  apiKey: import.meta.env.VITE_OPENAI_API_KEY,
-  dangerouslyAllowBrowser: true // For development only - should use backend in production
-})
+const CHAT_API_URL = import.meta.env.VITE_CHAT_API_URL || '/api/chat'
 
 /**
- * Send a message to OpenAI and get a response
+ * Decide whether a failed proxy response is worth retrying
+ * @param {Response} response - Failed fetch response from the chat proxy
+ * @returns {{retryable: boolean, retryAfter: number|null}}
+ */
+function getRetryInfo(response) {
+  return {
+    retryable: RETRYABLE_STATUSES.includes(response.status),
+    retryAfter: parseRetryAfter(response.headers.get('Retry-After'))
+  }
+}
+
+/**
+ * Send a message to OpenAI through the chat proxy and get a response
  * @param {Array} messages - Array of message objects with role and content
  * @param {Object} options - Optional configuration
  * @param {string} options.model - OpenAI model to use (default: 'gpt-4o-mini')
  * @param {number} options.temperature - Response creativity (0-2, default: 0.7)
  * @param {number} options.max_tokens - Maximum response length (default: 1500)
- * @returns {Promise<{content: string, error: null} | {content: null, error: string}>}
+ * @param {boolean} options.json - Ask for a JSON object reply (JSON mode)
+ * @param {AbortSignal} options.signal - Cancels the request (e.g. the Stop button)
+ * @returns {Promise<{content: string, error: null, usage: Object|null} | {content: null, error: string, retryable: boolean, retryAfter: number|null}>}
  */
 export async function sendMessage(messages, options = {}) {
   // Set default options
   const {
     model = 'gpt-4o-mini',
     temperature = 0.7,
-    max_tokens = 1500
+    max_tokens = 1500,
+    json = false,
+    signal
   } = options
 
   try {
-    // Validate API key
-    if (!import.meta.env.VITE_OPENAI_API_KEY || import.meta.env.VITE_OPENAI_API_KEY === 'sk-your-key-goes-here') {
-      return {
-        content: null,
-        error: 'OpenAI API key not configured. Please add your API key to the .env file.'
-      }
-    }
-
     // Validate messages array
     if (!Array.isArray(messages) || messages.length === 0) {
       return {
@@ -43,89 +49,199 @@ export async function sendMessage(messages, options = {}) {
       }
     }
 
-    // Create abort controller for timeout
+    // Create abort controller for timeout and student cancellation
     const controller = new AbortController()
     const timeoutId = setTimeout(() => controller.abort(), 15000) // 15 second timeout
+    if (signal?.aborted) return cancelledResult()
+    signal?.addEventListener('abort', () => controller.abort(), { once: true })
 
     let response
     try {
-      // Make API call with timeout
-      response = await openai.chat.completions.create({
-        model,
-        messages,
-        temperature,
-        max_tokens,
-        stream: false
-      }, {
+      // Make proxy call with timeout
+      response = await fetch(CHAT_API_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          messages,
+          options: { model, temperature, max_tokens, ...(json && { response_format: { type: 'json_object' } }) }
+        }),
         signal: controller.signal
       })
-      
+
       clearTimeout(timeoutId)
     } catch (error) {
       clearTimeout(timeoutId)
+      if (signal?.aborted) return cancelledResult()
       if (error.name === 'AbortError') {
         throw new Error('Request timed out after 15 seconds')
       }
       throw error
     }
 
-    // Extract response content
-    const content = response.choices[0]?.message?.content
+    // The proxy answers with the same {content, error} shape, even on failure
+    const data = await response.json().catch(() => null)
 
-    if (!content) {
+    if (!data) {
       return {
         content: null,
-        error: 'No response content received from OpenAI.'
+        error: `Chat server returned an unreadable response (status ${response.status}).`,
+        ...getRetryInfo(response)
+      }
+    }
+
+    if (!response.ok || !data.content) {
+      return {
+        content: null,
+        error: data.error || 'No response content received from OpenAI.',
+        ...getRetryInfo(response)
       }
     }
 
     return {
-      content: content.trim(),
-      error: null
+      content: data.content.trim(),
+      error: null,
+      usage: data.usage ?? null
     }
 
   } catch (error) {
     // Log error for debugging
-    console.error('OpenAI API Error:', error)
+    console.error('Chat proxy error:', error)
 
-    // Handle specific error types with user-friendly messages
-    if (error.status === 401) {
+    if (error.message?.includes('timed out')) {
       return {
         content: null,
-        error: 'Invalid OpenAI API key. Please check your API key in the .env file.'
+        error: 'The tutor took too long to respond. Please try again.',
+        retryable: true,
+        retryAfter: null
       }
     }
 
-    if (error.status === 429) {
+    // Network or connection errors (proxy not running, offline, etc.)
+    if (error.code === 'NETWORK_ERROR' || error.message?.includes('fetch') || error.name === 'TypeError') {
       return {
         content: null,
-        error: 'Rate limit exceeded. Please wait a moment before trying again.'
+        error: 'Network error. Please check your internet connection and try again.',
+        retryable: true,
+        retryAfter: null
       }
     }
 
-    if (error.status === 402) {
+    // Generic error fallback
+    return {
+      content: null,
+      error: 'An unexpected error occurred. Please try again later.'
+    }
+  }
+}
+
+/**
+ * Stream a response from OpenAI through the chat proxy, chunk by chunk
+ * @param {Array} messages - Array of message objects with role and content
+ * @param {Object} options - Same options as `sendMessage`, plus:
+ * @param {Function} options.onDelta - Called with each new chunk of text as it arrives
+ * @param {number} options.idleTimeout - Max silence between chunks in ms (default: 15000)
+ * @param {AbortSignal} options.signal - Cancels the stream; text received so far is returned
+ * @returns {Promise<{content: string, error: null, usage: Object|null} | {content: null, error: string, retryable: boolean, retryAfter: number|null}>} The full reply once the stream ends
+ */
+export async function streamMessage(messages, options = {}) {
+  const {
+    model = 'gpt-4o-mini',
+    temperature = 0.7,
+    max_tokens = 1500,
+    onDelta = () => {},
+    idleTimeout = 15000,
+    signal
+  } = options
+
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return {
+      content: null,
+      error: 'Messages array is required and cannot be empty.'
+    }
+  }
+  if (signal?.aborted) return cancelledResult()
+
+  const controller = new AbortController()
+  // Covers the wait for the first byte; readLines takes over once the stream opens
+  const timeoutId = setTimeout(() => controller.abort(), idleTimeout)
+  signal?.addEventListener('abort', () => controller.abort(), { once: true })
+  let content = ''
+
+  try {
+    const response = await fetch(CHAT_API_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        messages,
+        options: { model, temperature, max_tokens },
+        stream: true
+      }),
+      signal: controller.signal
+    })
+    clearTimeout(timeoutId)
+
+    // Failures before the stream opens come back as a plain {content, error} body
+    if (!response.ok || !response.headers.get('Content-Type')?.includes('ndjson')) {
+      const data = await response.json().catch(() => null)
       return {
         content: null,
-        error: 'OpenAI account quota exceeded. Please check your billing settings.'
+        error: data?.error || `Chat server returned an unreadable response (status ${response.status}).`,
+        ...getRetryInfo(response)
+      }
+    }
+
+    let streamError = null
+    let usage = null
+    await readLines(response, (line) => {
+      const event = JSON.parse(line)
+      if (event.delta) {
+        content += event.delta
+        onDelta(event.delta)
       }
+      if (event.usage) usage = event.usage
+      if (event.error) streamError = event.error
+    }, controller, idleTimeout)
+
+    // The student has already seen part of this reply, so don't retry it
+    if (streamError) {
+      return { content: null, error: streamError, retryable: false, retryAfter: null }
     }
 
-    if (error.status === 503) {
+    if (!content.trim()) {
       return {
         content: null,
-        error: 'OpenAI service is temporarily unavailable. Please try again later.'
+        error: 'No response content received from OpenAI.'
       }
     }
 
-    // Network or connection errors
-    if (error.code === 'NETWORK_ERROR' || error.message?.includes('fetch')) {
+    return {
+      content: content.trim(),
+      error: null,
+      usage
+    }
+  } catch (error) {
+    clearTimeout(timeoutId)
+    if (signal?.aborted) return cancelledResult(content)
+    console.error('Chat proxy stream error:', error)
+
+    if (error.name === 'AbortError') {
       return {
         content: null,
-        error: 'Network error. Please check your internet connection and try again.'
+        error: `The tutor stopped responding for ${Math.round(idleTimeout / 1000)} seconds. Please try again.`,
+        retryable: content === '',
+        retryAfter: null
+      }
+    }
+
+    if (error.message?.includes('fetch') || error.name === 'TypeError') {
+      return {
+        content: null,
+        error: 'Network error. Please check your internet connection and try again.',
+        retryable: content === '',
+        retryAfter: null
       }
     }
 
-    // Generic error fallback
     return {
       content: null,
       error: 'An unexpected error occurred. Please try again later.'
@@ -133,6 +249,21 @@ export async function sendMessage(messages, options = {}) {
   }
 }
 
+/**
+ * Check whether the chat proxy is reachable and has an API key configured
+ * @returns {Promise<{ok: boolean, configured: boolean}>}
+ */
+export async function checkChatServer() {
+  try {
+    const response = await fetch(CHAT_API_URL.replace(/\/chat$/, '/health'))
+    if (!response.ok) return { ok: false, configured: false }
+    const data = await response.json()
+    return { ok: !!data.ok, configured: !!data.configured }
+  } catch {
+    return { ok: false, configured: false }
+  }
+}
+
 /**
  * Create a system message for the AI tutor
  * @param {string} subject - The subject being tutored (algebra, ela, etc.)
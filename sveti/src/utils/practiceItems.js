@@ -0,0 +1,106 @@
+import { curriculumPracticePrompt, practiceJsonPrompt } from '../config/prompts.js'
+import { getCurriculumTopic } from '../config/curriculum.js'
+import { LEVELS, generatePracticeSet, getGeneratorTopics } from '../math/problems.js'
+import { parseAnswer } from '../math/grading.js'
+import { buildUsageRecord } from './usage.js'
+
+/**
+ * Structured practice items written by the model in JSON mode
+ * Used for topics the local generator doesn't cover; items whose answer isn't a
+ * single number are dropped, since they couldn't be graded.
+ */
+
+// Generated when the topic is unknown and the model can't help
+const DEFAULT_TOPIC = 'twoStepEq'
+
+/**
+ * Parse and validate the model's JSON reply
+ * @param {string} content - Reply text, expected to be a JSON object
+ * @returns {Array<Object>|null} Practice items, or null when fewer than two are usable
+ */
+export function parsePracticeItems(content) {
+  let data
+  try {
+    // Some local models wrap JSON mode output in a code fence anyway
+    data = JSON.parse(content.replace(/^\s*```(?:json)?|```\s*$/g, ''))
+  } catch {
+    return null
+  }
+
+  const items = (Array.isArray(data?.problems) ? data.problems : [])
+    .filter(problem => typeof problem?.text === 'string' && problem.text.trim() && parseAnswer(String(problem.answer)))
+    .slice(0, LEVELS.length)
+    .map((problem, index) => ({
+      id: crypto.randomUUID(),
+      topic: typeof data.topic === 'string' ? data.topic : null,
+      level: LEVELS.includes(problem.level) ? problem.level : LEVELS[index],
+      text: problem.text.trim(),
+      answer: String(problem.answer).trim(),
+      unit: problem.unit === '%' ? '%' : '',
+      source: 'model'
+    }))
+
+  return items.length >= 2 ? items : null
+}
+
+/**
+ * Ask the model for practice items in JSON mode
+ * @param {Object} params
+ * @param {Object} params.provider - LLM provider (see src/providers)
+ * @param {Array} params.messages - Chat messages built for this request, system prompt first
+ * @param {Object|null} params.topic - Curriculum topic to model the problems on, or null
+ * @param {AbortSignal} params.signal - Cancels the request
+ * @returns {Promise<{items: Array<Object>|null, usage: Object|null}>} `items` is null when the reply
+ *   was missing or invalid
+ */
+export async function requestPracticeItems({ provider, messages, topic = null, signal }) {
+  const [system, ...rest] = messages
+  const curriculum = topic ? `\n\n${curriculumPracticePrompt(topic)}` : ''
+  const promptMessages = [{ ...system, content: `${system.content}${curriculum}\n\n${practiceJsonPrompt}` }, ...rest]
+
+  const response = await provider.sendMessage(promptMessages, {
+    json: true,
+    temperature: 0.5,
+    max_tokens: 700,
+    signal
+  })
+
+  if (!response.content) {
+    console.warn('Practice items request failed:', response.error)
+    return { items: null, usage: null }
+  }
+
+  return {
+    items: parsePracticeItems(response.content),
+    usage: buildUsageRecord(provider.model, response.usage, promptMessages, response.content)
+  }
+}
+
+/**
+ * Build the practice set for the Practice action
+ * Topics the local generator covers get verified problems; for anything else the
+ * model writes items in JSON mode from the curriculum's samples, and the generator
+ * is the fallback when it can't. Items carry the topic's standard codes.
+ * @param {Object} params
+ * @param {string|null} params.topicId - Detected curriculum topic id, or null
+ * @param {Object} params.provider - LLM provider (see src/providers)
+ * @param {Array} params.messages - Chat messages built for this request, system prompt first
+ * @param {string[]} params.gamePrefs - Student's games, for the story wrapper
+ * @param {AbortSignal} params.signal - Cancels the request
+ * @returns {Promise<{items: Array<Object>, usage: Object|null}>}
+ */
+export async function createPracticeSet({ topicId, provider, messages, gamePrefs, signal }) {
+  const topic = getCurriculumTopic(topicId)
+  const withStandards = (items, standards) => items.map(item => ({ ...item, standards }))
+  const generator = getGeneratorTopics().includes(topic?.generator) ? topic.generator : null
+
+  if (generator || provider.id === 'mock') {
+    const items = generatePracticeSet(generator || DEFAULT_TOPIC, { gamePrefs })
+    return { items: withStandards(items, generator ? topic.standards : []), usage: null }
+  }
+
+  const { items, usage } = await requestPracticeItems({ provider, messages, topic, signal })
+  return items
+    ? { items: withStandards(items, topic?.standards ?? []), usage }
+    : { items: withStandards(generatePracticeSet(DEFAULT_TOPIC, { gamePrefs }), []), usage }
+}
@@ -0,0 +1,82 @@
+import { getSystemPrompt, readingCheckPrompt, readingPassagePrompt, readingQuestionsJsonPrompt } from '../config/prompts.js'
+import { formatRange, numberLines, parseAnswerCheck, parseReadingQuestions } from '../writing/reading.js'
+import { withRetry } from './retry.js'
+import { buildUsageRecord } from './usage.js'
+
+/**
+ * Reading comprehension requests
+ * Questions come back in JSON mode tied to line ranges of the passage; each answer
+ * is checked against the lines the student cited, also in JSON mode.
+ */
+
+/**
+ * Ask the tutor for reading questions on the passage in the system prompt
+ * @param {Object} params
+ * @param {Object} params.provider - LLM provider (see src/providers)
+ * @param {Array} params.messages - Chat messages built for this request, system prompt first
+ * @param {Array} params.lines - The passage's numbered lines (see `toPassageLines`)
+ * @param {AbortSignal} params.signal - Cancels the request
+ * @param {Function} params.onRetry - Called before each retry of a failed request (see `withRetry`)
+ * @returns {Promise<{questions: Array<Object>|null, usage: Object|null, aborted: boolean}>} `questions`
+ *   is null when the request failed or the reply had no usable questions
+ */
+export async function requestReadingQuestions({ provider, messages, lines, signal, onRetry }) {
+  const [system, ...rest] = messages
+  const promptMessages = [{ ...system, content: `${system.content}\n\n${readingQuestionsJsonPrompt}` }, ...rest]
+
+  const response = await withRetry(
+    () => provider.sendMessage(promptMessages, { json: true, temperature: 0.4, max_tokens: 1000, signal }),
+    { signal, onRetry }
+  )
+  if (!response.content) {
+    if (!response.aborted) console.warn('Reading questions request failed:', response.error)
+    return { questions: null, usage: null, aborted: !!response.aborted }
+  }
+
+  return {
+    questions: parseReadingQuestions(response.content, lines),
+    usage: buildUsageRecord(provider.model, response.usage, promptMessages, response.content),
+    aborted: false
+  }
+}
+
+/**
+ * Ask the tutor to check an answer against the lines the student cited
+ * @param {Object} params
+ * @param {Object} params.provider - LLM provider (see src/providers)
+ * @param {Object} params.passage - {title, lines}
+ * @param {Object} params.question - The reading question
+ * @param {string} params.answer - Student's answer
+ * @param {{start: number, end: number}|null} params.cited - Lines the student cited
+ * @param {AbortSignal} [params.signal] - Cancels the request
+ * @returns {Promise<{check: Object|null, usage: Object|null, error: string|null}>} `check` is null
+ *   when the request failed or the reply couldn't be read
+ */
+export async function requestAnswerCheck({ provider, passage, question, answer, cited, signal }) {
+  // The question's own lines plus whatever the student cited, so the tutor can compare them
+  const ranges = cited ? [question.lines, cited] : [question.lines]
+  const excerpt = numberLines(passage.lines.filter(line =>
+    ranges.some(range => line.number >= range.start && line.number <= range.end)))
+  const system = `${getSystemPrompt('english', 'reading')}${readingPassagePrompt(passage.title, numberLines(passage.lines))}\n\n${
+    readingCheckPrompt(question, excerpt, cited ? formatRange(cited) : 'no lines')}`
+  const promptMessages = [
+    { role: 'system', content: system },
+    { role: 'user', content: answer }
+  ]
+
+  const response = await withRetry(
+    // Temperature 0 so the same answer gets the same verdict
+    () => provider.sendMessage(promptMessages, { json: true, temperature: 0, max_tokens: 300, signal }),
+    { signal }
+  )
+  if (!response.content) {
+    return { check: null, usage: null, error: response.aborted ? null : response.error || 'No reply' }
+  }
+
+  const check = parseAnswerCheck(response.content)
+  return {
+    check,
+    usage: buildUsageRecord(provider.model, response.usage, promptMessages, response.content),
+    error: check ? null : "The tutor's check couldn't be read - please try again."
+  }
+}
@@ -0,0 +1,118 @@
+/**
+ * Retry helpers for tutor requests
+ * Providers mark failed results with `retryable` (and optionally `retryAfter`);
+ * `withRetry` re-runs those with exponential backoff and jitter
+ */
+
+/**
+ * HTTP statuses worth retrying: rate limits, overload and gateway hiccups
+ */
+export const RETRYABLE_STATUSES = [429, 502, 503, 504]
+
+/**
+ * Result returned when the student cancels a request
+ * @param {string} partial - Text received before the cancel, if any
+ * @returns {{content: string|null, error: string, aborted: true, retryable: false, retryAfter: null}}
+ */
+export function cancelledResult(partial = '') {
+  return {
+    content: partial.trim() || null,
+    error: 'Request cancelled.',
+    aborted: true,
+    retryable: false,
+    retryAfter: null
+  }
+}
+
+/**
+ * Parse a Retry-After header value
+ * @param {string|null} value - Delay in seconds or an HTTP date
+ * @returns {number|null} Delay in seconds, or null when absent or unreadable
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null
+
+  const seconds = Number(value)
+  if (Number.isFinite(seconds)) return Math.max(seconds, 0)
+
+  const date = Date.parse(value)
+  if (Number.isNaN(date)) return null
+  return Math.max(Math.ceil((date - Date.now()) / 1000), 0)
+}
+
+/**
+ * Exponential backoff with "equal jitter": half fixed, half random
+ * @param {number} attempt - Retry number, starting at 1
+ * @param {number} baseDelay - Delay for the first retry in ms
+ * @param {number} maxDelay - Upper bound for any delay in ms
+ * @returns {number} Delay in ms
+ */
+export function getBackoffDelay(attempt, baseDelay = 1000, maxDelay = 20000) {
+  const exponential = Math.min(baseDelay * 2 ** (attempt - 1), maxDelay)
+  return exponential / 2 + Math.random() * (exponential / 2)
+}
+
+/**
+ * Wait for `ms`, rejecting early with an AbortError if `signal` fires
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException('Aborted', 'AbortError'))
+      return
+    }
+    const timeoutId = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+    const onAbort = () => {
+      clearTimeout(timeoutId)
+      reject(new DOMException('Aborted', 'AbortError'))
+    }
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+/**
+ * Run a provider request, retrying retryable failures
+ * @param {Function} request - Returns a promise of `{content, error, retryable?, retryAfter?}`
+ * @param {Object} options - Optional configuration
+ * @param {number} options.retries - Maximum number of retries after the first try (default: 3)
+ * @param {number} options.baseDelay - Backoff delay for the first retry in ms (default: 1000)
+ * @param {number} options.maxDelay - Longest delay we are willing to wait in ms (default: 20000)
+ * @param {Function} options.onRetry - Called with `{attempt, retries, delay, error}` before each retry
+ * @param {AbortSignal} options.signal - Stops waiting between retries (resolves to a cancelled result)
+ * @returns {Promise<Object>} The first successful or non-retryable result, or the last failure
+ */
+export async function withRetry(request, options = {}) {
+  const {
+    retries = 3,
+    baseDelay = 1000,
+    maxDelay = 20000,
+    onRetry = () => {},
+    signal
+  } = options
+
+  let result = await request()
+
+  for (let attempt = 1; attempt <= retries; attempt++) {
+    if (!result.error || !result.retryable || signal?.aborted) break
+
+    const delay = result.retryAfter != null
+      ? result.retryAfter * 1000
+      : getBackoffDelay(attempt, baseDelay, maxDelay)
+
+    // Retry-After longer than we can wait: give up now rather than ignore the server
+    if (delay > maxDelay) break
+
+    onRetry({ attempt, retries, delay, error: result.error })
+    try {
+      await sleep(delay, signal)
+    } catch {
+      return cancelledResult()
+    }
+    result = await request()
+  }
+
+  return result
+}
@@ -0,0 +1,73 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseRetryAfter, withRetry } from './retry.js'
+
+const FAST = { baseDelay: 1, maxDelay: 50 }
+
+// Request that plays back `results` in order, counting calls
+function scripted(results) {
+  const request = async () => {
+    request.calls++
+    return results[Math.min(request.calls - 1, results.length - 1)]
+  }
+  request.calls = 0
+  return request
+}
+
+const rateLimited = { content: null, error: 'Rate limited', retryable: true, retryAfter: null }
+
+test('parseRetryAfter reads seconds and HTTP dates', () => {
+  assert.equal(parseRetryAfter('3'), 3)
+  assert.equal(parseRetryAfter('-5'), 0)
+  assert.equal(parseRetryAfter(new Date(Date.now() - 60000).toUTCString()), 0)
+  const later = parseRetryAfter(new Date(Date.now() + 30000).toUTCString())
+  assert.ok(later >= 28 && later <= 30, `got ${later}`)
+})
+
+test('parseRetryAfter ignores missing and unreadable values', () => {
+  assert.equal(parseRetryAfter(null), null)
+  assert.equal(parseRetryAfter(''), null)
+  assert.equal(parseRetryAfter('soon'), null)
+})
+
+test('retries retryable failures until one succeeds', async () => {
+  const request = scripted([rateLimited, rateLimited, { content: 'Hi', error: null }])
+  const retries = []
+  const result = await withRetry(request, { ...FAST, onRetry: info => retries.push(info.attempt) })
+  assert.equal(result.content, 'Hi')
+  assert.equal(request.calls, 3)
+  assert.deepEqual(retries, [1, 2])
+})
+
+test('returns a non-retryable failure without retrying', async () => {
+  const request = scripted([{ content: null, error: 'Bad key', retryable: false }])
+  const result = await withRetry(request, FAST)
+  assert.equal(result.error, 'Bad key')
+  assert.equal(request.calls, 1)
+})
+
+test('gives up with the last failure once retries run out', async () => {
+  const request = scripted([rateLimited])
+  const result = await withRetry(request, { ...FAST, retries: 2 })
+  assert.equal(result.error, 'Rate limited')
+  assert.equal(request.calls, 3)
+})
+
+test('gives up at once when Retry-After is longer than it will wait', async () => {
+  const request = scripted([{ ...rateLimited, retryAfter: 60 }])
+  const result = await withRetry(request, FAST)
+  assert.equal(result.retryAfter, 60)
+  assert.equal(request.calls, 1)
+})
+
+test('cancelling during the backoff returns a cancelled result', async () => {
+  const controller = new AbortController()
+  const request = scripted([rateLimited])
+  const result = await withRetry(request, {
+    baseDelay: 1000,
+    signal: controller.signal,
+    onRetry: () => controller.abort()
+  })
+  assert.equal(result.aborted, true)
+  assert.equal(request.calls, 1)
+})
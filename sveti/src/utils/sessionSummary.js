@@ -0,0 +1,101 @@
+import { sessionSummaryPrompt } from '../config/prompts.js'
+import { isProblemStatement } from './contextWindow.js'
+import { buildUsageRecord } from './usage.js'
+
+/**
+ * Session summarization for long tutoring sessions
+ * Older turns are rolled into a running summary so the model keeps the
+ * important facts after those turns leave the context window
+ */
+
+// Most recent messages that always stay verbatim instead of being summarized
+export const SUMMARY_KEEP_RECENT = 6
+
+/**
+ * Get the messages the summary does not cover yet
+ * @param {Array} messages - All messages, oldest first
+ * @param {string|null} throughId - Id of the last summarized message
+ * @returns {Array} Messages after `throughId` (all of them if it is unknown)
+ */
+export function getUnsummarizedMessages(messages, throughId) {
+  const index = throughId ? messages.findIndex(msg => msg.id === throughId) : -1
+  return index === -1 ? messages : messages.slice(index + 1)
+}
+
+/**
+ * Pick the messages that should be rolled into the summary
+ * @param {Array} messages - Messages not yet covered by the summary, oldest first
+ * @param {number} keepRecent - How many recent messages to leave out
+ * @returns {Array} Messages to summarize (may be empty)
+ */
+export function selectTurnsToSummarize(messages, keepRecent = SUMMARY_KEEP_RECENT) {
+  return messages
+    .filter(msg => !msg.streaming && msg.content)
+    .slice(0, -keepRecent)
+}
+
+/**
+ * Format messages as a plain transcript for the summarizer
+ */
+function toTranscript(messages) {
+  return messages
+    .map(msg => `${msg.role === 'user' ? 'Student' : 'Sveti'}: ${msg.content}`)
+    .join('\n\n')
+}
+
+/**
+ * Offline summary used when no model can summarize (mock provider or errors)
+ * Keeps the problems verbatim, which is what matters most to the tutor
+ * @param {string} previousSummary - Existing summary text
+ * @param {Array} messages - Messages to roll up
+ * @returns {string} Summary text
+ */
+export function buildLocalSummary(previousSummary, messages) {
+  const problems = messages
+    .filter(msg => msg.role === 'user' && isProblemStatement(msg.content))
+    .map(msg => `- ${msg.content.trim()}`)
+
+  const previous = previousSummary?.trim() ? `${previousSummary.trim()}\n\n` : ''
+  if (problems.length === 0) return previous.trim()
+  return `${previous}PROBLEMS WORKED:\n${problems.join('\n')}`
+}
+
+/**
+ * Roll older messages into the running session summary
+ * @param {Object} params
+ * @param {Object} params.provider - LLM provider (see src/providers)
+ * @param {string} params.previousSummary - Current summary text, may be empty
+ * @param {Array} params.messages - Messages to roll up, oldest first
+ * @param {AbortSignal} params.signal - Cancels the request
+ * @returns {Promise<{summary: string, local: boolean, usage: Object|null}>} Updated summary; `local` when the
+ *   offline fallback was used, `usage` when a model call was made
+ */
+export async function summarizeSession({ provider, previousSummary = '', messages, signal }) {
+  if (provider.id === 'mock') {
+    return { summary: buildLocalSummary(previousSummary, messages), local: true, usage: null }
+  }
+
+  const promptMessages = [
+    { role: 'system', content: sessionSummaryPrompt },
+    {
+      role: 'user',
+      content: `PREVIOUS NOTES:\n${previousSummary.trim() || '(none)'}\n\nCONVERSATION:\n${toTranscript(messages)}`
+    }
+  ]
+  const response = await provider.sendMessage(promptMessages, {
+    temperature: 0.2,
+    max_tokens: 400,
+    signal
+  })
+
+  if (!response.content) {
+    console.warn('Session summary failed, using local summary:', response.error)
+    return { summary: buildLocalSummary(previousSummary, messages), local: true, usage: null }
+  }
+
+  return {
+    summary: response.content,
+    local: false,
+    usage: buildUsageRecord(provider.model, response.usage, promptMessages, response.content)
+  }
+}
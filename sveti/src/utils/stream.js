@@ -0,0 +1,56 @@
+/**
+ * Streaming helpers shared by the chat providers
+ */
+
+/**
+ * Read a streamed response body line by line
+ * Aborts through `controller` when no bytes arrive for `idleTimeout` ms
+ * @param {Response} response - Fetch response with a readable body
+ * @param {Function} onLine - Called with each non-empty line of text
+ * @param {AbortController} controller - Controller for the underlying fetch
+ * @param {number} idleTimeout - Maximum silence between chunks in ms
+ */
+export async function readLines(response, onLine, controller, idleTimeout) {
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+  let timeoutId = setTimeout(() => controller.abort(), idleTimeout)
+
+  try {
+    while (true) {
+      const { value, done } = await reader.read()
+      clearTimeout(timeoutId)
+      if (done) break
+      timeoutId = setTimeout(() => controller.abort(), idleTimeout)
+
+      buffer += decoder.decode(value, { stream: true })
+      const lines = buffer.split('\n')
+      buffer = lines.pop()
+      for (const line of lines) {
+        if (line.trim()) onLine(line)
+      }
+    }
+    if (buffer.trim()) onLine(buffer)
+  } finally {
+    clearTimeout(timeoutId)
+  }
+}
+
+/**
+ * Parse one line of an OpenAI-compatible server-sent event stream
+ * @param {string} line - Raw line such as `data: {...}`
+ * @returns {{done: boolean, delta: string|null, usage: Object|null}|null} Parsed event, or null for comments and keep-alives
+ */
+export function parseSSELine(line) {
+  if (!line.startsWith('data:')) return null
+
+  const data = line.slice(5).trim()
+  if (data === '[DONE]') return { done: true, delta: null, usage: null }
+
+  const chunk = JSON.parse(data)
+  return {
+    done: false,
+    delta: chunk.choices?.[0]?.delta?.content || null,
+    usage: chunk.usage || null
+  }
+}
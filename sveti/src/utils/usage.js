@@ -0,0 +1,58 @@
+import { estimateCost } from '../config/pricing.js'
+import { countMessageTokens, countTokens } from './contextWindow.js'
+
+/**
+ * Usage helpers for per-message token and cost tracking
+ */
+
+/**
+ * Local calendar day used as the ledger key
+ * @param {Date} date - Day to format
+ * @returns {string} e.g. "2026-10-19"
+ */
+export function dayKey(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, '0')
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+}
+
+/**
+ * Build a usage record for one request
+ * Uses the backend's token counts when present, otherwise counts them locally
+ * @param {string} model - Model that answered
+ * @param {Object|null} reported - `usage` from the provider result
+ * @param {Array} promptMessages - Messages that were sent
+ * @param {string} completion - Reply text
+ * @returns {{prompt_tokens: number, completion_tokens: number, total_tokens: number, cost: number, estimated: boolean}}
+ */
+export function buildUsageRecord(model, reported, promptMessages, completion) {
+  const counts = reported ?? {
+    prompt_tokens: promptMessages.reduce((sum, msg) => sum + countMessageTokens(msg), 0),
+    completion_tokens: countTokens(completion)
+  }
+  const prompt = counts.prompt_tokens ?? 0
+  const output = counts.completion_tokens ?? 0
+
+  return {
+    prompt_tokens: prompt,
+    completion_tokens: output,
+    total_tokens: prompt + output,
+    cost: estimateCost(model, { prompt_tokens: prompt, completion_tokens: output }),
+    estimated: !reported
+  }
+}
+
+/**
+ * Add up usage records for a reply that took several requests
+ * @param {Array<Object>} records - Output of `buildUsageRecord`
+ * @returns {Object|null} Combined record, or null when there are none
+ */
+export function combineUsage(records) {
+  if (!records.length) return null
+  return records.reduce((total, record) => ({
+    prompt_tokens: total.prompt_tokens + record.prompt_tokens,
+    completion_tokens: total.completion_tokens + record.completion_tokens,
+    total_tokens: total.total_tokens + record.total_tokens,
+    cost: total.cost + record.cost,
+    estimated: total.estimated || record.estimated
+  }))
+}
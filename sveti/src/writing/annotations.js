@@ -0,0 +1,134 @@
+import { applyFinding, describeFinding } from './grammarLint.js'
+import { findSentence } from './sentences.js'
+
+/**
+ * Inline feedback on a draft
+ *
+ * An annotation is anchored to one sentence by its text, so it stays attached
+ * while the student edits elsewhere and detaches once that sentence changes.
+ * Shape: {id, sentence, type, comment, suggestion, status, replies, versionId, createdAt}
+ * with status 'open' | 'accepted' | 'dismissed'. Notes from the offline grammar checker
+ * also have source 'checker' and `spans` ({start, end, title} within the sentence).
+ */
+
+export const ANNOTATION_TYPES = {
+  praise: { label: 'Strength', style: 'bg-emerald-100 text-emerald-800 dark:bg-emerald-900/50 dark:text-emerald-200' },
+  clarity: { label: 'Clarity', style: 'bg-sky-100 text-sky-800 dark:bg-sky-900/50 dark:text-sky-200' },
+  evidence: { label: 'Evidence', style: 'bg-violet-100 text-violet-800 dark:bg-violet-900/50 dark:text-violet-200' },
+  organization: { label: 'Organization', style: 'bg-indigo-100 text-indigo-800 dark:bg-indigo-900/50 dark:text-indigo-200' },
+  wordChoice: { label: 'Word choice', style: 'bg-teal-100 text-teal-800 dark:bg-teal-900/50 dark:text-teal-200' },
+  grammar: { label: 'Grammar', style: 'bg-rose-100 text-rose-800 dark:bg-rose-900/50 dark:text-rose-200' }
+}
+
+// More than this many notes at once overwhelms a student
+const MAX_ANNOTATIONS = 12
+
+/**
+ * Parse and anchor the model's JSON feedback
+ * Each item names a sentence by number; the quoted text wins when the two disagree,
+ * and items that match no sentence are dropped.
+ * @param {string} content - Reply text, expected to be a JSON object
+ * @param {Array} sentences - Draft sentences (see `splitSentences`) the numbers refer to
+ * @returns {Array<Object>|null} New open annotations, or null when the reply isn't valid JSON
+ */
+export function parseAnnotations(content, sentences) {
+  let data
+  try {
+    // Some local models wrap JSON mode output in a code fence anyway
+    data = JSON.parse(content.replace(/^\s*```(?:json)?|```\s*$/g, ''))
+  } catch {
+    return null
+  }
+
+  const createdAt = new Date().toISOString()
+  const anchored = []
+  for (const item of Array.isArray(data?.annotations) ? data.annotations : []) {
+    if (typeof item?.comment !== 'string' || !item.comment.trim()) continue
+    const byQuote = typeof item.quote === 'string' && item.quote.trim() ? findSentence(sentences, item.quote) : null
+    const sentence = byQuote || sentences[Number(item.sentence) - 1]
+    if (!sentence) continue
+
+    const suggestion = typeof item.suggestion === 'string' ? item.suggestion.trim() : ''
+    anchored.push({
+      id: crypto.randomUUID(),
+      sentence: sentence.text,
+      type: ANNOTATION_TYPES[item.type] ? item.type : 'clarity',
+      comment: item.comment.trim(),
+      // A "suggestion" identical to the sentence isn't one
+      suggestion: suggestion && suggestion !== sentence.text ? suggestion : null,
+      status: 'open',
+      replies: [],
+      createdAt
+    })
+  }
+  return anchored.slice(0, MAX_ANNOTATIONS)
+}
+
+/**
+ * Turn offline grammar findings into notes, one per sentence
+ * @param {Array} findings - Result of `lintText` on the draft
+ * @param {Array} sentences - Draft sentences the findings fall in
+ * @returns {Array<Object>} New open grammar annotations with `spans` marking each finding
+ */
+export function lintAnnotations(findings, sentences) {
+  const createdAt = new Date().toISOString()
+  return sentences.flatMap(sentence => {
+    // Offsets relative to the sentence, so they stay valid wherever it moves in the draft
+    const inside = findings
+      .filter(finding => finding.start >= sentence.start && finding.end <= sentence.end)
+      .map(finding => ({ ...finding, start: finding.start - sentence.start, end: finding.end - sentence.start }))
+    if (!inside.length) return []
+
+    // Fixes go in from the end so earlier offsets still line up
+    const suggestion = inside.reduceRight((text, finding) => applyFinding(text, finding), sentence.text)
+    return [{
+      id: crypto.randomUUID(),
+      sentence: sentence.text,
+      type: 'grammar',
+      source: 'checker',
+      comment: inside.map(describeFinding).join('\n'),
+      suggestion: suggestion !== sentence.text ? suggestion : null,
+      spans: inside
+        .filter(finding => finding.rule !== 'runOn')
+        .map(finding => ({ start: finding.start, end: finding.end, title: describeFinding(finding) })),
+      status: 'open',
+      replies: [],
+      createdAt
+    }]
+  })
+}
+
+/**
+ * Attach annotations to the current draft's sentences
+ * @param {Array} annotations - Stored annotations
+ * @param {Array} sentences - Current draft sentences
+ * @returns {Array<Object>} Annotations with `anchor` (the sentence, or null when it has changed)
+ */
+export function anchorAnnotations(annotations, sentences) {
+  return annotations.map(annotation => ({ ...annotation, anchor: findSentence(sentences, annotation.sentence) }))
+}
+
+/**
+ * Apply an annotation's suggested rewrite to the draft
+ * @param {string} draft - Current draft
+ * @param {Object} annotation - Anchored annotation with a suggestion
+ * @returns {string} The draft with the sentence replaced (unchanged when it no longer exists)
+ */
+export function applySuggestion(draft, annotation) {
+  if (!annotation.anchor || !annotation.suggestion) return draft
+  const { start, end } = annotation.anchor
+  const original = draft.slice(start, end)
+  // Keep the whitespace around the sentence
+  const leading = original.match(/^\s*/)[0]
+  const trailing = original.match(/\s*$/)[0]
+  return `${draft.slice(0, start)}${leading}${annotation.suggestion}${trailing}${draft.slice(end)}`
+}
+
+/**
+ * Draft sentences numbered for the feedback prompt: "[1] First sentence."
+ * @param {Array} sentences - Draft sentences
+ * @returns {string}
+ */
+export function numberSentences(sentences) {
+  return sentences.map(sentence => `[${sentence.index + 1}] ${sentence.text}`).join('\n')
+}
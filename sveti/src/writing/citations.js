@@ -0,0 +1,518 @@
+/**
+ * MLA 9 and APA 7 citations built from structured source fields
+ *
+ * Formatting is deterministic: the same fields always give the same citation.
+ * A citation is a list of segments {text, italic} so titles can be set in italics,
+ * along with the rules that shaped it (for the tutor to explain) and the fields
+ * that are missing or look wrong.
+ */
+
+export const CITATION_STYLES = {
+  mla: { label: 'MLA 9', listTitle: 'Works Cited' },
+  apa: { label: 'APA 7', listTitle: 'References' }
+}
+
+export const SOURCE_TYPES = {
+  book: { label: 'Book', fields: ['title', 'edition', 'publisher', 'year', 'doi'] },
+  article: { label: 'Journal article', fields: ['title', 'container', 'volume', 'issue', 'pages', 'year', 'month', 'doi', 'url'] },
+  website: { label: 'Web page', fields: ['title', 'container', 'publisher', 'year', 'month', 'day', 'url', 'accessed'] }
+}
+
+const FIELD_LABELS = {
+  authors: 'Authors',
+  title: 'Title',
+  container: 'Journal',
+  edition: 'Edition',
+  publisher: 'Publisher',
+  year: 'Year',
+  month: 'Month',
+  day: 'Day',
+  volume: 'Volume',
+  issue: 'Issue',
+  pages: 'Pages',
+  doi: 'DOI',
+  url: 'URL',
+  accessed: 'Date accessed'
+}
+
+export const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December']
+
+// MLA abbreviates months longer than four letters
+const MLA_MONTHS = ['Jan.', 'Feb.', 'Mar.', 'Apr.', 'May', 'June', 'July', 'Aug.', 'Sept.', 'Oct.', 'Nov.', 'Dec.']
+
+// Lowercase in MLA title case unless first or last: articles, prepositions, coordinating conjunctions, "to"
+const MLA_MINOR_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'but', 'for', 'nor', 'or', 'so', 'yet', 'as', 'to',
+  'about', 'above', 'across', 'after', 'against', 'along', 'among', 'around', 'at', 'before', 'behind', 'below',
+  'beneath', 'beside', 'between', 'beyond', 'by', 'down', 'during', 'except', 'from', 'in', 'inside', 'into',
+  'like', 'near', 'of', 'off', 'on', 'onto', 'out', 'outside', 'over', 'past', 'per', 'since', 'through',
+  'throughout', 'till', 'toward', 'towards', 'under', 'underneath', 'until', 'up', 'upon', 'via', 'with',
+  'within', 'without'
+])
+
+// APA title case (journal names) only lowercases the short ones
+const APA_MINOR_WORDS = new Set(['a', 'an', 'the', 'and', 'but', 'for', 'nor', 'or', 'so', 'yet', 'as', 'at', 'by', 'in', 'of', 'off', 'on', 'per', 'to', 'up', 'via'])
+
+// APA lists this many authors in full; past it, the first 19, an ellipsis and the last
+const APA_MAX_AUTHORS = 20
+
+/**
+ * Label of a form field; the container is a journal or a website depending on the type
+ * @param {string} field - Source field
+ * @param {string} type - Key of SOURCE_TYPES
+ * @returns {string}
+ */
+export function fieldLabel(field, type) {
+  if (field === 'container' && type === 'website') return 'Website name'
+  return FIELD_LABELS[field] ?? field
+}
+
+/**
+ * Empty source of a type
+ * @param {string} [type] - Key of SOURCE_TYPES
+ * @returns {Object}
+ */
+export function createSource(type = 'book') {
+  return {
+    id: crypto.randomUUID(),
+    type,
+    authors: [{ first: '', last: '' }],
+    title: '',
+    container: '',
+    edition: '',
+    publisher: '',
+    year: '',
+    month: '',
+    day: '',
+    volume: '',
+    issue: '',
+    pages: '',
+    doi: '',
+    url: '',
+    accessed: ''
+  }
+}
+
+function clean(value) {
+  return typeof value === 'string' ? value.trim().replace(/\s+/g, ' ') : ''
+}
+
+// Add closing punctuation unless the text already ends with some
+function close(text, mark = '.') {
+  return /[.?!]$/.test(text) ? text : `${text}${mark}`
+}
+
+// Authors with at least one name; a single name (or an organization) counts as the last name
+function people(source) {
+  return (source.authors || [])
+    .map(author => ({ first: clean(author.first), last: clean(author.last) }))
+    .filter(author => author.first || author.last)
+    .map(author => (author.last ? author : { first: '', last: author.first }))
+}
+
+/**
+ * Title case: principal words capitalized, minor words lowercase unless first,
+ * last or after a colon. Words with capitals of their own (iPhone, NASA) are kept.
+ */
+function titleCase(title, minorWords = MLA_MINOR_WORDS) {
+  const words = title.split(' ')
+  return words.map((word, index) => {
+    const [, lead, core, trail] = word.match(/^([^A-Za-z]*)(.*?)([^A-Za-z]*)$/)
+    const edge = index === 0 || index === words.length - 1 || /:$/.test(words[index - 1] || '')
+    if (!edge && minorWords.has(core.toLowerCase()) && /^[A-Z]?[a-z]*$/.test(core)) return `${lead}${core.toLowerCase()}${trail}`
+    const capitalized = core.split('-').map(part => (/^[a-z]+$/.test(part) ? part[0].toUpperCase() + part.slice(1) : part)).join('-')
+    return `${lead}${capitalized}${trail}`
+  }).join(' ')
+}
+
+// APA sentence case always capitalizes the first word and the first word after a colon
+function capitalizeStarts(title) {
+  return title.replace(/(^|:\s+)([^A-Za-z]*)([a-z])/g, (match, before, lead, letter) => `${before}${lead}${letter.toUpperCase()}`)
+}
+
+// More capitalized than lowercase words after the first: probably not APA sentence case
+function looksTitleCased(title) {
+  const words = title.split(' ').slice(1).filter(word => /^[A-Za-z]{4,}/.test(word))
+  const capitalized = words.filter(word => /^[A-Z][a-z]/.test(word)).length
+  return capitalized >= 2 && capitalized > words.length - capitalized
+}
+
+function ordinal(n) {
+  const suffix = n % 100 >= 11 && n % 100 <= 13 ? 'th' : { 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th'
+  return `${n}${suffix}`
+}
+
+// "2", "2nd" or "2nd ed." -> "2nd ed."; first editions aren't cited
+function editionText(value) {
+  const edition = clean(value)
+  const number = edition.match(/^(\d+)(?:st|nd|rd|th)?\b/i)
+  if (number) return Number(number[1]) === 1 ? '' : `${ordinal(Number(number[1]))} ed.`
+  if (!edition) return ''
+  return /\bed\.?$/i.test(edition) ? close(edition.replace(/\bed$/i, 'ed')) : `${edition} ed.`
+}
+
+function pageRange(value) {
+  const pages = clean(value).replace(/^pp?\.?\s*/i, '')
+  return pages ? pages.split(/\s*[-–—]\s*/).filter(Boolean) : []
+}
+
+function doiLink(value) {
+  const doi = clean(value).replace(/^(?:https?:\/\/(?:dx\.)?doi\.org\/|doi:\s*)/i, '')
+  return doi ? `https://doi.org/${doi}` : ''
+}
+
+function monthIndex(value) {
+  const month = Number(value)
+  return Number.isInteger(month) && month >= 1 && month <= 12 ? month - 1 : null
+}
+
+// "YYYY-MM-DD" from a date input
+function parseIsoDate(value) {
+  const match = clean(value).match(/^(\d{4})-(\d{2})-(\d{2})$/)
+  return match ? { year: match[1], month: String(Number(match[2])), day: String(Number(match[3])) } : null
+}
+
+function mlaDate({ year, month, day }) {
+  const index = monthIndex(month)
+  return [index !== null && clean(day), index !== null && MLA_MONTHS[index], clean(year)].filter(Boolean).join(' ')
+}
+
+function sameName(a, b) {
+  return a && b && a.toLowerCase() === b.toLowerCase()
+}
+
+// Join comma-separated elements made of segments
+function joinElements(elements, separator = ', ') {
+  return elements.flatMap((element, index) => [...(index ? [{ text: separator }] : []), ...element])
+}
+
+function mlaAuthors(list, notes) {
+  const reversed = ({ first, last }) => (first ? `${last}, ${first}` : last)
+  if (list.length === 1) {
+    notes.push('One author: last name, a comma, then first name.')
+    return close(reversed(list[0]))
+  }
+  if (list.length === 2) {
+    notes.push('Two authors: the first name is reversed (last, first), then "and" and the second name in normal order.')
+    const second = list[1].first ? `${list[1].first} ${list[1].last}` : list[1].last
+    return close(`${reversed(list[0])}, and ${second}`)
+  }
+  notes.push('Three or more authors: only the first, reversed, followed by "et al."')
+  return `${reversed(list[0])}, et al.`
+}
+
+function formatMla(source, notes) {
+  const list = people(source)
+  const title = titleCase(clean(source.title))
+  const container = titleCase(clean(source.container))
+  const segments = []
+
+  // An organization that is both author and publisher is named once, as publisher
+  const orgIsPublisher = list.length === 1 && !list[0].first && sameName(list[0].last, clean(source.publisher))
+  if (orgIsPublisher) {
+    notes.push('The organization is both author and publisher, so the entry starts with the title and names the organization later on.')
+  } else if (list.length) {
+    segments.push({ text: `${mlaAuthors(list, notes)} ` })
+  } else {
+    notes.push('No author: the entry starts with the title.')
+  }
+
+  if (title) {
+    if (source.type === 'book') {
+      notes.push('A book stands on its own, so its title is in italics.')
+      segments.push({ text: title, italic: true }, { text: /[?!]$/.test(title) ? ' ' : '. ' })
+    } else {
+      notes.push(`${source.type === 'article' ? 'An article' : 'A web page'} is part of a larger work, so its title goes in quotation marks and the ${
+        source.type === 'article' ? 'journal' : 'website'} (the "container") is in italics.`)
+      segments.push({ text: `“${close(title)}” ` })
+    }
+    notes.push('Titles use title case: major words capitalized; articles, prepositions and conjunctions lowercase unless first or last.')
+  }
+
+  // Container elements: container, version, number, publisher, date, location - separated by commas
+  const elements = []
+  if (container && source.type !== 'book') elements.push([{ text: container, italic: true }])
+  const edition = source.type === 'book' ? editionText(source.edition) : ''
+  if (edition) elements.push([{ text: edition }])
+  if (clean(source.volume)) elements.push([{ text: `vol. ${clean(source.volume)}` }])
+  if (clean(source.issue)) elements.push([{ text: `no. ${clean(source.issue)}` }])
+  if (clean(source.volume) || clean(source.issue)) notes.push('Volume and issue are shortened to "vol." and "no.".')
+  const publisher = clean(source.publisher)
+  if (publisher && !(source.type === 'website' && sameName(publisher, container))) {
+    elements.push([{ text: publisher }])
+  } else if (publisher) {
+    notes.push('The publisher is left out when it has the same name as the website.')
+  }
+  const date = mlaDate(source)
+  if (date) elements.push([{ text: date }])
+  if (monthIndex(source.month) !== null && date) notes.push('Dates are written day month year, with months longer than four letters shortened (Sept., Nov.).')
+  const pages = pageRange(source.pages)
+  if (pages.length) {
+    elements.push([{ text: pages.length > 1 ? `pp. ${pages[0]}-${pages[1]}` : `p. ${pages[0]}` }])
+    notes.push('Page ranges start with "pp."; a single page with "p.".')
+  }
+  const doi = doiLink(source.doi)
+  const url = clean(source.url).replace(/^https?:\/\//i, '')
+  if (doi) {
+    elements.push([{ text: doi }])
+    notes.push('A DOI is used instead of a URL when there is one, written as a https://doi.org/ link.')
+  } else if (url && source.type !== 'book') {
+    elements.push([{ text: url }])
+    notes.push('URLs leave out "http://" or "https://".')
+  }
+  if (elements.length) {
+    notes.push('After the title, the remaining elements are separated by commas, and the entry ends with a period.')
+    segments.push(...joinElements(elements), { text: '. ' })
+  }
+
+  const accessed = source.type === 'website' ? parseIsoDate(source.accessed) : null
+  if (accessed) {
+    segments.push({ text: `Accessed ${mlaDate(accessed)}.` })
+    notes.push('An access date goes at the end; it matters most when the page has no date of its own.')
+  }
+  return segments
+}
+
+function apaName({ first, last }) {
+  if (!first) return last
+  const initials = first.split(/[\s.]+/).filter(Boolean)
+    .map(name => name.split('-').map(part => `${part[0].toUpperCase()}.`).join('-'))
+    .join(' ')
+  return `${last}, ${initials}`
+}
+
+function apaAuthors(list, notes) {
+  notes.push('Authors are written last name, comma, initials.')
+  const names = list.map(apaName)
+  if (names.length === 1) return close(names[0])
+  if (names.length === 2) {
+    notes.push('Two authors are joined with "&".')
+    return close(`${names[0]}, & ${names[1]}`)
+  }
+  if (names.length <= APA_MAX_AUTHORS) {
+    notes.push(`Up to ${APA_MAX_AUTHORS} authors are all listed, with "&" before the last.`)
+    return close(`${names.slice(0, -1).join(', ')}, & ${names.at(-1)}`)
+  }
+  notes.push(`With more than ${APA_MAX_AUTHORS} authors, the first 19 are listed, then an ellipsis and the last author.`)
+  return close(`${names.slice(0, APA_MAX_AUTHORS - 1).join(', ')}, . . . ${names.at(-1)}`)
+}
+
+function formatApa(source, notes) {
+  const list = people(source)
+  const title = capitalizeStarts(clean(source.title))
+  const container = source.type === 'article' ? titleCase(clean(source.container), APA_MINOR_WORDS) : clean(source.container)
+  const authors = list.length ? apaAuthors(list, notes) : ''
+
+  // Date in parentheses: the year, or the full date for web pages; n.d. without one
+  const year = clean(source.year)
+  const index = monthIndex(source.month)
+  const full = source.type === 'website' && year && index !== null
+    ? `${year}, ${MONTHS[index]}${clean(source.day) ? ` ${clean(source.day)}` : ''}`
+    : year
+  const date = `(${full || 'n.d.'}). `
+  if (!year) notes.push('No date: "n.d." goes in the parentheses.')
+  else if (source.type === 'website') notes.push('Web pages give the most exact date available: (Year, Month Day).')
+
+  const titleSegments = []
+  if (title) {
+    const edition = source.type === 'book' ? editionText(source.edition) : ''
+    if (source.type === 'article') {
+      titleSegments.push({ text: `${close(title)} ` })
+      notes.push('Article titles are plain text; the journal name and volume are in italics, the issue number in parentheses is not.')
+    } else {
+      titleSegments.push({ text: title, italic: true }, { text: `${edition ? ` (${edition})` : ''}${/[?!]$/.test(title) && !edition ? ' ' : '. '}` })
+      notes.push(`${source.type === 'book' ? 'Book' : 'Web page'} titles are in italics.`)
+      if (edition) notes.push('The edition goes in parentheses after the title, not in italics.')
+    }
+    notes.push('Titles use sentence case: capitalize only the first word, the first word after a colon, and proper nouns.')
+  }
+
+  const segments = []
+  if (authors) {
+    segments.push({ text: `${authors} ` }, { text: date }, ...titleSegments)
+  } else {
+    notes.push('No author: the title moves to the author position, before the date.')
+    segments.push(...titleSegments, { text: date })
+  }
+
+  if (source.type === 'book' && clean(source.publisher)) {
+    if (list.length === 1 && sameName(clean(source.publisher), list[0].last)) {
+      notes.push('The publisher is left out when it is the same as the author.')
+    } else {
+      segments.push({ text: `${close(clean(source.publisher))} ` })
+    }
+  } else if (source.type === 'article' && container) {
+    segments.push({ text: container, italic: true })
+    if (clean(source.volume)) segments.push({ text: ', ' }, { text: clean(source.volume), italic: true })
+    if (clean(source.issue)) segments.push({ text: `(${clean(source.issue)})` })
+    const pages = pageRange(source.pages)
+    if (pages.length) segments.push({ text: `, ${pages.join('–')}` })
+    segments.push({ text: '. ' })
+  } else if (source.type === 'website' && container) {
+    if (list.length === 1 && sameName(container, list[0].last)) {
+      notes.push('The website name is left out when it is the same as the author.')
+    } else {
+      segments.push({ text: `${close(container)} ` })
+    }
+  }
+
+  const doi = doiLink(source.doi)
+  const url = clean(source.url)
+  if (doi) {
+    segments.push({ text: doi })
+    notes.push('A DOI is written as a https://doi.org/ link, with no period after it.')
+  } else if (url && source.type !== 'book') {
+    segments.push({ text: url })
+    notes.push('The URL goes at the end, with no period after it.')
+  }
+  return segments
+}
+
+/**
+ * Missing or doubtful fields for a style
+ * @param {Object} source
+ * @param {'mla'|'apa'} style
+ * @returns {Array<{field: string, level: 'required'|'recommended'|'check', message: string}>}
+ */
+export function findCitationIssues(source, style) {
+  const issues = []
+  const flag = (field, level, message) => issues.push({ field, level, message })
+  const has = field => !!clean(source[field])
+  const containerLabel = fieldLabel('container', source.type).toLowerCase()
+
+  if (!people(source).length) {
+    flag('authors', 'recommended', style === 'mla'
+      ? 'No author: the entry starts with the title. Check the source for a person or organization.'
+      : 'No author: APA moves the title before the date. Check the source for a person or organization.')
+  }
+  if (!has('title')) flag('title', 'required', 'Every citation needs the title.')
+  if (source.type === 'book') {
+    if (!has('publisher')) flag('publisher', 'required', 'Add the publisher - it\'s on the title page or copyright page.')
+    if (!has('year')) flag('year', 'required', 'Add the year of publication, from the copyright page.')
+  }
+  if (source.type === 'article') {
+    if (!has('container')) flag('container', 'required', `Add the ${containerLabel} name.`)
+    if (!has('year')) flag('year', 'required', 'Add the year the article was published.')
+    if (!has('volume')) flag('volume', 'recommended', 'Journal articles usually have a volume number.')
+    if (!has('pages')) flag('pages', 'recommended', 'Add the page range, unless the article is online-only without pages.')
+    if (!has('doi')) {
+      flag('doi', 'recommended', style === 'apa'
+        ? 'APA includes the DOI whenever an article has one - look for "doi" or "https://doi.org/" on its first page.'
+        : 'Add the DOI if the article has one, or a URL if it is online without one.')
+    }
+  }
+  if (source.type === 'website') {
+    if (!has('container')) flag('container', 'required', `Add the ${containerLabel}.`)
+    if (!has('url')) flag('url', 'required', 'Add the page\'s URL.')
+    if (!has('year')) {
+      if (style === 'apa') flag('year', 'recommended', 'No date: APA writes (n.d.). Check the page, often near the title or at the bottom, for a date.')
+      else if (!has('accessed')) flag('accessed', 'recommended', 'The page has no date, so MLA recommends the date you accessed it.')
+    }
+  }
+
+  if (has('year') && !/^\d{4}$/.test(clean(source.year))) flag('year', 'check', 'The year should be four digits, like 2021.')
+  if (has('day') && monthIndex(source.month) === null) flag('month', 'check', 'A day needs a month to go with it.')
+  if (has('doi') && !/^10\.\d{4,}\/\S+$/.test(doiLink(source.doi).replace('https://doi.org/', ''))) {
+    flag('doi', 'check', 'A DOI starts with "10." followed by a prefix and a slash, like 10.1000/xyz123.')
+  }
+  if (has('url') && !/^(?:https?:\/\/)?[\w-]+(?:\.[\w-]+)+(?:[/?#]\S*)?$/i.test(clean(source.url))) {
+    flag('url', 'check', 'This doesn\'t look like a web address.')
+  }
+  // Sveti can't tell proper nouns apart, so APA titles are flagged rather than lowercased
+  if (style === 'apa' && has('title') && looksTitleCased(clean(source.title))) {
+    flag('title', 'check', 'APA uses sentence case for titles: capitalize only the first word, the first word after a colon, and proper nouns.')
+  }
+  return issues
+}
+
+/**
+ * Format a source in a citation style
+ * @param {Object} source - See `createSource`
+ * @param {'mla'|'apa'} style
+ * @returns {{segments: Array<{text: string, italic?: boolean}>, text: string, notes: Array<string>, issues: Array<Object>}}
+ *   `notes` are the rules that shaped this citation; `issues` come from `findCitationIssues`
+ */
+export function formatCitation(source, style) {
+  const notes = []
+  const segments = (style === 'apa' ? formatApa : formatMla)(source, notes)
+  const last = segments.at(-1)
+  if (last) last.text = last.text.trimEnd()
+  return {
+    segments: segments.filter(segment => segment.text),
+    text: segments.map(segment => segment.text).join(''),
+    notes: [...new Set(notes)],
+    issues: findCitationIssues(source, style)
+  }
+}
+
+/**
+ * Citation with italics as markdown
+ * @param {Array} segments - From `formatCitation`
+ * @returns {string}
+ */
+export function citationMarkdown(segments) {
+  return segments.map(segment => (segment.italic ? `*${segment.text}*` : segment.text)).join('')
+}
+
+/**
+ * Citation with italics as HTML, for pasting into a word processor
+ * @param {Array} segments - From `formatCitation`
+ * @returns {string}
+ */
+export function citationHtml(segments) {
+  const escape = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+  return segments.map(segment => (segment.italic ? `<i>${escape(segment.text)}</i>` : escape(segment.text))).join('')
+}
+
+/**
+ * Works Cited or References list, alphabetized
+ * Entries sort by their first word - the author, or the title when there is none,
+ * ignoring a leading A, An or The
+ * @param {Array} sources
+ * @param {'mla'|'apa'} style
+ * @returns {Array<{source: Object, citation: Object}>}
+ */
+export function buildReferenceList(sources, style) {
+  const sortKey = citation => citation.text.replace(/^[“"]/, '').replace(/^(?:a|an|the)\s+/i, '').toLowerCase()
+  return sources
+    .map(source => ({ source, citation: formatCitation(source, style) }))
+    .filter(entry => entry.citation.text)
+    .sort((a, b) => sortKey(a.citation).localeCompare(sortKey(b.citation)))
+}
+
+// Filled-in fields as "Label: value" lines
+function describeFields(source) {
+  const authors = people(source).map(({ first, last }) => (first ? `${last}, ${first}` : last))
+  const fields = SOURCE_TYPES[source.type].fields
+    .filter(field => clean(source[field]))
+    .map(field => `${fieldLabel(field, source.type)}: ${field === 'month' ? MONTHS[monthIndex(source.month)] ?? source.month : clean(source[field])}`)
+  return [`Type: ${SOURCE_TYPES[source.type].label}`, `Authors: ${authors.length ? authors.join('; ') : '(none)'}`, ...fields].join('\n')
+}
+
+/**
+ * Structured citation data for the tutor, so it explains the rules instead of guessing
+ * @param {Array<Object>} sources - Sources to describe (one attached citation, or the student's saved list)
+ * @param {'mla'|'apa'} style
+ * @returns {string} Prompt block
+ */
+export function formatCitationPrompt(sources, style) {
+  const entries = sources.map((source, index) => {
+    const citation = formatCitation(source, style)
+    const issues = citation.issues.length
+      ? citation.issues.map(issue => `- ${issue.level}: ${issue.message}`).join('\n')
+      : '- none'
+    return `Source ${index + 1}
+${describeFields(source)}
+Formatted by Sveti: ${citationMarkdown(citation.segments) || '(nothing yet)'}
+Rules applied:
+${citation.notes.map(note => `- ${note}`).join('\n')}
+Missing or doubtful fields:
+${issues}`
+  })
+  return `
+
+[Citation Data]
+The student's ${sources.length === 1 ? 'source' : 'sources'} from Sveti's citation builder, in ${CITATION_STYLES[style].label}. The formatted citations were built by exact rules from these fields, so trust them over your own formatting:
+${entries.join('\n\n')}
+Explain citation rules using these fields, the formatted citation and the rules applied. Don't write a different version of the citation; if something is missing or doubtful, tell the student which field to fill in or check in the Citations builder.`
+}
@@ -0,0 +1,218 @@
+import { splitSentences } from './sentences.js'
+
+/**
+ * Offline grammar and spelling pre-check
+ *
+ * Catches the mechanical issues a rule can find for certain (doubled words,
+ * its/it's, missing capitals, common misspellings) plus a few likely ones
+ * (comma splices, run-ons). Findings are highlighted for the student and handed
+ * to the tutor, so the model spends its reply explaining rules instead of
+ * hunting for typos.
+ */
+
+export const LINT_RULES = {
+  doubledWord: { label: 'Doubled word', rule: 'The same word is written twice in a row.' },
+  its: { label: 'its / it\'s', rule: '"It\'s" means "it is" or "it has"; "its" shows possession, like "his".' },
+  your: { label: 'your / you\'re', rule: '"You\'re" means "you are"; "your" shows possession.' },
+  their: { label: 'their / there', rule: '"There" points to a place or starts "there is/are"; "their" shows possession; "they\'re" means "they are".' },
+  couldOf: { label: 'could of', rule: 'After could, should, would, might and must, write "have" (it sounds like "of" in speech).' },
+  capital: { label: 'Capital letter', rule: 'Start every sentence with a capital letter.' },
+  pronounI: { label: 'Capital I', rule: 'The pronoun "I" is always a capital letter.' },
+  article: { label: 'a / an', rule: 'Use "an" before a vowel sound and "a" before a consonant sound.' },
+  spacing: { label: 'Spacing', rule: 'Put one space after a comma or end mark, and none before it.' },
+  punctuation: { label: 'Repeated punctuation', rule: 'One end mark is enough in formal writing.' },
+  spelling: { label: 'Spelling', rule: 'This is a commonly misspelled word.' },
+  commaSplice: { label: 'Possible comma splice', rule: 'Two complete sentences can\'t be joined with just a comma. Use a period, a semicolon, or a comma plus and/but/so.' },
+  runOn: { label: 'Long sentence', rule: 'Very long sentences are hard to follow and are often run-ons. Check whether it should be split.' }
+}
+
+// Misspelling -> correction
+const MISSPELLINGS = {
+  accomodate: 'accommodate', acheive: 'achieve', alot: 'a lot', arguement: 'argument', begining: 'beginning',
+  beleive: 'believe', becuase: 'because', beacuse: 'because', calender: 'calendar', definately: 'definitely',
+  definatly: 'definitely', embarass: 'embarrass', enviroment: 'environment', existance: 'existence',
+  goverment: 'government', grammer: 'grammar', independant: 'independent', occured: 'occurred', occurence: 'occurrence',
+  neccessary: 'necessary', noticable: 'noticeable', persistant: 'persistent', posession: 'possession',
+  recieve: 'receive', recieved: 'received', rythm: 'rhythm', seperate: 'separate', similiar: 'similar',
+  succesful: 'successful', suprise: 'surprise', thier: 'their', tommorow: 'tomorrow', tomorow: 'tomorrow',
+  truely: 'truly', untill: 'until', wierd: 'weird', wich: 'which', writting: 'writing', youre: 'you\'re'
+}
+
+const SUBORDINATORS = /\b(when|whenever|if|because|although|though|after|before|since|while|as|unless|until|once|whereas|even)\b/i
+
+// Vowel letters that start with a consonant sound ("a university", not "an unimportant"),
+// and consonant letters that start with a vowel sound ("an hour")
+const CONSONANT_SOUND = /^(uni(?![mnd])|use|usu|uti|ur[aiou]|eu|ew|one\b|once\b)/i
+const VOWEL_SOUND = /^(hour|honest|honor|honour|heir|herb)/i
+
+// "a" or "an" for the sound a word starts with, or undefined when it can't be told:
+// initialisms go by letter names ("an FBI agent", "a URL")
+function articleFor(word) {
+  if (/^[A-Z]{2,}/.test(word)) return undefined
+  if (VOWEL_SOUND.test(word)) return 'an'
+  if (CONSONANT_SOUND.test(word)) return 'a'
+  return /^[aeiou]/i.test(word) ? 'an' : 'a'
+}
+
+// Words in a sentence before it counts as a likely run-on
+const RUN_ON_WORDS = 40
+
+// Same capitalization as the word being replaced
+function matchCase(original, replacement) {
+  return /^[A-Z]/.test(original) ? replacement[0].toUpperCase() + replacement.slice(1) : replacement
+}
+
+/**
+ * Findings from one regular expression
+ * `fix(match)` returns the replacement text, or undefined when the match is fine after all
+ */
+function findAll(text, rule, pattern, fix) {
+  return [...text.matchAll(pattern)].flatMap(match => {
+    const suggestion = fix(match)
+    if (suggestion === undefined) return []
+    return [{ rule, start: match.index, end: match.index + match[0].length, text: match[0], suggestion, message: null }]
+  })
+}
+
+function wordRules(text) {
+  return [
+    ...findAll(text, 'doubledWord', /\b(\w+)\s+\1\b/gi,
+      m => (['had', 'that'].includes(m[1].toLowerCase()) ? undefined : m[1])),
+    ...findAll(text, 'its', /\bits\s+(a|an|the|not|been|going|very|so|too|just|really|raining|true|okay|hard|easy|important|time)\b/gi,
+      m => `${matchCase(m[0], 'it\'s')} ${m[1]}`),
+    ...findAll(text, 'its', /\bit['’]s\s+(own|tail|name|color|colour|size|shape|purpose|value|owner|way)\b/gi,
+      m => `${matchCase(m[0], 'its')} ${m[1]}`),
+    ...findAll(text, 'your', /\byour\s+(welcome|going|not|right|wrong|doing|being|so|very|the best)\b/gi,
+      m => `${matchCase(m[0], 'you\'re')} ${m[1]}`),
+    ...findAll(text, 'their', /\btheir\s+(is|are|was|were)\b/gi,
+      m => `${matchCase(m[0], 'there')} ${m[1]}`),
+    ...findAll(text, 'their', /\b(there|they['’]re)\s+(own)\b/gi,
+      m => `${matchCase(m[0], 'their')} ${m[2]}`),
+    ...findAll(text, 'couldOf', /\b(could|should|would|might|must)\s+of\b/gi,
+      m => `${m[1]} have`),
+    ...findAll(text, 'pronounI', /(?<![\w.'’])i(?=['’](?:m|ve|d|ll)\b|[\s,!?;:]|\.(?!e\.)|$)/g,
+      () => 'I'),
+    ...findAll(text, 'article', /\b(an?)\s+([a-z]\w*)/gi, m => {
+      const article = articleFor(m[2])
+      return !article || article === m[1].toLowerCase() ? undefined : `${matchCase(m[1], article)} ${m[2]}`
+    }),
+    ...findAll(text, 'spelling', /\b[A-Za-z]+\b/g,
+      m => (MISSPELLINGS[m[0].toLowerCase()] ? matchCase(m[0], MISSPELLINGS[m[0].toLowerCase()]) : undefined)),
+    ...findAll(text, 'spacing', /[ \t]+([,.!?;:])(?!\d)/g,
+      m => m[1]),
+    ...findAll(text, 'spacing', /[,;!?](?=[A-Za-z])|(?<=[a-z]{2})\.(?=[A-Z])/g,
+      m => `${m[0]} `),
+    ...findAll(text, 'punctuation', /([!?])[!?]+|,{2,}/g,
+      m => m[1] || ',')
+  ]
+}
+
+function sentenceRules(text) {
+  const findings = []
+  for (const sentence of splitSentences(text)) {
+    const first = sentence.text.match(/^["'“‘(]*([a-z])(\w*)/)
+    // "i went" is flagged by the pronoun rule already
+    if (first && !(first[1] === 'i' && !first[2])) {
+      const offset = sentence.start + sentence.text.indexOf(first[1])
+      findings.push({ rule: 'capital', start: offset, end: offset + 1, text: first[1], suggestion: first[1].toUpperCase(), message: null })
+    }
+
+    const words = sentence.text.split(/\s+/).length
+    const commas = (sentence.text.match(/,/g) || []).length
+    if (words > RUN_ON_WORDS && commas < 2) {
+      findings.push({ rule: 'runOn', start: sentence.start, end: sentence.end, text: sentence.text, suggestion: null, message: `${words} words with almost no punctuation` })
+    }
+
+    // "I went home, it was late": a full clause, a comma, then a new subject and verb
+    for (const match of sentence.text.matchAll(/,\s+(I|he|she|it|we|they|you|this|that)\s+(am|is|are|was|were|have|has|had|will|can|could|would|do|did|went|got|felt|said|think|thought|[a-z]+ed)\b/gi)) {
+      const before = sentence.text.slice(0, match.index)
+      if (before.split(/\s+/).length < 3 || SUBORDINATORS.test(before) || /,/.test(before)) continue
+      const start = sentence.start + match.index
+      findings.push({ rule: 'commaSplice', start, end: start + match[0].length, text: match[0], suggestion: null, message: null })
+    }
+  }
+  return findings
+}
+
+/**
+ * Lint a piece of student writing
+ * @param {string} text - Student text
+ * @returns {Array<{rule: string, start: number, end: number, text: string, suggestion: string|null, message: string|null}>}
+ *   Findings in text order without overlaps; `start`/`end` are offsets into `text`
+ */
+export function lintText(text) {
+  if (!text?.trim()) return []
+  const all = [...wordRules(text), ...sentenceRules(text)]
+    .sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start))
+
+  // Keep the first of overlapping findings; long run-on spans don't hide the details inside them
+  const findings = []
+  for (const finding of all) {
+    const last = findings.filter(f => f.rule !== 'runOn').at(-1)
+    if (finding.rule !== 'runOn' && last && finding.start < last.end) continue
+    findings.push(finding)
+  }
+  return findings
+}
+
+/**
+ * Apply a finding's fix to the text it was found in
+ * @param {string} text - Linted text
+ * @param {Object} finding - Finding with a suggestion
+ * @returns {string}
+ */
+export function applyFinding(text, finding) {
+  if (finding.suggestion === null) return text
+  return text.slice(0, finding.start) + finding.suggestion + text.slice(finding.end)
+}
+
+/**
+ * One-line description of a finding, e.g. `its / it's: "its a" → "it's a"`
+ * @param {Object} finding
+ * @returns {string}
+ */
+export function describeFinding(finding) {
+  const { label } = LINT_RULES[finding.rule]
+  const quoted = finding.text.length > 60 ? `${finding.text.slice(0, 57)}…` : finding.text
+  const fix = finding.suggestion !== null ? ` → "${finding.suggestion}"` : ''
+  const note = finding.message ? ` (${finding.message})` : ''
+  return `${label}: "${quoted}"${fix}${note}`
+}
+
+/**
+ * Pre-check block for the system prompt
+ * @param {Array} findings - Result of `lintText`
+ * @returns {string} Prompt block
+ */
+export function formatLintPrompt(findings) {
+  if (!findings.length) {
+    return `
+
+[Grammar Pre-check]
+Sveti's offline checker found no mechanical issues (doubled words, its/it's, your/you're, capitals, a/an, spacing, common misspellings, comma splices). Focus on what a checker can't see: agreement, tense, word choice and sentence structure.`
+  }
+
+  const rules = [...new Set(findings.map(finding => finding.rule))]
+  return `
+
+[Grammar Pre-check]
+Sveti's offline checker already found and highlighted these issues for the student:
+${findings.map((finding, index) => `${index + 1}. ${describeFinding(finding)}`).join('\n')}
+Rules involved:
+${rules.map(rule => `- ${LINT_RULES[rule].label}: ${LINT_RULES[rule].rule}`).join('\n')}
+Explain the rule behind each issue (group repeats of the same rule), and let the student make the fixes. "Possible" and "Long sentence" findings are guesses - confirm or dismiss them. Then look for what a checker can't catch, such as agreement, tense and word choice.`
+}
+
+/**
+ * Lint a chat message, skipping the request line the Grammar chip puts before the student's text
+ * @param {string} content - Message text, e.g. "Please check the grammar in this text: …"
+ * @returns {Array<Object>} Findings with offsets into `content`
+ */
+export function lintMessage(content) {
+  const prefix = content.match(/^please check the grammar[^:\n]*:\s*/i)?.[0] ?? ''
+  return lintText(content.slice(prefix.length)).map(finding => ({
+    ...finding,
+    start: finding.start + prefix.length,
+    end: finding.end + prefix.length
+  }))
+}
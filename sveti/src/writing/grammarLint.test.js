@@ -0,0 +1,38 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { lintMessage } from './grammarLint.js'
+
+const capitals = (text) => lintMessage(text).filter(finding => finding.rule === 'capital').map(finding => finding.text)
+
+test('words after a dotted initialism are not sentence starts', () => {
+  assert.deepEqual(capitals('U.S. history is long.'), [])
+  assert.deepEqual(capitals('I moved to the U.S. last year.'), [])
+})
+
+test('sentences that miss their capital are still flagged', () => {
+  assert.deepEqual(capitals('the end. then more.'), ['t', 't'])
+})
+
+const articles = (text) => lintMessage(text).filter(finding => finding.rule === 'article').map(finding => finding.suggestion)
+
+test('initialisms are left to their letter names', () => {
+  assert.deepEqual(articles('Paste a URL here.'), [])
+  assert.deepEqual(articles('He was an FBI agent.'), [])
+})
+
+test('"an" before a consonant sound is flagged', () => {
+  assert.deepEqual(articles('She went to an university.'), ['a university'])
+  assert.deepEqual(articles('It was an useful tool.'), ['a useful'])
+  assert.deepEqual(articles('He is an European writer.'), ['a European'])
+  assert.deepEqual(articles('That is an unique idea.'), ['a unique'])
+})
+
+test('"a" before a vowel sound is flagged', () => {
+  assert.deepEqual(articles('He is a honest man.'), ['an honest'])
+  assert.deepEqual(articles('I ate a apple.'), ['an apple'])
+})
+
+test('correct articles are not flagged', () => {
+  assert.deepEqual(articles('A unicorn, an hour, an unimportant detail, an onerous task and a one-time offer.'), [])
+  assert.deepEqual(articles('An apple and a banana.'), [])
+})
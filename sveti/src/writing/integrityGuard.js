@@ -0,0 +1,137 @@
+import { splitSentences } from './sentences.js'
+
+/**
+ * Academic-integrity check on the English tutor's replies
+ *
+ * The coach may explain, question and give a short example sentence, but not write
+ * prose the student could paste into an assignment. A reply is flagged when it has
+ * a run of consecutive sentences that are neither coaching (questions, "you",
+ * instructions) nor the student's own words quoted back.
+ */
+
+// A run this long of original, non-coaching sentences is ready-to-copy prose
+const MIN_SENTENCES = 3
+const MIN_WORDS = 40
+
+// Quoted examples shorter than this are fine ("Try “Despite the cost, ...”")
+const SHORT_QUOTE_WORDS = 12
+
+// Sentences that talk to the student rather than being part of their text
+const COACHING = /\?$|\b(you|your|you're|yours|yourself)\b|\b(essay|paragraph|thesis|draft|sentence|reader|assignment|prompt)\b/i
+const IMPERATIVE = /^(try|consider|think|ask|look|start|add|use|remember|notice|check|make|write|revise|explain|describe|focus|keep|avoid|replace|read|go|show|include|compare|begin|end|choose|pick|cut|move|let's|here's|for example|for instance|e\.g\.)\b/i
+
+function normalize(text) {
+  return text.toLowerCase().replace(/[“”]/g, '"').replace(/[‘’]/g, "'").replace(/\s+/g, ' ').trim()
+}
+
+function countWords(text) {
+  return text.split(/\s+/).filter(Boolean).length
+}
+
+/**
+ * Prose units of a reply with their offsets: paragraphs, or single items of a list.
+ * Items of one list share a `group`, so prose split into bullets is read as one run.
+ * Code and block quotes are skipped.
+ */
+function proseUnits(reply) {
+  const units = []
+  let inFence = false
+  let offset = 0
+  let current = null
+  let group = 0
+  let inList = false // the last unit was a list item, with only blank lines since
+  const close = () => {
+    if (current) units.push(current)
+    current = null
+  }
+
+  for (const line of reply.split('\n')) {
+    const start = offset
+    offset += line.length + 1
+    if (/^\s*```/.test(line)) {
+      inFence = !inFence
+      inList = false
+      close()
+      continue
+    }
+    if (inFence || !line.trim() || /^\s*>/.test(line) || /^\s*#/.test(line)) {
+      if (line.trim()) inList = false
+      close()
+      continue
+    }
+    const item = line.match(/^\s*(?:[-*+]|\d+[.)])\s+/)
+    if (item) close()
+    const textStart = start + (item ? item[0].length : 0)
+    if (current) {
+      current.text += `\n${line}`
+    } else {
+      if (!item || !inList) group++
+      inList = Boolean(item)
+      current = { start: textStart, text: reply.slice(textStart, start + line.length), group }
+    }
+  }
+  close()
+  return units
+}
+
+/**
+ * Find ready-to-copy prose in a tutor reply
+ * @param {string} reply - The tutor's reply
+ * @param {Array<string>} studentTexts - The student's messages and draft; quoting them back is fine
+ * @returns {Array<{start: number, end: number, text: string, words: number, sentences: number}>}
+ *   Flagged passages with offsets into `reply`; empty when the reply is coaching
+ */
+export function findGhostwriting(reply, studentTexts = []) {
+  const student = normalize(studentTexts.join('\n'))
+  const fromStudent = text => normalize(text).length > 0 && student.includes(normalize(text))
+  const passages = []
+
+  // Consecutive prose sentences, with offsets into `reply`; a run can span the items of a list
+  let run = []
+  const flush = () => {
+    const words = run.reduce((sum, sentence) => sum + countWords(sentence.text), 0)
+    if (run.length >= MIN_SENTENCES && words >= MIN_WORDS) {
+      const { start } = run[0]
+      const { end } = run.at(-1)
+      passages.push({ start, end, text: reply.slice(start, end), words, sentences: run.length })
+    }
+    run = []
+  }
+
+  let group = null
+  for (const unit of proseUnits(reply || '')) {
+    if (unit.group !== group) flush()
+    group = unit.group
+
+    // Blank out quotes of the student and short quoted examples, keeping offsets intact
+    const text = unit.text.replace(/["“]([^"”]+)["”]/g, (match, inner) =>
+      fromStudent(inner) || countWords(inner) < SHORT_QUOTE_WORDS ? ' '.repeat(match.length) : match)
+
+    for (const sentence of splitSentences(text)) {
+      const prose = !COACHING.test(sentence.text) && !IMPERATIVE.test(sentence.text.replace(/^[*_\s]+/, ''))
+        && !fromStudent(sentence.text) && countWords(sentence.text) > 3
+      if (prose) {
+        run.push({ text: sentence.text, start: unit.start + sentence.start, end: unit.start + sentence.end })
+      } else {
+        flush()
+      }
+    }
+  }
+  flush()
+  return passages
+}
+
+/**
+ * Replace flagged passages with a nudge to write that part themselves
+ * @param {string} reply - The tutor's reply
+ * @param {Array} passages - Result of `findGhostwriting` on it
+ * @returns {string} The reply with each passage swapped for guidance
+ */
+export function redactGhostwriting(reply, passages) {
+  const note = '*(Sveti started writing this part for you, so it was taken out - the words should be yours. '
+    + 'Try it yourself: state your point in one sentence, add a detail or piece of evidence, then explain how it '
+    + 'connects to your thesis. Share what you write and I\'ll give you feedback.)*'
+  return [...passages]
+    .sort((a, b) => b.start - a.start)
+    .reduce((text, passage) => text.slice(0, passage.start) + note + text.slice(passage.end), reply)
+}
@@ -0,0 +1,34 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { findGhostwriting } from './integrityGuard.js'
+
+const PARAGRAPH = [
+  'The industrial revolution transformed how ordinary families lived and worked in England.',
+  'Factories drew workers away from farms and into crowded growing cities.',
+  'Wages were low and hours were long for men, women and even children.',
+  'Reformers eventually pushed Parliament to pass laws limiting child labor.',
+  'These changes laid the groundwork for the modern welfare state.'
+]
+
+test('a ghostwritten paragraph is flagged', () => {
+  const passages = findGhostwriting(PARAGRAPH.join(' '))
+  assert.equal(passages.length, 1)
+  assert.equal(passages[0].sentences, 5)
+})
+
+test('the same paragraph split into bullets is flagged as one passage', () => {
+  for (const reply of [
+    `Here is an idea:\n\n${PARAGRAPH.map(sentence => `- ${sentence}`).join('\n')}`,
+    PARAGRAPH.map((sentence, index) => `${index + 1}. ${sentence}`).join('\n\n')
+  ]) {
+    const passages = findGhostwriting(reply)
+    assert.equal(passages.length, 1)
+    assert.equal(passages[0].sentences, 5)
+    assert.ok(passages[0].text.startsWith(PARAGRAPH[0]) && passages[0].text.endsWith(PARAGRAPH[4]))
+  }
+})
+
+test('a coaching item breaks up a bulleted run', () => {
+  const items = PARAGRAPH.map((sentence, index) => (index === 2 ? 'What do you notice about this point?' : sentence))
+  assert.deepEqual(findGhostwriting(items.map(item => `- ${item}`).join('\n')), [])
+})
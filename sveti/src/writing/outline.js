@@ -0,0 +1,144 @@
+/**
+ * Essay outlines as editable trees
+ *
+ * An outline is an array of nodes {id, kind, text, children}: the thesis, then main
+ * points, each holding its evidence and the transition into the next point. The tree
+ * operations return new arrays so outlines can live in React state.
+ */
+
+export const OUTLINE_KINDS = {
+  thesis: { label: 'Thesis', childKinds: [], style: 'bg-blue-100 text-blue-800 dark:bg-blue-900/50 dark:text-blue-200' },
+  point: { label: 'Main point', childKinds: ['evidence', 'transition'], style: 'bg-teal-100 text-teal-800 dark:bg-teal-900/50 dark:text-teal-200' },
+  evidence: { label: 'Evidence', childKinds: [], style: 'bg-violet-100 text-violet-800 dark:bg-violet-900/50 dark:text-violet-200' },
+  transition: { label: 'Transition', childKinds: [], style: 'bg-amber-100 text-amber-800 dark:bg-amber-900/50 dark:text-amber-200' }
+}
+
+// Points beyond this are dropped from a model outline
+const MAX_POINTS = 6
+
+/**
+ * New outline node
+ * @param {string} kind - Key of OUTLINE_KINDS
+ * @param {string} [text]
+ * @returns {Object}
+ */
+export function createNode(kind, text = '') {
+  return { id: crypto.randomUUID(), kind, text, children: [] }
+}
+
+/**
+ * Parse the model's JSON outline
+ * @param {string} content - Reply text, expected to be a JSON object
+ * @returns {Array<Object>|null} Outline nodes, or null when the reply isn't valid JSON or has no main points
+ */
+export function parseOutline(content) {
+  let data
+  try {
+    // Some local models wrap JSON mode output in a code fence anyway
+    data = JSON.parse(content.replace(/^\s*```(?:json)?|```\s*$/g, ''))
+  } catch {
+    return null
+  }
+  const text = value => (typeof value === 'string' ? value.trim() : '')
+
+  const points = (Array.isArray(data?.points) ? data.points : [])
+    .filter(point => text(point?.point))
+    .slice(0, MAX_POINTS)
+    .map(point => ({
+      ...createNode('point', text(point.point)),
+      children: [
+        ...(Array.isArray(point.evidence) ? point.evidence : []).map(text).filter(Boolean).map(item => createNode('evidence', item)),
+        ...(text(point.transition) ? [createNode('transition', text(point.transition))] : [])
+      ]
+    }))
+  if (!points.length) return null
+  return [createNode('thesis', text(data.thesis)), ...points]
+}
+
+/**
+ * Change one node's fields
+ * @param {Array} nodes - Outline
+ * @param {string} id - Node to change
+ * @param {Object} change - Fields to set, e.g. {text}
+ * @returns {Array} New outline
+ */
+export function updateNode(nodes, id, change) {
+  return nodes.map(node => node.id === id
+    ? { ...node, ...change }
+    : { ...node, children: updateNode(node.children, id, change) })
+}
+
+/**
+ * Delete a node with everything under it
+ * @param {Array} nodes - Outline
+ * @param {string} id - Node to delete
+ * @returns {Array} New outline
+ */
+export function removeNode(nodes, id) {
+  return nodes
+    .filter(node => node.id !== id)
+    .map(node => ({ ...node, children: removeNode(node.children, id) }))
+}
+
+/**
+ * Move a node up or down among its siblings
+ * @param {Array} nodes - Outline
+ * @param {string} id - Node to move
+ * @param {number} offset - -1 for up, 1 for down
+ * @returns {Array} New outline (unchanged at either end)
+ */
+export function moveNode(nodes, id, offset) {
+  const index = nodes.findIndex(node => node.id === id)
+  if (index === -1) return nodes.map(node => ({ ...node, children: moveNode(node.children, id, offset) }))
+  const target = index + offset
+  if (target < 0 || target >= nodes.length) return nodes
+  const moved = [...nodes]
+  ;[moved[index], moved[target]] = [moved[target], moved[index]]
+  return moved
+}
+
+/**
+ * Add a node at the end of a parent's children, or of the top level
+ * @param {Array} nodes - Outline
+ * @param {string|null} parentId - Parent node, or null for the top level
+ * @param {Object} node - Node to add (see `createNode`)
+ * @returns {Array} New outline
+ */
+export function addNode(nodes, parentId, node) {
+  if (parentId === null) return [...nodes, node]
+  return nodes.map(parent => parent.id === parentId
+    ? { ...parent, children: [...parent.children, node] }
+    : { ...parent, children: addNode(parent.children, parentId, node) })
+}
+
+/**
+ * Outline as a markdown list, for the chat and the tutor
+ * @param {Array} nodes - Outline
+ * @returns {string}
+ */
+export function formatOutline(nodes) {
+  let point = 0
+  const line = (node, depth) => {
+    const label = OUTLINE_KINDS[node.kind]?.label ?? node.kind
+    const text = node.text.trim() || '(blank)'
+    const own = depth === 0 && node.kind === 'point'
+      ? `${++point}. **${text}**`
+      : `${'   '.repeat(depth)}- *${label}:* ${text}`
+    return [own, ...node.children.map(child => line(child, depth + 1))].join('\n')
+  }
+  return nodes.map(node => (node.kind === 'thesis' ? `**Thesis:** ${node.text.trim() || '(blank)'}` : line(node, 0))).join('\n')
+}
+
+/**
+ * Outline context for the Improve action
+ * @param {Array} nodes - The student's outline
+ * @returns {string} Prompt block
+ */
+export function formatOutlinePrompt(nodes) {
+  return `
+
+[Student Outline]
+The student attached their outline for this piece:
+${formatOutline(nodes)}
+Use it as context for your suggestions: check that the writing follows the outline, and point out where the outline itself could be stronger - a vague thesis, points in a weak order, evidence that doesn't fit its point, missing transitions. Ask about changes rather than rewriting the outline for them.`
+}
@@ -0,0 +1,304 @@
+/**
+ * Reading comprehension on a pasted passage
+ *
+ * A passage is wrapped into numbered lines once, when it's added, so line numbers
+ * are the same on every screen and in every prompt. Questions are tied to a line
+ * range, and students cite the lines that support their answers.
+ */
+
+export const QUESTION_TYPES = {
+  comprehension: { label: 'Comprehension', style: 'bg-sky-100 text-sky-800 dark:bg-sky-900/50 dark:text-sky-200' },
+  vocabulary: { label: 'Vocabulary in context', style: 'bg-violet-100 text-violet-800 dark:bg-violet-900/50 dark:text-violet-200' },
+  inference: { label: 'Inference', style: 'bg-amber-100 text-amber-800 dark:bg-amber-900/50 dark:text-amber-200' }
+}
+
+export const VERDICTS = {
+  correct: { label: 'Well supported', style: 'text-emerald-700 dark:text-emerald-300' },
+  partial: { label: 'Partly there', style: 'text-amber-700 dark:text-amber-300' },
+  incorrect: { label: 'Not yet', style: 'text-rose-700 dark:text-rose-300' }
+}
+
+// About the width of a printed test passage
+const LINE_WIDTH = 70
+
+// Questions beyond this are dropped from a model set
+const MAX_QUESTIONS = 6
+
+// A citation this close to the question's lines still counts as the right spot
+const NEAR_LINES = 2
+
+// Long words too common to be worth a vocabulary question
+const COMMON_WORDS = new Set([
+  'something', 'everything', 'anything', 'nothing', 'everyone', 'themselves', 'yourself', 'different',
+  'important', 'because', 'another', 'without', 'through', 'together', 'sometimes', 'remember',
+  'understand', 'question', 'answered', 'started', 'finally', 'actually', 'probably', 'suddenly',
+  'thinking', 'everybody', 'somebody', 'children', 'morning', 'evening', 'afternoon', 'yesterday', 'tomorrow'
+])
+
+/**
+ * Wrap a passage into numbered lines
+ * Line breaks in the pasted text are kept (poems, printed passages); longer lines are
+ * wrapped at word boundaries. Blank lines start a new paragraph and aren't numbered.
+ * @param {string} text - Passage text
+ * @returns {Array<{number: number, text: string, paragraphStart: boolean}>}
+ */
+export function toPassageLines(text) {
+  const lines = []
+  let paragraphStart = true
+  const push = (lineText) => {
+    lines.push({ number: lines.length + 1, text: lineText, paragraphStart })
+    paragraphStart = false
+  }
+
+  for (const raw of (text || '').replace(/\r\n?/g, '\n').split('\n')) {
+    const words = raw.trim().split(/\s+/).filter(Boolean)
+    if (!words.length) {
+      paragraphStart = true
+      continue
+    }
+    let current = ''
+    for (const word of words) {
+      if (current && current.length + word.length + 1 > LINE_WIDTH) {
+        push(current)
+        current = word
+      } else {
+        current = current ? `${current} ${word}` : word
+      }
+    }
+    push(current)
+  }
+  return lines
+}
+
+/**
+ * Passage lines with their numbers, for prompts: "[12] text"
+ * @param {Array} lines - Result of `toPassageLines`, or some of them
+ * @returns {string}
+ */
+export function numberLines(lines) {
+  return lines.map(line => `[${line.number}] ${line.text}`).join('\n')
+}
+
+/**
+ * Text of a line range, joined into one string
+ * @param {Array} lines - Result of `toPassageLines`
+ * @param {{start: number, end: number}} range
+ * @returns {string}
+ */
+export function rangeText(lines, range) {
+  return lines.slice(range.start - 1, range.end).map(line => line.text).join(' ')
+}
+
+/**
+ * "line 4" or "lines 4–6"
+ * @param {{start: number, end: number}} range
+ * @returns {string}
+ */
+export function formatRange(range) {
+  return range.start === range.end ? `line ${range.start}` : `lines ${range.start}–${range.end}`
+}
+
+/**
+ * Read a line range from the model or the student
+ * @param {Array<number>|number|string} value - [4, 6], 4, "4-6", "4 to 6" or "4"
+ * @param {number} lineCount - Lines in the passage
+ * @returns {{start: number, end: number}|null} Null when missing or outside the passage
+ */
+export function parseLineRange(value, lineCount) {
+  let numbers
+  if (Array.isArray(value)) {
+    numbers = value.map(Number)
+  } else if (typeof value === 'number') {
+    numbers = [value]
+  } else if (typeof value === 'string') {
+    const match = value.match(/^\s*(?:lines?\s*)?(\d+)\s*(?:(?:-|–|—|to|through)\s*(\d+))?\s*$/i)
+    numbers = match ? [Number(match[1]), ...(match[2] ? [Number(match[2])] : [])] : []
+  } else {
+    return null
+  }
+  if (!numbers.length || numbers.length > 2 || !numbers.every(Number.isInteger)) return null
+  const start = Math.min(...numbers)
+  const end = Math.max(...numbers)
+  return start >= 1 && end <= lineCount ? { start, end } : null
+}
+
+/**
+ * Line references in a reply, such as "line 4", "lines 4-6", "lines 4 and 5" or "ll. 4–6"
+ * @param {string} text - Tutor reply
+ * @param {number} lineCount - Lines in the passage; references past the end are ignored
+ * @returns {Array<{start: number, end: number}>} Distinct ranges in reading order
+ */
+export function findLineRefs(text, lineCount) {
+  const refs = []
+  const pattern = /\b(?:lines?|ll?\.)\s*(\d+)(?:\s*(?:-|–|—|to|through|and)\s*(\d+))?/gi
+  for (const match of (text || '').matchAll(pattern)) {
+    const range = parseLineRange(match[2] ? [Number(match[1]), Number(match[2])] : Number(match[1]), lineCount)
+    if (range && !refs.some(ref => ref.start === range.start && ref.end === range.end)) refs.push(range)
+  }
+  return refs
+}
+
+// Word or phrase as a case-insensitive whole-word pattern
+function termPattern(term) {
+  return new RegExp(`\\b${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i')
+}
+
+/**
+ * Where a vocabulary word really is: models miscount lines, so the word is looked up
+ * in the cited range first, then anywhere in the passage
+ */
+function locateTerm(lines, term, range) {
+  const pattern = termPattern(term)
+  if (pattern.test(rangeText(lines, range))) return range
+  const line = lines.find(candidate => pattern.test(candidate.text))
+  return line ? { start: line.number, end: line.number } : null
+}
+
+/**
+ * Parse the model's JSON reading questions
+ * @param {string} content - Reply text, expected to be a JSON object
+ * @param {Array} lines - The passage's numbered lines (see `toPassageLines`)
+ * @returns {Array<Object>|null} Questions {id, type, question, lines, answer, word?}, or null when
+ *   the reply isn't valid JSON or fewer than two questions point at real lines
+ */
+export function parseReadingQuestions(content, lines) {
+  let data
+  try {
+    // Some local models wrap JSON mode output in a code fence anyway
+    data = JSON.parse(content.replace(/^\s*```(?:json)?|```\s*$/g, ''))
+  } catch {
+    return null
+  }
+  const text = value => (typeof value === 'string' ? value.trim() : '')
+
+  const questions = (Array.isArray(data?.questions) ? data.questions : [])
+    .map(item => {
+      let range = parseLineRange(item?.lines, lines.length)
+      if (!QUESTION_TYPES[item?.type] || !text(item.question) || !range) return null
+      const word = item.type === 'vocabulary' ? text(item.word) : ''
+      if (item.type === 'vocabulary') {
+        range = word ? locateTerm(lines, word, range) : null
+        if (!range) return null
+      }
+      return {
+        id: crypto.randomUUID(),
+        type: item.type,
+        question: text(item.question),
+        lines: range,
+        answer: text(item.answer),
+        ...(word && { word })
+      }
+    })
+    .filter(Boolean)
+    .slice(0, MAX_QUESTIONS)
+
+  return questions.length >= 2 ? questions : null
+}
+
+/**
+ * Vocabulary-in-context questions Sveti can write without a model: the longest
+ * less-common words, spread through the passage
+ * @param {Array} lines - The passage's numbered lines
+ * @param {number} [count]
+ * @returns {Array<Object>|null} Questions, or null when the passage has too few candidates
+ */
+export function vocabularyQuestions(lines, count = 3) {
+  const candidates = []
+  for (const line of lines) {
+    for (const [word] of line.text.matchAll(/\b[a-z]{8,}\b/g)) {
+      if (!COMMON_WORDS.has(word) && !candidates.some(candidate => candidate.word === word)) {
+        candidates.push({ word, line: line.number })
+      }
+    }
+  }
+  if (candidates.length < 2) return null
+
+  // The longest word from each stretch of the passage, topped up with the longest of the rest
+  const byLength = [...candidates].sort((a, b) => b.word.length - a.word.length)
+  const stretch = Math.max(1, Math.ceil(lines.length / count))
+  const picked = []
+  for (let start = 1; start <= lines.length && picked.length < count; start += stretch) {
+    const best = byLength.find(candidate => candidate.line >= start && candidate.line < start + stretch)
+    if (best) picked.push(best)
+  }
+  picked.push(...byLength.filter(candidate => !picked.includes(candidate)).slice(0, count - picked.length))
+  picked.sort((a, b) => a.line - b.line)
+
+  return picked.map(({ word, line }) => ({
+    id: crypto.randomUUID(),
+    type: 'vocabulary',
+    question: `What does "${word}" mean as it is used here? Which nearby words help you tell?`,
+    lines: { start: line, end: line },
+    answer: '',
+    word
+  }))
+}
+
+/**
+ * Compare the lines a student cited with the lines a question is about
+ * @param {{start: number, end: number}|null} cited - Student's citation
+ * @param {{start: number, end: number}} anchor - The question's lines
+ * @returns {'match'|'near'|'far'|'missing'}
+ */
+export function checkCitation(cited, anchor) {
+  if (!cited) return 'missing'
+  if (cited.start <= anchor.end && cited.end >= anchor.start) return 'match'
+  const gap = cited.start > anchor.end ? cited.start - anchor.end : anchor.start - cited.end
+  return gap <= NEAR_LINES ? 'near' : 'far'
+}
+
+/**
+ * Parse the model's JSON check of one answer
+ * @param {string} content - Reply text, expected to be a JSON object
+ * @returns {{verdict: string, evidence: boolean, feedback: string}|null} Null when unreadable
+ */
+export function parseAnswerCheck(content) {
+  let data
+  try {
+    data = JSON.parse(content.replace(/^\s*```(?:json)?|```\s*$/g, ''))
+  } catch {
+    return null
+  }
+  if (!VERDICTS[data?.verdict]) return null
+  return {
+    verdict: data.verdict,
+    evidence: data.evidenceSupports === true,
+    feedback: typeof data.feedback === 'string' ? data.feedback.trim() : ''
+  }
+}
+
+/**
+ * Question set as chat text, so the tutor sees it in later turns
+ * @param {string} title - Passage title
+ * @param {Array} questions
+ * @returns {string}
+ */
+export function formatReadingMessage(title, questions) {
+  const list = questions
+    .map((question, index) => `${index + 1}. *${QUESTION_TYPES[question.type].label}, ${formatRange(question.lines)}:* ${question.question}`)
+    .join('\n')
+  return `Here are ${questions.length} questions on "${title}". Answer each one and cite the lines that support your answer.\n\n${list}`
+}
+
+/**
+ * The student's answers so far, for the tutor's next reply
+ * @param {Array} questions
+ * @param {Object} responses - Keyed by question id (see `answerReading` in App.jsx)
+ * @returns {string} Prompt block, or '' before any answer
+ */
+export function formatReadingPrompt(questions, responses = {}) {
+  const answered = questions.filter(question => responses[question.id])
+  if (!answered.length) return ''
+  const lines = answered.map(question => {
+    const response = responses[question.id]
+    const cited = response.cited ? formatRange(response.cited) : 'no lines cited'
+    const verdict = response.check ? ` - checked: ${VERDICTS[response.check.verdict].label.toLowerCase()}` : ''
+    return `- ${question.question} (${formatRange(question.lines)})\n  Student: "${response.answer}" (${cited})${verdict}`
+  })
+  return `
+
+[Reading Answers]
+The student has answered these reading questions in the chat:
+${lines.join('\n')}
+If they ask about one, point them back to the lines rather than giving the answer away.`
+}
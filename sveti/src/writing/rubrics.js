@@ -0,0 +1,271 @@
+import { findSentence } from './sentences.js'
+
+/**
+ * Teacher rubrics and rubric scores
+ *
+ * A rubric has shared performance levels and criteria that describe each level:
+ * {id, name, description, levels: [{score, label}], criteria: [{id, name, weight, descriptors}]}
+ * where `descriptors[i]` describes `levels[i]`. Teachers import rubrics as JSON in
+ * this shape (ids are optional) or build them in the Rubrics panel.
+ *
+ * A score is what "Evaluate against rubric" returns for one draft:
+ * {id, rubricId, rubricName, criteria: [{id, name, weight, level, label, maxLevel, evidence, rationale}],
+ *  total, max, createdAt}. It copies the names it needs so it still reads after the rubric is edited.
+ */
+
+const FOUR_LEVELS = [
+  { score: 1, label: 'Beginning' },
+  { score: 2, label: 'Developing' },
+  { score: 3, label: 'Proficient' },
+  { score: 4, label: 'Exemplary' }
+]
+
+export const BUILT_IN_RUBRICS = [
+  {
+    id: 'argumentative-4',
+    name: 'Argumentative essay',
+    description: 'Four-point rubric for claim-and-evidence essays (CCSS W.1).',
+    builtIn: true,
+    levels: FOUR_LEVELS,
+    criteria: [
+      {
+        id: 'thesis',
+        name: 'Thesis',
+        weight: 1,
+        descriptors: [
+          'No clear claim, or the claim only restates the prompt.',
+          'States a claim, but it is vague or hard to argue.',
+          'States a clear, arguable claim that the essay supports.',
+          'States a precise, insightful claim and previews how it will be argued.'
+        ]
+      },
+      {
+        id: 'evidence',
+        name: 'Evidence',
+        weight: 1,
+        descriptors: [
+          'Little or no evidence; relies on opinion.',
+          'Some evidence, but it is thin, loosely related or not explained.',
+          'Relevant evidence for each point, with explanation of how it supports the claim.',
+          'Well-chosen, specific evidence that is analyzed, not just summarized; addresses a counterclaim.'
+        ]
+      },
+      {
+        id: 'organization',
+        name: 'Organization',
+        weight: 1,
+        descriptors: [
+          'No clear structure; ideas jump around.',
+          'Has an introduction, body and conclusion, but paragraphs mix ideas or lack transitions.',
+          'Logical paragraphs with topic sentences and transitions that connect ideas.',
+          'Purposeful structure where each paragraph builds the argument; conclusion goes beyond restating.'
+        ]
+      },
+      {
+        id: 'conventions',
+        name: 'Conventions',
+        weight: 1,
+        descriptors: [
+          'Frequent errors in grammar, spelling or punctuation make it hard to read.',
+          'Several errors that sometimes distract the reader.',
+          'A few minor errors that do not affect meaning.',
+          'Almost no errors; varied, controlled sentences.'
+        ]
+      }
+    ]
+  },
+  {
+    id: 'narrative-4',
+    name: 'Narrative writing',
+    description: 'Four-point rubric for personal and fictional narratives (CCSS W.3).',
+    builtIn: true,
+    levels: FOUR_LEVELS,
+    criteria: [
+      {
+        id: 'narration',
+        name: 'Narration and focus',
+        weight: 1,
+        descriptors: [
+          'No clear situation, narrator or point to the story.',
+          'Sets up a situation, but the focus drifts.',
+          'Establishes a situation and narrator and stays focused on them.',
+          'Engages the reader from the start and develops a clear point or theme.'
+        ]
+      },
+      {
+        id: 'techniques',
+        name: 'Narrative techniques',
+        weight: 1,
+        descriptors: [
+          'Tells events without dialogue, description or pacing.',
+          'Uses some dialogue or description, but it is thin.',
+          'Uses dialogue, pacing and description to develop events and characters.',
+          'Uses techniques skillfully and purposefully, including sensory detail and reflection.'
+        ]
+      },
+      {
+        id: 'sequence',
+        name: 'Sequence',
+        weight: 1,
+        descriptors: [
+          'Events are hard to follow.',
+          'Events are in order, but transitions are missing or repetitive.',
+          'Events unfold naturally with clear transitions and a conclusion.',
+          'Sequence builds toward a satisfying, reflective conclusion.'
+        ]
+      },
+      {
+        id: 'conventions',
+        name: 'Conventions',
+        weight: 1,
+        descriptors: [
+          'Frequent errors in grammar, spelling or punctuation make it hard to read.',
+          'Several errors that sometimes distract the reader.',
+          'A few minor errors that do not affect meaning.',
+          'Almost no errors, including correctly punctuated dialogue.'
+        ]
+      }
+    ]
+  }
+]
+
+// Criterion ids from names, e.g. "Use of evidence" -> "use-of-evidence"
+function slugify(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'criterion'
+}
+
+/**
+ * Check and normalize a rubric from a teacher, e.g. imported JSON
+ * @param {Object|string} data - Rubric object, or its JSON text
+ * @returns {{rubric: Object|null, errors: Array<string>}} The normalized rubric, or null with the problems found
+ */
+export function validateRubric(data) {
+  let input = data
+  if (typeof data === 'string') {
+    try {
+      input = JSON.parse(data)
+    } catch (error) {
+      return { rubric: null, errors: [`Not valid JSON: ${error.message}`] }
+    }
+  }
+
+  const errors = []
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { rubric: null, errors: ['A rubric must be a JSON object with "name", "levels" and "criteria".'] }
+  }
+  const name = typeof input.name === 'string' ? input.name.trim() : ''
+  if (!name) errors.push('The rubric needs a "name".')
+
+  const levels = Array.isArray(input.levels) ? input.levels : []
+  if (levels.length < 2) errors.push('Give at least two "levels", each like {"score": 1, "label": "Beginning"}.')
+  levels.forEach((level, index) => {
+    if (!Number.isFinite(level?.score)) errors.push(`Level ${index + 1} needs a numeric "score".`)
+    if (typeof level?.label !== 'string' || !level.label.trim()) errors.push(`Level ${index + 1} needs a "label".`)
+  })
+  if (new Set(levels.map(level => level?.score)).size !== levels.length) errors.push('Level scores must be different.')
+
+  const criteria = Array.isArray(input.criteria) ? input.criteria : []
+  if (!criteria.length) errors.push('Give at least one entry in "criteria".')
+  criteria.forEach((criterion, index) => {
+    const label = criterion?.name ? `"${criterion.name}"` : `Criterion ${index + 1}`
+    if (typeof criterion?.name !== 'string' || !criterion.name.trim()) errors.push(`Criterion ${index + 1} needs a "name".`)
+    if (!Array.isArray(criterion?.descriptors) || criterion.descriptors.length !== levels.length) {
+      errors.push(`${label} needs one entry in "descriptors" per level (${levels.length}).`)
+    }
+    if (criterion?.weight !== undefined && !(Number(criterion.weight) > 0)) errors.push(`${label} has a "weight" that isn't a positive number.`)
+  })
+  if (errors.length) return { rubric: null, errors }
+
+  // Levels run from lowest to highest score, with descriptors reordered to match
+  const order = levels.map((level, index) => index).sort((a, b) => levels[a].score - levels[b].score)
+  const ids = new Set()
+  const rubric = {
+    id: typeof input.id === 'string' && input.id.trim() ? input.id.trim() : crypto.randomUUID(),
+    name,
+    description: typeof input.description === 'string' ? input.description.trim() : '',
+    levels: order.map(index => ({ score: levels[index].score, label: levels[index].label.trim() })),
+    criteria: criteria.map(criterion => {
+      let id = typeof criterion.id === 'string' && criterion.id.trim() ? criterion.id.trim() : slugify(criterion.name)
+      while (ids.has(id)) id += '-2'
+      ids.add(id)
+      return {
+        id,
+        name: criterion.name.trim(),
+        weight: Number(criterion.weight ?? 1),
+        descriptors: order.map(index => String(criterion.descriptors[index] ?? '').trim())
+      }
+    })
+  }
+  return { rubric, errors: [] }
+}
+
+/**
+ * Rubric as JSON for export, without app-only fields
+ * @param {Object} rubric
+ * @returns {string}
+ */
+export function rubricToJson(rubric) {
+  return JSON.stringify(rubric, (key, value) => (key === 'builtIn' ? undefined : value), 2)
+}
+
+// Evidence must be the student's own words; quotes the model made up are dropped
+function findQuote(draft, sentences, quote) {
+  const normalize = text => text.replace(/\s+/g, ' ').replace(/[“”]/g, '"').replace(/[‘’]/g, "'").trim().toLowerCase()
+  // Surrounding quote marks and ellipses aren't part of the quote
+  const wanted = normalize(quote.replace(/^["“'….\s]+|["”'….\s]+$/g, ''))
+  if (wanted.length < 3 || !normalize(draft).includes(wanted)) return null
+  const sentence = findSentence(sentences, quote) || sentences.find(s => normalize(s.text).includes(wanted))
+  return { quote: quote.trim(), sentence: sentence?.text ?? null }
+}
+
+/**
+ * Parse the model's JSON rubric evaluation
+ * @param {string} content - Reply text, expected to be a JSON object
+ * @param {Object} rubric - Rubric the draft was scored against
+ * @param {string} draft - The scored draft, to check evidence quotes against
+ * @param {Array} sentences - Its sentences (see `splitSentences`)
+ * @returns {Object|null} A score, or null when the reply isn't valid JSON or scores no criterion
+ */
+export function parseRubricScore(content, rubric, draft, sentences) {
+  let data
+  try {
+    data = JSON.parse(content.replace(/^\s*```(?:json)?|```\s*$/g, ''))
+  } catch {
+    return null
+  }
+  const items = Array.isArray(data?.criteria) ? data.criteria : []
+  const maxLevel = rubric.levels.at(-1).score
+
+  const criteria = rubric.criteria.map(criterion => {
+    const item = items.find(entry => entry?.id === criterion.id)
+      || items.find(entry => typeof entry?.name === 'string' && entry.name.toLowerCase() === criterion.name.toLowerCase())
+    const level = rubric.levels.find(l => l.score === Number(item?.level))
+    const evidence = (Array.isArray(item?.evidence) ? item.evidence : [])
+      .filter(quote => typeof quote === 'string')
+      .map(quote => findQuote(draft, sentences, quote))
+      .filter(Boolean)
+      .slice(0, 3)
+    return {
+      id: criterion.id,
+      name: criterion.name,
+      weight: criterion.weight,
+      level: level?.score ?? null,
+      label: level?.label ?? null,
+      maxLevel,
+      evidence,
+      rationale: typeof item?.rationale === 'string' ? item.rationale.trim() : ''
+    }
+  })
+  const scored = criteria.filter(criterion => criterion.level !== null)
+  if (!scored.length) return null
+
+  return {
+    id: crypto.randomUUID(),
+    rubricId: rubric.id,
+    rubricName: rubric.name,
+    criteria,
+    total: scored.reduce((sum, criterion) => sum + criterion.level * criterion.weight, 0),
+    max: criteria.reduce((sum, criterion) => sum + maxLevel * criterion.weight, 0),
+    createdAt: new Date().toISOString()
+  }
+}
@@ -0,0 +1,80 @@
+/**
+ * Sentence splitting for student drafts
+ * Feedback is anchored to sentences, so each one keeps its offsets in the draft.
+ */
+
+// A sentence ends at . ! or ? (plus closing quotes or brackets) followed by a space;
+// "3.5" and "U.S.A." mid-word don't end one
+const SENTENCE = /\S[\s\S]*?(?:[.!?]+["'”’)\]]*(?=\s|$)|$)/g
+
+// Abbreviations whose period doesn't end a sentence
+const ABBREVIATION = /\b(Mr|Mrs|Ms|Dr|Prof|Sr|Jr|St|vs|etc|e\.g|i\.e|cf|Fig|No|Vol|p|pp)\.$/i
+
+// "U.S." and "D.C." end a sentence only when a capital follows ("...in the U.S. It was")
+const INITIALISM = /\b[A-Z](?:\.[A-Z])+\.$/
+
+/**
+ * Split a draft into sentences
+ * Paragraph breaks (blank lines) always end a sentence.
+ * @param {string} text - Draft text
+ * @returns {Array<{index: number, text: string, start: number, end: number, paragraph: number}>}
+ *   Sentences in order; `start`/`end` are offsets into `text`
+ */
+export function splitSentences(text) {
+  const sentences = []
+  const paragraphs = /[^\n]+(?:\n(?!\s*\n)[^\n]*)*/g
+  let paragraph = 0
+
+  for (const block of (text || '').matchAll(paragraphs)) {
+    if (!block[0].trim()) continue
+    let pending = null
+    for (const match of block[0].matchAll(SENTENCE)) {
+      const start = block.index + match.index
+      const piece = { start, end: start + match[0].length }
+      const current = pending ? { start: pending.start, end: piece.end } : piece
+      // Glue "Dr.", "U.S. history" and '"Yes!" he said' onto what follows; an unquoted "done. then" still splits,
+      // since students often miss the capital
+      const rest = block[0].slice(match.index + match[0].length)
+      const goesOn = /^\s*[a-z]/.test(rest) && (/["'”’]$/.test(match[0]) || INITIALISM.test(match[0]))
+      if (rest.trim() && (ABBREVIATION.test(match[0]) || goesOn)) {
+        pending = current
+        continue
+      }
+      pending = null
+      sentences.push({
+        index: sentences.length,
+        text: text.slice(current.start, current.end).trim(),
+        start: current.start,
+        end: current.end,
+        paragraph
+      })
+    }
+    paragraph++
+  }
+  return sentences
+}
+
+/**
+ * Find a sentence in a draft by its text
+ * Used to keep feedback attached to its sentence while the student edits around it
+ * @param {Array} sentences - Result of `splitSentences`
+ * @param {string} sentenceText - Sentence the feedback was written for
+ * @returns {Object|null} The matching sentence, or null when it was changed or removed
+ */
+export function findSentence(sentences, sentenceText) {
+  const wanted = normalize(sentenceText)
+  return sentences.find(sentence => normalize(sentence.text) === wanted) || null
+}
+
+function normalize(text) {
+  return text.replace(/\s+/g, ' ').replace(/[“”]/g, '"').replace(/[‘’]/g, "'").trim()
+}
+
+/**
+ * Count the words in a draft
+ * @param {string} text
+ * @returns {number}
+ */
+export function countWords(text) {
+  return (text || '').match(/[A-Za-z0-9’']+/g)?.length ?? 0
+}
@@ -5,7 +5,7 @@ import 'dotenv/config'
 import { OpenAI } from 'openai'
 
 const client = new OpenAI({
-  apiKey: process.env.VITE_OPENAI_API_KEY
+  apiKey: process.env.OPENAI_API_KEY
 })
 
 async function testOpenAI() {